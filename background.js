@@ -6,17 +6,23 @@
  */
 
 // Background script for handling extension lifecycle and security
+
+// IndexedDB email store shared with the popup and dashboard, the address
+// validation every part of the extension shares, the deliverability
+// checks run on stored records, and the message protocol
+importScripts('storage.js', 'tlds.js', 'core.js', 'verifier.js', 'messages.js');
 chrome.runtime.onInstalled.addListener((details) => {
     if (details.reason === 'install') {
         console.log('Email Scraper Extension installed successfully');
 
         // Initialize default settings
         chrome.storage.local.set({
-            extractedEmails: [],
             settings: {
                 removeDuplicates: true,
-                maxEmails: 1000,
-                exportFormat: 'csv'
+                exportFormat: 'csv',
+                csvDelimiter: 'comma',
+                csvBom: false,
+                watchMode: false
             }
         });
     } else if (details.reason === 'update') {
@@ -41,14 +47,10 @@ chrome.commands.onCommand.addListener((command) => {
                                 return;
                             }
                             
-                        console.log('Background: Sending extract emails message to tab:', tabs[0].id);
-                        chrome.tabs.sendMessage(tabs[0].id, { type: 'extractEmails' }, (response) => {
-                            if (chrome.runtime.lastError) {
-                                    console.error('Background: Failed to send keyboard shortcut message:', chrome.runtime.lastError.message);
-                            } else {
-                                console.log('Background: Keyboard shortcut message sent successfully');
-                            }
-                            });
+                            console.log('Background: Sending extract emails message to tab:', tabs[0].id);
+                            messageProtocol.send('extractEmails', {}, { tabId: tabs[0].id })
+                                .then(() => console.log('Background: Keyboard shortcut message sent successfully'))
+                                .catch(error => console.error('Background: Failed to send keyboard shortcut message:', error.message));
                         });
                     } else {
                         console.warn('Background: No active tab found for keyboard shortcut');
@@ -63,134 +65,958 @@ chrome.commands.onCommand.addListener((command) => {
     }
 });
 
-// Enhanced message handler for better email management
-chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+/**
+ * Message handlers, by message type (schemas in messages.js)
+ * Each takes the request payload and the sender, and returns the reply
+ * payload or throws
+ */
+const messageHandlers = {
+    // Remember the page's latest automatic detection
+    storePageEmails: async ({ pageData }, sender) => {
+        const page = {
+            ...pageData,
+            storedAt: Date.now(),
+            tabId: sender.tab?.id,
+            url: sender.tab?.url || pageData.url
+        };
+
+        try {
+            await emailStore.putPage(page);
+        } catch (error) {
+            console.error('Background: Storage failed:', error);
+            throw error;
+        }
+        updateBadge(page.emails.length, sender.tab?.id);
+        return { count: page.emails.length };
+    },
+
+    // Retrieve the active collection's emails
+    getStoredEmails: async () => {
+        const emails = await emailStore.getAll(await emailStore.getActiveCollectionId());
+        return { emails: emails, count: emails.length };
+    },
+
+    // Clear the active collection's emails
+    clearStoredEmails: async (payload, sender) => {
+        await emailStore.clear(await emailStore.getActiveCollectionId());
+        updateBadge(0, sender.tab?.id);
+        return {};
+    },
+
+    // Merge provenance records, collapsing duplicates if requested
+    addEmails: async ({ emails, removeDuplicates }, sender) => {
+        const count = await appendEmailRecords(emails, removeDuplicates);
+        updateBadge(count, sender.tab?.id);
+        return { count: count };
+    },
+
+    // Check the given records again, e.g. after changing the resolver
+    verifyEmails: async ({ ids }) => ({ count: await verifyStoredEmails(ids) }),
+
+    // Start a multi-page crawl from the given tab
+    startCrawl: async ({ options }) => ({ job: summarizeCrawlJob(await startCrawl(options)) }),
+    pauseCrawl: async () => ({ job: summarizeCrawlJob(await controlCrawl('pauseCrawl')) }),
+    resumeCrawl: async () => ({ job: summarizeCrawlJob(await controlCrawl('resumeCrawl')) }),
+    cancelCrawl: async () => ({ job: summarizeCrawlJob(await controlCrawl('cancelCrawl')) }),
+    getCrawlStatus: async () => ({ job: summarizeCrawlJob(await loadCrawlJob()) })
+};
+
+// Requests from a tab are only handled while the tab still exists
+messageProtocol.listen('background', Object.fromEntries(Object.entries(messageHandlers).map(([type, handler]) => [
+    type,
+    async (payload, sender) => {
+        if (sender.tab && sender.tab.id && !(await tabExists(sender.tab.id))) {
+            console.warn(`Background: Tab ${sender.tab.id} no longer exists, ignoring message`);
+            throw new Error('Tab no longer exists');
+        }
+        return handler(payload, sender);
+    }
+])));
+
+/**
+ * Multi-page crawl
+ *
+ * A crawl job visits same-origin links breadth-first from a start page in
+ * background tabs, running the regular content script extraction on each
+ * page. The job lives in chrome.storage.local so it survives the popup
+ * closing and the service worker being restarted.
+ *
+ * Crawls are polite: robots.txt and <meta name="robots"> are honored, each
+ * host gets a minimum delay between page loads and a cap on parallel loads,
+ * and every page that is not visited or not used is logged with a reason.
+ */
+const CRAWL_DEFAULTS = {
+    maxDepth: 1,
+    maxPages: 20,
+    pageLoadTimeout: 30000,
+    // Politeness
+    minDelayMs: 1000,
+    maxConcurrent: 2,
+    maxConcurrentPerHost: 1
+};
+
+// Upper bounds so a single job cannot run away
+const CRAWL_LIMITS = {
+    maxDepth: 5,
+    maxPages: 500,
+    maxConcurrent: 4,
+    // robots.txt Crawl-delay values above this are clamped
+    maxCrawlDelayMs: 60000,
+    // Entries kept in a job's skipped-URL log
+    maxSkippedEntries: 1000
+};
+
+// Product token matched against robots.txt User-agent lines
+const ROBOTS_USER_AGENT = 'EmailScraper';
+
+// Links to files that are never HTML pages
+const NON_HTML_LINK = /\.(?:pdf|zip|gz|rar|7z|exe|dmg|msi|jpe?g|png|gif|svg|webp|ico|mp3|mp4|avi|mov|webm|css|js|json|xml|docx?|xlsx?|pptx?)$/i;
+
+let crawlJob = null;
+let crawlLoopActive = false;
+
+// URLs in crawlJob.seen, for lookups while links are queued (the array is
+// what gets persisted)
+let crawlSeen = new Set();
+
+// Per-host politeness state; only meaningful while a crawl loop is running
+const hostNextLoadAt = new Map();
+const hostActiveLoads = new Map();
+
+// robots.txt fetches in flight, so parallel workers share one request per origin
+const robotsRequests = new Map();
+
+/**
+ * Load the current crawl job from storage (cached after the first read)
+ * @returns {Promise<Object|null>} - Crawl job, or null if none exists
+ */
+async function loadCrawlJob() {
+    if (!crawlJob) {
+        const result = await chrome.storage.local.get(['crawlJob']);
+        crawlJob = result.crawlJob || null;
+        crawlSeen = new Set(crawlJob ? crawlJob.seen : []);
+    }
+    return crawlJob;
+}
+
+/**
+ * Persist the crawl job and tell any open popup about it
+ * @param {Object} job - Crawl job to save
+ */
+async function saveCrawlJob(job) {
+    job.updatedAt = Date.now();
+    if (job !== crawlJob) {
+        crawlSeen = new Set(job.seen);
+    }
+    crawlJob = job;
+    await chrome.storage.local.set({ crawlJob: job });
+
+    // The popup may be closed, in which case nobody is listening
+    messageProtocol.send('crawlProgress', { job: summarizeCrawlJob(job) }).catch(() => {});
+}
+
+/**
+ * Reduce a crawl job to what the popup needs to render progress
+ * @param {Object|null} job - Crawl job
+ * @returns {Object|null} - Job summary
+ */
+function summarizeCrawlJob(job) {
+    if (!job) {
+        return null;
+    }
+
+    return {
+        id: job.id,
+        status: job.status,
+        startUrl: job.startUrl,
+        currentUrls: job.currentUrls.map(item => item.url),
+        maxDepth: job.maxDepth,
+        maxPages: job.maxPages,
+        pagesCrawled: job.pagesCrawled,
+        pagesFailed: job.pagesFailed,
+        queued: job.queue.length,
+        emailsFound: job.emailsFound,
+        skippedCount: job.skippedCount,
+        // The popup shows the most recent entries; the full log stays in storage
+        skipped: job.skipped.slice(-50),
+        error: job.error,
+        startedAt: job.startedAt,
+        updatedAt: job.updatedAt
+    };
+}
+
+/**
+ * Record a URL the crawl did not visit, or visited but did not use
+ * @param {Object} job - Crawl job
+ * @param {string} url - Skipped URL
+ * @param {string} reason - Human-readable reason shown in the popup
+ */
+function logSkippedUrl(job, url, reason) {
+    job.skippedCount++;
+    job.skipped.push({ url: url, reason: reason, at: Date.now() });
+    if (job.skipped.length > CRAWL_LIMITS.maxSkippedEntries) {
+        job.skipped.shift();
+    }
+    console.log(`Background: Crawl skipped ${url} (${reason})`);
+}
+
+/**
+ * Normalize a crawlable URL: http(s) only, fragment removed
+ * @param {string} url - URL to normalize
+ * @returns {string|null} - Normalized URL, or null if it cannot be crawled
+ */
+function normalizeCrawlUrl(url) {
+    try {
+        const parsed = new URL(url);
+        if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+            return null;
+        }
+        parsed.hash = '';
+        return parsed.href;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Clamp a numeric crawl option into [min, max]
+ */
+function clampCrawlOption(value, fallback, min, max) {
+    const number = parseInt(value, 10);
+    if (isNaN(number)) {
+        return fallback;
+    }
+    return Math.min(Math.max(number, min), max);
+}
+
+/**
+ * Start a new crawl job
+ * @param {Object} options - { startUrl, maxDepth, maxPages, removeDuplicates, minDelayMs, maxConcurrent, maxConcurrentPerHost }
+ * @returns {Promise<Object>} - The new crawl job
+ */
+async function startCrawl(options) {
+    const existing = await loadCrawlJob();
+    if (existing && (existing.status === 'running' || existing.status === 'paused')) {
+        throw new Error('A crawl is already in progress');
+    }
+
+    const startUrl = normalizeCrawlUrl(options.startUrl);
+    if (!startUrl) {
+        throw new Error('Crawling is only supported on http and https pages');
+    }
+
+    const maxConcurrent = clampCrawlOption(options.maxConcurrent, CRAWL_DEFAULTS.maxConcurrent, 1, CRAWL_LIMITS.maxConcurrent);
+
+    const job = {
+        id: `crawl_${Date.now()}`,
+        status: 'running',
+        // Finds keep going to this collection if the user switches meanwhile
+        collectionId: await emailStore.getActiveCollectionId(),
+        startUrl: startUrl,
+        origin: new URL(startUrl).origin,
+        maxDepth: clampCrawlOption(options.maxDepth, CRAWL_DEFAULTS.maxDepth, 0, CRAWL_LIMITS.maxDepth),
+        maxPages: clampCrawlOption(options.maxPages, CRAWL_DEFAULTS.maxPages, 1, CRAWL_LIMITS.maxPages),
+        removeDuplicates: options.removeDuplicates !== false,
+        minDelayMs: clampCrawlOption(options.minDelayMs, CRAWL_DEFAULTS.minDelayMs, 250, CRAWL_LIMITS.maxCrawlDelayMs),
+        maxConcurrent: maxConcurrent,
+        maxConcurrentPerHost: clampCrawlOption(options.maxConcurrentPerHost, CRAWL_DEFAULTS.maxConcurrentPerHost, 1, maxConcurrent),
+        queue: [{ url: startUrl, depth: 0 }],
+        seen: [startUrl],
+        currentUrls: [],
+        robots: {},
+        pagesCrawled: 0,
+        pagesFailed: 0,
+        emailsFound: 0,
+        skipped: [],
+        skippedCount: 0,
+        workerTabIds: [],
+        error: null,
+        startedAt: Date.now(),
+        updatedAt: Date.now()
+    };
+
+    await saveCrawlJob(job);
+    runCrawl();
+    return job;
+}
+
+/**
+ * Pause, resume or cancel the current crawl job
+ * @param {string} action - pauseCrawl, resumeCrawl or cancelCrawl
+ * @returns {Promise<Object>} - The updated crawl job
+ */
+async function controlCrawl(action) {
+    const job = await loadCrawlJob();
+    if (!job) {
+        throw new Error('No crawl job found');
+    }
+
+    if (action === 'pauseCrawl') {
+        if (job.status !== 'running') {
+            throw new Error('Crawl is not running');
+        }
+        job.status = 'paused';
+    } else if (action === 'resumeCrawl') {
+        if (job.status !== 'paused') {
+            throw new Error('Crawl is not paused');
+        }
+        job.status = 'running';
+    } else if (job.status === 'running' || job.status === 'paused') {
+        job.status = 'cancelled';
+    } else {
+        throw new Error('Crawl has already finished');
+    }
+
+    await saveCrawlJob(job);
+
+    if (job.status === 'running') {
+        runCrawl();
+    } else {
+        await closeCrawlTabs(job);
+    }
+    return job;
+}
+
+/**
+ * Crawl loop: runs up to job.maxConcurrent workers until the job is paused,
+ * cancelled or done
+ */
+async function runCrawl() {
+    if (crawlLoopActive) {
+        return;
+    }
+    crawlLoopActive = true;
+
     try {
-        // Fast validation
-        if (!message || !message.type) {
-            sendResponse({ success: false, error: 'Invalid message' });
-            return true;
-        }
-
-        // Validate sender tab exists before processing
-        if (sender.tab && sender.tab.id) {
-            chrome.tabs.get(sender.tab.id, (tab) => {
-                if (chrome.runtime.lastError) {
-                    console.warn(`Background: Tab ${sender.tab.id} no longer exists, ignoring message`);
-                    sendResponse({ success: false, error: 'Tab no longer exists' });
-                    return;
+        const job = await loadCrawlJob();
+        if (!job || job.status !== 'running') {
+            return;
+        }
+
+        // Pages that were loading when the service worker stopped are visited again
+        job.currentUrls.forEach(item => job.queue.unshift(item));
+        job.currentUrls = [];
+        hostNextLoadAt.clear();
+        hostActiveLoads.clear();
+
+        const workers = [];
+        for (let slot = 0; slot < job.maxConcurrent; slot++) {
+            workers.push(runCrawlWorker(job, slot));
+        }
+        await Promise.all(workers);
+
+        if (job.status === 'running') {
+            job.status = 'completed';
+            await saveCrawlJob(job);
+            await closeCrawlTabs(job);
+        }
+    } catch (error) {
+        console.error('Background: Crawl loop error:', error.message);
+        if (crawlJob) {
+            crawlJob.status = 'failed';
+            crawlJob.error = error.message;
+            await saveCrawlJob(crawlJob);
+            await closeCrawlTabs(crawlJob);
+        }
+    } finally {
+        crawlLoopActive = false;
+    }
+}
+
+/**
+ * One crawl worker: takes pages off the shared queue while the job runs
+ * @param {Object} job - Crawl job (shared by all workers)
+ * @param {number} slot - Worker index, which owns job.workerTabIds[slot]
+ */
+async function runCrawlWorker(job, slot) {
+    while (job.status === 'running') {
+        const budgetLeft = job.maxPages - job.pagesCrawled - job.currentUrls.length;
+
+        if (budgetLeft <= 0 || (job.queue.length === 0 && job.currentUrls.length === 0)) {
+            return;
+        }
+
+        const index = job.queue.findIndex(item => hasHostCapacity(job, item.url));
+        if (index === -1) {
+            // Everything left is on a busy host, or other workers may still add links
+            await new Promise(resolve => setTimeout(resolve, 200));
+            continue;
+        }
+
+        const [{ url, depth }] = job.queue.splice(index, 1);
+
+        if (!(await isAllowedByRobots(job, url))) {
+            continue;
+        }
+
+        const host = new URL(url).host;
+        hostActiveLoads.set(host, (hostActiveLoads.get(host) || 0) + 1);
+        job.currentUrls.push({ url, depth });
+
+        try {
+            await waitForHostTurn(job, host);
+            if (job.status !== 'running') {
+                throw new Error('Crawl stopped');
+            }
+            await saveCrawlJob(job);
+
+            const page = await crawlPage(job, slot, url);
+            await handleCrawledPage(job, url, depth, page);
+            job.pagesCrawled++;
+        } catch (pageError) {
+            // Pausing or cancelling closes the crawl tabs under the pages being
+            // loaded; a paused job revisits those pages when resumed
+            if (job.status !== 'running') {
+                if (job.status === 'paused') {
+                    job.queue.unshift({ url, depth });
                 }
-                processMessage(message, sender, sendResponse);
-            });
-        } else {
-            // No tab context, process message normally
-            processMessage(message, sender, sendResponse);
+            } else {
+                console.warn(`Background: Crawl failed for ${url}:`, pageError.message);
+                logSkippedUrl(job, url, `Page could not be loaded: ${pageError.message}`);
+                job.pagesFailed++;
+                job.pagesCrawled++;
+            }
+        } finally {
+            hostActiveLoads.set(host, hostActiveLoads.get(host) - 1);
+            job.currentUrls = job.currentUrls.filter(current => current.url !== url);
+        }
+
+        // controlCrawl() updates this same cached job object, so a pause or
+        // cancel made while the page was loading is seen by the while check
+        await saveCrawlJob(job);
+    }
+}
+
+/**
+ * Store a crawled page's emails and queue its links, honoring meta robots
+ * @param {Object} job - Crawl job
+ * @param {string} url - Page URL
+ * @param {number} depth - Link depth of the page
+ * @param {Object} page - { emails, links, robots } from crawlPage()
+ */
+async function handleCrawledPage(job, url, depth, page) {
+    const directives = parseMetaRobots(page.robots);
+
+    if (directives.noindex) {
+        if (page.emails.length > 0) {
+            logSkippedUrl(job, url, `meta robots noindex: ${page.emails.length} email(s) discarded`);
+        }
+    } else if (page.emails.length > 0) {
+        await appendEmailRecords(page.emails, job.removeDuplicates, job.collectionId);
+        job.emailsFound += page.emails.length;
+        refreshCollectionBadge();
+    }
+
+    if (depth >= job.maxDepth) {
+        return;
+    }
+
+    if (directives.nofollow) {
+        logSkippedUrl(job, url, 'meta robots nofollow: links not followed');
+        return;
+    }
+
+    page.links.forEach(link => {
+        const normalized = normalizeCrawlUrl(link);
+        if (normalized &&
+            new URL(normalized).origin === job.origin &&
+            !NON_HTML_LINK.test(new URL(normalized).pathname) &&
+            !crawlSeen.has(normalized)) {
+            crawlSeen.add(normalized);
+            job.seen.push(normalized);
+            job.queue.push({ url: normalized, depth: depth + 1 });
+        }
+    });
+}
+
+/**
+ * Whether another page on this URL's host may start loading
+ */
+function hasHostCapacity(job, url) {
+    return (hostActiveLoads.get(new URL(url).host) || 0) < job.maxConcurrentPerHost;
+}
+
+/**
+ * Wait until the host's rate limit allows the next page load, then book the
+ * following slot. Crawl-delay from robots.txt raises the job's minimum delay.
+ * @param {Object} job - Crawl job
+ * @param {string} host - Host about to be loaded
+ */
+async function waitForHostTurn(job, host) {
+    const robots = job.robots[`${new URL(job.origin).protocol}//${host}`];
+    const delay = Math.max(job.minDelayMs, robots && robots.crawlDelayMs ? robots.crawlDelayMs : 0);
+
+    const now = Date.now();
+    const loadAt = Math.max(now, hostNextLoadAt.get(host) || 0);
+    hostNextLoadAt.set(host, loadAt + delay);
+
+    if (loadAt > now) {
+        await new Promise(resolve => setTimeout(resolve, loadAt - now));
+    }
+}
+
+/**
+ * Check a URL against its origin's robots.txt, logging it when disallowed
+ * @param {Object} job - Crawl job (caches parsed robots.txt per origin)
+ * @param {string} url - URL about to be visited
+ * @returns {Promise<boolean>} - True if the URL may be crawled
+ */
+async function isAllowedByRobots(job, url) {
+    const parsed = new URL(url);
+
+    if (!job.robots[parsed.origin]) {
+        if (!robotsRequests.has(parsed.origin)) {
+            robotsRequests.set(parsed.origin, fetchRobotsRules(parsed.origin));
         }
+        job.robots[parsed.origin] = await robotsRequests.get(parsed.origin);
+        robotsRequests.delete(parsed.origin);
+    }
+    const robots = job.robots[parsed.origin];
+
+    if (robots.disallowAll) {
+        logSkippedUrl(job, url, robots.reason);
+        return false;
+    }
 
-        return true; // Async response
+    const rule = matchRobotsRule(robots.rules, parsed.pathname + parsed.search);
+    if (rule && !rule.allow) {
+        logSkippedUrl(job, url, `robots.txt: Disallow ${rule.path}`);
+        return false;
+    }
+    return true;
+}
 
+/**
+ * Fetch and parse an origin's robots.txt
+ * Missing robots.txt (4xx) allows everything; an unreachable one (5xx or
+ * network error) is treated as disallowing everything
+ * @param {string} origin - Origin such as https://example.com
+ * @returns {Promise<Object>} - { rules, crawlDelayMs, disallowAll, reason }
+ */
+async function fetchRobotsRules(origin) {
+    try {
+        const response = await fetch(`${origin}/robots.txt`, { credentials: 'omit', cache: 'no-cache' });
+
+        if (response.status >= 500) {
+            return { rules: [], crawlDelayMs: 0, disallowAll: true, reason: `robots.txt unavailable (HTTP ${response.status})` };
+        }
+        if (!response.ok) {
+            return { rules: [], crawlDelayMs: 0, disallowAll: false, reason: null };
+        }
+
+        const group = selectRobotsGroup(parseRobotsTxt(await response.text()), ROBOTS_USER_AGENT);
+        return {
+            rules: group.rules,
+            crawlDelayMs: Math.min(group.crawlDelay * 1000, CRAWL_LIMITS.maxCrawlDelayMs),
+            disallowAll: false,
+            reason: null
+        };
     } catch (error) {
-        console.error('Background: Message error:', error.message);
-        sendResponse({ success: false, error: error.message });
-        return true;
+        return { rules: [], crawlDelayMs: 0, disallowAll: true, reason: `robots.txt unreachable: ${error.message}` };
     }
-});
+}
 
 /**
- * Process message after tab validation
+ * Parse robots.txt into user-agent groups
+ * @param {string} text - robots.txt body
+ * @returns {Array<Object>} - Groups of { agents, rules: [{ allow, path }], crawlDelay }
  */
-function processMessage(message, sender, sendResponse) {
+function parseRobotsTxt(text) {
+    const groups = [];
+    let group = null;
+    let lastWasAgent = false;
+
+    String(text || '').split(/\r\n|\r|\n/).forEach(rawLine => {
+        const line = rawLine.replace(/#.*$/, '').trim();
+        const separator = line.indexOf(':');
+        if (separator === -1) {
+            return;
+        }
+
+        const field = line.substring(0, separator).trim().toLowerCase();
+        const value = line.substring(separator + 1).trim();
+
+        if (field === 'user-agent') {
+            // Consecutive User-agent lines share one group
+            if (!lastWasAgent) {
+                group = { agents: [], rules: [], crawlDelay: 0 };
+                groups.push(group);
+            }
+            group.agents.push(value.toLowerCase());
+            lastWasAgent = true;
+            return;
+        }
+
+        lastWasAgent = false;
+        if (!group) {
+            return;
+        }
+
+        if (field === 'allow' || field === 'disallow') {
+            // An empty Disallow means "allow everything" and adds no rule
+            if (value) {
+                group.rules.push({ allow: field === 'allow', path: value });
+            }
+        } else if (field === 'crawl-delay') {
+            const delay = parseFloat(value);
+            if (!isNaN(delay) && delay > 0) {
+                group.crawlDelay = delay;
+            }
+        }
+    });
+
+    return groups;
+}
+
+/**
+ * Pick the rules that apply to a user agent: groups naming the agent win,
+ * otherwise the "*" groups apply
+ * @param {Array<Object>} groups - Parsed robots.txt groups
+ * @param {string} userAgent - Product token
+ * @returns {Object} - { rules, crawlDelay }
+ */
+function selectRobotsGroup(groups, userAgent) {
+    const token = userAgent.toLowerCase();
+    // An empty User-agent value names no crawler (includes('') would match all)
+    let matching = groups.filter(group => group.agents.some(agent => agent && agent !== '*' && token.includes(agent)));
+    if (matching.length === 0) {
+        matching = groups.filter(group => group.agents.includes('*'));
+    }
+
+    return {
+        rules: matching.reduce((rules, group) => rules.concat(group.rules), []),
+        crawlDelay: matching.reduce((delay, group) => Math.max(delay, group.crawlDelay), 0)
+    };
+}
+
+/**
+ * Find the robots rule that decides a path: the longest matching pattern
+ * wins, and Allow wins a tie
+ * @param {Array<Object>} rules - { allow, path } rules
+ * @param {string} path - Path plus query string
+ * @returns {Object|null} - Deciding rule, or null if nothing matches
+ */
+function matchRobotsRule(rules, path) {
+    // robots.txt itself is always fetchable
+    if (path === '/robots.txt') {
+        return null;
+    }
+
+    let best = null;
+    rules.forEach(rule => {
+        const anchored = rule.path.endsWith('$');
+        const pattern = (anchored ? rule.path.slice(0, -1) : rule.path)
+            .split('*')
+            .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+            .join('.*');
+
+        let matches = false;
+        try {
+            matches = new RegExp(`^${pattern}${anchored ? '$' : ''}`).test(path);
+        } catch (error) {
+            matches = false;
+        }
+
+        if (matches && (!best ||
+            rule.path.length > best.path.length ||
+            (rule.path.length === best.path.length && rule.allow && !best.allow))) {
+            best = rule;
+        }
+    });
+
+    return best;
+}
+
+/**
+ * Parse <meta name="robots"> content into directives
+ * @param {string} content - Comma-separated directives, e.g. "noindex, nofollow"
+ * @returns {Object} - { noindex, nofollow }
+ */
+function parseMetaRobots(content) {
+    const directives = String(content || '').toLowerCase().split(/[\s,]+/);
+    const none = directives.includes('none');
+    return {
+        noindex: none || directives.includes('noindex'),
+        nofollow: none || directives.includes('nofollow')
+    };
+}
+
+/**
+ * Load a page in the worker's crawl tab and extract its emails and links
+ * @param {Object} job - Crawl job (worker tabs are created on demand)
+ * @param {number} slot - Worker index
+ * @param {string} url - Page to visit
+ * @returns {Promise<Object>} - { emails, links, robots }
+ */
+async function crawlPage(job, slot, url) {
+    let tabId = job.workerTabIds[slot];
+    if (tabId && !(await tabExists(tabId))) {
+        tabId = null;
+    }
+
+    if (tabId) {
+        const loaded = waitForTabLoad(tabId, CRAWL_DEFAULTS.pageLoadTimeout);
+        await chrome.tabs.update(tabId, { url: url });
+        await loaded;
+    } else {
+        const tab = await chrome.tabs.create({ url: url, active: false });
+        tabId = tab.id;
+        job.workerTabIds[slot] = tabId;
+        await saveCrawlJob(job);
+        await waitForTabLoad(tabId, CRAWL_DEFAULTS.pageLoadTimeout);
+    }
+
+    await ensureContentScript(tabId);
+
+    const extraction = await messageProtocol.send('extractEmails', {}, { tabId: tabId });
+
+    // A page whose links cannot be read still counts for its emails
+    let pageLinks = { links: [], robots: '' };
     try {
-        switch (message.type) {
-            case 'storePageEmails':
-                // Store page emails with metadata
-                if (message.pageData && Array.isArray(message.pageData.emails)) {
-                    const pageData = {
-                        ...message.pageData,
-                        storedAt: Date.now(),
-                        tabId: sender.tab?.id,
-                        url: sender.tab?.url
-                    };
-
-                    chrome.storage.local.set({
-                        pageData: pageData
-                    }, () => {
-                        if (chrome.runtime.lastError) {
-                            console.error('Background: Storage failed:', chrome.runtime.lastError);
-                            sendResponse({ success: false, error: chrome.runtime.lastError.message });
-                        } else {
-                            // Update badge with proper error handling
-                            updateBadge(pageData.emails.length, sender.tab?.id);
-                            sendResponse({ success: true, count: pageData.emails.length });
-                        }
-                    });
-                } else {
-                    sendResponse({ success: false, error: 'Invalid page data' });
-                }
-                break;
+        pageLinks = await messageProtocol.send('collectPageLinks', {}, { tabId: tabId });
+    } catch (error) {
+        console.warn(`Background: Could not collect links from ${url}:`, error.message);
+    }
 
-            case 'getStoredEmails':
-                // Retrieve stored emails
-                chrome.storage.local.get(['extractedEmails'], (result) => {
-                    if (chrome.runtime.lastError) {
-                        sendResponse({ success: false, error: chrome.runtime.lastError.message });
-                    } else {
-                        sendResponse({ 
-                            success: true, 
-                            emails: result.extractedEmails || [],
-                            count: (result.extractedEmails || []).length
-                        });
-                    }
-                });
-                break;
+    return {
+        emails: extraction.emails,
+        links: pageLinks.links,
+        robots: pageLinks.robots
+    };
+}
 
-            case 'clearStoredEmails':
-                // Clear stored emails
-                chrome.storage.local.remove(['extractedEmails', 'pageData'], () => {
-                    if (chrome.runtime.lastError) {
-                        sendResponse({ success: false, error: chrome.runtime.lastError.message });
-                    } else {
-                        // Clear badge with proper error handling
-                        updateBadge(0, sender.tab?.id);
-                        sendResponse({ success: true });
-                    }
-                });
-                break;
-
-            case 'addEmails':
-                // Add new emails to storage
-                if (message.emails && Array.isArray(message.emails)) {
-                    chrome.storage.local.get(['extractedEmails'], (result) => {
-                        const currentEmails = result.extractedEmails || [];
-                        const newEmails = [...currentEmails, ...message.emails];
-                        
-                        // Remove duplicates if requested
-                        const finalEmails = message.removeDuplicates ? 
-                            [...new Set(newEmails)] : newEmails;
-
-                        chrome.storage.local.set({ extractedEmails: finalEmails }, () => {
-                            if (chrome.runtime.lastError) {
-                                sendResponse({ success: false, error: chrome.runtime.lastError.message });
-                            } else {
-                                updateBadge(finalEmails.length, sender.tab?.id);
-                                sendResponse({ success: true, count: finalEmails.length });
-                            }
-                        });
-                    });
-                } else {
-                    sendResponse({ success: false, error: 'Invalid emails data' });
-                }
-                break;
+/**
+ * Resolve once a tab finishes loading
+ * Register this before navigating so a fast load is not missed
+ * @param {number} tabId - Tab to watch
+ * @param {number} timeoutMs - How long to wait
+ * @returns {Promise<void>}
+ */
+function waitForTabLoad(tabId, timeoutMs) {
+    return new Promise((resolve, reject) => {
+        const cleanup = () => {
+            clearTimeout(timer);
+            chrome.tabs.onUpdated.removeListener(onUpdated);
+            chrome.tabs.onRemoved.removeListener(onRemoved);
+        };
+        const onUpdated = (updatedTabId, changeInfo) => {
+            if (updatedTabId === tabId && changeInfo.status === 'complete') {
+                cleanup();
+                resolve();
+            }
+        };
+        const onRemoved = (removedTabId) => {
+            if (removedTabId === tabId) {
+                cleanup();
+                reject(new Error('Crawl tab was closed'));
+            }
+        };
+        const timer = setTimeout(() => {
+            cleanup();
+            reject(new Error('Page load timed out'));
+        }, timeoutMs);
 
-            default:
-                sendResponse({ success: false, error: 'Unknown message type' });
+        chrome.tabs.onUpdated.addListener(onUpdated);
+        chrome.tabs.onRemoved.addListener(onRemoved);
+    });
+}
+
+/**
+ * Make sure the content script answers in a tab, injecting it if needed
+ * @param {number} tabId - Tab to check
+ */
+async function ensureContentScript(tabId) {
+    // The manifest injects content.js itself; give it a moment to initialize
+    for (let attempt = 0; attempt < 10; attempt++) {
+        try {
+            await messageProtocol.send('ping', {}, { tabId: tabId });
+            return;
+        } catch (error) {
+            // Not listening yet
         }
+        await new Promise(resolve => setTimeout(resolve, 500));
+    }
+
+    // The page bridge goes into the page's own world (page-bridge.js)
+    await chrome.scripting.executeScript({
+        target: { tabId: tabId },
+        files: ['page-bridge.js'],
+        world: 'MAIN'
+    });
+    await chrome.scripting.executeScript({
+        target: { tabId: tabId },
+        files: ['rules.js', 'classifier.js', 'tlds.js', 'core.js', 'messages.js', 'content.js']
+    });
+    await new Promise(resolve => setTimeout(resolve, 1500));
+}
+
+/**
+ * Close the crawl job's background tabs that are still open
+ * @param {Object} job - Crawl job
+ */
+async function closeCrawlTabs(job) {
+    for (const tabId of job.workerTabIds) {
+        if (tabId && await tabExists(tabId)) {
+            try {
+                await chrome.tabs.remove(tabId);
+            } catch (error) {
+                console.warn('Background: Could not close crawl tab:', error.message);
+            }
+        }
+    }
+    job.workerTabIds = [];
+}
+
+/**
+ * Merge email records into a stored collection
+ * @param {Array} records - New email records
+ * @param {boolean} removeDuplicates - Whether to collapse records by address
+ * @param {number} [collectionId] - Target collection; defaults to the active one
+ * @returns {Promise<number>} - Size of the collection after merging
+ */
+async function appendEmailRecords(records, removeDuplicates, collectionId) {
+    const targetId = collectionId === undefined ? await emailStore.getActiveCollectionId() : collectionId;
+    const normalized = (Array.isArray(records) ? records : []).map(normalizeEmailRecord).filter(Boolean);
+    await emailStore.upsert(normalized, removeDuplicates, targetId);
+    // The store only reports other contexts' changes, so follow our own here
+    refreshCollectionBadge();
+    verifyStoredEmails().catch(error => console.error('Background: Verification failed:', error.message));
+    return emailStore.count(targetId);
+}
+
+/**
+ * Show the active collection's size on the global badge
+ */
+async function refreshCollectionBadge() {
+    try {
+        const collectionId = await emailStore.getActiveCollectionId();
+        updateBadge(await emailStore.count(collectionId));
     } catch (error) {
-        console.error('Background: Message processing error:', error.message);
-        sendResponse({ success: false, error: error.message });
+        console.error('Background: Could not count collection:', error.message);
     }
 }
 
+/**
+ * Deliverability checks
+ *
+ * Every stored record gets a verification result (verifier.js) soon after it
+ * is saved, whichever page saved it. A pass reads only the records the store
+ * still lists as pending, so the results it writes leave nothing for the next
+ * one. MX lookups use the resolver chosen in settings.verification and are
+ * cached per domain for one pass.
+ */
+const VERIFICATION_BATCH_SIZE = 25;
+let verificationActive = false;
+let verificationQueued = false;
+
+/**
+ * Verify records that have no result yet, or the given records again
+ * Overlapping calls for pending records fold into one more pass
+ * @param {Array<number>} [ids] - Records to re-check regardless of an existing result
+ * @returns {Promise<number>} - Number of records checked
+ */
+async function verifyStoredEmails(ids) {
+    if (!ids && verificationActive) {
+        verificationQueued = true;
+        return 0;
+    }
+
+    if (!ids) {
+        verificationActive = true;
+    }
+    let checked = 0;
+    try {
+        const result = await chrome.storage.local.get(['settings']);
+        const resolver = emailVerifier.createResolver((result.settings || {}).verification);
+        const wanted = ids ? new Set(ids) : null;
+        const records = wanted
+            ? (await emailStore.getAll()).filter(record => wanted.has(record.id))
+            : await emailStore.getPendingVerification();
+        const mxCache = new Map();
+
+        // Saved in batches so open pages refresh a few times, not per record
+        let batch = [];
+        for (const record of records) {
+            const verification = await emailVerifier.verify(record.email, { resolver: resolver, mxCache: mxCache });
+            batch.push({ id: record.id, fields: { verification: verification } });
+            checked++;
+            if (batch.length === VERIFICATION_BATCH_SIZE) {
+                await emailStore.patch(batch);
+                batch = [];
+            }
+        }
+        if (batch.length > 0) {
+            await emailStore.patch(batch);
+        }
+    } finally {
+        if (!ids) {
+            verificationActive = false;
+            if (verificationQueued) {
+                verificationQueued = false;
+                verifyStoredEmails().catch(error => console.error('Background: Verification failed:', error.message));
+            }
+        }
+    }
+    return checked;
+}
+
+/**
+ * Normalize a stored entry into an email record
+ * Older versions stored bare strings, which become records without provenance
+ * @param {Object|string} entry - Record or legacy email string
+ * @returns {Object|null} - Email record, or null if the entry is unusable
+ */
+function normalizeEmailRecord(entry) {
+    const record = typeof entry === 'string' ? { email: entry } : entry;
+    // Same validation as the content script and popup (core.js)
+    if (!record || typeof record.email !== 'string' || !emailCore.isValidEmail(record.email)) {
+        return null;
+    }
+
+    // Canonical form, so punycode and Unicode spellings merge
+    const email = emailCore.normalizeEmail(record.email);
+    const firstSeen = record.firstSeen || record.lastSeen || Date.now();
+
+    return {
+        email: email,
+        domain: emailCore.domainOf(email),
+        sourceUrl: record.sourceUrl || '',
+        pageTitle: record.pageTitle || '',
+        extractor: record.extractor || 'unknown',
+        snippet: record.snippet || '',
+        decoding: record.decoding || null,
+        elementPath: record.elementPath || '',
+        contact: normalizeContact(record.contact),
+        tags: Array.isArray(record.tags) ? record.tags.filter(tag => typeof tag === 'string') : [],
+        notes: typeof record.notes === 'string' ? record.notes : '',
+        classification: typeof record.classification === 'string' ? record.classification : null,
+        verification: record.verification && typeof record.verification === 'object' ? record.verification : null,
+        firstSeen: firstSeen,
+        lastSeen: record.lastSeen || firstSeen
+    };
+}
+
+/**
+ * Normalize a contact assembled by the content script
+ * @param {Object} contact - { name, title, organization, phones, sources }
+ * @returns {Object|null} - Contact, or null when missing or malformed
+ */
+function normalizeContact(contact) {
+    if (!contact || typeof contact !== 'object') {
+        return null;
+    }
+
+    const text = (value) => typeof value === 'string' ? value : '';
+    const list = (value) => Array.isArray(value) ? value.filter(item => typeof item === 'string') : [];
+    return {
+        name: text(contact.name),
+        title: text(contact.title),
+        organization: text(contact.organization),
+        phones: list(contact.phones),
+        sources: list(contact.sources)
+    };
+}
+
 /**
  * Check if a tab exists before updating its badge
  * @param {number} tabId - Tab ID to check
@@ -317,6 +1143,32 @@ chrome.tabs.onRemoved.addListener((tabId) => {
     }
 });
 
+// Move emails stored by older versions into IndexedDB, then check records
+// saved while the worker was stopped
+emailStore.migrate(normalizeEmailRecord)
+    .then(refreshCollectionBadge)
+    .catch(error => console.error('Background: Email migration failed:', error.message))
+    .then(() => verifyStoredEmails())
+    .catch(error => console.error('Background: Verification failed:', error.message));
+
+// Keep the badge on the active collection as pages switch, edit or clear it,
+// and check whatever they added (the worker's own writes, verification
+// results included, are not reported back to it)
+emailStore.onChange(() => {
+    refreshCollectionBadge();
+    verifyStoredEmails().catch(error => console.error('Background: Verification failed:', error.message));
+});
+
+// Pick up a crawl that was running when the service worker was stopped
+loadCrawlJob()
+    .then(job => {
+        if (job && job.status === 'running') {
+            console.log('Background: Resuming crawl job', job.id);
+            runCrawl();
+        }
+    })
+    .catch(error => console.error('Background: Could not restore crawl job:', error.message));
+
 // Clean up on extension unload
 chrome.runtime.onSuspend.addListener(() => {
     console.log('Email Scraper Extension suspending');
@@ -0,0 +1,666 @@
+/**
+ * Email Scraper Extension - In-memory Chrome API Fake
+ * Enough of chrome.storage, tabs, action, runtime, downloads, scripting and
+ * commands to run the background worker and the popup in Node.
+ *
+ * One fake stands for one browser profile. Every script context (the
+ * background worker, an extension page, a content script in a tab) gets its
+ * own `chrome` object from context(), so messages are routed between
+ * contexts the way Chrome routes them: runtime.sendMessage reaches every
+ * extension context but the sender, tabs.sendMessage reaches the content
+ * scripts of one tab, and both are delivered asynchronously as JSON.
+ *
+ * Every method takes an optional callback, which sees chrome.runtime.lastError
+ * on failure; without one it returns a promise. A lastError the callback
+ * never reads is recorded in uncheckedErrors, as Chrome logs it. failNext()
+ * and intercept() make any method fail or race for a test.
+ */
+
+const ChromeFake = {
+    // Errors worded as Chrome words them, so callers' message checks can be tested
+    errors: {
+        noReceiver: 'Could not establish connection. Receiving end does not exist.',
+        portClosed: 'The message port closed before a response was received.',
+        channelClosed: 'A listener indicated an asynchronous response by returning true, but the message channel closed before a response was received',
+        noTab: (tabId) => `No tab with id: ${tabId}.`,
+        invalidFilename: 'Invalid filename'
+    },
+
+    /**
+     * Create an event such as chrome.tabs.onUpdated
+     * @returns {Object} - addListener, removeListener, hasListener, hasListeners
+     *     and dispatch(...args), which calls the listeners and returns their results
+     */
+    createEvent: function() {
+        const listeners = [];
+        return {
+            addListener: (listener) => {
+                if (!listeners.includes(listener)) {
+                    listeners.push(listener);
+                }
+            },
+            removeListener: (listener) => {
+                const index = listeners.indexOf(listener);
+                if (index !== -1) {
+                    listeners.splice(index, 1);
+                }
+            },
+            hasListener: (listener) => listeners.includes(listener),
+            hasListeners: () => listeners.length > 0,
+            dispatch: (...args) => listeners.slice().map(listener => listener(...args))
+        };
+    },
+
+    /**
+     * Copy a value the way Chrome serializes messages and stored items
+     */
+    clone: function(value) {
+        return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+    },
+
+    /**
+     * Create a fake browser profile
+     * @param {Object} [options] - { extensionId, storage: initial chrome.storage.local items }
+     * @returns {Object} - The fake; see the members below
+     */
+    create: function(options = {}) {
+        const fake = this;
+        const extensionId = options.extensionId || 'abcdefghijklmnopabcdefghijklmnop';
+
+        const hub = {
+            extensionId: extensionId,
+            storage: fake.clone(options.storage || {}),
+            tabs: new Map(),
+            activeTabId: null,
+            // Global badge, and tab-specific values that override it
+            badge: { text: '', color: null },
+            tabBadges: new Map(),
+            downloads: [],
+            injections: [],
+            openedPages: [],
+            uncheckedErrors: [],
+            callbackErrors: [],
+            contexts: [],
+            channels: [],
+            failures: [],
+            interceptors: new Map(),
+            // Bumped by every API call and delivery; settle() waits for it to stop
+            activity: 0,
+            nextTabId: 1,
+            nextDownloadId: 1,
+            events: {
+                storageChanged: fake.createEvent(),
+                tabUpdated: fake.createEvent(),
+                tabRemoved: fake.createEvent(),
+                tabCreated: fake.createEvent(),
+                tabActivated: fake.createEvent(),
+                downloadChanged: fake.createEvent(),
+                // (tabId, files, world) for every scripting.executeScript;
+                // tests listen here to start a content context in the tab
+                scriptInjected: fake.createEvent(),
+                command: fake.createEvent(),
+                installed: fake.createEvent(),
+                startup: fake.createEvent(),
+                suspend: fake.createEvent()
+            },
+
+            /**
+             * Make the next call of a method fail
+             * @param {string} method - e.g. 'action.setBadgeText'
+             * @param {string} message - lastError message
+             */
+            failNext: (method, message) => {
+                hub.failures.push({ method: method, message: message });
+            },
+
+            /**
+             * Wrap every call of a method, e.g. to close a tab in the middle of a handler
+             * @param {string} method - e.g. 'tabs.get'
+             * @param {Function} handler - (args, proceed, context) => result; proceed()
+             *     runs the real method and resolves to its result. Throwing fails the call
+             */
+            intercept: (method, handler) => {
+                hub.interceptors.set(method, handler);
+            },
+
+            /**
+             * Open a tab
+             * @param {Object} [properties] - { url, active, title }
+             * @returns {Object} - The tab
+             */
+            openTab: (properties = {}) => {
+                const tab = {
+                    id: hub.nextTabId++,
+                    windowId: 1,
+                    index: hub.tabs.size,
+                    url: properties.url || 'about:blank',
+                    title: properties.title || '',
+                    active: false,
+                    status: 'complete'
+                };
+                hub.tabs.set(tab.id, tab);
+                hub.deliver(() => hub.events.tabCreated.dispatch(fake.clone(tab)));
+                if (properties.active !== false) {
+                    hub.activateTab(tab.id);
+                }
+                return tab;
+            },
+
+            /**
+             * Make a tab the active one
+             * @param {number} tabId - Tab to activate
+             */
+            activateTab: (tabId) => {
+                hub.tabs.forEach(tab => {
+                    tab.active = tab.id === tabId;
+                });
+                hub.activeTabId = tabId;
+                hub.deliver(() => hub.events.tabActivated.dispatch({ tabId: tabId, windowId: 1 }));
+            },
+
+            /**
+             * Navigate a tab; its content scripts go away with the old page
+             * @param {number} tabId - Tab to navigate
+             * @param {string} url - New URL
+             */
+            navigateTab: (tabId, url) => {
+                const tab = hub.tabs.get(tabId);
+                if (!tab) {
+                    throw new Error(fake.errors.noTab(tabId));
+                }
+                hub.destroyContexts(context => context.tabId === tabId);
+                tab.url = url;
+                tab.status = 'loading';
+                hub.deliver(() => hub.events.tabUpdated.dispatch(tabId, { status: 'loading', url: url }, fake.clone(tab)));
+                hub.deliver(() => {
+                    if (hub.tabs.has(tabId)) {
+                        tab.status = 'complete';
+                        hub.events.tabUpdated.dispatch(tabId, { status: 'complete' }, fake.clone(tab));
+                    }
+                });
+            },
+
+            /**
+             * Close a tab, ending its content scripts and tab-specific badge
+             * @param {number} tabId - Tab to close
+             */
+            closeTab: (tabId) => {
+                if (!hub.tabs.delete(tabId)) {
+                    throw new Error(fake.errors.noTab(tabId));
+                }
+                hub.tabBadges.delete(tabId);
+                hub.destroyContexts(context => context.tabId === tabId);
+                if (hub.activeTabId === tabId) {
+                    hub.activeTabId = null;
+                }
+                hub.deliver(() => hub.events.tabRemoved.dispatch(tabId, { windowId: 1, isWindowClosing: false }));
+            },
+
+            /**
+             * The badge as the user sees it on a tab
+             * @param {number} [tabId] - Tab; omit for the global badge
+             * @returns {Object} - { text, color }
+             */
+            badgeFor: (tabId) => {
+                const own = hub.tabBadges.get(tabId) || {};
+                return {
+                    text: own.text !== undefined ? own.text : hub.badge.text,
+                    color: own.color !== undefined ? own.color : hub.badge.color
+                };
+            },
+
+            /**
+             * Press a keyboard shortcut from the manifest's commands
+             * @param {string} command - Command name
+             */
+            runCommand: (command) => {
+                hub.deliver(() => hub.events.command.dispatch(command, hub.tabs.has(hub.activeTabId) ? fake.clone(hub.tabs.get(hub.activeTabId)) : undefined));
+            },
+
+            /**
+             * Wait until no API call or delivery has happened for a few turns
+             * of the event loop (IndexedDB work included)
+             * @param {number} [timeoutMs] - Give up after this long
+             */
+            settle: async (timeoutMs = 5000) => {
+                const deadline = Date.now() + timeoutMs;
+                let quietTurns = 0;
+                let seen = hub.activity;
+                while (quietTurns < 5 && Date.now() < deadline) {
+                    await new Promise(resolve => setTimeout(resolve, 5));
+                    quietTurns = hub.activity === seen ? quietTurns + 1 : 0;
+                    seen = hub.activity;
+                }
+            },
+
+            /**
+             * Run something asynchronously, as Chrome delivers events and messages
+             */
+            deliver: (work) => {
+                hub.activity++;
+                setTimeout(() => {
+                    hub.activity++;
+                    work();
+                }, 0);
+            },
+
+            /**
+             * End contexts, closing the message channels they still held open
+             */
+            destroyContexts: (predicate) => {
+                hub.contexts.filter(predicate).forEach(context => {
+                    context.alive = false;
+                    context.openChannels.forEach(close => close());
+                    context.openChannels.clear();
+                });
+                hub.contexts = hub.contexts.filter(context => context.alive);
+                hub.channels = hub.channels.filter(channel => channel.owner.alive);
+            },
+
+            /**
+             * End one context, e.g. when the popup closes
+             * @param {Object} chromeApi - chrome object from context()
+             */
+            closeContext: (chromeApi) => {
+                hub.destroyContexts(context => context.chrome === chromeApi);
+            },
+
+            /**
+             * A script context and the chrome object it sees
+             * @param {string} kind - 'background', 'popup', 'options' or 'content'
+             * @param {Object} [info] - { tabId, frameId } for content scripts
+             * @returns {Object} - The context's chrome object
+             */
+            context: (kind, info = {}) => {
+                if (kind === 'content' && !hub.tabs.has(info.tabId)) {
+                    throw new Error(fake.errors.noTab(info.tabId));
+                }
+                const context = {
+                    kind: kind,
+                    tabId: kind === 'content' ? info.tabId : null,
+                    frameId: kind === 'content' ? (info.frameId || 0) : null,
+                    alive: true,
+                    openChannels: new Set(),
+                    onMessage: fake.createEvent()
+                };
+                hub.contexts.push(context);
+                context.chrome = fake.createApi(hub, context);
+                return context.chrome;
+            },
+
+            /**
+             * BroadcastChannel for the extension contexts; delivers to every
+             * other channel of the same name, never to the posting one
+             * @param {Object} chromeApi - chrome object of the owning context
+             * @returns {Function} - BroadcastChannel constructor for that context
+             */
+            broadcastChannelFor: (chromeApi) => {
+                const owner = hub.contexts.find(context => context.chrome === chromeApi);
+                return class BroadcastChannel {
+                    constructor(name) {
+                        this.name = String(name);
+                        this.onmessage = null;
+                        this.closed = false;
+                        this.owner = owner;
+                        hub.channels.push(this);
+                    }
+
+                    postMessage(data) {
+                        if (this.closed) {
+                            throw new Error('BroadcastChannel is closed');
+                        }
+                        const payload = fake.clone(data);
+                        hub.channels
+                            .filter(channel => channel !== this && channel.name === this.name && !channel.closed)
+                            .forEach(channel => hub.deliver(() => {
+                                if (channel.owner.alive && !channel.closed && typeof channel.onmessage === 'function') {
+                                    channel.onmessage({ data: fake.clone(payload) });
+                                }
+                            }));
+                    }
+
+                    close() {
+                        this.closed = true;
+                    }
+                };
+            }
+        };
+
+        return hub;
+    },
+
+    /**
+     * Build the chrome object one context sees
+     * @param {Object} hub - The fake profile
+     * @param {Object} context - The calling context
+     * @returns {Object}
+     */
+    createApi: function(hub, context) {
+        const fake = this;
+        let lastError = null;
+        let lastErrorChecked = false;
+
+        /**
+         * Run a method the way Chrome does: fail if failNext() asked for it,
+         * pass through intercept(), then answer through the callback (with
+         * lastError set) or a promise
+         * @param {boolean} [withSender] - Pass the caller's sender, taken when
+         *     the call is made, as the first argument
+         */
+        const method = (name, implementation, withSender = false) => (...args) => {
+            const callback = typeof args[args.length - 1] === 'function' ? args.pop() : null;
+            hub.activity++;
+            // A message sent just before its tab closes still names that tab
+            const sender = withSender ? senderOf() : null;
+
+            const run = async () => {
+                const failure = hub.failures.findIndex(entry => entry.method === name);
+                if (failure !== -1) {
+                    const [{ message }] = hub.failures.splice(failure, 1);
+                    throw new Error(message);
+                }
+                const interceptor = hub.interceptors.get(name);
+                const proceed = () => Promise.resolve().then(() => withSender ? implementation(sender, ...args) : implementation(...args));
+                return interceptor ? interceptor(args, proceed, context) : proceed();
+            };
+
+            const promise = new Promise((resolve, reject) => {
+                // Answer on a later turn, never inside the caller's own turn
+                setTimeout(() => run().then(resolve, reject), 0);
+            });
+
+            if (!callback) {
+                return promise;
+            }
+            promise.then(
+                result => answer(name, callback, null, result),
+                error => answer(name, callback, error.message)
+            );
+            return undefined;
+        };
+
+        const answer = (name, callback, errorMessage, result) => {
+            if (!context.alive) {
+                return;
+            }
+            hub.activity++;
+            lastError = errorMessage ? { message: errorMessage } : null;
+            lastErrorChecked = false;
+            try {
+                errorMessage ? callback() : callback(result);
+            } catch (error) {
+                // Chrome reports these in the calling context's console
+                hub.callbackErrors.push({ context: context.kind, method: name, error: error });
+            } finally {
+                if (lastError && !lastErrorChecked) {
+                    hub.uncheckedErrors.push({ context: context.kind, method: name, message: lastError.message });
+                }
+                lastError = null;
+            }
+        };
+
+        const getTab = (tabId) => {
+            const tab = hub.tabs.get(tabId);
+            if (!tab) {
+                throw new Error(fake.errors.noTab(tabId));
+            }
+            return tab;
+        };
+
+        const extensionUrl = (path = '') => `chrome-extension://${hub.extensionId}/${String(path).replace(/^\//, '')}`;
+
+        const senderOf = () => {
+            const sender = { id: hub.extensionId, origin: `chrome-extension://${hub.extensionId}` };
+            if (context.kind === 'content') {
+                const tab = hub.tabs.get(context.tabId);
+                sender.tab = fake.clone(tab);
+                sender.frameId = context.frameId;
+                sender.url = tab ? tab.url : undefined;
+                sender.origin = tab ? new URL(tab.url).origin : undefined;
+            } else if (context.kind !== 'background') {
+                sender.url = extensionUrl(`${context.kind}.html`);
+            }
+            return sender;
+        };
+
+        /**
+         * Deliver a message to the receiving contexts' onMessage listeners
+         * The first sendResponse() wins; a listener keeps the channel open by
+         * returning true or a promise
+         */
+        const dispatchMessage = (receivers, message, sender) => new Promise((resolve, reject) => {
+            if (receivers.length === 0) {
+                reject(new Error(fake.errors.noReceiver));
+                return;
+            }
+
+            const payload = fake.clone(message);
+            let settled = false;
+            let pending = 0;
+            const closers = [];
+            const finish = (error, response) => {
+                if (settled) {
+                    return;
+                }
+                settled = true;
+                closers.forEach(({ receiver, close }) => receiver.openChannels.delete(close));
+                error ? reject(new Error(error)) : resolve(fake.clone(response));
+            };
+
+            receivers.forEach(receiver => hub.deliver(() => {
+                if (!receiver.alive) {
+                    return;
+                }
+                const sendResponse = (response) => finish(null, response);
+                const results = receiver.onMessage.dispatch(fake.clone(payload), fake.clone(sender), sendResponse);
+                results.forEach(result => {
+                    if (result === true || (result && typeof result.then === 'function')) {
+                        pending++;
+                        const close = () => {
+                            pending--;
+                            if (pending === 0) {
+                                finish(fake.errors.channelClosed);
+                            }
+                        };
+                        receiver.openChannels.add(close);
+                        closers.push({ receiver, close });
+                        if (result !== true) {
+                            result.then(value => finish(null, value), error => finish(error.message));
+                        }
+                    }
+                });
+            }));
+
+            // Once every receiver has run, nobody holding the channel open means no answer
+            hub.deliver(() => {
+                if (pending === 0) {
+                    finish(fake.errors.portClosed);
+                }
+            });
+        });
+
+        const storageArea = {
+            get: method('storage.local.get', (keys) => {
+                const items = hub.storage;
+                if (keys === null || keys === undefined) {
+                    return fake.clone(items);
+                }
+                const result = {};
+                if (typeof keys === 'string' || Array.isArray(keys)) {
+                    [].concat(keys).forEach(key => {
+                        if (key in items) {
+                            result[key] = fake.clone(items[key]);
+                        }
+                    });
+                } else {
+                    Object.keys(keys).forEach(key => {
+                        result[key] = key in items ? fake.clone(items[key]) : keys[key];
+                    });
+                }
+                return result;
+            }),
+            set: method('storage.local.set', (items) => {
+                const changes = {};
+                Object.keys(items).forEach(key => {
+                    changes[key] = { oldValue: fake.clone(hub.storage[key]), newValue: fake.clone(items[key]) };
+                    hub.storage[key] = fake.clone(items[key]);
+                });
+                hub.deliver(() => hub.events.storageChanged.dispatch(changes, 'local'));
+            }),
+            remove: method('storage.local.remove', (keys) => {
+                const changes = {};
+                [].concat(keys).filter(key => key in hub.storage).forEach(key => {
+                    changes[key] = { oldValue: fake.clone(hub.storage[key]) };
+                    delete hub.storage[key];
+                });
+                if (Object.keys(changes).length > 0) {
+                    hub.deliver(() => hub.events.storageChanged.dispatch(changes, 'local'));
+                }
+            }),
+            clear: method('storage.local.clear', () => {
+                const keys = Object.keys(hub.storage);
+                if (keys.length > 0) {
+                    return storageArea.remove(keys);
+                }
+            })
+        };
+
+        const setBadge = (name, property) => method(name, (details) => {
+            if (details.tabId !== undefined) {
+                getTab(details.tabId);
+                const own = hub.tabBadges.get(details.tabId) || {};
+                own[property] = details[property];
+                hub.tabBadges.set(details.tabId, own);
+            } else {
+                hub.badge[property] = details[property];
+            }
+        });
+
+        // Events are shared by the profile, except onMessage, which is per context
+        const eventFor = (event) => ({
+            addListener: (listener) => event.addListener(listener),
+            removeListener: (listener) => event.removeListener(listener),
+            hasListener: (listener) => event.hasListener(listener),
+            hasListeners: () => event.hasListeners()
+        });
+
+        const api = {
+            runtime: {
+                id: hub.extensionId,
+                get lastError() {
+                    lastErrorChecked = true;
+                    return lastError || undefined;
+                },
+                getURL: extensionUrl,
+                onMessage: eventFor(context.onMessage),
+                onInstalled: eventFor(hub.events.installed),
+                onStartup: eventFor(hub.events.startup),
+                onSuspend: eventFor(hub.events.suspend),
+                sendMessage: method('runtime.sendMessage', (sender, message) => {
+                    const receivers = hub.contexts.filter(other => other !== context && other.alive && other.kind !== 'content');
+                    return dispatchMessage(receivers, message, sender);
+                }, true),
+                openOptionsPage: method('runtime.openOptionsPage', () => {
+                    hub.openedPages.push(extensionUrl('options.html'));
+                })
+            },
+
+            storage: {
+                local: storageArea,
+                onChanged: eventFor(hub.events.storageChanged)
+            },
+
+            tabs: {
+                onUpdated: eventFor(hub.events.tabUpdated),
+                onRemoved: eventFor(hub.events.tabRemoved),
+                onCreated: eventFor(hub.events.tabCreated),
+                onActivated: eventFor(hub.events.tabActivated),
+                get: method('tabs.get', (tabId) => fake.clone(getTab(tabId))),
+                query: method('tabs.query', (queryInfo = {}) => Array.from(hub.tabs.values())
+                    .filter(tab => queryInfo.active === undefined || tab.active === queryInfo.active)
+                    .filter(tab => queryInfo.url === undefined || tab.url === queryInfo.url)
+                    .filter(tab => queryInfo.status === undefined || tab.status === queryInfo.status)
+                    .map(tab => fake.clone(tab))),
+                create: method('tabs.create', (properties = {}) => {
+                    const tab = hub.openTab({ url: properties.url, active: properties.active });
+                    if (properties.url) {
+                        hub.navigateTab(tab.id, properties.url);
+                    }
+                    return fake.clone(tab);
+                }),
+                update: method('tabs.update', (tabId, properties = {}) => {
+                    const tab = getTab(tabId);
+                    if (properties.active) {
+                        hub.activateTab(tabId);
+                    }
+                    if (properties.url) {
+                        hub.navigateTab(tabId, properties.url);
+                    }
+                    return fake.clone(tab);
+                }),
+                remove: method('tabs.remove', (tabIds) => {
+                    [].concat(tabIds).forEach(tabId => {
+                        getTab(tabId);
+                        hub.closeTab(tabId);
+                    });
+                }),
+                sendMessage: method('tabs.sendMessage', (sender, tabId, message, options = {}) => {
+                    getTab(tabId);
+                    const frameId = options.frameId === undefined ? 0 : options.frameId;
+                    const receivers = hub.contexts.filter(other => other.kind === 'content' && other.alive &&
+                        other.tabId === tabId && other.frameId === frameId);
+                    return dispatchMessage(receivers, message, sender);
+                }, true)
+            },
+
+            action: {
+                setBadgeText: setBadge('action.setBadgeText', 'text'),
+                setBadgeBackgroundColor: setBadge('action.setBadgeBackgroundColor', 'color'),
+                getBadgeText: method('action.getBadgeText', (details = {}) => hub.badgeFor(details.tabId).text),
+                getBadgeBackgroundColor: method('action.getBadgeBackgroundColor', (details = {}) => hub.badgeFor(details.tabId).color)
+            },
+
+            downloads: {
+                onChanged: eventFor(hub.events.downloadChanged),
+                download: method('downloads.download', (options) => {
+                    const filename = options.filename || '';
+                    if (/^[\\/]|^[a-z]:|(^|[\\/])\.\.([\\/]|$)/i.test(filename)) {
+                        throw new Error(fake.errors.invalidFilename);
+                    }
+                    const download = { id: hub.nextDownloadId++, url: options.url, filename: filename, saveAs: !!options.saveAs, state: 'in_progress' };
+                    hub.downloads.push(download);
+                    hub.deliver(() => {
+                        download.state = 'complete';
+                        hub.events.downloadChanged.dispatch({ id: download.id, state: { previous: 'in_progress', current: 'complete' } });
+                    });
+                    return download.id;
+                })
+            },
+
+            scripting: {
+                executeScript: method('scripting.executeScript', (injection) => {
+                    const tabId = injection.target && injection.target.tabId;
+                    const tab = getTab(tabId);
+                    if (/^(chrome|chrome-extension|edge|about):/.test(tab.url)) {
+                        throw new Error('Cannot access contents of the page. Extension manifest must request permission to access the respective host.');
+                    }
+                    const world = injection.world || 'ISOLATED';
+                    hub.injections.push({ tabId: tabId, files: (injection.files || []).slice(), world: world });
+                    hub.events.scriptInjected.dispatch(tabId, (injection.files || []).slice(), world);
+                    return [{ frameId: 0, result: undefined }];
+                })
+            },
+
+            commands: {
+                onCommand: eventFor(hub.events.command)
+            }
+        };
+
+        return api;
+    }
+};
+
+// Export for Node-based tests
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ChromeFake };
+}
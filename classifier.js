@@ -0,0 +1,107 @@
+/**
+ * Email Scraper Extension - Address Classification
+ * Labels addresses as personal, role-based (info@, support@ …) or disposable.
+ * The lists ship with the extension and work offline; users can extend them
+ * from the dashboard (settings.classificationLists)
+ */
+
+const emailClassifier = {
+    // Bump when the bundled lists change
+    listVersion: '2026-10-19',
+
+    labels: {
+        personal: 'Personal',
+        role: 'Role-based',
+        disposable: 'Disposable'
+    },
+
+    // Shared mailboxes rather than a person. A local part is role-based when
+    // it is one of these, optionally followed by a separator or digits
+    // (support-eu@, sales.uk@, info2@)
+    rolePrefixes: [
+        'abuse', 'accounting', 'accounts', 'admin', 'administrator', 'admissions', 'billing', 'booking',
+        'bookings', 'careers', 'compliance', 'contact', 'contactus', 'customercare', 'customerservice',
+        'customersupport', 'dev', 'donotreply', 'do-not-reply', 'enquiries', 'enquiry', 'events', 'feedback',
+        'finance', 'hello', 'help', 'helpdesk', 'hostmaster', 'hr', 'info', 'information', 'inquiries',
+        'inquiry', 'investors', 'it', 'jobs', 'legal', 'mail', 'mailer-daemon', 'marketing', 'media',
+        'news', 'newsletter', 'noc', 'no-reply', 'noreply', 'notifications', 'office', 'orders', 'partners',
+        'payments', 'postmaster', 'press', 'privacy', 'purchasing', 'recruiting', 'recruitment',
+        'reception', 'reservations', 'returns', 'root', 'sales', 'security', 'service', 'services', 'shop',
+        'social', 'support', 'sysadmin', 'team', 'tech', 'webmaster'
+    ],
+
+    // Role prefixes that double as names or initials (it.smith@, dev.jones@,
+    // media.garcia@): role-based alone or with digits, but not before a separator
+    ambiguousPrefixes: ['dev', 'hr', 'it', 'mail', 'media', 'news', 'noc', 'root', 'social', 'team', 'tech'],
+
+    // Temporary inbox providers; subdomains of these count too
+    disposableDomains: [
+        '10minutemail.com', '10minutemail.net', '1secmail.com', '1secmail.net', '1secmail.org',
+        'anonbox.net', 'burnermail.io', 'byom.de', 'discard.email', 'dispostable.com', 'dropmail.me',
+        'einrot.com', 'emailfake.com', 'emailondeck.com', 'fakeinbox.com', 'fakemail.net',
+        'getairmail.com', 'getnada.com', 'grr.la', 'guerrillamail.biz', 'guerrillamail.com',
+        'guerrillamail.de', 'guerrillamail.net', 'guerrillamail.org', 'guerrillamailblock.com',
+        'harakirimail.com', 'inboxkitten.com', 'jetable.org', 'mail.tm', 'mailcatch.com', 'maildrop.cc',
+        'mailinator.com', 'mailinator.net', 'mailnesia.com', 'mailpoof.com', 'mailsac.com',
+        'minuteinbox.com', 'mintemail.com', 'moakt.com', 'mohmal.com', 'mytemp.email', 'nada.email',
+        'pokemail.net', 'sharklasers.com', 'spam4.me', 'spambox.us', 'spamgourmet.com', 'tempail.com',
+        'temp-mail.io', 'temp-mail.org', 'tempinbox.com', 'tempmail.com', 'tempmailo.com', 'tempr.email',
+        'throwawaymail.com', 'tmpmail.net', 'tmpmail.org', 'trashmail.com', 'trashmail.de',
+        'wegwerfmail.de', 'yopmail.com', 'yopmail.fr', 'yopmail.net'
+    ],
+
+    /**
+     * Combine the bundled lists with the user's additions
+     * @param {Object} [custom] - { rolePrefixes, disposableDomains } from settings
+     * @returns {Object} - { rolePrefixes: Set, disposableDomains: Set }
+     */
+    compile: function(custom) {
+        const extra = (key) => custom && Array.isArray(custom[key])
+            ? custom[key].filter(value => typeof value === 'string').map(value => value.trim().toLowerCase()).filter(Boolean)
+            : [];
+        return {
+            rolePrefixes: new Set([...this.rolePrefixes, ...extra('rolePrefixes')]),
+            disposableDomains: new Set([...this.disposableDomains, ...extra('disposableDomains')])
+        };
+    },
+
+    /**
+     * Classify a valid address
+     * @param {string} email - Address, any case
+     * @param {Object} lists - From compile()
+     * @returns {string} - 'disposable', 'role' or 'personal'
+     */
+    classify: function(email, lists) {
+        const address = String(email || '').toLowerCase();
+        const at = address.lastIndexOf('@');
+        const local = address.substring(0, at);
+        const domain = address.substring(at + 1);
+
+        // A disposable inbox is disposable whatever its local part
+        const labels = domain.split('.');
+        for (let i = 0; i < labels.length - 1; i++) {
+            if (lists.disposableDomains.has(labels.slice(i).join('.'))) {
+                return 'disposable';
+            }
+        }
+
+        const base = local.replace(/\+.*$/, '');
+        if (lists.rolePrefixes.has(base)) {
+            return 'role';
+        }
+        const numbered = base.match(/^(.+?)\d+$/);
+        if (numbered && lists.rolePrefixes.has(numbered[1])) {
+            return 'role';
+        }
+        const separated = base.match(/^(.+?)[._-]/);
+        if (separated && lists.rolePrefixes.has(separated[1]) && !this.ambiguousPrefixes.includes(separated[1])) {
+            return 'role';
+        }
+        return 'personal';
+    }
+};
+
+// Export for Node-based tests
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { emailClassifier };
+}
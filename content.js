@@ -7,153 +7,44 @@
 
 // Global state
 let isExtensionActive = true;
-let activeOperations = new Set();
 let registeredListeners = new Set();
 let registeredTimers = new Set();
 let registeredIntervals = new Set();
 
 /**
- * Check if extension context is valid
+ * Check that the extension is still there
+ * A content script outlives a reload or removal of its extension; its
+ * chrome.runtime then loses its id and every message fails
  */
-function isContextValid() {
+function isExtensionAlive() {
     try {
-        // Check if Chrome object exists
-        if (typeof chrome === 'undefined') {
-            console.debug('Email Scraper: Chrome object not defined');
-            return false;
-        }
-        
-        // Check if runtime exists
-        if (!chrome.runtime) {
-            console.debug('Email Scraper: Chrome runtime not available');
-            return false;
-        }
-        
-        // Check if sendMessage is available
-        if (typeof chrome.runtime.sendMessage !== 'function') {
-            console.debug('Email Scraper: sendMessage not available');
-            return false;
-        }
-        
-        // Check if onMessage is available
-        if (typeof chrome.runtime.onMessage !== 'object') {
-            console.debug('Email Scraper: onMessage not available');
-            return false;
-        }
-        
-        // Check if extension is still active
-        if (!isExtensionActive) {
-            console.debug('Email Scraper: Extension marked as inactive');
-            return false;
-        }
-        
-        // All checks passed
-        return true;
-        
+        return isExtensionActive && !!(chrome.runtime && chrome.runtime.id);
     } catch (error) {
-        console.warn('Email Scraper: Context check failed with error:', error.message);
         return false;
     }
 }
 
 /**
- * Get detailed context status for debugging
+ * Initialize the content script
+ * It runs in the isolated world, so the extension APIs are always there;
+ * what only page scripts can see is read through page-bridge.js
  */
-function getContextStatus() {
-    const status = {
-        chromeDefined: typeof chrome !== 'undefined',
-        runtimeAvailable: typeof chrome !== 'undefined' && !!chrome.runtime,
-        sendMessageAvailable: typeof chrome !== 'undefined' && 
-                             chrome.runtime && 
-                             typeof chrome.runtime.sendMessage === 'function',
-        onMessageAvailable: typeof chrome !== 'undefined' && 
-                           chrome.runtime && 
-                           typeof chrome.runtime.onMessage === 'object',
-        extensionActive: isExtensionActive,
-        overallValid: false
-    };
-    
-    status.overallValid = status.chromeDefined && 
-                          status.runtimeAvailable && 
-                          status.sendMessageAvailable && 
-                          status.onMessageAvailable && 
-                          status.extensionActive;
-    
-    return status;
-}
+function initializeContentScript() {
+    console.log('🚀 Email Scraper: Starting initialization...');
 
-/**
- * Wait for Chrome extension APIs to be available with timeout
- */
-function waitForChromeAPIs(timeoutMs = 10000) {
-    return new Promise((resolve, reject) => {
-        const startTime = Date.now();
-        
-        const checkAPIs = () => {
-            // Check if timeout exceeded
-            if (Date.now() - startTime > timeoutMs) {
-                reject(new Error('Timeout waiting for Chrome APIs'));
-                return;
-            }
-            
-            if (isContextValid()) {
-                console.log('✅ Email Scraper: Chrome APIs are now available');
-                resolve(true);
-            } else {
-                console.log('⏳ Email Scraper: Waiting for Chrome APIs...');
-                setTimeout(checkAPIs, 200); // Check every 200ms
-            }
-        };
-        
-        checkAPIs();
-    });
-}
+    // Initialize the email scraper
+    initializeEmailScraper();
 
-/**
- * Initialize the content script with proper context validation
- */
-async function initializeWithContext() {
-    try {
-        console.log('🚀 Email Scraper: Starting initialization...');
-        
-        // Wait for Chrome APIs to be available with timeout
-        await waitForChromeAPIs(10000); // 10 second timeout
-        
-        if (!isContextValid()) {
-            throw new Error('Chrome APIs still not available after waiting');
-        }
-        
-        console.log('✅ Email Scraper: Chrome APIs available, proceeding with initialization');
-        
-        // Initialize the email scraper
-        initializeEmailScraper();
-        
-        // Register message listener
-        const listenerRegistered = registerMessageListener();
-        
-        if (!listenerRegistered) {
-            throw new Error('Failed to register message listener');
-        }
-        
-        console.log('✅ Email Scraper: Initialization completed successfully');
-        
-        // Show visual indicator that content script is loaded
-        showContentScriptLoadedIndicator();
-        
-    } catch (error) {
-        console.error('❌ Email Scraper: Initialization failed:', error.message);
-        
-        if (error.message.includes('Timeout')) {
-            console.log('⏰ Email Scraper: Timeout reached, trying fallback initialization');
-            fallbackInitialization();
-        } else {
-            // Try to recover by retrying after a delay
-            setTimeout(() => {
-                console.log('🔄 Email Scraper: Retrying initialization...');
-                initializeWithContext();
-            }, 2000);
-        }
+    // Register message listener
+    if (!registerMessageListener()) {
+        console.error('❌ Email Scraper: Initialization failed: message listener not registered');
+        return;
     }
+
+    console.log('✅ Email Scraper: Initialization completed successfully');
+
+    // Show visual indicator that content script is loaded
+    showContentScriptLoadedIndicator();
 }
 
 /**
@@ -198,189 +89,12 @@ function showContentScriptLoadedIndicator() {
 }
 
 /**
- * Fallback initialization method for when async initialization fails
- */
-function fallbackInitialization() {
-    console.log('🔄 Email Scraper: Using fallback initialization method');
-    
-    try {
-        // Check if we can at least register a basic message listener
-        if (typeof chrome !== 'undefined' && chrome.runtime && chrome.runtime.onMessage) {
-            console.log('✅ Email Scraper: Basic Chrome APIs available, attempting fallback setup');
-            
-            // Try to register a minimal message listener
-            chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-                console.log('📨 Email Scraper: Fallback message received:', message.type);
-                
-                if (message.type === 'ping') {
-                    sendResponse({ success: true, message: 'pong', timestamp: Date.now() });
-                    return true;
-                }
-                
-                sendResponse({ success: false, error: 'Extension not fully initialized' });
-                return true;
-            });
-            
-            console.log('✅ Email Scraper: Fallback message listener registered');
-            
-            // Try to initialize email scraper
-            if (isContextValid()) {
-                initializeEmailScraper();
-            }
-            
-        } else {
-            console.error('❌ Email Scraper: Even fallback initialization failed - no Chrome APIs');
-            
-            // Try alternative initialization strategies
-            tryAlternativeInitialization();
-        }
-        
-    } catch (error) {
-        console.error('❌ Email Scraper: Fallback initialization failed:', error.message);
-        tryAlternativeInitialization();
-    }
-}
-
-/**
- * Try alternative initialization strategies when Chrome APIs are completely unavailable
- */
-function tryAlternativeInitialization() {
-    console.log('🔄 Email Scraper: Trying alternative initialization strategies...');
-    
-    try {
-        // Strategy 1: Wait for window load and try again
-        if (document.readyState === 'loading') {
-            console.log('📄 Email Scraper: Document still loading, waiting for load event');
-            document.addEventListener('load', () => {
-                console.log('📄 Email Scraper: Document loaded, retrying Chrome API check');
-                setTimeout(() => {
-                    if (isContextValid()) {
-                        console.log('✅ Email Scraper: Chrome APIs now available after page load');
-                        initializeWithContext();
-                    } else {
-                        console.log('❌ Email Scraper: Chrome APIs still not available after page load');
-                        initializeStandaloneMode();
-                    }
-                }, 1000);
-            });
-        } else {
-            // Strategy 2: Try to initialize in standalone mode
-            console.log('📄 Email Scraper: Document already loaded, trying standalone mode');
-            initializeStandaloneMode();
-        }
-        
-    } catch (error) {
-        console.error('❌ Email Scraper: Alternative initialization failed:', error.message);
-        initializeStandaloneMode();
-    }
-}
-
-/**
- * Initialize in standalone mode when Chrome APIs are not available
- */
-function initializeStandaloneMode() {
-    console.log('🔄 Email Scraper: Initializing in standalone mode (no Chrome APIs)');
-    
-    try {
-        // Create a basic email extraction system that works without Chrome APIs
-        console.log('📧 Email Scraper: Setting up standalone email extraction');
-        
-        // Set up basic email detection
-        setTimeout(() => {
-            console.log('🔍 Email Scraper: Starting standalone email detection...');
-            const emails = EmailExtractor.extractEmails();
-            
-            if (emails.length > 0) {
-                console.log(`✅ Email Scraper: Found ${emails.length} emails in standalone mode`);
-                
-                // Store emails in localStorage as fallback
-                try {
-                    localStorage.setItem('emailScraper_emails', JSON.stringify({
-                        emails: emails,
-                        url: window.location.href,
-                        timestamp: Date.now()
-                    }));
-                    console.log('✅ Email Scraper: Emails stored in localStorage');
-                } catch (storageError) {
-                    console.warn('⚠️ Email Scraper: Could not store emails in localStorage:', storageError.message);
-                }
-                
-                // Show visual notification
-                showStandaloneEmailNotification(emails.length);
-                
-            } else {
-                console.log('🔍 Email Scraper: No emails found in standalone mode');
-            }
-        }, 3000); // Wait 3 seconds for page to fully load
-        
-        console.log('✅ Email Scraper: Standalone mode initialized');
-        
-    } catch (error) {
-        console.error('❌ Email Scraper: Standalone mode initialization failed:', error.message);
-    }
-}
-
-/**
- * Show notification for emails found in standalone mode
- */
-function showStandaloneEmailNotification(emailCount) {
-    try {
-        const notification = document.createElement('div');
-        notification.id = 'email-scraper-standalone-notification';
-        notification.style.cssText = `
-            position: fixed;
-            top: 20px;
-            left: 50%;
-            transform: translateX(-50%);
-            background: #ffc107;
-            color: #212529;
-            padding: 15px 25px;
-            border-radius: 25px;
-            font-family: Arial, sans-serif;
-            font-size: 14px;
-            font-weight: bold;
-            z-index: 999999;
-            box-shadow: 0 4px 15px rgba(0,0,0,0.3);
-            cursor: pointer;
-        `;
-        
-        notification.innerHTML = `
-            📧 ${emailCount} email${emailCount > 1 ? 's' : ''} detected! 
-            <span style="font-size: 12px; opacity: 0.7;">(Standalone mode)</span>
-        `;
-        
-        document.body.appendChild(notification);
-        
-        // Remove after 10 seconds
-        setTimeout(() => {
-            if (notification.parentNode) {
-                notification.parentNode.removeChild(notification);
-            }
-        }, 10000);
-        
-        // Click to remove
-        notification.addEventListener('click', () => {
-            if (notification.parentNode) {
-                notification.parentNode.removeChild(notification);
-            }
-        });
-        
-        console.log('🎨 Email Scraper: Standalone notification displayed');
-        
-    } catch (error) {
-        console.warn('Email Scraper: Could not show standalone notification:', error.message);
-    }
-}
-
-/**
- * Main initialization entry point with multiple fallback strategies
+ * Main initialization entry point
  */
 function startInitialization() {
     console.log('🚀 Email Scraper: Starting content script initialization...');
     console.log('📄 Page URL:', window.location.href);
     console.log('📄 Page Title:', document.title);
-    console.log('🔧 Chrome APIs available:', typeof chrome !== 'undefined');
-    console.log('🔧 Chrome runtime available:', typeof chrome !== 'undefined' && !!chrome.runtime);
     
     // Check if we're in a supported context
     if (window.location.protocol === 'chrome:' || window.location.protocol === 'chrome-extension:') {
@@ -388,83 +102,35 @@ function startInitialization() {
         return;
     }
     
-    // Strategy 1: Try async initialization first
-    initializeWithContext().catch(error => {
-        console.error('❌ Email Scraper: Async initialization failed, trying fallback:', error.message);
-        fallbackInitialization();
-    });
-    
-    // Strategy 2: Set up a timeout-based fallback
-    setTimeout(() => {
-        if (!isContextValid()) {
-            console.log('⏰ Email Scraper: Timeout reached, trying fallback initialization');
-            fallbackInitialization();
-        }
-    }, 8000); // 8 second timeout
-    
-    // Strategy 3: Try initialization after page is fully loaded
-    if (document.readyState === 'loading') {
-        document.addEventListener('load', () => {
-            setTimeout(() => {
-                if (!isContextValid()) {
-                    console.log('📄 Email Scraper: Page fully loaded, retrying initialization');
-                    fallbackInitialization();
-                }
-            }, 2000);
-        });
-    }
+    initializeContentScript();
 }
 
 /**
  * Register the message listener with proper error handling
  */
 function registerMessageListener() {
-    if (!isContextValid()) {
+    if (!isExtensionAlive()) {
         console.error('Email Scraper: Cannot register message listener - context not valid');
         return false;
     }
 
     try {
-        chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-            try {
-                if (!isContextValid()) {
-                    console.error('Email Scraper: Context invalidated, ignoring message');
-                    sendResponse({ success: false, error: 'Extension context invalidated' });
-                    return true;
-                }
-
-                console.log('Email Scraper: Received message:', message.type);
-
-                if (message.type === 'extractEmails') {
-                    const emails = extractEmailsFromPage();
-                    sendResponse({ success: true, emails: emails });
-                    return true;
-
-                } else if (message.type === 'refreshDetection') {
-                    autoDetectEmails();
-                    sendResponse({ success: true });
-                    return true;
-                    
-                } else if (message.type === 'ping') {
-                    // Simple ping to check if content script is accessible
-                    sendResponse({ success: true, message: 'pong', timestamp: Date.now() });
-                    return true;
-                }
-
-                sendResponse({ success: false, error: 'Unknown message type' });
-                return true;
-
-            } catch (error) {
-                console.error('Email Scraper: Message listener error:', error.message);
-
-                if (error.message && error.message.includes('Extension context invalidated')) {
-                    isExtensionActive = false;
-                    cleanupAll();
-                }
-
-                sendResponse({ success: false, error: error.message });
-                return true;
+        // Requests from the popup and the background crawler (messages.js)
+        const whenValid = (handler) => (payload, sender) => {
+            if (!isExtensionAlive()) {
+                console.error('Email Scraper: Context invalidated, ignoring message');
+                throw new Error('Extension context invalidated');
             }
+            return handler(payload, sender);
+        };
+
+        messageProtocol.listen('content', {
+            extractEmails: whenValid(() => ({ emails: extractEmailsFromPage() })),
+            // Used by the background crawler to find the next pages
+            collectPageLinks: whenValid(() => ({ links: collectPageLinks(), robots: getMetaRobots() })),
+            refreshDetection: whenValid(() => ({ count: autoDetectEmails() })),
+            // Simple ping to check if content script is accessible
+            ping: whenValid(() => ({ status: 'ready' }))
         });
 
         console.log('Email Scraper: Message listener registered successfully');
@@ -477,45 +143,17 @@ function registerMessageListener() {
 }
 
 /**
- * Safely send message to background script
+ * Log a failed message; an invalidated context (the extension was reloaded
+ * or removed) stops all operations
+ * @param {Error} error - Rejection from messageProtocol.send()
  */
-function sendMessageSafely(message, callback) {
-    if (!isContextValid()) {
-        console.error('Email Scraper: Context invalid, cannot send message');
-        if (callback) callback({ success: false, error: 'Extension context invalidated' });
-        return false;
-    }
+function handleMessageError(error) {
+    console.error('Email Scraper: Message failed:', error.message);
 
-    const operationId = `msg_${Date.now()}_${Math.random()}`;
-    activeOperations.add(operationId);
-
-    try {
-        chrome.runtime.sendMessage(message, (response) => {
-            activeOperations.delete(operationId);
-
-            if (chrome.runtime.lastError) {
-                console.error('Email Scraper: Message failed:', chrome.runtime.lastError);
-
-                // Check for context invalidation
-                if (chrome.runtime.lastError.message &&
-                    chrome.runtime.lastError.message.includes('Extension context invalidated')) {
-                    console.error('Email Scraper: Extension context invalidated - stopping all operations');
-                    isExtensionActive = false;
-                    cleanupAll();
-                }
-
-                if (callback) callback({ success: false, error: chrome.runtime.lastError.message });
-            } else {
-                if (callback) callback(response);
-            }
-        });
-
-        return true;
-    } catch (error) {
-        activeOperations.delete(operationId);
-        console.error('Email Scraper: Failed to send message:', error);
-        if (callback) callback({ success: false, error: error.message });
-        return false;
+    if (error.message && error.message.includes('Extension context invalidated')) {
+        console.error('Email Scraper: Extension context invalidated - stopping all operations');
+        isExtensionActive = false;
+        cleanupAll();
     }
 }
 
@@ -555,6 +193,16 @@ function setTimer(callback, delay) {
     }
 }
 
+/**
+ * Cancel a timer registered with setTimer
+ */
+function clearTimer(timerId) {
+    if (timerId === null || timerId === undefined) return;
+
+    window.clearTimeout(timerId);
+    registeredTimers.delete(timerId);
+}
+
 /**
  * Register interval for cleanup
  */
@@ -612,224 +260,633 @@ function cleanupAll() {
     });
     registeredListeners.clear();
 
-    // Clear active operations
-    activeOperations.clear();
+    // Stop watch mode observers and history hooks
+    EmailWatcher.stop();
 }
 
 /**
- * Enhanced Email Extractor - Comprehensive crawling with validation
+ * Page bridge - the content script's side of page-bridge.js, which runs in
+ * the page's own world. Requests are DOM events answered synchronously;
+ * answers are page content like any other and are never trusted further.
  */
-const EmailExtractor = {
-    // Comprehensive email regex for better detection
-    emailRegex: /[a-zA-Z0-9.!#$%&'*+/=?^_`{|}~-]+@[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?(?:\.[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?)*/g,
+const PageBridge = {
+    requestEvent: 'email-scraper-bridge:request',
+    responseEvent: 'email-scraper-bridge:response',
+    routeEvent: 'email-scraper-bridge:route',
+    nextId: 0,
 
     /**
-     * Enhanced email validation with multiple checks
+     * Run a bridge command
+     * @param {string} command - readState or watchRoutes
+     * @param {Object} [args] - Command arguments
+     * @returns {*} - The bridge's result, or null when no bridge answered
      */
-    isValidEmail: function(email) {
-        if (!email || typeof email !== 'string' || email.length > 254) {
-            return false;
+    call: function(command, args = {}) {
+        this.nextId++;
+        const id = `${Date.now().toString(36)}-${this.nextId}-${Math.random().toString(36).slice(2, 8)}`;
+        let result = null;
+        const onResponse = (event) => {
+            try {
+                const response = JSON.parse(event.detail);
+                if (response && response.id === id) {
+                    result = response.result;
+                }
+            } catch (e) {
+                // Not a bridge response
+            }
+        };
+
+        document.addEventListener(this.responseEvent, onResponse);
+        try {
+            document.dispatchEvent(new CustomEvent(this.requestEvent, {
+                detail: JSON.stringify({ ...args, id: id, command: command })
+            }));
+        } catch (error) {
+            console.warn('Email Scraper: Page bridge request failed:', error.message);
+        } finally {
+            document.removeEventListener(this.responseEvent, onResponse);
         }
+        return result;
+    },
 
-        // Basic format validation
-        const atIndex = email.indexOf('@');
-        if (atIndex === -1 || atIndex === 0 || atIndex === email.length - 1) {
-            return false;
+    /**
+     * JSON text of the state objects the page keeps in JavaScript
+     * @returns {Array<Object>} - { name, json } per state global
+     */
+    readState: function() {
+        const state = this.call('readState');
+        if (!state || typeof state !== 'object') {
+            return [];
         }
+        return Object.keys(state)
+            .filter(name => typeof state[name] === 'string')
+            .map(name => ({ name: name, json: state[name] }));
+    }
+};
 
-        const localPart = email.substring(0, atIndex);
-        const domain = email.substring(atIndex + 1);
+/**
+ * Enhanced Email Extractor - Comprehensive crawling with validation
+ *
+ * Every extractor returns "hits" ({ email, extractor, snippet }); extractEmails()
+ * turns them into provenance records that carry the page they came from.
+ */
+const EmailExtractor = {
+    // Characters of context kept on each side of a match
+    snippetRadius: 60,
 
-        // Local part validation
-        if (localPart.length > 64 || localPart.length === 0) {
-            return false;
-        }
+    // Allow/deny rules from settings (rules.js); the defaults until they load
+    filterRules: emailRules.compile(),
 
-        // Domain validation
-        if (domain.length > 253 || domain.length === 0) {
-            return false;
-        }
+    // Role and disposable lists (classifier.js) with the user's additions
+    classificationLists: emailClassifier.compile(),
 
-        // Check for valid domain structure
-        if (!domain.includes('.') || domain.startsWith('.') || domain.endsWith('.')) {
-            return false;
-        }
+    // "jane [at] acme [dot] com", "jane(at)acme.com", "jane {@} acme (.) com"
+    obfuscatedRegex: /([a-z0-9.!#$%&'*+/=?^_`~-]+)\s*[\[({]\s*(?:at|@)\s*[\])}]\s*([a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?(?:(?:\s*[\[({]\s*(?:dot|\.)\s*[\])}]\s*|\.)[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?)+)/gi,
 
-        // Check for valid TLD (top-level domain)
-        const domainParts = domain.split('.');
-        const tld = domainParts[domainParts.length - 1];
-        if (tld.length < 2 || tld.length > 6) {
-            return false;
-        }
+    // Bracketed "dot" separators inside an obfuscated domain
+    obfuscatedDotRegex: /\s*[\[({]\s*(?:dot|\.)\s*[\])}]\s*/gi,
 
-        // Additional security checks
-        const suspiciousPatterns = [
-            /<script/i,
-            /javascript:/i,
-            /on\w+\s*=/i,
-            /data:\s*text\/html/i,
-            /vbscript:/i,
-            /expression\s*\(/i
-        ];
-
-        if (suspiciousPatterns.some(pattern => pattern.test(email))) {
-            return false;
-        }
+    // Character references that survived into page text or attributes
+    htmlEntityRegex: /&(?:#(\d{1,7})|#x([0-9a-f]{1,6})|([a-z]+));/gi,
 
-        // Check for common invalid patterns
-        if (email.includes('..') || email.includes('@@') || email.includes('--')) {
-            return false;
-        }
+    // Named references commonly used to hide addresses
+    namedEntities: {
+        amp: '&', commat: '@', period: '.', lt: '<', gt: '>',
+        quot: '"', apos: "'", nbsp: ' ', hyphen: '-', dash: '-', lowbar: '_'
+    },
 
-        return true;
+    /**
+     * Validation is shared with the popup, background worker and tests (core.js)
+     */
+    isValidEmail: function(email) {
+        return emailCore.isValidEmail(email);
     },
 
     /**
-     * Extract emails from text with enhanced validation
+     * Collapse whitespace and trim a piece of text down to snippet size
      */
-    extractFromText: function(text) {
+    cleanSnippet: function(text, maxLength = 160) {
         if (!text || typeof text !== 'string') {
-            return [];
-        }
-
-        const emails = [];
-        let match;
-
-        // Reset regex
-        this.emailRegex.lastIndex = 0;
-
-        while ((match = this.emailRegex.exec(text)) !== null) {
-            const email = match[0].toLowerCase().trim();
-            
-            // Apply strict validation
-            if (this.isValidEmail(email) && !emails.includes(email)) {
-                emails.push(email);
-            }
+            return '';
         }
-
-        return emails;
+        const collapsed = text.replace(/\s+/g, ' ').trim();
+        return collapsed.length > maxLength ? collapsed.substring(0, maxLength - 1) + '…' : collapsed;
     },
 
     /**
-     * Extract emails from page - Comprehensive automatic crawling
+     * Build a snippet of the text surrounding a match
      */
-    extractEmails: function() {
-        // Allow extraction even if Chrome APIs are unavailable; only DOM is required here
-        const startTime = performance.now();
-        const emails = new Set();
+    buildSnippet: function(text, index, length) {
+        const start = Math.max(0, index - this.snippetRadius);
+        const end = Math.min(text.length, index + length + this.snippetRadius);
+        const prefix = start > 0 ? '…' : '';
+        const suffix = end < text.length ? '…' : '';
+        return prefix + this.cleanSnippet(text.substring(start, end), Infinity) + suffix;
+    },
 
+    /**
+     * Get a snippet describing where an element sits on the page
+     */
+    getElementSnippet: function(element) {
         try {
-            console.log('🚀 Email Scraper: Starting automatic email extraction...');
-
-            // 1. Extract from all text content (comprehensive)
-            const allTextContent = this.getAllTextContent();
-            const textEmails = this.extractFromText(allTextContent);
-            textEmails.forEach(email => emails.add(email));
-
-            // 2. Extract from mailto links
-            const mailtoEmails = this.extractFromMailtoLinks();
-            mailtoEmails.forEach(email => emails.add(email));
-
-            // 3. Extract from data attributes
-            const dataEmails = this.extractFromDataAttributes();
-            dataEmails.forEach(email => emails.add(email));
-
-            // 4. Extract from input fields
-            const inputEmails = this.extractFromInputFields();
-            inputEmails.forEach(email => emails.add(email));
-
-            // 5. Extract from meta tags
-            const metaEmails = this.extractFromMetaTags();
-            metaEmails.forEach(email => emails.add(email));
-
-            // 6. Extract from JSON-LD and structured data
-            const structuredEmails = this.extractFromStructuredData();
-            structuredEmails.forEach(email => emails.add(email));
-
-            // Filter out false positives and common test emails
-            const result = Array.from(emails).filter(email => {
-                const falsePositives = [
-                    'example@example.com', 'test@test.com', 'user@example.com',
-                    'admin@example.com', 'info@example.com', 'contact@example.com',
-                    'noreply@example.com', 'no-reply@example.com', 'sample@domain.com',
-                    'demo@example.com', 'placeholder@email.com', 'user@domain.com'
-                ];
-                
-                return !falsePositives.includes(email) && 
-                       email.length < 100 &&
-                       !email.includes('localhost') &&
-                       !email.includes('127.0.0.1') &&
-                       !email.includes('test.') &&
-                       !email.includes('example.') &&
-                       !email.includes('demo.');
-            });
-
-            const endTime = performance.now();
-            console.log(`✅ Email Scraper: Found ${result.length} verified emails in ${(endTime - startTime).toFixed(2)}ms`);
+            const container = element.closest ? (element.closest('p, li, td, dd, address, section, div') || element) : element;
+            return this.cleanSnippet(container.textContent || element.textContent || '');
+        } catch (e) {
+            return '';
+        }
+    },
 
-            return result;
+    /**
+     * Create a hit for a single match
+     * @param {string} decoding - Decoding that revealed the address, if any
+     * @param {Element} element - Element the address was found in, if known
+     */
+    createHit: function(email, extractor, snippet, decoding = null, element = null) {
+        return {
+            email: emailCore.normalizeEmail(email),
+            extractor: extractor,
+            snippet: snippet || '',
+            decoding: decoding,
+            element: element
+        };
+    },
 
-        } catch (error) {
-            console.error('❌ Email Scraper: Error during extraction:', error);
+    /**
+     * Extract emails from text with enhanced validation
+     */
+    extractFromText: function(text, extractor = 'text') {
+        if (!text || typeof text !== 'string') {
             return [];
         }
+
+        // Matching and validation come from the shared core
+        return emailCore.findInText(text).map(match => {
+            const hit = this.createHit(match.email, extractor, this.buildSnippet(text, match.index, match.length));
+            hit.index = match.index;
+            return hit;
+        });
     },
 
     /**
-     * Get all text content from the page comprehensively
+     * Decode HTML character references (&#106;, &#x40;, &commat; ...)
      */
-    getAllTextContent: function() {
-        let allText = '';
-
-        try {
-            // Get body text
-            if (document.body) {
-                allText += document.body.textContent || document.body.innerText || '';
-            }
+    decodeHtmlEntities: function(text) {
+        if (!text || typeof text !== 'string') {
+            return '';
+        }
 
-            // Get text from all elements
-            const allElements = document.querySelectorAll('*');
-            for (let i = 0; i < Math.min(allElements.length, 1000); i++) {
-                const element = allElements[i];
-                if (element.textContent && element.textContent.trim()) {
-                    allText += ' ' + element.textContent.trim();
+        return text.replace(this.htmlEntityRegex, (entity, decimal, hex, name) => {
+            try {
+                if (decimal) {
+                    return String.fromCodePoint(parseInt(decimal, 10));
+                }
+                if (hex) {
+                    return String.fromCodePoint(parseInt(hex, 16));
                 }
+            } catch (e) {
+                // Out-of-range code point, keep the original text
+                return entity;
             }
+            const decoded = this.namedEntities[name.toLowerCase()];
+            return decoded !== undefined ? decoded : entity;
+        });
+    },
+
+    /**
+     * Decode a Cloudflare email-protection payload
+     * The first byte is the XOR key for every following byte
+     * @param {string} encoded - Hex string from data-cfemail or the link hash
+     * @returns {string} - Decoded address, or empty string if malformed
+     */
+    decodeCloudflareEmail: function(encoded) {
+        if (!encoded || typeof encoded !== 'string' || !/^(?:[0-9a-f]{2}){2,}$/i.test(encoded)) {
+            return '';
+        }
+
+        const key = parseInt(encoded.substring(0, 2), 16);
+        const bytes = [];
+        for (let i = 2; i < encoded.length; i += 2) {
+            bytes.push(parseInt(encoded.substring(i, i + 2), 16) ^ key);
+        }
+
+        // Cloudflare encodes UTF-8 bytes
+        return new TextDecoder().decode(new Uint8Array(bytes));
+    },
 
-            // Get text from iframes (if accessible)
-            const iframes = document.querySelectorAll('iframe');
-            for (let i = 0; i < Math.min(iframes.length, 10); i++) {
+    /**
+     * Decoding pass over text: finds addresses written in obfuscated forms
+     * that the plain regex cannot see. Every hit is tagged with its decoding.
+     */
+    extractFromObfuscatedText: function(text, extractor = 'text') {
+        if (!text || typeof text !== 'string') {
+            return [];
+        }
+
+        const hits = [];
+        const seen = new Set();
+        let match;
+
+        // 1. [at] / (at) / [dot] style replacements
+        this.obfuscatedRegex.lastIndex = 0;
+        while ((match = this.obfuscatedRegex.exec(text)) !== null) {
+            const domain = match[2].replace(this.obfuscatedDotRegex, '.');
+            const email = emailCore.normalizeEmail(`${match[1]}@${domain}`);
+
+            if (this.isValidEmail(email) && !seen.has(email)) {
+                seen.add(email);
+                const hit = this.createHit(email, extractor, this.buildSnippet(text, match.index, match[0].length), 'at-dot');
+                hit.index = match.index;
+                hits.push(hit);
+            }
+        }
+
+        // 2. HTML character references left in the text
+        this.htmlEntityRegex.lastIndex = 0;
+        if (this.htmlEntityRegex.test(text)) {
+            const plainEmails = new Set(this.extractFromText(text).map(hit => hit.email));
+            const decodedText = this.decodeHtmlEntities(text);
+
+            this.extractFromText(decodedText, extractor).forEach(hit => {
+                if (!plainEmails.has(hit.email) && !seen.has(hit.email)) {
+                    seen.add(hit.email);
+                    hits.push({ ...hit, decoding: 'html-entity' });
+                }
+            });
+        }
+
+        return hits;
+    },
+
+    /**
+     * Extract emails hidden by Cloudflare email protection
+     */
+    extractFromCloudflareProtection: function(roots = [document]) {
+        const hits = [];
+        try {
+            const protectedElements = this.queryAll(roots, '[data-cfemail], a[href*="/cdn-cgi/l/email-protection#"]');
+            for (let i = 0; i < protectedElements.length; i++) {
                 try {
-                    const iframe = iframes[i];
-                    if (iframe.contentDocument && iframe.contentDocument.body) {
-                        allText += ' ' + (iframe.contentDocument.body.textContent || '');
+                    const element = protectedElements[i];
+                    const href = element.getAttribute('href') || '';
+                    const encoded = element.getAttribute('data-cfemail') ||
+                                    href.substring(href.indexOf('#') + 1);
+                    const email = this.decodeCloudflareEmail(encoded).trim();
+                    if (email && this.isValidEmail(email)) {
+                        hits.push(this.createHit(email, 'cloudflare', this.getElementSnippet(element), 'cloudflare-cfemail', element));
                     }
                 } catch (e) {
-                    // Cross-origin iframe, skip
+                    // Ignore individual element errors
                 }
             }
-
         } catch (error) {
-            console.warn('Email Scraper: Error getting text content:', error);
+            console.warn('Email Scraper: Error extracting from Cloudflare protection:', error);
+        }
+        return hits;
+    },
+
+    /**
+     * Extract emails from state the page keeps in JavaScript (Next.js, Nuxt,
+     * Redux, Apollo ...), read through the page bridge
+     * Only finds addresses the page has not rendered: the DOM extractors run first
+     */
+    extractFromPageState: function() {
+        const hits = [];
+        PageBridge.readState().forEach(({ name, json }) => {
+            this.extractFromText(json, 'page-state').forEach(hit => {
+                delete hit.index;
+                hit.snippet = `${name}: ${hit.snippet}`;
+                hits.push(hit);
+            });
+        });
+        return hits;
+    },
+
+    /**
+     * Turn hits into provenance records for the current page
+     * @param {Map<string, Object>} contacts - Assembled contacts by address, if any
+     */
+    createRecords: function(hits, contacts = new Map()) {
+        const now = Date.now();
+        const pageUrl = window.location.href;
+        const pageTitle = document.title || '';
+
+        return hits.map(hit => ({
+            email: hit.email,
+            domain: emailCore.domainOf(hit.email),
+            sourceUrl: pageUrl,
+            pageTitle: pageTitle,
+            extractor: hit.extractor,
+            snippet: hit.snippet,
+            decoding: hit.decoding || null,
+            elementPath: hit.element ? this.getElementPath(hit.element) : '',
+            contact: contacts.get(hit.email) || null,
+            classification: emailClassifier.classify(hit.email, this.classificationLists),
+            firstSeen: now,
+            lastSeen: now
+        }));
+    },
+
+    /**
+     * Describe where an element sits as a selector-like path
+     * Shadow root and frame boundaries are marked with ' >>> '
+     * @param {Element} element - Element to describe
+     * @returns {string} - e.g. "body > div#contact > contact-card >>> p:nth-of-type(2)"
+     */
+    getElementPath: function(element) {
+        const parts = [];
+        let node = element;
+
+        try {
+            while (node && node.nodeType === Node.ELEMENT_NODE) {
+                const tag = node.tagName.toLowerCase();
+                if (node.id) {
+                    parts.unshift(`${tag}#${node.id}`);
+                } else {
+                    const parent = node.parentNode;
+                    const sameType = parent ? Array.from(parent.children).filter(child => child.tagName === node.tagName) : [];
+                    parts.unshift(sameType.length > 1 ? `${tag}:nth-of-type(${sameType.indexOf(node) + 1})` : tag);
+                }
+
+                if (node.parentElement) {
+                    node = node.parentElement;
+                    continue;
+                }
+
+                // Top of this tree: continue from the shadow host or the frame element
+                const treeRoot = node.parentNode;
+                const host = treeRoot && (treeRoot.host || (treeRoot.defaultView && treeRoot.defaultView.frameElement));
+                if (!host) {
+                    break;
+                }
+                parts.unshift('>>>');
+                node = host;
+            }
+        } catch (e) {
+            // Frame element not reachable, keep what we have
         }
 
-        return allText;
+        return parts.join(' > ').replace(/ > >>> > /g, ' >>> ');
+    },
+
+    // Elements whose text is never page content
+    skippedTags: new Set(['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE']),
+
+    // Inline elements share their parent's text block, so an address split
+    // across <span>s is still read as one string
+    inlineTags: new Set([
+        'A', 'ABBR', 'B', 'BDI', 'BDO', 'CITE', 'CODE', 'DATA', 'DFN', 'EM', 'FONT', 'I', 'KBD',
+        'LABEL', 'MARK', 'Q', 'S', 'SAMP', 'SMALL', 'SPAN', 'STRONG', 'SUB', 'SUP', 'TIME', 'U', 'VAR', 'WBR'
+    ]),
+
+    /**
+     * Walk the page through open shadow roots and same-origin frames
+     * @param {Document|Element} root - Document, or a subtree to walk on its own
+     * @returns {Object} - { roots, blocks }: every tree reached, for selector
+     *     queries, and the text blocks read, each { element, text, segments }
+     *     with segments mapping text offsets back to their element
+     */
+    walkDom: function(root = document) {
+        const roots = [root];
+        const blocks = [];
+        const blocksByElement = new Map();
+
+        const getBlock = (element) => {
+            let block = blocksByElement.get(element);
+            if (!block) {
+                block = { element: element, text: '', segments: [] };
+                blocksByElement.set(element, block);
+                blocks.push(block);
+            }
+            return block;
+        };
+
+        const start = root.nodeType === Node.DOCUMENT_NODE ? (root.body || root.documentElement) : root;
+        if (!start) {
+            return { roots, blocks };
+        }
+
+        // Iterative so deep pages cannot overflow the call stack
+        const stack = [{ node: start, block: start }];
+        while (stack.length > 0) {
+            const { node, block } = stack.pop();
+
+            try {
+                if (node.nodeType === Node.TEXT_NODE) {
+                    if (node.data.trim()) {
+                        const target = getBlock(block);
+                        target.segments.push({
+                            start: target.text.length,
+                            end: target.text.length + node.data.length,
+                            element: node.parentElement || block
+                        });
+                        target.text += node.data;
+                    } else if (blocksByElement.has(block)) {
+                        // Whitespace between inline elements still separates
+                        // their text: "<b>Tel</b> <i>bob@acme.com</i>"
+                        getBlock(block).text += ' ';
+                    }
+                    continue;
+                }
+
+                let children = node.childNodes;
+                let childBlock = block;
+
+                if (node.nodeType === Node.ELEMENT_NODE) {
+                    const tag = node.tagName.toUpperCase();
+                    if (this.skippedTags.has(tag)) {
+                        continue;
+                    }
+                    if (tag === 'BR') {
+                        getBlock(block).text += '\n';
+                        continue;
+                    }
+
+                    if (!this.inlineTags.has(tag)) {
+                        // Keep the parent's text from running into this block
+                        if (node !== start) {
+                            getBlock(block).text += '\n';
+                        }
+                        childBlock = node;
+                    }
+
+                    if (tag === 'IFRAME' || tag === 'FRAME') {
+                        let frameDocument = null;
+                        try {
+                            frameDocument = node.contentDocument;
+                        } catch (e) {
+                            // Cross-origin frame, skip
+                        }
+                        if (frameDocument && frameDocument.body) {
+                            roots.push(frameDocument);
+                            stack.push({ node: frameDocument.body, block: frameDocument.body });
+                        }
+                        continue;
+                    }
+
+                    // Light DOM children are walked too: slotted content is
+                    // rendered, and unused children cost nothing but time
+                    if (node.shadowRoot) {
+                        roots.push(node.shadowRoot);
+                        // The page observer cannot see into shadow trees
+                        EmailWatcher.observeShadowRoot(node.shadowRoot);
+                        const shadowChildren = node.shadowRoot.childNodes;
+                        for (let i = shadowChildren.length - 1; i >= 0; i--) {
+                            stack.push({ node: shadowChildren[i], block: childBlock });
+                        }
+                    }
+                }
+
+                for (let i = children.length - 1; i >= 0; i--) {
+                    stack.push({ node: children[i], block: childBlock });
+                }
+            } catch (e) {
+                // Ignore individual node errors
+            }
+        }
+
+        return { roots, blocks };
+    },
+
+    /**
+     * Query every tree found by walkDom(), including the roots themselves
+     * @param {Array<Document|Element|ShadowRoot>|Document|Element} roots - Trees to search
+     * @param {string} selector - CSS selector
+     * @returns {Array<Element>} - Matching elements
+     */
+    queryAll: function(roots, selector) {
+        const matches = [];
+        (Array.isArray(roots) ? roots : [roots]).forEach(root => {
+            try {
+                if (root.nodeType === Node.ELEMENT_NODE && root.matches(selector)) {
+                    matches.push(root);
+                }
+                root.querySelectorAll(selector).forEach(element => matches.push(element));
+            } catch (e) {
+                // Detached frame document, skip
+            }
+        });
+        return matches;
+    },
+
+    /**
+     * Scan text blocks from walkDom(), tying every hit to its element
+     * Plain matches from every block come before decoded ones, so an address
+     * written out anywhere on the page is not reported as decoded
+     */
+    extractFromTextBlocks: function(blocks) {
+        const hits = [];
+        const scan = (extract) => {
+            blocks.forEach(block => {
+                extract(block.text).forEach(hit => {
+                    const segment = block.segments.find(candidate => hit.index < candidate.end);
+                    hit.element = segment ? segment.element : block.element;
+                    delete hit.index;
+                    hits.push(hit);
+                });
+            });
+        };
+
+        scan(text => this.extractFromText(text));
+        scan(text => this.extractFromObfuscatedText(text));
+        return hits;
+    },
+
+    /**
+     * Extract emails from page - Comprehensive automatic crawling
+     * @param {Document|Element} root - Scope of the scan; watch mode passes changed subtrees
+     * @returns {Array<Object>} - Provenance records, one per unique address
+     */
+    extractEmails: function(root = document) {
+        // Allow extraction even if Chrome APIs are unavailable; only DOM is required here
+        const startTime = performance.now();
+        const hitsByEmail = new Map();
+
+        // The first extractor to report an address wins, so the specific
+        // sources run before the catch-all text scan
+        const addHits = (hits) => {
+            hits.forEach(hit => {
+                if (!hitsByEmail.has(hit.email)) {
+                    hitsByEmail.set(hit.email, hit);
+                }
+            });
+        };
+
+        try {
+            console.log('🚀 Email Scraper: Starting automatic email extraction...');
+
+            // Open shadow roots and same-origin frames are scanned like the page itself
+            const { roots, blocks } = this.walkDom(root);
+
+            // 1. Extract from mailto links
+            addHits(this.extractFromMailtoLinks(roots));
+
+            // 2. Extract from data attributes
+            addHits(this.extractFromDataAttributes(roots));
+
+            // 3. Extract from input fields
+            addHits(this.extractFromInputFields(roots));
+
+            // 4. Extract from meta tags
+            addHits(this.extractFromMetaTags(roots));
+
+            // 5. Extract from JSON-LD and structured data
+            addHits(this.extractFromStructuredData(roots));
+
+            // 6. Decode Cloudflare-protected addresses
+            addHits(this.extractFromCloudflareProtection(roots));
+
+            // 7. Extract from all text content (comprehensive), then run the
+            //    decoding pass for obfuscated forms the plain scan misses
+            addHits(this.extractFromTextBlocks(blocks));
+
+            // 8. Whole-page scans also read the page's JavaScript state
+            if (root === document) {
+                addHits(this.extractFromPageState());
+            }
+
+            // Apply the user's allow/deny rules (placeholder addresses by default)
+            const hits = Array.from(hitsByEmail.values()).filter(({ email }) => {
+                return email.length < 100 && emailRules.isAllowed(email, this.filterRules);
+            });
+
+            // 9. Pair each address with the names, titles and phones around it
+            const contacts = ContactAssembler.assemble(hits, roots);
+
+            const result = this.createRecords(hits, contacts);
+
+            const endTime = performance.now();
+            console.log(`✅ Email Scraper: Found ${result.length} verified emails in ${(endTime - startTime).toFixed(2)}ms`);
+
+            return result;
+
+        } catch (error) {
+            console.error('❌ Email Scraper: Error during extraction:', error);
+            return [];
+        }
     },
 
     /**
      * Extract emails from mailto links
      */
-    extractFromMailtoLinks: function() {
-        const emails = [];
+    extractFromMailtoLinks: function(roots = [document]) {
+        const hits = [];
         try {
-            const mailtoLinks = document.querySelectorAll('a[href^="mailto:"]');
+            const mailtoLinks = this.queryAll(roots, 'a[href^="mailto:"]');
             for (let i = 0; i < mailtoLinks.length; i++) {
                 try {
                     const href = mailtoLinks[i].getAttribute('href');
                     if (href) {
-                        const email = href.substring(7).split('?')[0].toLowerCase().trim();
+                        const raw = href.substring(7).split('?')[0];
+                        let email = raw;
+                        try {
+                            email = decodeURIComponent(raw);
+                        } catch (e) {
+                            // Malformed escape sequence, use the raw value
+                        }
+                        email = email.toLowerCase().trim();
                         if (this.isValidEmail(email)) {
-                            emails.push(email);
+                            const decoding = email !== raw.toLowerCase().trim() ? 'percent-encoding' : null;
+                            hits.push(this.createHit(email, 'mailto', this.getElementSnippet(mailtoLinks[i]), decoding, mailtoLinks[i]));
                         }
                     }
                 } catch (e) {
@@ -839,24 +896,29 @@ const EmailExtractor = {
         } catch (error) {
             console.warn('Email Scraper: Error extracting from mailto links:', error);
         }
-        return emails;
+        return hits;
     },
 
     /**
      * Extract emails from data attributes
      */
-    extractFromDataAttributes: function() {
-        const emails = [];
+    extractFromDataAttributes: function(roots = [document]) {
+        const hits = [];
         try {
-            const dataElements = document.querySelectorAll('[data-email], [data-contact], [data-mail]');
+            const dataElements = this.queryAll(roots, '[data-email], [data-contact], [data-mail]');
             for (let i = 0; i < dataElements.length; i++) {
                 try {
                     const element = dataElements[i];
-                    const dataEmail = element.getAttribute('data-email') || 
-                                    element.getAttribute('data-contact') || 
+                    const dataEmail = element.getAttribute('data-email') ||
+                                    element.getAttribute('data-contact') ||
                                     element.getAttribute('data-mail');
                     if (dataEmail && this.isValidEmail(dataEmail)) {
-                        emails.push(dataEmail.toLowerCase().trim());
+                        hits.push(this.createHit(dataEmail, 'data-attribute', this.getElementSnippet(element), null, element));
+                    } else if (dataEmail) {
+                        const decoded = this.decodeHtmlEntities(dataEmail).trim();
+                        if (decoded !== dataEmail && this.isValidEmail(decoded)) {
+                            hits.push(this.createHit(decoded, 'data-attribute', this.getElementSnippet(element), 'html-entity', element));
+                        }
                     }
                 } catch (e) {
                     // Ignore individual element errors
@@ -865,22 +927,23 @@ const EmailExtractor = {
         } catch (error) {
             console.warn('Email Scraper: Error extracting from data attributes:', error);
         }
-        return emails;
+        return hits;
     },
 
     /**
      * Extract emails from input fields
      */
-    extractFromInputFields: function() {
-        const emails = [];
+    extractFromInputFields: function(roots = [document]) {
+        const hits = [];
         try {
-            const emailInputs = document.querySelectorAll('input[type="email"], input[name*="email"], input[placeholder*="email"]');
+            const emailInputs = this.queryAll(roots, 'input[type="email"], input[name*="email"], input[placeholder*="email"]');
             for (let i = 0; i < emailInputs.length; i++) {
                 try {
                     const input = emailInputs[i];
                     const value = input.value || input.defaultValue || input.placeholder;
                     if (value && this.isValidEmail(value)) {
-                        emails.push(value.toLowerCase().trim());
+                        const label = input.labels && input.labels[0] ? input.labels[0].textContent : (input.name || '');
+                        hits.push(this.createHit(value, 'input', this.cleanSnippet(label), null, input));
                     }
                 } catch (e) {
                     // Ignore individual input errors
@@ -889,22 +952,23 @@ const EmailExtractor = {
         } catch (error) {
             console.warn('Email Scraper: Error extracting from input fields:', error);
         }
-        return emails;
+        return hits;
     },
 
     /**
      * Extract emails from meta tags
      */
-    extractFromMetaTags: function() {
-        const emails = [];
+    extractFromMetaTags: function(roots = [document]) {
+        const hits = [];
         try {
-            const metaTags = document.querySelectorAll('meta');
+            const metaTags = this.queryAll(roots, 'meta');
             for (let i = 0; i < metaTags.length; i++) {
                 try {
                     const meta = metaTags[i];
                     const content = meta.getAttribute('content');
                     if (content && this.isValidEmail(content)) {
-                        emails.push(content.toLowerCase().trim());
+                        const name = meta.getAttribute('name') || meta.getAttribute('property') || 'meta';
+                        hits.push(this.createHit(content, 'meta', `<meta ${name}>`, null, meta));
                     }
                 } catch (e) {
                     // Ignore individual meta tag errors
@@ -913,16 +977,16 @@ const EmailExtractor = {
         } catch (error) {
             console.warn('Email Scraper: Error extracting from meta tags:', error);
         }
-        return emails;
+        return hits;
     },
 
     /**
      * Extract emails from structured data (JSON-LD, etc.)
      */
-    extractFromStructuredData: function() {
-        const emails = [];
+    extractFromStructuredData: function(roots = [document]) {
+        const hits = [];
         try {
-            const scripts = document.querySelectorAll('script[type="application/ld+json"]');
+            const scripts = this.queryAll(roots, 'script[type="application/ld+json"]');
             for (let i = 0; i < scripts.length; i++) {
                 try {
                     const script = scripts[i];
@@ -930,7 +994,9 @@ const EmailExtractor = {
                     if (content) {
                         const jsonData = JSON.parse(content);
                         const extracted = this.extractEmailsFromObject(jsonData);
-                        extracted.forEach(email => emails.push(email));
+                        extracted.forEach(({ email, path }) => {
+                            hits.push(this.createHit(email, 'json-ld', path, null, script));
+                        });
                     }
                 } catch (e) {
                     // Invalid JSON, skip
@@ -939,23 +1005,26 @@ const EmailExtractor = {
         } catch (error) {
             console.warn('Email Scraper: Error extracting from structured data:', error);
         }
-        return emails;
+        return hits;
     },
 
     /**
      * Recursively extract emails from object
+     * @returns {Array<Object>} - { email, path } pairs, path being the JSON key path
      */
-    extractEmailsFromObject: function(obj) {
+    extractEmailsFromObject: function(obj, path = '') {
         const emails = [];
         if (typeof obj === 'string') {
-            if (this.isValidEmail(obj)) {
-                emails.push(obj.toLowerCase().trim());
+            // schema.org examples write emails as mailto: URLs
+            const value = obj.trim().replace(/^mailto:/i, '');
+            if (this.isValidEmail(value)) {
+                emails.push({ email: emailCore.normalizeEmail(value), path: path });
             }
         } else if (typeof obj === 'object' && obj !== null) {
             for (const key in obj) {
                 if (obj.hasOwnProperty(key)) {
-                    const extracted = this.extractEmailsFromObject(obj[key]);
-                    extracted.forEach(email => emails.push(email));
+                    const extracted = this.extractEmailsFromObject(obj[key], path ? `${path}.${key}` : key);
+                    extracted.forEach(entry => emails.push(entry));
                 }
             }
         }
@@ -963,8 +1032,359 @@ const EmailExtractor = {
     }
 };
 
+/**
+ * Contact assembly: pairs each address with the name, job title, phone
+ * numbers and organization found around it. Sources, strongest first:
+ * JSON-LD Person/Organization nodes, hCard microformats, then DOM proximity.
+ */
+const ContactAssembler = {
+    // How many ancestors above the address's block proximity may climb
+    maxClimb: 4,
+
+    // Containers with more text than this are page sections, not contact cards
+    maxContainerText: 1000,
+
+    nameSelectors: '[itemprop="name"], .p-name, .fn, .name, h1, h2, h3, h4, h5, h6, strong, b',
+    titleSelectors: '[itemprop="jobTitle"], .p-job-title, .job-title, .jobtitle, .title, .position, .role',
+    orgSelectors: '[itemprop="worksFor"], .p-org, .org, .organization, .company',
+
+    // Capitalized words with no digits, 2 to 4 of them: "Jane Smith", "Jean-Luc O'Neil"
+    nameRegex: /^[\p{Lu}][\p{L}'’.-]*(?:\s+[\p{Lu}][\p{L}'’.-]*){1,3}$/u,
+    notNameRegex: /\b(?:contact|email|e-mail|phone|tel|fax|address|office|team|support|sales|department|about|us|inc|llc|ltd|gmbh)\b/i,
+    jobTitleRegex: /\b(?:CEO|CTO|CFO|COO|CMO|CIO|VP|President|Founder|Co-?founder|Director|Manager|Head of|Lead|Engineer|Developer|Designer|Officer|Partner|Consultant|Coordinator|Specialist|Analyst|Assistant|Editor|Professor|Chair|Secretary|Treasurer|Owner|Principal|Associate|Representative|Administrator|Recruiter)\b/i,
+    phoneRegex: /(?:\+\d{1,3}[\s.-]?)?(?:\(\d{1,4}\)[\s.-]?)?\d{2,4}(?:[\s.-]\d{2,8}){1,4}/g,
+    phoneLabelRegex: /\b(?:tel|phone|mobile|cell|fax|call)\b|☎|📞/i,
+
+    /**
+     * Build contacts for a set of hits
+     * @param {Array<Object>} hits - Hits from EmailExtractor, with their elements
+     * @param {Array<Document|Element|ShadowRoot>} roots - Trees from EmailExtractor.walkDom()
+     * @returns {Map<string, Object>} - Contact per address, only for addresses with details
+     */
+    assemble: function(hits, roots) {
+        const contacts = new Map();
+        const emails = new Set(hits.map(hit => hit.email));
+
+        const merge = (email, details, source) => {
+            if (!emails.has(email) || !details) {
+                return;
+            }
+            const contact = contacts.get(email) || this.createContact();
+            let added = false;
+            ['name', 'title', 'organization'].forEach(field => {
+                if (!contact[field] && details[field]) {
+                    contact[field] = details[field];
+                    added = true;
+                }
+            });
+            (details.phones || []).forEach(phone => {
+                const digits = phone.replace(/\D/g, '');
+                if (!contact.phones.some(known => known.replace(/\D/g, '') === digits)) {
+                    contact.phones.push(phone);
+                    added = true;
+                }
+            });
+            if (added) {
+                if (!contact.sources.includes(source)) {
+                    contact.sources.push(source);
+                }
+                contacts.set(email, contact);
+            }
+        };
+
+        try {
+            this.fromStructuredData(roots).forEach(({ email, details }) => merge(email, details, 'json-ld'));
+            this.fromMicroformats(roots, hits).forEach(({ email, details }) => merge(email, details, 'hcard'));
+            hits.forEach(hit => merge(hit.email, this.fromProximity(hit), 'proximity'));
+        } catch (error) {
+            console.warn('Email Scraper: Error assembling contacts:', error);
+        }
+
+        return contacts;
+    },
+
+    /**
+     * Empty contact object
+     */
+    createContact: function() {
+        return { name: '', title: '', organization: '', phones: [], sources: [] };
+    },
+
+    /**
+     * Clean a scraped value: collapse whitespace, drop anything too long to be a field
+     */
+    cleanValue: function(value, maxLength = 100) {
+        if (typeof value !== 'string') {
+            return '';
+        }
+        const cleaned = value.replace(/\s+/g, ' ').trim();
+        return cleaned.length <= maxLength ? cleaned : '';
+    },
+
+    /**
+     * Normalize an address from a mailto: link or a JSON-LD email property
+     */
+    normalizeEmail: function(value) {
+        if (typeof value !== 'string') {
+            return '';
+        }
+        let email = value.trim().replace(/^mailto:/i, '').split('?')[0];
+        try {
+            email = decodeURIComponent(email);
+        } catch (e) {
+            // Malformed escape sequence, use the raw value
+        }
+        return emailCore.normalizeEmail(email);
+    },
+
+    /**
+     * Normalize a phone number from a tel: link or text
+     */
+    normalizePhone: function(value) {
+        if (typeof value !== 'string') {
+            return '';
+        }
+        let phone = value.trim();
+        if (/^tel:/i.test(phone)) {
+            phone = phone.substring(4);
+            try {
+                phone = decodeURIComponent(phone);
+            } catch (e) {
+                // Malformed escape sequence, use the raw value
+            }
+        }
+        phone = this.cleanValue(phone, 40);
+        const digits = phone.replace(/\D/g, '');
+        return digits.length >= 7 && digits.length <= 15 ? phone : '';
+    },
+
+    /**
+     * Check whether a string reads like a person's name
+     */
+    looksLikeName: function(text) {
+        return !!text && text.length <= 60 && this.nameRegex.test(text) && !this.notNameRegex.test(text);
+    },
+
+    /**
+     * Whether a JSON-LD node has one of the given types
+     */
+    hasType: function(node, types) {
+        const nodeTypes = Array.isArray(node['@type']) ? node['@type'] : [node['@type']];
+        return nodeTypes.some(type => typeof type === 'string' && types.includes(type.replace(/^.*[/#]/, '')));
+    },
+
+    /**
+     * Read a JSON-LD value that may be a string, an object with a name, or a list
+     */
+    jsonValue: function(value) {
+        if (Array.isArray(value)) {
+            return this.jsonValue(value[0]);
+        }
+        if (value && typeof value === 'object') {
+            return this.cleanValue(value.name || value['@value'] || '');
+        }
+        return this.cleanValue(typeof value === 'number' ? String(value) : value);
+    },
+
+    /**
+     * Contacts from JSON-LD Person, Organization and ContactPoint nodes
+     * A Person nested under an Organization (employee, member, founder...)
+     * inherits that organization's name
+     * @returns {Array<Object>} - { email, details } pairs
+     */
+    fromStructuredData: function(roots) {
+        const found = [];
+
+        const visit = (node, organization) => {
+            if (Array.isArray(node)) {
+                node.forEach(item => visit(item, organization));
+                return;
+            }
+            if (!node || typeof node !== 'object') {
+                return;
+            }
+
+            let currentOrg = organization;
+            const emails = (Array.isArray(node.email) ? node.email : [node.email])
+                .map(value => this.normalizeEmail(value))
+                .filter(Boolean);
+            const phones = (Array.isArray(node.telephone) ? node.telephone : [node.telephone])
+                .map(value => this.normalizePhone(typeof value === 'number' ? String(value) : value))
+                .filter(Boolean);
+
+            if (this.hasType(node, ['Person'])) {
+                const name = this.jsonValue(node.name) ||
+                             this.cleanValue([this.jsonValue(node.givenName), this.jsonValue(node.familyName)].join(' '));
+                const details = {
+                    name: name,
+                    title: this.jsonValue(node.jobTitle),
+                    organization: this.jsonValue(node.worksFor) || this.jsonValue(node.affiliation) || organization,
+                    phones: phones
+                };
+                emails.forEach(email => found.push({ email, details }));
+            } else if (this.hasType(node, ['Organization', 'LocalBusiness', 'Corporation', 'NGO', 'EducationalOrganization', 'GovernmentOrganization'])) {
+                currentOrg = this.jsonValue(node.name) || organization;
+                emails.forEach(email => found.push({ email, details: { organization: currentOrg, phones } }));
+            } else if (this.hasType(node, ['ContactPoint'])) {
+                const details = { title: this.jsonValue(node.contactType), organization: organization, phones: phones };
+                emails.forEach(email => found.push({ email, details }));
+            }
+
+            Object.keys(node).forEach(key => {
+                if (node[key] && typeof node[key] === 'object') {
+                    visit(node[key], currentOrg);
+                }
+            });
+        };
+
+        EmailExtractor.queryAll(roots, 'script[type="application/ld+json"]').forEach(script => {
+            try {
+                visit(JSON.parse(script.textContent || ''), '');
+            } catch (e) {
+                // Invalid JSON, skip
+            }
+        });
+
+        return found;
+    },
+
+    /**
+     * Contacts from hCard microformats, both microformats2 (h-card) and classic (vcard)
+     * An address belongs to a card when it was found inside it or is linked from it
+     * @returns {Array<Object>} - { email, details } pairs
+     */
+    fromMicroformats: function(roots, hits) {
+        const found = [];
+
+        EmailExtractor.queryAll(roots, '.h-card, .vcard').forEach(card => {
+            try {
+                const field = (selector) => {
+                    const element = card.querySelector(selector);
+                    return element ? this.cleanValue(element.getAttribute('title') || element.textContent) : '';
+                };
+
+                const phones = Array.from(card.querySelectorAll('.p-tel, .u-tel, .tel, a[href^="tel:"]'))
+                    .map(element => this.normalizePhone(element.getAttribute('href') || element.textContent))
+                    .filter(Boolean);
+
+                const details = {
+                    name: field('.p-name, .fn'),
+                    title: field('.p-job-title, .title, .role'),
+                    organization: field('.p-org, .org'),
+                    phones: phones
+                };
+
+                const emails = new Set(Array.from(card.querySelectorAll('a[href^="mailto:"], .u-email, .email'))
+                    .map(element => this.normalizeEmail(element.getAttribute('href') || element.textContent)));
+                hits.forEach(hit => {
+                    if (hit.element && card.contains(hit.element)) {
+                        emails.add(hit.email);
+                    }
+                });
+
+                emails.forEach(email => email && found.push({ email, details }));
+            } catch (e) {
+                // Ignore individual card errors
+            }
+        });
+
+        return found;
+    },
+
+    /**
+     * Find the contact card around an address: climb from its block while the
+     * ancestor still holds a single address and stays small
+     */
+    findContainer: function(element) {
+        let container = element;
+        while (container.parentElement && EmailExtractor.inlineTags.has(container.tagName.toUpperCase())) {
+            container = container.parentElement;
+        }
+
+        for (let i = 0; i < this.maxClimb; i++) {
+            const parent = container.parentElement;
+            if (!parent || parent === document.body || parent === document.documentElement) {
+                break;
+            }
+            const text = parent.textContent || '';
+            if (text.length > this.maxContainerText || this.countEmails(parent) > 1) {
+                break;
+            }
+            container = parent;
+        }
+
+        return container;
+    },
+
+    /**
+     * Count distinct addresses in an element's text and mailto links
+     */
+    countEmails: function(element) {
+        const emails = new Set(EmailExtractor.extractFromText(element.textContent || '').map(hit => hit.email));
+        element.querySelectorAll('a[href^="mailto:"]').forEach(link => {
+            emails.add(this.normalizeEmail(link.getAttribute('href')));
+        });
+        return emails.size;
+    },
+
+    /**
+     * Details found near the element an address came from
+     * @returns {Object|null} - Partial contact, or null when the hit has no page element
+     */
+    fromProximity: function(hit) {
+        const element = hit.element;
+        if (!element || element.nodeType !== Node.ELEMENT_NODE || ['META', 'SCRIPT'].includes(element.tagName.toUpperCase())) {
+            return null;
+        }
+
+        const container = this.findContainer(element);
+        const lines = EmailExtractor.walkDom(container).blocks
+            .flatMap(block => block.text.split('\n'))
+            .map(line => this.cleanValue(line, 200))
+            .filter(Boolean);
+
+        const pick = (selector, accept) => {
+            const candidates = [container, ...container.querySelectorAll(selector)].filter(candidate => candidate.matches(selector));
+            for (const candidate of candidates) {
+                const value = this.cleanValue(candidate.textContent);
+                if (value && accept(value)) {
+                    return value;
+                }
+            }
+            return '';
+        };
+
+        const name = pick(this.nameSelectors, value => this.looksLikeName(value)) ||
+                     lines.find(line => this.looksLikeName(line)) || '';
+        const title = pick(this.titleSelectors, value => value !== name && !value.includes('@')) ||
+                      lines.find(line => line.length <= 80 && line !== name && !line.includes('@') && this.jobTitleRegex.test(line)) || '';
+        const organization = pick(this.orgSelectors, value => value !== name && !value.includes('@'));
+
+        // tel: links are explicit; numbers in text need a label or an
+        // international/area-code shape so dates and IDs are not taken
+        const phones = Array.from(container.querySelectorAll('a[href^="tel:"]'))
+            .map(link => this.normalizePhone(link.getAttribute('href')));
+        lines.forEach(line => {
+            const labelled = this.phoneLabelRegex.test(line);
+            (line.match(this.phoneRegex) || []).forEach(candidate => {
+                if (labelled || /^\+|^\(/.test(candidate)) {
+                    phones.push(this.normalizePhone(candidate));
+                }
+            });
+        });
+
+        return {
+            name: name,
+            title: title,
+            organization: organization,
+            phones: phones.filter((phone, index) => phone && phones.indexOf(phone) === index)
+        };
+    }
+};
+
 /**
  * Auto-detect emails on page load and notify popup automatically
+ * @returns {number} - Emails found
  */
 function autoDetectEmails() {
     try {
@@ -981,40 +1401,23 @@ function autoDetectEmails() {
                 source: 'automatic-detection'
             };
 
-            // Use Chrome storage and messaging only if APIs are available
-            if (isContextValid()) {
-                try {
-                    chrome.storage.local.set({ pageData }, () => {
-                        if (chrome.runtime.lastError) {
-                            console.error('❌ Email Scraper: Failed to store emails locally:', chrome.runtime.lastError);
-                        } else {
-                            console.log('✅ Email Scraper: Emails stored locally successfully');
-                        }
-                    });
-                } catch (storageError) {
-                    console.error('❌ Email Scraper: Local storage operation failed:', storageError);
-                }
-
-                // Send to background script for badge update and popup notification
-                sendMessageSafely({
-                    type: 'storePageEmails',
-                    pageData: pageData
-                }, (response) => {
-                    if (response && response.success) {
+            // A reloaded extension no longer takes messages
+            if (isExtensionAlive()) {
+                // The background stores the page detection and updates the badge
+                messageProtocol.send('storePageEmails', { pageData: pageData })
+                    .then(() => {
                         console.log('✅ Email Scraper: Background storage successful');
-                        
-                        // Also send a notification to any open popup
-                        sendMessageSafely({
-                            type: 'emailsDetected',
+
+                        // Also tell the popup, if it is open
+                        messageProtocol.send('emailsDetected', {
                             emails: emails,
                             count: emails.length,
                             url: window.location.href
-                        });
-                        
-                    } else {
+                        }).catch(handleMessageError);
+                    }, error => {
                         console.error('❌ Email Scraper: Background storage failed');
-                    }
-                });
+                        handleMessageError(error);
+                    });
             }
 
             // Always show visual notification
@@ -1024,8 +1427,11 @@ function autoDetectEmails() {
             console.log('🔍 Email Scraper: No verified emails found on page');
         }
 
+        return emails.length;
+
     } catch (error) {
         console.error('❌ Email Scraper: Auto-detection failed:', error.message);
+        return 0;
     }
 }
 
@@ -1098,11 +1504,285 @@ function showEmailDetectionNotification(emailCount) {
     }
 }
 
+/**
+ * Watch mode - opt-in live monitoring for pages that render contacts late
+ * (React/Vue directories, infinite scroll, client-side routing). Only the
+ * subtrees that changed are re-scanned, and only addresses this page has not
+ * reported yet are streamed to the background.
+ */
+const EmailWatcher = {
+    observer: null,
+    pendingRoots: new Set(),
+    flushTimer: null,
+    routeTimer: null,
+    seenEmails: new Set(),
+    observedRoots: new WeakSet(),
+    lastUrl: '',
+    onRouteChange: null,
+
+    // Quiet period before changed subtrees are scanned
+    debounceMs: 750,
+
+    // Busy pages keep postponing the scan; never wait longer than this
+    maxWaitMs: 3000,
+    pendingSince: 0,
+
+    // Give the new route time to render before re-scanning
+    routeDebounceMs: 1000,
+
+    // Collapse streamed records by address, from settings.removeDuplicates
+    removeDuplicates: true,
+
+    // Attributes the extractors read; changes to them can reveal addresses
+    watchedAttributes: ['href', 'value', 'data-email', 'data-contact', 'data-mail', 'data-cfemail'],
+
+    isActive: function() {
+        return this.observer !== null;
+    },
+
+    /**
+     * What the observer reports, for the page and every shadow root
+     */
+    observerOptions: function() {
+        return {
+            childList: true,
+            subtree: true,
+            characterData: true,
+            attributes: true,
+            attributeFilter: this.watchedAttributes
+        };
+    },
+
+    /**
+     * Watch an open shadow root as well; a no-op when not watching
+     * @param {ShadowRoot} root - Shadow root found by EmailExtractor.walkDom()
+     */
+    observeShadowRoot: function(root) {
+        if (!this.isActive() || this.observedRoots.has(root)) {
+            return;
+        }
+        this.observedRoots.add(root);
+        this.observer.observe(root, this.observerOptions());
+    },
+
+    /**
+     * Start watching the page
+     * @param {Array<Object>} knownRecords - Records already reported for this page
+     */
+    start: function(knownRecords = []) {
+        if (this.isActive() || !document.body) {
+            return;
+        }
+
+        knownRecords.forEach(record => this.seenEmails.add(record.email));
+        this.lastUrl = window.location.href;
+
+        this.observer = new MutationObserver(mutations => this.handleMutations(mutations));
+        this.observer.observe(document.body, this.observerOptions());
+
+        // Shadow roots already on the page; walkDom() adds the ones that
+        // appear later as their hosts are scanned
+        EmailExtractor.walkDom(document).roots
+            .filter(root => root.nodeType === Node.DOCUMENT_FRAGMENT_NODE)
+            .forEach(root => this.observeShadowRoot(root));
+
+        // SPA route changes: pushState/replaceState do not fire any event,
+        // and only the page's own world sees them being called
+        this.onRouteChange = () => this.handleRouteChange();
+        document.addEventListener(PageBridge.routeEvent, this.onRouteChange);
+        window.addEventListener('popstate', this.onRouteChange);
+        PageBridge.call('watchRoutes', { enabled: true });
+
+        console.log('👀 Email Scraper: Watch mode started');
+    },
+
+    /**
+     * Stop watching and have the bridge restore the history methods
+     */
+    stop: function() {
+        if (!this.isActive()) {
+            return;
+        }
+
+        this.observer.disconnect();
+        this.observer = null;
+        this.observedRoots = new WeakSet();
+
+        PageBridge.call('watchRoutes', { enabled: false });
+        document.removeEventListener(PageBridge.routeEvent, this.onRouteChange);
+        window.removeEventListener('popstate', this.onRouteChange);
+        this.onRouteChange = null;
+
+        clearTimer(this.flushTimer);
+        clearTimer(this.routeTimer);
+        this.flushTimer = null;
+        this.routeTimer = null;
+        this.pendingRoots.clear();
+        this.pendingSince = 0;
+
+        console.log('👀 Email Scraper: Watch mode stopped');
+    },
+
+    /**
+     * Queue the subtrees touched by a batch of mutations
+     */
+    handleMutations: function(mutations) {
+        mutations.forEach(mutation => {
+            if (mutation.type === 'childList') {
+                mutation.addedNodes.forEach(node => {
+                    const element = node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement;
+                    this.queueRoot(element);
+                });
+            } else {
+                // characterData targets are text nodes; attributes targets are elements
+                const target = mutation.target;
+                this.queueRoot(target.nodeType === Node.ELEMENT_NODE ? target : target.parentElement);
+            }
+        });
+
+        if (this.pendingRoots.size === 0) {
+            return;
+        }
+
+        if (!this.pendingSince) {
+            this.pendingSince = Date.now();
+        }
+        if (this.flushTimer === null || Date.now() - this.pendingSince < this.maxWaitMs) {
+            clearTimer(this.flushTimer);
+            this.flushTimer = setTimer(() => {
+                this.flushTimer = null;
+                this.flush();
+            }, this.debounceMs);
+        }
+    },
+
+    /**
+     * Add an element to the pending scan, ignoring our own UI
+     */
+    queueRoot: function(element) {
+        if (!element || !element.isConnected) {
+            return;
+        }
+        if (element.closest('[id^="email-scraper-"]')) {
+            return;
+        }
+        this.pendingRoots.add(element);
+    },
+
+    /**
+     * Scan the pending subtrees and report new addresses
+     */
+    flush: function() {
+        // Drop subtrees that are inside another pending subtree or were removed
+        const roots = Array.from(this.pendingRoots).filter(element => element.isConnected);
+        this.pendingRoots.clear();
+        this.pendingSince = 0;
+        const topRoots = roots.filter(element =>
+            !roots.some(other => other !== element && other.contains(element)));
+
+        const records = [];
+        topRoots.forEach(root => {
+            EmailExtractor.extractEmails(root).forEach(record => records.push(record));
+        });
+
+        this.reportNewEmails(records);
+    },
+
+    /**
+     * Re-scan the whole page after a client-side navigation
+     */
+    handleRouteChange: function() {
+        if (!this.isActive() || window.location.href === this.lastUrl) {
+            return;
+        }
+        this.lastUrl = window.location.href;
+
+        clearTimer(this.routeTimer);
+        this.routeTimer = setTimer(() => {
+            this.routeTimer = null;
+            console.log('👀 Email Scraper: Route changed, re-scanning', window.location.href);
+            this.reportNewEmails(EmailExtractor.extractEmails());
+        }, this.routeDebounceMs);
+    },
+
+    /**
+     * Stream addresses not reported before to the background
+     * @param {Array<Object>} records - Records from the latest scan
+     */
+    reportNewEmails: function(records) {
+        const fresh = records.filter(record => !this.seenEmails.has(record.email));
+        if (fresh.length === 0) {
+            return;
+        }
+
+        fresh.forEach(record => this.seenEmails.add(record.email));
+        console.log(`👀 Email Scraper: Watch mode found ${fresh.length} new email(s)`);
+
+        messageProtocol.send('addEmails', { emails: fresh, removeDuplicates: this.removeDuplicates })
+            .catch(error => {
+                console.error('❌ Email Scraper: Failed to stream watched emails:', error.message);
+                handleMessageError(error);
+            });
+    }
+};
+
+/**
+ * Use the allow/deny rules, classification lists and duplicate handling saved in settings
+ */
+function applyExtractionSettings(settings) {
+    EmailExtractor.filterRules = emailRules.compile(settings ? settings.emailRules : undefined);
+    EmailExtractor.classificationLists = emailClassifier.compile(settings ? settings.classificationLists : undefined);
+    EmailWatcher.removeDuplicates = !settings || settings.removeDuplicates !== false;
+}
+
+/**
+ * Start or stop watch mode to match the stored setting
+ */
+function applyWatchModeSetting(settings) {
+    if (settings && settings.watchMode) {
+        if (!EmailWatcher.isActive()) {
+            // Addresses already on the page are reported by auto-detection
+            EmailWatcher.start(EmailExtractor.extractEmails());
+        }
+    } else {
+        EmailWatcher.stop();
+    }
+}
+
+/**
+ * Read the filter rules and watch mode settings now and follow later changes
+ */
+function initializeSettings() {
+    if (!isExtensionAlive() || !chrome.storage) {
+        return;
+    }
+
+    try {
+        chrome.storage.local.get(['settings'], (result) => {
+            if (chrome.runtime.lastError) {
+                console.warn('Email Scraper: Could not read settings:', chrome.runtime.lastError.message);
+                return;
+            }
+            applyExtractionSettings(result.settings);
+            applyWatchModeSetting(result.settings);
+        });
+
+        chrome.storage.onChanged.addListener((changes, areaName) => {
+            if (areaName === 'local' && changes.settings && isExtensionAlive()) {
+                applyExtractionSettings(changes.settings.newValue);
+                applyWatchModeSetting(changes.settings.newValue);
+            }
+        });
+    } catch (error) {
+        console.warn('Email Scraper: Settings initialization failed:', error.message);
+    }
+}
+
 /**
  * Manual extraction for popup
  */
 function extractEmailsFromPage() {
-    if (!isContextValid()) {
+    if (!isExtensionAlive()) {
         console.error('Email Scraper: Context invalid, cannot extract emails');
         return [];
     }
@@ -1116,9 +1796,55 @@ function extractEmailsFromPage() {
     }
 }
 
+/**
+ * Collect the http(s) links on the page for the crawler
+ * Links marked rel="nofollow" are left out
+ * @returns {Array<string>} - Absolute URLs without fragments, deduplicated
+ */
+function collectPageLinks() {
+    const links = new Set();
+
+    try {
+        const anchors = document.querySelectorAll('a[href]');
+        for (let i = 0; i < anchors.length; i++) {
+            try {
+                if (/(?:^|\s)nofollow(?:\s|$)/i.test(anchors[i].getAttribute('rel') || '')) {
+                    continue;
+                }
+                const url = new URL(anchors[i].href, window.location.href);
+                if (url.protocol === 'http:' || url.protocol === 'https:') {
+                    url.hash = '';
+                    links.add(url.href);
+                }
+            } catch (e) {
+                // Ignore malformed hrefs
+            }
+        }
+    } catch (error) {
+        console.warn('Email Scraper: Error collecting page links:', error);
+    }
+
+    return Array.from(links);
+}
+
+/**
+ * Read the page's robots meta directives for the crawler
+ * @returns {string} - Combined content of <meta name="robots"> tags, e.g. "noindex, nofollow"
+ */
+function getMetaRobots() {
+    try {
+        return Array.from(document.querySelectorAll('meta[name="robots" i]'))
+            .map(meta => meta.getAttribute('content') || '')
+            .join(', ');
+    } catch (error) {
+        console.warn('Email Scraper: Error reading meta robots:', error);
+        return '';
+    }
+}
+
 // Simple initialization - just run once when page loads
 function initializeEmailScraper() {
-    if (!isContextValid()) {
+    if (!isExtensionAlive()) {
         console.error('Email Scraper: Context invalid during initialization');
         return;
     }
@@ -1131,7 +1857,7 @@ function initializeEmailScraper() {
             // Wait for DOM to be ready, then extract automatically
             console.log('📄 Email Scraper: DOM still loading, waiting for DOMContentLoaded');
             addListener(document, 'DOMContentLoaded', () => {
-                if (isContextValid()) {
+                if (isExtensionAlive()) {
                     console.log('✅ Email Scraper: DOM loaded, starting automatic email extraction');
                     // Start automatic extraction after a short delay to ensure page is fully loaded
                     setTimer(() => {
@@ -1151,6 +1877,9 @@ function initializeEmailScraper() {
             }, 1000); // 1 second delay for better results
         }
 
+        // Filter rules and opt-in live monitoring for content rendered after load
+        initializeSettings();
+
         // Cleanup on page unload
         addListener(window, 'beforeunload', () => {
             console.log('🔄 Email Scraper: Page unloading, cleaning up');
@@ -1164,15 +1893,8 @@ function initializeEmailScraper() {
     }
 }
 
-// Initialize if we have the required APIs
-if (typeof document !== 'undefined' && typeof window !== 'undefined') {
-    console.log('🌐 Email Scraper: Document and window APIs available, starting initialization');
-    
-    // Add a small delay to ensure Chrome extension context is ready
-    setTimeout(() => {
-        startInitialization();
-    }, 500);
-    
-} else {
-    console.error('❌ Email Scraper: Required APIs not available');
+// The fixture tests load this file into jsdom for EmailExtractor alone,
+// without the extension APIs
+if (typeof chrome !== 'undefined' && chrome.runtime) {
+    startInitialization();
 }
@@ -0,0 +1,277 @@
+/**
+ * Email Scraper Extension - Email Core
+ * The one place that decides what an email address is: the pattern used to
+ * find addresses in text, validation, and the canonical form addresses are
+ * stored and deduplicated in. Loaded by the content script, the popup, the
+ * dashboard, the background worker and the tests, so an address accepted in
+ * one of them is accepted in all of them.
+ *
+ * The canonical form is lower case and NFC with the domain in Unicode, so
+ * "josé@xn--caf-dma.fr" and "José@CAFÉ.fr" are one address. Local parts may
+ * be Unicode (RFC 6531) and domains internationalized (IDNA)
+ */
+
+const emailCore = {
+    // Letters, marks and digits of any script are allowed in the local part
+    // (RFC 6531) and the domain (IDN), whose labels may also be split by
+    // ideographic full stops
+    emailRegex: /[\p{L}\p{M}\p{N}.!#$%&'*+/=?^_`{|}~-]+@[\p{L}\p{M}\p{N}](?:[\p{L}\p{M}\p{N}-]{0,61}[\p{L}\p{M}\p{N}])?(?:[.\u3002\uff0e\uff61][\p{L}\p{M}\p{N}](?:[\p{L}\p{M}\p{N}-]{0,61}[\p{L}\p{M}\p{N}])?)*/gu,
+
+    // Markup that must never be taken for an address
+    suspiciousPatterns: [
+        /<script/i,
+        /javascript:/i,
+        /on\w+\s*=/i,
+        /data:\s*text\/html/i,
+        /vbscript:/i,
+        /expression\s*\(/i
+    ],
+
+    tldSet: null,
+
+    /**
+     * Whether a top-level domain is delegated, from tlds.js
+     * @param {string} tld - ASCII (punycode) name, lower case
+     * @returns {boolean}
+     */
+    isKnownTld: function(tld) {
+        if (!this.tldSet) {
+            const source = typeof topLevelDomains !== 'undefined' ? topLevelDomains : require('./tlds.js').topLevelDomains;
+            this.tldSet = new Set(source.names.split(' '));
+        }
+        return this.tldSet.has(tld);
+    },
+
+    /**
+     * Size of a string in UTF-8, which is what the RFC length limits count
+     * @param {string} text
+     * @returns {number}
+     */
+    byteLength: function(text) {
+        return new TextEncoder().encode(text).length;
+    },
+
+    /**
+     * Convert a domain to its ASCII (punycode) form with the browser's own
+     * IDNA processing, which also rejects malformed xn-- labels
+     * @param {string} domain - Domain, Unicode or ASCII
+     * @returns {string|null} - Lower-case ASCII domain, or null if it is not a valid host name
+     */
+    toAscii: function(domain) {
+        if (!domain || /[\s/?#:@[\]\\%]/.test(domain)) {
+            return null;
+        }
+        try {
+            return new URL(`http://${domain}`).hostname;
+        } catch (error) {
+            return null;
+        }
+    },
+
+    /**
+     * Convert a domain to Unicode, decoding its xn-- labels
+     * @param {string} domain - Domain, Unicode or ASCII
+     * @returns {string|null} - Lower-case NFC domain, or null if it is not a valid host name
+     */
+    toUnicode: function(domain) {
+        const ascii = this.toAscii(domain);
+        if (ascii === null) {
+            return null;
+        }
+        try {
+            return ascii.split('.')
+                .map(label => label.startsWith('xn--') ? this.decodePunycode(label.substring(4)) : label)
+                .join('.')
+                .normalize('NFC');
+        } catch (error) {
+            return null;
+        }
+    },
+
+    /**
+     * Decode the part of a punycode label after "xn--" (RFC 3492)
+     * @param {string} input - e.g. "caf-dma"
+     * @returns {string} - e.g. "café"
+     */
+    decodePunycode: function(input) {
+        const base = 36;
+        const tMin = 1;
+        const tMax = 26;
+        const maxInt = 0x7fffffff;
+        const invalid = () => new Error(`Invalid punycode "${input}"`);
+        // 0-9 are 26-35, letters 0-25 in either case
+        const digit = (code) => code >= 48 && code <= 57 ? code - 22
+            : code >= 65 && code <= 90 ? code - 65
+            : code >= 97 && code <= 122 ? code - 97
+            : base;
+        const adapt = (delta, points, first) => {
+            delta = first ? Math.floor(delta / 700) : delta >> 1;
+            delta += Math.floor(delta / points);
+            let k = 0;
+            for (; delta > ((base - tMin) * tMax) >> 1; k += base) {
+                delta = Math.floor(delta / (base - tMin));
+            }
+            return k + Math.floor((base - tMin + 1) * delta / (delta + 38));
+        };
+
+        // Basic code points come first, up to the last hyphen
+        const output = [];
+        const basicEnd = Math.max(input.lastIndexOf('-'), 0);
+        for (let j = 0; j < basicEnd; j++) {
+            if (input.charCodeAt(j) >= 0x80) {
+                throw invalid();
+            }
+            output.push(input.charCodeAt(j));
+        }
+
+        let n = 128;
+        let bias = 72;
+        let i = 0;
+        for (let index = basicEnd > 0 ? basicEnd + 1 : 0; index < input.length;) {
+            const previous = i;
+            for (let w = 1, k = base; ; k += base) {
+                if (index >= input.length) {
+                    throw invalid();
+                }
+                const value = digit(input.charCodeAt(index++));
+                if (value >= base || value > Math.floor((maxInt - i) / w)) {
+                    throw invalid();
+                }
+                i += value * w;
+                const t = k <= bias ? tMin : k >= bias + tMax ? tMax : k - bias;
+                if (value < t) {
+                    break;
+                }
+                if (w > Math.floor(maxInt / (base - t))) {
+                    throw invalid();
+                }
+                w *= base - t;
+            }
+            const length = output.length + 1;
+            bias = adapt(i - previous, length, previous === 0);
+            if (Math.floor(i / length) > maxInt - n) {
+                throw invalid();
+            }
+            n += Math.floor(i / length);
+            i %= length;
+            output.splice(i++, 0, n);
+        }
+        return String.fromCodePoint(...output);
+    },
+
+    /**
+     * Canonical form of an address
+     * @param {string} email - Address as found
+     * @returns {string} - Lower-case NFC address with a Unicode domain; when
+     *     the domain is not a valid host name it is only lower-cased
+     */
+    normalizeEmail: function(email) {
+        const address = String(email || '').trim();
+        const at = address.lastIndexOf('@');
+        if (at <= 0) {
+            return address.toLowerCase();
+        }
+        const local = address.substring(0, at).normalize('NFC').toLowerCase();
+        const domain = address.substring(at + 1);
+        return `${local}@${this.toUnicode(domain) || domain.toLowerCase()}`;
+    },
+
+    /**
+     * Domain part of an address
+     * @param {string} email - Address
+     * @returns {string}
+     */
+    domainOf: function(email) {
+        return email.substring(email.lastIndexOf('@') + 1);
+    },
+
+    /**
+     * Enhanced email validation with multiple checks
+     * Internationalized addresses are accepted: the checks run on the
+     * canonical form and the domain's punycode form
+     * @param {string} email - Address, in any form
+     * @returns {boolean}
+     */
+    isValidEmail: function(email) {
+        if (!email || typeof email !== 'string' || email.length > 254) {
+            return false;
+        }
+        email = this.normalizeEmail(email);
+
+        // Basic format validation
+        const atIndex = email.indexOf('@');
+        if (atIndex === -1 || atIndex === 0 || atIndex === email.length - 1) {
+            return false;
+        }
+
+        const localPart = email.substring(0, atIndex);
+        const domain = email.substring(atIndex + 1);
+
+        // Local part validation, in UTF-8 octets
+        if (localPart.length === 0 || this.byteLength(localPart) > 64) {
+            return false;
+        }
+
+        // Domain validation: it must be a valid (internationalized) host name
+        const asciiDomain = this.toAscii(domain);
+        if (!asciiDomain || asciiDomain.length > 253) {
+            return false;
+        }
+
+        // Check for valid domain structure
+        if (!asciiDomain.includes('.') || asciiDomain.startsWith('.') || asciiDomain.endsWith('.')) {
+            return false;
+        }
+
+        // Check for a delegated TLD (top-level domain)
+        if (!this.isKnownTld(asciiDomain.substring(asciiDomain.lastIndexOf('.') + 1))) {
+            return false;
+        }
+
+        // Additional security checks
+        if (this.suspiciousPatterns.some(pattern => pattern.test(email))) {
+            return false;
+        }
+
+        // Check for common invalid patterns
+        if (email.includes('..') || email.includes('@@') || email.includes('--')) {
+            return false;
+        }
+
+        return true;
+    },
+
+    /**
+     * Find the valid addresses in a piece of text
+     * @param {string} text - Text to scan
+     * @returns {Array<Object>} - { email, index, length } per distinct address,
+     *     email in canonical form, index and length of the match in the text
+     */
+    findInText: function(text) {
+        if (!text || typeof text !== 'string') {
+            return [];
+        }
+
+        const found = [];
+        const seen = new Set();
+        let match;
+
+        // Reset regex
+        this.emailRegex.lastIndex = 0;
+
+        while ((match = this.emailRegex.exec(text)) !== null) {
+            const email = this.normalizeEmail(match[0]);
+            if (this.isValidEmail(email) && !seen.has(email)) {
+                seen.add(email);
+                found.push({ email: email, index: match.index, length: match[0].length });
+            }
+        }
+
+        return found;
+    }
+};
+
+// Export for Node-based tests
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { emailCore };
+}
@@ -0,0 +1,842 @@
+/**
+ * Email Scraper Extension - Export Formats
+ * File writers shared by the popup and the dashboard
+ */
+
+/**
+ * Formats a record timestamp for export
+ * @param {number} timestamp - Milliseconds since epoch
+ * @returns {string} - ISO 8601 date, or empty string when unknown
+ */
+function formatTimestamp(timestamp) {
+    return timestamp ? new Date(timestamp).toISOString() : '';
+}
+
+/**
+ * CSV export (RFC 4180)
+ */
+const csvExporter = {
+    // Columns offered in the picker, in export order
+    columns: {
+        email: { label: 'Email', value: (record) => record.email },
+        name: { label: 'Name', value: (record) => record.contact ? record.contact.name : '' },
+        title: { label: 'Title', value: (record) => record.contact ? record.contact.title : '' },
+        organization: { label: 'Organization', value: (record) => record.contact ? record.contact.organization : '' },
+        phone: { label: 'Phone', value: (record) => record.contact ? record.contact.phones.join('; ') : '' },
+        domain: { label: 'Domain', value: (record) => record.domain },
+        sourceUrl: { label: 'Source URL', value: (record) => record.sourceUrl },
+        pageTitle: { label: 'Page Title', value: (record) => record.pageTitle },
+        firstSeen: { label: 'First Seen', value: (record) => formatTimestamp(record.firstSeen) },
+        lastSeen: { label: 'Last Seen', value: (record) => formatTimestamp(record.lastSeen) },
+        extractor: { label: 'Extractor', value: (record) => record.extractor },
+        decoding: { label: 'Decoding', value: (record) => record.decoding || '' },
+        snippet: { label: 'Snippet', value: (record) => record.snippet },
+        tags: { label: 'Tags', value: (record) => Array.isArray(record.tags) ? record.tags.join('; ') : '' },
+        notes: { label: 'Notes', value: (record) => record.notes || '' },
+        classification: { label: 'Type', value: (record) => record.classification || '' },
+        verification: { label: 'Deliverability', value: (record) => record.verification ? record.verification.status : '' }
+    },
+
+    defaultColumns: ['email', 'name', 'domain', 'sourceUrl', 'pageTitle', 'firstSeen', 'extractor', 'tags', 'notes', 'classification', 'verification'],
+
+    delimiters: { comma: ',', semicolon: ';', tab: '\t' },
+
+    // Spreadsheets run a cell starting with one of these as a formula
+    formulaPrefix: /^[=+\-@\t\r]/,
+
+    // Phone numbers and signed numbers ("+44 20 7946 0018", "-5") start the
+    // same way but cannot call anything, so they are written as they are
+    numericText: /^[\d +\-().\/;]+$/,
+
+    /**
+     * Quote a field when it holds the delimiter, a quote or a line break;
+     * quotes inside are doubled. Page titles, snippets and names come from
+     * untrusted pages, so a field that would start a formula ("=HYPERLINK(...)")
+     * gets a leading apostrophe and stays text; numbers and phone numbers do not
+     * @param {*} value - Field value
+     * @param {string} delimiter - Field delimiter
+     * @returns {string} - Field ready for the row
+     */
+    escapeField: (value, delimiter) => {
+        let text = value === null || value === undefined ? '' : String(value);
+        if (csvExporter.formulaPrefix.test(text) && !csvExporter.numericText.test(text)) {
+            text = `'${text}`;
+        }
+        if (text.includes(delimiter) || /["\r\n]/.test(text)) {
+            return `"${text.replace(/"/g, '""')}"`;
+        }
+        return text;
+    },
+
+    /**
+     * Build the CSV file
+     * @param {Array} records - Email records
+     * @param {Object} options - { columns, delimiter, bom }
+     * @returns {string} - CSV content with CRLF record separators
+     */
+    build: (records, options = {}) => {
+        const delimiter = options.delimiter || ',';
+        const columns = (options.columns || csvExporter.defaultColumns)
+            .filter(key => csvExporter.columns[key]);
+        const row = (values) => values.map(value => csvExporter.escapeField(value, delimiter)).join(delimiter);
+
+        const lines = [row(columns.map(key => csvExporter.columns[key].label))];
+        records.forEach(record => {
+            lines.push(row(columns.map(key => csvExporter.columns[key].value(record))));
+        });
+
+        // Excel only detects UTF-8 when the file starts with a byte order mark
+        return (options.bom ? '\uFEFF' : '') + lines.join('\r\n') + '\r\n';
+    }
+};
+
+/**
+ * vCard export (RFC 2426 for 3.0, RFC 6350 for 4.0)
+ */
+const vcardExporter = {
+    /**
+     * Escape a text value: backslash, comma, semicolon and newlines
+     * @param {string} value - Raw value
+     * @returns {string} - Escaped value
+     */
+    escape: (value) => {
+        return String(value || '')
+            .replace(/\\/g, '\\\\')
+            .replace(/,/g, '\\,')
+            .replace(/;/g, '\\;')
+            .replace(/\r\n|\r|\n/g, '\\n');
+    },
+
+    /**
+     * Fold a content line at 75 octets, continuing with CRLF + space
+     * Multi-byte UTF-8 characters are never split across lines
+     * @param {string} line - Unfolded content line
+     * @returns {string} - Folded line
+     */
+    fold: (line) => {
+        const encoder = new TextEncoder();
+        const parts = [];
+        let current = '';
+        let octets = 0;
+        // Continuation lines start with a space, which counts toward the limit
+        let limit = 75;
+
+        for (const char of line) {
+            const size = encoder.encode(char).length;
+            if (octets + size > limit) {
+                parts.push(current);
+                current = '';
+                octets = 0;
+                limit = 74;
+            }
+            current += char;
+            octets += size;
+        }
+        parts.push(current);
+        return parts.join('\r\n ');
+    },
+
+    /**
+     * Split a display name into family and given names for the N property
+     * @param {string} name - Full name, e.g. "Jane Smith"
+     * @returns {Array<string>} - [family, given]
+     */
+    splitName: (name) => {
+        const words = String(name || '').trim().split(/\s+/).filter(Boolean);
+        if (words.length < 2) {
+            return [words[0] || '', ''];
+        }
+        return [words[words.length - 1], words.slice(0, -1).join(' ')];
+    },
+
+    /**
+     * Build one card
+     * @param {string} email - Address
+     * @param {Object|null} contact - Assembled contact, if any
+     * @param {Array<string>} sourceUrls - Pages the address was found on
+     * @param {string} version - '3.0' or '4.0'
+     * @param {Array<string>} tags - User tags, written as CATEGORIES
+     * @param {Array<string>} notes - User notes, written ahead of the sources in the NOTE
+     * @returns {string} - Card with CRLF line endings
+     */
+    buildCard: (email, contact, sourceUrls, version, tags = [], notes = []) => {
+        const esc = vcardExporter.escape;
+        const name = contact && contact.name ? contact.name : '';
+        const [family, given] = vcardExporter.splitName(name);
+        const lines = [
+            'BEGIN:VCARD',
+            `VERSION:${version}`,
+            `FN:${esc(name || email)}`,
+            `N:${esc(family)};${esc(given)};;;`,
+            version === '3.0' ? `EMAIL;TYPE=INTERNET:${esc(email)}` : `EMAIL:${esc(email)}`
+        ];
+
+        if (contact) {
+            if (contact.organization) {
+                lines.push(`ORG:${esc(contact.organization)}`);
+            }
+            if (contact.title) {
+                lines.push(`TITLE:${esc(contact.title)}`);
+            }
+            contact.phones.forEach(phone => {
+                // 4.0 prefers tel: URIs, which cannot hold spaces or brackets
+                lines.push(version === '3.0'
+                    ? `TEL;TYPE=VOICE:${esc(phone)}`
+                    : `TEL;VALUE=uri:tel:${phone.replace(/[^\d+]/g, '')}`);
+            });
+        }
+
+        if (tags.length > 0) {
+            lines.push(`CATEGORIES:${tags.map(esc).join(',')}`);
+        }
+
+        const note = [...notes];
+        if (sourceUrls.length > 0) {
+            note.push(`Found on: ${sourceUrls.join('\n')}`);
+        }
+        if (note.length > 0) {
+            lines.push(`NOTE:${esc(note.join('\n\n'))}`);
+        }
+        lines.push('END:VCARD');
+
+        return lines.map(vcardExporter.fold).join('\r\n') + '\r\n';
+    },
+
+    /**
+     * Build a .vcf file with one card per address
+     * Repeated sightings of an address share its card; every page it was
+     * found on is listed in the NOTE, and their tags and notes are combined
+     * @param {Array} records - Email records
+     * @param {string} version - '3.0' or '4.0'
+     * @returns {string} - vCard file content
+     */
+    build: (records, version = '3.0') => {
+        const cards = new Map();
+        const addNew = (list, values) => values.forEach(value => {
+            if (value && !list.includes(value)) {
+                list.push(value);
+            }
+        });
+        records.forEach(record => {
+            let card = cards.get(record.email);
+            if (!card) {
+                card = { contact: null, sourceUrls: [], tags: [], notes: [] };
+                cards.set(record.email, card);
+            }
+            card.contact = card.contact || record.contact;
+            addNew(card.sourceUrls, [record.sourceUrl]);
+            addNew(card.tags, Array.isArray(record.tags) ? record.tags : []);
+            addNew(card.notes, [record.notes]);
+        });
+
+        return Array.from(cards.entries())
+            .map(([email, card]) => vcardExporter.buildCard(email, card.contact, card.sourceUrls, version, card.tags, card.notes))
+            .join('');
+    }
+};
+
+/**
+ * PDF export: a self-contained writer for a paginated report, using the
+ * built-in Helvetica fonts so nothing has to be embedded
+ */
+const pdfExporter = {
+    // A4 in points
+    pageWidth: 595.28,
+    pageHeight: 841.89,
+    margin: 40,
+    rowHeight: 14,
+    fontSize: 9,
+
+    // Helvetica advance widths for ASCII 32-126, in 1/1000 em
+    helveticaWidths: [
+        278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+        556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+        1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+        667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+        333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+        556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+    ],
+
+    // Characters outside Latin-1 that WinAnsiEncoding still has
+    winAnsiExtras: {
+        '€': 0x80, '‚': 0x82, '„': 0x84, '…': 0x85, '‘': 0x91, '’': 0x92,
+        '“': 0x93, '”': 0x94, '•': 0x95, '–': 0x96, '—': 0x97, '™': 0x99
+    },
+
+    /**
+     * Map text to single-byte WinAnsi characters; anything else becomes '?'
+     * @param {string} text - Text to map
+     * @returns {string} - String whose char codes are the bytes to write
+     */
+    toWinAnsi: (text) => {
+        let result = '';
+        for (const char of String(text || '').replace(/\s+/g, ' ')) {
+            const code = char.codePointAt(0);
+            if ((code >= 0x20 && code <= 0x7e) || (code >= 0xa0 && code <= 0xff)) {
+                result += char;
+            } else if (pdfExporter.winAnsiExtras[char]) {
+                result += String.fromCharCode(pdfExporter.winAnsiExtras[char]);
+            } else {
+                result += '?';
+            }
+        }
+        return result;
+    },
+
+    /**
+     * Width of WinAnsi text in points
+     * Bold glyphs are a little wider, so their width is padded
+     */
+    textWidth: (text, size, bold = false) => {
+        let units = 0;
+        for (let i = 0; i < text.length; i++) {
+            const code = text.charCodeAt(i);
+            units += code >= 32 && code <= 126 ? pdfExporter.helveticaWidths[code - 32] : 556;
+        }
+        return units * size / 1000 * (bold ? 1.1 : 1);
+    },
+
+    /**
+     * Shorten text with an ellipsis so it fits a column
+     */
+    fitText: (text, width, size, bold = false) => {
+        if (pdfExporter.textWidth(text, size, bold) <= width) {
+            return text;
+        }
+        const ellipsis = String.fromCharCode(0x85);
+        let end = text.length;
+        while (end > 0 && pdfExporter.textWidth(text.substring(0, end) + ellipsis, size, bold) > width) {
+            end--;
+        }
+        return text.substring(0, end) + ellipsis;
+    },
+
+    /**
+     * Escape a PDF literal string
+     */
+    escapeString: (text) => text.replace(/[\\()]/g, '\\$&'),
+
+    /**
+     * Format a coordinate for the content stream
+     */
+    num: (value) => Number(value.toFixed(2)).toString(),
+
+    /**
+     * Build the report
+     * @param {Array} records - Email records
+     * @param {Date} generatedAt - Report date
+     * @returns {Uint8Array} - PDF file bytes
+     */
+    build: (records, generatedAt = new Date()) => {
+        const { pageWidth, pageHeight, margin, rowHeight, fontSize, num } = pdfExporter;
+        const contentWidth = pageWidth - margin * 2;
+        const bottom = margin + 20;
+        const pages = [];
+        let ops = null;
+        let y = 0;
+
+        const newPage = () => {
+            ops = ['0.5 w 0.8 G'];
+            pages.push(ops);
+            y = pageHeight - margin;
+        };
+
+        const text = (x, baseline, value, size, bold = false) => {
+            ops.push(`BT /F${bold ? 2 : 1} ${size} Tf ${num(x)} ${num(baseline)} Td (${pdfExporter.escapeString(value)}) Tj ET`);
+        };
+
+        const heading = (value, size, gap) => {
+            if (y - size - gap < bottom) {
+                newPage();
+            }
+            y -= size;
+            text(margin, y, pdfExporter.toWinAnsi(value), size, size >= 12);
+            y -= gap;
+        };
+
+        // Rows break across pages and every page repeats the header row
+        const table = (columns, rows) => {
+            const drawRow = (cells, bold) => {
+                if (bold) {
+                    ops.push(`0.93 g ${num(margin)} ${num(y - rowHeight)} ${num(contentWidth)} ${rowHeight} re f 0 g`);
+                }
+                let x = margin;
+                columns.forEach((column, index) => {
+                    const value = pdfExporter.fitText(pdfExporter.toWinAnsi(cells[index]), column.width - 8, fontSize, bold);
+                    const offset = column.align === 'right'
+                        ? column.width - 4 - pdfExporter.textWidth(value, fontSize, bold)
+                        : 4;
+                    text(x + offset, y - rowHeight + 4, value, fontSize, bold);
+                    x += column.width;
+                });
+                y -= rowHeight;
+                ops.push(`${num(margin)} ${num(y)} m ${num(margin + contentWidth)} ${num(y)} l S`);
+            };
+
+            if (y - rowHeight * 2 < bottom) {
+                newPage();
+            }
+            drawRow(columns.map(column => column.label), true);
+            rows.forEach(cells => {
+                if (y - rowHeight < bottom) {
+                    newPage();
+                    drawRow(columns.map(column => column.label), true);
+                }
+                drawRow(cells, false);
+            });
+        };
+
+        const domainCounts = new Map();
+        records.forEach(record => {
+            domainCounts.set(record.domain, (domainCounts.get(record.domain) || 0) + 1);
+        });
+        const domains = Array.from(domainCounts.entries())
+            .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]));
+
+        newPage();
+        heading('Extracted Email Addresses', 18, 8);
+        heading(`Generated on: ${generatedAt.toLocaleString()}`, 10, 4);
+        heading(`Total emails: ${records.length}    Domains: ${domains.length}`, 10, 18);
+
+        heading('Emails per domain', 12, 6);
+        table([
+            { label: 'Domain', width: contentWidth - 80 },
+            { label: 'Emails', width: 80, align: 'right' }
+        ], domains.map(([domain, count]) => [domain || '(none)', String(count)]));
+        y -= 18;
+
+        heading('Email list', 12, 6);
+        table([
+            { label: '#', width: 32, align: 'right' },
+            { label: 'Email', width: 170 },
+            { label: 'Type', width: 60 },
+            { label: 'Source URL', width: contentWidth - 362 },
+            { label: 'Tags', width: 100 }
+        ], records.map((record, index) => [
+            String(index + 1),
+            record.email,
+            record.classification || '',
+            record.sourceUrl,
+            Array.isArray(record.tags) ? record.tags.join(', ') : ''
+        ]));
+
+        pages.forEach((page, index) => {
+            const label = `Page ${index + 1} of ${pages.length}`;
+            const x = (pageWidth - pdfExporter.textWidth(label, 8)) / 2;
+            page.push(`BT /F1 8 Tf ${num(x)} ${num(margin / 2)} Td (${label}) Tj ET`);
+        });
+
+        // Serialize: objects 1-4 are fixed, then a page and its content per page
+        const objects = [];
+        const pageRefs = pages.map((page, index) => `${5 + index * 2} 0 R`);
+        objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+        objects[2] = `<< /Type /Pages /Kids [${pageRefs.join(' ')}] /Count ${pages.length} >>`;
+        objects[3] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>';
+        objects[4] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>';
+        pages.forEach((page, index) => {
+            const stream = page.join('\n');
+            objects[5 + index * 2] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${num(pageWidth)} ${num(pageHeight)}] ` +
+                `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${6 + index * 2} 0 R >>`;
+            objects[6 + index * 2] = `<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`;
+        });
+        const infoId = objects.length;
+        const pad = (value) => String(value).padStart(2, '0');
+        const date = `D:${generatedAt.getUTCFullYear()}${pad(generatedAt.getUTCMonth() + 1)}${pad(generatedAt.getUTCDate())}` +
+            `${pad(generatedAt.getUTCHours())}${pad(generatedAt.getUTCMinutes())}${pad(generatedAt.getUTCSeconds())}Z`;
+        objects[infoId] = `<< /Title (Extracted Email Addresses) /Producer (Email Scraper) /CreationDate (${date}) >>`;
+
+        // Every character is a single byte, so string offsets are byte offsets
+        let output = '%PDF-1.4\n%\xe2\xe3\xcf\xd3\n';
+        const offsets = [];
+        for (let id = 1; id < objects.length; id++) {
+            offsets[id] = output.length;
+            output += `${id} 0 obj\n${objects[id]}\nendobj\n`;
+        }
+        const xrefOffset = output.length;
+        output += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+        for (let id = 1; id < objects.length; id++) {
+            output += `${String(offsets[id]).padStart(10, '0')} 00000 n \n`;
+        }
+        output += `trailer\n<< /Size ${objects.length} /Root 1 0 R /Info ${infoId} 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+        const bytes = new Uint8Array(output.length);
+        for (let i = 0; i < output.length; i++) {
+            bytes[i] = output.charCodeAt(i) & 0xff;
+        }
+        return bytes;
+    }
+};
+
+/**
+ * XLSX export: an Office Open XML workbook zipped in the browser
+ */
+const xlsxExporter = {
+    crcTable: null,
+
+    /**
+     * CRC-32 as used by zip
+     * @param {Uint8Array} bytes - Data to checksum
+     * @returns {number} - Unsigned CRC
+     */
+    crc32: (bytes) => {
+        if (!xlsxExporter.crcTable) {
+            xlsxExporter.crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+                }
+                xlsxExporter.crcTable[n] = c;
+            }
+        }
+
+        let crc = 0xffffffff;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = xlsxExporter.crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xffffffff) >>> 0;
+    },
+
+    /**
+     * Build an uncompressed (stored) zip archive
+     * @param {Array<Object>} files - { name, content } with string content
+     * @param {Date} date - Modification time for every entry
+     * @returns {Uint8Array} - Zip file bytes
+     */
+    zip: (files, date = new Date()) => {
+        const encoder = new TextEncoder();
+        const dosTime = (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1);
+        const dosDate = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+        const localParts = [];
+        const centralParts = [];
+        let offset = 0;
+
+        const header = (size) => {
+            const buffer = new Uint8Array(size);
+            return { buffer, view: new DataView(buffer.buffer) };
+        };
+
+        files.forEach(file => {
+            const name = encoder.encode(file.name);
+            const data = encoder.encode(file.content);
+            const crc = xlsxExporter.crc32(data);
+
+            const local = header(30);
+            local.view.setUint32(0, 0x04034b50, true);
+            local.view.setUint16(4, 20, true);
+            local.view.setUint16(6, 0x0800, true); // UTF-8 names
+            local.view.setUint16(8, 0, true); // stored
+            local.view.setUint16(10, dosTime, true);
+            local.view.setUint16(12, dosDate, true);
+            local.view.setUint32(14, crc, true);
+            local.view.setUint32(18, data.length, true);
+            local.view.setUint32(22, data.length, true);
+            local.view.setUint16(26, name.length, true);
+            localParts.push(local.buffer, name, data);
+
+            const central = header(46);
+            central.view.setUint32(0, 0x02014b50, true);
+            central.view.setUint16(4, 20, true);
+            central.view.setUint16(6, 20, true);
+            central.view.setUint16(8, 0x0800, true);
+            central.view.setUint16(10, 0, true);
+            central.view.setUint16(12, dosTime, true);
+            central.view.setUint16(14, dosDate, true);
+            central.view.setUint32(16, crc, true);
+            central.view.setUint32(20, data.length, true);
+            central.view.setUint32(24, data.length, true);
+            central.view.setUint16(28, name.length, true);
+            central.view.setUint32(42, offset, true);
+            centralParts.push(central.buffer, name);
+
+            offset += 30 + name.length + data.length;
+        });
+
+        const centralSize = centralParts.reduce((total, part) => total + part.length, 0);
+        const end = header(22);
+        end.view.setUint32(0, 0x06054b50, true);
+        end.view.setUint16(8, files.length, true);
+        end.view.setUint16(10, files.length, true);
+        end.view.setUint32(12, centralSize, true);
+        end.view.setUint32(16, offset, true);
+
+        const parts = [...localParts, ...centralParts, end.buffer];
+        const output = new Uint8Array(offset + centralSize + 22);
+        let position = 0;
+        parts.forEach(part => {
+            output.set(part, position);
+            position += part.length;
+        });
+        return output;
+    },
+
+    /**
+     * Escape text for XML, dropping characters XML cannot hold
+     */
+    escapeXml: (value) => {
+        return String(value === null || value === undefined ? '' : value)
+            .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f\ufffe\uffff]/g, '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    },
+
+    /**
+     * Spreadsheet column letter for a zero-based index (0 -> A, 26 -> AA)
+     */
+    columnName: (index) => {
+        let name = '';
+        for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+            name = String.fromCharCode(65 + (n - 1) % 26) + name;
+        }
+        return name;
+    },
+
+    /**
+     * Build one cell
+     * Cells are { type: 'string' | 'number' | 'date', value, bold }
+     */
+    cellXml: (cell, reference) => {
+        if (cell.value === '' || cell.value === null || cell.value === undefined) {
+            return '';
+        }
+        if (cell.type === 'number') {
+            return `<c r="${reference}"><v>${Number(cell.value)}</v></c>`;
+        }
+        if (cell.type === 'date') {
+            // Excel counts days from 1899-12-30 and has no time zones, so
+            // shift to local time to show what the popup shows
+            const local = cell.value - new Date(cell.value).getTimezoneOffset() * 60000;
+            const serial = local / 86400000 + 25569;
+            return `<c r="${reference}" s="2"><v>${serial}</v></c>`;
+        }
+        const style = cell.bold ? ' s="1"' : '';
+        return `<c r="${reference}" t="inlineStr"${style}><is><t xml:space="preserve">${xlsxExporter.escapeXml(cell.value)}</t></is></c>`;
+    },
+
+    /**
+     * Build a worksheet
+     * @param {Array<Array<Object>>} rows - Rows of cells
+     * @param {Array<number>} widths - Column widths in characters
+     * @param {Object} options - { freezeHeader, autoFilter }
+     */
+    sheetXml: (rows, widths, options = {}) => {
+        const lastColumn = xlsxExporter.columnName(widths.length - 1);
+        const views = options.freezeHeader
+            ? '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>'
+            : '';
+        const cols = widths.map((width, index) => `<col min="${index + 1}" max="${index + 1}" width="${width}" customWidth="1"/>`).join('');
+        const rowsXml = rows.map((cells, rowIndex) => {
+            const cellsXml = cells.map((cell, columnIndex) =>
+                xlsxExporter.cellXml(cell, `${xlsxExporter.columnName(columnIndex)}${rowIndex + 1}`)).join('');
+            return `<row r="${rowIndex + 1}">${cellsXml}</row>`;
+        }).join('');
+        const filter = options.autoFilter && rows.length > 1 ? `<autoFilter ref="A1:${lastColumn}${rows.length}"/>` : '';
+
+        return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+            '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+            `${views}<cols>${cols}</cols><sheetData>${rowsXml}</sheetData>${filter}</worksheet>`;
+    },
+
+    /**
+     * Build the workbook: a typed contacts sheet and a summary by domain and source page
+     * @param {Array} records - Email records
+     * @returns {Uint8Array} - XLSX file bytes
+     */
+    build: (records) => {
+        const text = (value) => ({ type: 'string', value: value });
+        const header = (labels) => labels.map(label => ({ type: 'string', value: label, bold: true }));
+        const contact = (record, field) => record.contact ? record.contact[field] : '';
+
+        const contactRows = [header(['Email', 'Name', 'Title', 'Organization', 'Phone', 'Domain', 'Source URL',
+            'Page Title', 'Extractor', 'Decoding', 'First Seen', 'Last Seen', 'Tags', 'Notes', 'Type', 'Deliverability'])];
+        records.forEach(record => {
+            contactRows.push([
+                text(record.email),
+                text(contact(record, 'name')),
+                text(contact(record, 'title')),
+                text(contact(record, 'organization')),
+                text(record.contact ? record.contact.phones.join('; ') : ''),
+                text(record.domain),
+                text(record.sourceUrl),
+                text(record.pageTitle),
+                text(record.extractor),
+                text(record.decoding || ''),
+                { type: 'date', value: record.firstSeen },
+                { type: 'date', value: record.lastSeen },
+                text(Array.isArray(record.tags) ? record.tags.join('; ') : ''),
+                text(record.notes || ''),
+                text(record.classification || ''),
+                text(record.verification ? record.verification.status : '')
+            ]);
+        });
+
+        const countBy = (key) => {
+            const counts = new Map();
+            records.forEach(record => {
+                const entry = counts.get(record[key]) || { record: record, count: 0 };
+                entry.count++;
+                counts.set(record[key], entry);
+            });
+            return Array.from(counts.entries()).sort((a, b) => b[1].count - a[1].count || String(a[0]).localeCompare(String(b[0])));
+        };
+
+        const summaryRows = [header(['Domain', 'Emails'])];
+        countBy('domain').forEach(([domain, entry]) => {
+            summaryRows.push([text(domain), { type: 'number', value: entry.count }]);
+        });
+        summaryRows.push([]);
+        summaryRows.push(header(['Source Page', 'Page Title', 'Emails']));
+        countBy('sourceUrl').forEach(([sourceUrl, entry]) => {
+            summaryRows.push([text(sourceUrl), text(entry.record.pageTitle), { type: 'number', value: entry.count }]);
+        });
+
+        const xmlHeader = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+        const files = [
+            {
+                name: '[Content_Types].xml',
+                content: xmlHeader +
+                    '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+                    '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+                    '<Default Extension="xml" ContentType="application/xml"/>' +
+                    '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+                    '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+                    '<Override PartName="/xl/worksheets/sheet2.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+                    '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+                    '</Types>'
+            },
+            {
+                name: '_rels/.rels',
+                content: xmlHeader +
+                    '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+                    '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+                    '</Relationships>'
+            },
+            {
+                name: 'xl/workbook.xml',
+                content: xmlHeader +
+                    '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+                    '<sheets><sheet name="Contacts" sheetId="1" r:id="rId1"/><sheet name="Summary" sheetId="2" r:id="rId2"/></sheets>' +
+                    '</workbook>'
+            },
+            {
+                name: 'xl/_rels/workbook.xml.rels',
+                content: xmlHeader +
+                    '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+                    '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>' +
+                    '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet2.xml"/>' +
+                    '<Relationship Id="rId3" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>' +
+                    '</Relationships>'
+            },
+            {
+                // Styles: 0 default, 1 bold header, 2 date-time
+                name: 'xl/styles.xml',
+                content: xmlHeader +
+                    '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+                    '<numFmts count="1"><numFmt numFmtId="164" formatCode="yyyy-mm-dd hh:mm:ss"/></numFmts>' +
+                    '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+                    '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+                    '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+                    '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+                    '<cellXfs count="3">' +
+                    '<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+                    '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>' +
+                    '<xf numFmtId="164" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+                    '</cellXfs>' +
+                    '<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>' +
+                    '</styleSheet>'
+            },
+            {
+                name: 'xl/worksheets/sheet1.xml',
+                content: xlsxExporter.sheetXml(contactRows, [32, 22, 22, 22, 18, 22, 45, 30, 12, 14, 20, 20, 18, 40, 12, 14],
+                    { freezeHeader: true, autoFilter: true })
+            },
+            {
+                name: 'xl/worksheets/sheet2.xml',
+                content: xlsxExporter.sheetXml(summaryRows, [45, 30, 10])
+            }
+        ];
+
+        return xlsxExporter.zip(files);
+    }
+};
+
+/**
+ * Build an export file
+ * @param {string} format - csv, json, txt, vcf, vcf4, xlsx or pdf
+ * @param {Array} records - Email records to export
+ * @param {Object} options - CSV options: { columns, delimiter, bom }
+ * @returns {Object} - { content, filename, mimeType }
+ */
+function buildExport(format, records, options = {}) {
+    switch (format) {
+        case 'csv':
+            return { content: csvExporter.build(records, options), filename: 'emails.csv', mimeType: 'text/csv' };
+        case 'json':
+            return {
+                content: JSON.stringify({ emails: records, count: records.length, exportedAt: new Date().toISOString() }, null, 2),
+                filename: 'emails.json',
+                mimeType: 'application/json'
+            };
+        case 'vcf':
+        case 'vcf4':
+            return {
+                content: vcardExporter.build(records, format === 'vcf4' ? '4.0' : '3.0'),
+                filename: 'emails.vcf',
+                mimeType: 'text/vcard'
+            };
+        case 'xlsx':
+            return {
+                content: xlsxExporter.build(records),
+                filename: 'emails.xlsx',
+                mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+            };
+        case 'pdf':
+            return { content: pdfExporter.build(records), filename: 'emails.pdf', mimeType: 'application/pdf' };
+        case 'txt':
+        default:
+            // One address per line, followed by the page it was found on and its tags
+            return {
+                content: records
+                    .map(record => {
+                        const tags = Array.isArray(record.tags) ? record.tags.join(', ') : '';
+                        return [record.email, record.sourceUrl, tags].join('\t')
+                            .replace(/\t+$/, '');
+                    })
+                    .join('\n'),
+                filename: 'emails.txt',
+                mimeType: 'text/plain'
+            };
+    }
+}
+
+/**
+ * Save an export file through chrome.downloads
+ * @param {Object} file - { content, filename, mimeType } from buildExport()
+ * @returns {Promise<void>} - Resolves once the download has started
+ */
+function downloadExport(file) {
+    return new Promise((resolve, reject) => {
+        const blob = new Blob([file.content], { type: file.mimeType });
+        const url = URL.createObjectURL(blob);
+
+        chrome.downloads.download({
+            url: url,
+            filename: file.filename,
+            saveAs: true
+        }, () => {
+            URL.revokeObjectURL(url);
+            if (chrome.runtime.lastError) {
+                reject(new Error(chrome.runtime.lastError.message));
+            } else {
+                resolve();
+            }
+        });
+    });
+}
+
+// Export for Node-based tests
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { formatTimestamp, csvExporter, vcardExporter, pdfExporter, xlsxExporter, buildExport };
+}
@@ -0,0 +1,249 @@
+/**
+ * Email Scraper Extension - Fixture Tests
+ * Loads the real content script, with the files the manifest injects before
+ * it and the page bridge, into jsdom for every page in fixtures/ and compares what
+ * EmailExtractor.extractEmails() returns with the page's .json file, then
+ * checks that watch mode reports addresses rendered later, shadow roots
+ * included. Exits non-zero on any difference.
+ *
+ *   npm test                        run every suite
+ *   node fixture-test.js [name...]  run some fixtures
+ *   node fixture-test.js --update   rewrite the expected output after a deliberate change
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { JSDOM, VirtualConsole } = require('jsdom');
+
+const FIXTURE_DIR = path.join(__dirname, 'fixtures');
+
+// Same files, same order as the extension injects them. jsdom has one world,
+// so the page bridge and the content script share it; they only talk through
+// DOM events, which works the same either way
+const CONTENT_SCRIPTS = require('./manifest.json').content_scripts.flatMap(entry => entry.js);
+
+const FixtureTests = {
+    source: null,
+
+    /**
+     * The content scripts as one script, so their top-level declarations
+     * share a scope as they do in the page
+     * @returns {string}
+     */
+    getSource: function() {
+        if (!this.source) {
+            this.source = CONTENT_SCRIPTS
+                .map(file => fs.readFileSync(path.join(__dirname, file), 'utf8'))
+                .join('\n;\n') + '\n;window.EmailExtractor = EmailExtractor;';
+        }
+        return this.source;
+    },
+
+    /**
+     * Fixture names, from the .html files
+     * @returns {Array<string>}
+     */
+    listFixtures: function() {
+        return fs.readdirSync(FIXTURE_DIR)
+            .filter(file => file.endsWith('.html'))
+            .map(file => file.slice(0, -5))
+            .sort();
+    },
+
+    /**
+     * The parts of a record that extraction decides; timestamps, ids and
+     * snippets are left out
+     * @param {Object} record - From extractEmails()
+     * @returns {Object}
+     */
+    summarize: function(record) {
+        return {
+            email: record.email,
+            domain: record.domain,
+            extractor: record.extractor,
+            decoding: record.decoding,
+            classification: record.classification,
+            contact: record.contact
+        };
+    },
+
+    /**
+     * Run the extractor on one fixture page
+     * Inline scripts in the page run first, so fixtures can build shadow
+     * roots and frame documents
+     * @param {string} name - Fixture name
+     * @returns {Array<Object>} - Summarized records
+     */
+    extract: function(name) {
+        const html = fs.readFileSync(path.join(FIXTURE_DIR, `${name}.html`), 'utf8');
+        const errors = [];
+        const virtualConsole = new VirtualConsole();
+        virtualConsole.on('error', (...args) => errors.push(args.join(' ')));
+        virtualConsole.on('jsdomError', error => errors.push(error.stack || error.message));
+
+        const dom = new JSDOM(html, {
+            url: `https://fixtures.test/${name}.html`,
+            runScripts: 'dangerously',
+            pretendToBeVisual: true,
+            virtualConsole: virtualConsole
+        });
+        try {
+            dom.window.eval(this.getSource());
+            const records = dom.window.EmailExtractor.extractEmails();
+            if (errors.length > 0) {
+                throw new Error(errors.join('\n'));
+            }
+            // Round-trip so the result holds plain objects rather than the window's
+            return JSON.parse(JSON.stringify(records.map(record => this.summarize(record))));
+        } finally {
+            dom.window.close();
+        }
+    },
+
+    /**
+     * Compare one fixture with its expected output
+     * @param {string} name - Fixture name
+     * @param {boolean} update - Write the actual output instead of comparing
+     * @returns {boolean}
+     */
+    check: function(name, update) {
+        const expectedFile = path.join(FIXTURE_DIR, `${name}.json`);
+        let actual;
+        try {
+            actual = this.extract(name);
+        } catch (error) {
+            console.error(`❌ ${name}: extraction failed\n${error.message}`);
+            return false;
+        }
+
+        const actualJson = JSON.stringify(actual, null, 2) + '\n';
+        if (update) {
+            fs.writeFileSync(expectedFile, actualJson);
+            console.log(`📝 ${name}: wrote ${actual.length} records`);
+            return true;
+        }
+        if (!fs.existsSync(expectedFile)) {
+            console.error(`❌ ${name}: no expected output, run with --update to create fixtures/${name}.json`);
+            return false;
+        }
+
+        const expected = JSON.parse(fs.readFileSync(expectedFile, 'utf8'));
+        if (JSON.stringify(expected) === JSON.stringify(actual)) {
+            console.log(`✅ ${name}: ${actual.length} records`);
+            return true;
+        }
+
+        console.error(`❌ ${name}: output differs from fixtures/${name}.json`);
+        const length = Math.max(expected.length, actual.length);
+        for (let i = 0; i < length; i++) {
+            const want = JSON.stringify(expected[i]);
+            const got = JSON.stringify(actual[i]);
+            if (want !== got) {
+                console.error(`   record ${i}\n     expected: ${want}\n     actual:   ${got}`);
+            }
+        }
+        return false;
+    },
+
+    /**
+     * Run the fixtures
+     * @param {Array<string>} args - Fixture names and/or --update
+     * @returns {boolean} - True when every fixture matched
+     */
+    run: function(args) {
+        const update = args.includes('--update');
+        const requested = args.filter(arg => !arg.startsWith('--'));
+        const available = this.listFixtures();
+        const unknown = requested.filter(name => !available.includes(name));
+        if (unknown.length > 0) {
+            console.error(`❌ Unknown fixtures: ${unknown.join(', ')}`);
+            return false;
+        }
+
+        console.log('🧪 Running extraction fixtures...');
+        const names = requested.length > 0 ? requested : available;
+        const passed = names.filter(name => this.check(name, update)).length;
+
+        console.log(`\n📊 Fixture Summary: ${passed}/${names.length} fixtures passed`);
+        return passed === names.length;
+    }
+};
+
+/**
+ * Watch mode on a live jsdom page: addresses rendered after it starts are
+ * sent to the background, including inside open shadow roots
+ */
+const WatchTests = {
+    /**
+     * Add addresses to an existing shadow root and to one created after
+     * the watcher started, and collect the addEmails messages
+     * @returns {Promise<boolean>}
+     */
+    testShadowRootMutations: async function() {
+        const dom = new JSDOM('<body><p>Office: <a href="mailto:office@adventure-works.io">office@adventure-works.io</a></p>' +
+            '<div id="team"></div>' +
+            '<script>document.getElementById("team").attachShadow({ mode: "open" }).innerHTML = "<ul></ul>";</script></body>', {
+            url: 'https://fixtures.test/watch.html',
+            runScripts: 'dangerously',
+            pretendToBeVisual: true,
+            virtualConsole: new VirtualConsole()
+        });
+        const window = dom.window;
+        const settle = () => new Promise(resolve => window.setTimeout(resolve, 20));
+
+        try {
+            window.eval(FixtureTests.getSource() + '\n;window.EmailWatcher = EmailWatcher; window.messageProtocol = messageProtocol;');
+            const sent = [];
+            window.messageProtocol.send = (type, payload) => {
+                sent.push(...payload.emails.map(record => record.email));
+                return Promise.resolve({});
+            };
+            window.EmailWatcher.debounceMs = 0;
+            window.EmailWatcher.start(window.EmailExtractor.extractEmails());
+
+            const document = window.document;
+            document.getElementById('team').shadowRoot.querySelector('ul').innerHTML = '<li>Ada: ada@adventure-works.io</li>';
+            await settle();
+            const existingRoot = sent.slice();
+
+            // A host added later is scanned, and from then on its shadow root is watched
+            const host = document.createElement('div');
+            document.body.appendChild(host);
+            host.attachShadow({ mode: 'open' }).innerHTML = '<p></p>';
+            await settle();
+            host.shadowRoot.querySelector('p').textContent = 'Press: press@adventure-works.io';
+            await settle();
+            window.EmailWatcher.stop();
+
+            const checks = [
+                [existingRoot.join() === 'ada@adventure-works.io', 'Address added to an existing shadow root is sent'],
+                [sent.join() === 'ada@adventure-works.io,press@adventure-works.io', 'Address added to a later shadow root is sent'],
+                [!sent.includes('office@adventure-works.io'), 'Addresses found before the start are not sent again']
+            ];
+            checks.forEach(([ok, label]) => console[ok ? 'log' : 'error'](`${ok ? '✅' : '❌'} ${label}`));
+            if (!checks.every(([ok]) => ok)) {
+                console.error(`   sent: ${sent.join(', ') || '(nothing)'}`);
+            }
+            return checks.every(([ok]) => ok);
+        } finally {
+            window.close();
+        }
+    }
+};
+
+if (require.main === module) {
+    (async () => {
+        const args = process.argv.slice(2);
+        let passed = FixtureTests.run(args);
+        // Only with the whole suite; named fixtures and --update are about extraction
+        if (args.length === 0) {
+            console.log('\n👀 Running watch mode checks...');
+            passed = await WatchTests.testShadowRootMutations() && passed;
+        }
+        if (!passed) {
+            process.exitCode = 1;
+        }
+    })();
+}
+
+module.exports = { FixtureTests, WatchTests };
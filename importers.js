@@ -0,0 +1,288 @@
+/**
+ * Email Scraper Extension - Import Formats
+ * Readers for the files the popup imports: the extension's own JSON, CSV,
+ * TXT and vCard exports (exporters.js), and CSV from elsewhere
+ */
+
+/**
+ * Turn file contents into email records; validating and saving them is
+ * left to the caller
+ */
+const recordImporter = {
+    // Fields a CSV column can be mapped to
+    fields: {
+        email: 'Email',
+        name: 'Name',
+        title: 'Title',
+        organization: 'Organization',
+        phone: 'Phone',
+        sourceUrl: 'Source URL',
+        pageTitle: 'Page Title',
+        extractor: 'Extractor',
+        firstSeen: 'First Seen',
+        lastSeen: 'Last Seen',
+        tags: 'Tags',
+        notes: 'Notes'
+    },
+
+    // Other header spellings recognised without asking
+    headerAliases: {
+        'e-mail': 'email',
+        'email address': 'email',
+        'e-mail address': 'email',
+        'mail': 'email',
+        'full name': 'name',
+        'job title': 'title',
+        'company': 'organization',
+        'phone number': 'phone',
+        'telephone': 'phone',
+        'url': 'sourceUrl',
+        'labels': 'tags',
+        'note': 'notes'
+    },
+
+    /**
+     * Split CSV text into rows (RFC 4180: quoted fields may hold delimiters,
+     * doubled quotes and line breaks)
+     * @param {string} text - CSV content
+     * @param {string} delimiter - Field delimiter
+     * @returns {Array<Array<string>>} - Rows of fields
+     */
+    parseCsv: (text, delimiter) => {
+        const rows = [];
+        let row = [];
+        let field = '';
+        let quoted = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (quoted) {
+                if (char === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"' && field === '') {
+                quoted = true;
+            } else if (char === delimiter) {
+                row.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') {
+                    i++;
+                }
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+
+        if (field !== '' || row.length > 0) {
+            row.push(field);
+            rows.push(row);
+        }
+        return rows.filter(fields => fields.some(value => value.trim() !== ''));
+    },
+
+    /**
+     * Guess the delimiter from the header line
+     */
+    detectDelimiter: (text) => {
+        const firstLine = text.split(/\r?\n/, 1)[0];
+        return [',', ';', '\t']
+            .map(delimiter => ({ delimiter, count: firstLine.split(delimiter).length }))
+            .sort((a, b) => b.count - a.count)[0].delimiter;
+    },
+
+    /**
+     * Map CSV headers to fields; unknown headers map to nothing
+     * @param {Array<string>} headers - Header row
+     * @returns {Object} - Field name to column index
+     */
+    mapHeaders: (headers) => {
+        const labels = {};
+        Object.entries(recordImporter.fields).forEach(([field, label]) => {
+            labels[label.toLowerCase()] = field;
+        });
+
+        const mapping = {};
+        headers.forEach((header, index) => {
+            const key = header.trim().toLowerCase();
+            const field = labels[key] || recordImporter.headerAliases[key];
+            if (field && mapping[field] === undefined) {
+                mapping[field] = index;
+            }
+        });
+        return mapping;
+    },
+
+    /**
+     * Parse a timestamp written by an export (ISO 8601) or a spreadsheet
+     */
+    parseTimestamp: (value) => {
+        const time = value ? Date.parse(value) : NaN;
+        return isNaN(time) ? null : time;
+    },
+
+    /**
+     * Split tags on commas, dropping blanks and repeats
+     * @param {string} text - e.g. "lead, follow up"
+     * @returns {Array<string>} - Tags, at most 40 characters each
+     */
+    parseTags: (text) => {
+        const tags = String(text || '').split(',')
+            .map(tag => tag.trim().substring(0, 40))
+            .filter(Boolean);
+        return [...new Set(tags)];
+    },
+
+    /**
+     * Build a record from mapped values
+     * @param {Object} values - Field name to string value
+     * @returns {Object} - Email record, before validation
+     */
+    toRecord: (values) => {
+        const now = Date.now();
+        const firstSeen = recordImporter.parseTimestamp(values.firstSeen) || now;
+        const phones = (values.phone || '').split(';').map(phone => phone.trim()).filter(Boolean);
+        const hasContact = values.name || values.title || values.organization || phones.length > 0;
+
+        return {
+            email: (values.email || '').trim(),
+            sourceUrl: values.sourceUrl || '',
+            pageTitle: values.pageTitle || '',
+            extractor: values.extractor || 'import',
+            snippet: '',
+            decoding: null,
+            contact: hasContact ? {
+                name: values.name || '',
+                title: values.title || '',
+                organization: values.organization || '',
+                phones: phones,
+                sources: ['import']
+            } : null,
+            tags: recordImporter.parseTags((values.tags || '').replace(/;/g, ',')),
+            notes: values.notes || '',
+            firstSeen: firstSeen,
+            lastSeen: recordImporter.parseTimestamp(values.lastSeen) || firstSeen
+        };
+    },
+
+    /**
+     * Turn CSV rows into records using a column mapping
+     * @param {Array<Array<string>>} rows - Data rows, without the header
+     * @param {Object} mapping - Field name to column index
+     */
+    fromCsvRows: (rows, mapping) => {
+        return rows.map(row => {
+            const values = {};
+            Object.entries(mapping).forEach(([field, index]) => {
+                // The CSV export puts an apostrophe before fields that would start a formula
+                values[field] = (row[index] || '').trim().replace(/^'(?=[=+\-@\t\r])/, '');
+            });
+            return recordImporter.toRecord(values);
+        });
+    },
+
+    /**
+     * Records from the JSON export, or any array of records or addresses
+     */
+    fromJson: (text) => {
+        const data = JSON.parse(text);
+        const entries = Array.isArray(data) ? data : (data && Array.isArray(data.emails) ? data.emails : []);
+        return entries.filter(entry => typeof entry === 'string' || (entry && typeof entry === 'object'));
+    },
+
+    /**
+     * Records from the TXT export: one address per line, optionally
+     * followed by tabs and the page it was found on and its tags
+     */
+    fromText: (text) => {
+        return text.split(/\r?\n/)
+            .map(line => line.trim())
+            .filter(Boolean)
+            .map(line => {
+                const [email, sourceUrl, tags] = line.split('\t');
+                return recordImporter.toRecord({ email: email, sourceUrl: sourceUrl, tags: tags });
+            });
+    },
+
+    /**
+     * Unescape a vCard text value
+     */
+    unescapeVcard: (value) => {
+        return value.replace(/\\([\\,;nN])/g, (match, char) => (char === 'n' || char === 'N' ? '\n' : char));
+    },
+
+    /**
+     * Records from a vCard file, one per EMAIL property
+     */
+    fromVcard: (text) => {
+        // Unfold continuation lines first
+        const lines = text.replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+        const records = [];
+        let card = null;
+
+        lines.forEach(line => {
+            const colon = line.indexOf(':');
+            if (colon < 0) {
+                return;
+            }
+            const params = line.substring(0, colon).split(';');
+            const property = params[0].toUpperCase().replace(/^[^.]+\./, '');
+            const value = line.substring(colon + 1);
+
+            if (property === 'BEGIN' && value.toUpperCase() === 'VCARD') {
+                card = { emails: [], phones: [], categories: [] };
+            } else if (!card) {
+                return;
+            } else if (property === 'END') {
+                // The exporter writes the user's notes first, then "Found on:" and the pages
+                const note = card.note || '';
+                const marker = note.search(/(^|\n)Found on:/);
+                const notes = (marker < 0 ? note : note.substring(0, marker)).trim();
+                const sources = marker < 0 ? [] : note.substring(marker).replace(/^\n?Found on:\s*/, '').split('\n').filter(url => /^https?:/.test(url));
+                card.emails.forEach(email => {
+                    records.push(recordImporter.toRecord({
+                        email: email,
+                        // The exporter falls back to the address when there is no name
+                        name: card.name === email ? '' : card.name,
+                        title: card.title,
+                        organization: card.organization,
+                        phone: card.phones.join(';'),
+                        sourceUrl: sources[0] || '',
+                        tags: card.categories.join(','),
+                        notes: notes
+                    }));
+                });
+                card = null;
+            } else if (property === 'EMAIL') {
+                card.emails.push(recordImporter.unescapeVcard(value).replace(/^mailto:/i, ''));
+            } else if (property === 'FN') {
+                card.name = recordImporter.unescapeVcard(value);
+            } else if (property === 'TITLE') {
+                card.title = recordImporter.unescapeVcard(value);
+            } else if (property === 'ORG') {
+                card.organization = recordImporter.unescapeVcard(value.split(/(?<!\\);/)[0]);
+            } else if (property === 'TEL') {
+                card.phones.push(recordImporter.unescapeVcard(value).replace(/^tel:/i, ''));
+            } else if (property === 'NOTE') {
+                card.note = recordImporter.unescapeVcard(value);
+            } else if (property === 'CATEGORIES') {
+                card.categories.push(...value.split(/(?<!\\),/).map(recordImporter.unescapeVcard));
+            }
+        });
+        return records;
+    }
+};
+
+// Export for Node-based tests
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { recordImporter };
+}
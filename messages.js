@@ -0,0 +1,369 @@
+/**
+ * Email Scraper Extension - Message Protocol
+ * The one definition of every message exchanged between the content script,
+ * the popup, the dashboard and the background worker.
+ *
+ * A request is { protocol, version, id, type, payload }; its reply is
+ * { protocol, version, replyTo, success, payload } or { ..., success: false,
+ * error }, replyTo carrying the request id. Payloads are checked against the
+ * schemas below when sent and when received, replies when answered and when
+ * read. send() resolves to the reply payload or rejects with the error;
+ * listen() answers the requests addressed to one role.
+ */
+
+const messageProtocol = {
+    name: 'email-scraper',
+
+    // Bump when a message changes shape; mismatched requests are refused
+    version: 1,
+
+    /**
+     * Field types: 'string', 'number', 'boolean', 'object', 'any' or
+     * 'record' (an email record: an object with a string email), with '[]'
+     * for an array of them and '?' for an optional field; or a nested schema.
+     * `to` is the role that answers: content (one tab, needs tabId),
+     * background, or popup. Popup messages are notifications: the popup may
+     * be closed, in which case send() resolves to null
+     */
+    messages: {
+        ping: {
+            to: 'content',
+            request: {},
+            response: { status: 'string' }
+        },
+        extractEmails: {
+            to: 'content',
+            request: {},
+            response: { emails: 'record[]' }
+        },
+        collectPageLinks: {
+            to: 'content',
+            request: {},
+            response: { links: 'string[]', robots: 'string' }
+        },
+        refreshDetection: {
+            to: 'content',
+            request: {},
+            response: { count: 'number' }
+        },
+        storePageEmails: {
+            to: 'background',
+            request: {
+                pageData: { emails: 'record[]', url: 'string', detectedAt: 'number?', source: 'string?' }
+            },
+            response: { count: 'number' }
+        },
+        addEmails: {
+            to: 'background',
+            request: { emails: 'record[]', removeDuplicates: 'boolean?' },
+            response: { count: 'number' }
+        },
+        getStoredEmails: {
+            to: 'background',
+            request: {},
+            response: { emails: 'record[]', count: 'number' }
+        },
+        clearStoredEmails: {
+            to: 'background',
+            request: {},
+            response: {}
+        },
+        verifyEmails: {
+            to: 'background',
+            request: { ids: 'number[]' },
+            response: { count: 'number' }
+        },
+        startCrawl: {
+            to: 'background',
+            request: { options: 'object' },
+            response: { job: 'object' }
+        },
+        pauseCrawl: {
+            to: 'background',
+            request: {},
+            response: { job: 'object' }
+        },
+        resumeCrawl: {
+            to: 'background',
+            request: {},
+            response: { job: 'object' }
+        },
+        cancelCrawl: {
+            to: 'background',
+            request: {},
+            response: { job: 'object' }
+        },
+        getCrawlStatus: {
+            to: 'background',
+            request: {},
+            response: { job: 'object?' }
+        },
+        emailsDetected: {
+            to: 'popup',
+            request: { emails: 'record[]', count: 'number', url: 'string' },
+            response: {}
+        },
+        crawlProgress: {
+            to: 'popup',
+            request: { job: 'object?' },
+            response: {}
+        }
+    },
+
+    // Chrome's errors when nobody answers a runtime message
+    noReceiverPattern: /Could not establish connection|Receiving end does not exist|message port closed|message channel closed/i,
+
+    nextId: 0,
+
+    /**
+     * Check a value against a field type
+     * @param {*} value - Value to check
+     * @param {string|Object} type - Field type or nested schema
+     * @param {string} path - Field path for the error message
+     * @returns {string} - Problem description, or '' when the value fits
+     */
+    checkField: function(value, type, path) {
+        if (typeof type === 'object') {
+            return this.checkPayload(value, type, path);
+        }
+
+        const optional = type.endsWith('?');
+        const base = optional ? type.slice(0, -1) : type;
+        if (value === undefined || value === null) {
+            return optional ? '' : `${path} is required`;
+        }
+        if (base.endsWith('[]')) {
+            if (!Array.isArray(value)) {
+                return `${path} must be an array`;
+            }
+            for (let i = 0; i < value.length; i++) {
+                const problem = this.checkField(value[i], base.slice(0, -2), `${path}[${i}]`);
+                if (problem) {
+                    return problem;
+                }
+            }
+            return '';
+        }
+
+        switch (base) {
+            case 'any':
+                return '';
+            case 'record':
+                return value && typeof value === 'object' && !Array.isArray(value) && typeof value.email === 'string'
+                    ? ''
+                    : `${path} must be an email record`;
+            case 'object':
+                return typeof value === 'object' && !Array.isArray(value) ? '' : `${path} must be an object`;
+            case 'number':
+                return typeof value === 'number' && !isNaN(value) ? '' : `${path} must be a number`;
+            default:
+                return typeof value === base ? '' : `${path} must be a ${base}`;
+        }
+    },
+
+    /**
+     * Check a payload against a schema; fields the schema does not name are refused
+     * @param {*} payload - Payload to check
+     * @param {Object} schema - Field names to types
+     * @param {string} [path] - Path of the payload, for nested schemas
+     * @returns {string} - Problem description, or '' when the payload fits
+     */
+    checkPayload: function(payload, schema, path = 'payload') {
+        if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+            return `${path} must be an object`;
+        }
+        for (const key of Object.keys(payload)) {
+            if (!Object.prototype.hasOwnProperty.call(schema, key)) {
+                return `${path}.${key} is not part of the message`;
+            }
+        }
+        for (const [key, type] of Object.entries(schema)) {
+            const problem = this.checkField(payload[key], type, `${path}.${key}`);
+            if (problem) {
+                return problem;
+            }
+        }
+        return '';
+    },
+
+    /**
+     * Build a request
+     * @param {string} type - Message type
+     * @param {Object} [payload] - Request payload
+     * @returns {Object} - Request envelope
+     */
+    createRequest: function(type, payload = {}) {
+        const definition = this.messages[type];
+        if (!definition) {
+            throw new Error(`Unknown message type: ${type}`);
+        }
+        const problem = this.checkPayload(payload, definition.request);
+        if (problem) {
+            throw new Error(`Invalid ${type} request: ${problem}`);
+        }
+        this.nextId++;
+        return {
+            protocol: this.name,
+            version: this.version,
+            id: `${type}-${Date.now().toString(36)}-${this.nextId}-${Math.random().toString(36).slice(2, 8)}`,
+            type: type,
+            payload: payload
+        };
+    },
+
+    /**
+     * Build the reply to a request
+     * @param {Object} request - Request envelope (only its id is used)
+     * @param {Object|null} payload - Reply payload on success
+     * @param {string} [error] - Error message on failure
+     * @returns {Object} - Reply envelope
+     */
+    createReply: function(request, payload, error) {
+        const reply = {
+            protocol: this.name,
+            version: this.version,
+            replyTo: request && typeof request.id === 'string' ? request.id : null,
+            success: !error
+        };
+        if (error) {
+            reply.error = error;
+        } else {
+            reply.payload = payload;
+        }
+        return reply;
+    },
+
+    /**
+     * Check a received request
+     * @param {*} message - What onMessage received
+     * @returns {string} - Problem description, or '' for a valid request
+     */
+    checkRequest: function(message) {
+        if (!message || typeof message !== 'object' || message.protocol !== this.name || typeof message.id !== 'string') {
+            return 'Invalid message';
+        }
+        if (message.version !== this.version) {
+            return `Unsupported protocol version ${message.version} (expected ${this.version})`;
+        }
+        const definition = this.messages[message.type];
+        if (!definition) {
+            return 'Unknown message type';
+        }
+        const problem = this.checkPayload(message.payload, definition.request);
+        return problem ? `Invalid ${message.type} request: ${problem}` : '';
+    },
+
+    /**
+     * Unwrap a reply: its payload, or an Error for a failure or a reply
+     * that does not belong to the request
+     * @param {Object} request - Request envelope
+     * @param {*} reply - What the receiver answered
+     * @returns {Object|Error}
+     */
+    readReply: function(request, reply) {
+        if (!reply || typeof reply !== 'object' || reply.protocol !== this.name || reply.replyTo !== request.id) {
+            return new Error(`Malformed reply to ${request.type}`);
+        }
+        if (reply.version !== this.version) {
+            return new Error(`Reply uses protocol version ${reply.version} (expected ${this.version})`);
+        }
+        if (!reply.success) {
+            return new Error(reply.error || `${request.type} failed`);
+        }
+        const problem = this.checkPayload(reply.payload, this.messages[request.type].response);
+        return problem ? new Error(`Invalid ${request.type} reply: ${problem}`) : reply.payload;
+    },
+
+    /**
+     * Send a request and wait for its reply
+     * @param {string} type - Message type
+     * @param {Object} [payload] - Request payload
+     * @param {Object} [options] - { tabId, frameId } for content messages
+     * @returns {Promise<Object|null>} - Reply payload; null when a popup
+     *     notification finds no popup open
+     */
+    send: function(type, payload = {}, options = {}) {
+        return new Promise((resolve, reject) => {
+            const request = this.createRequest(type, payload);
+            const definition = this.messages[type];
+            const callback = (reply) => {
+                const lastError = chrome.runtime.lastError;
+                if (lastError) {
+                    if (definition.to === 'popup' && this.noReceiverPattern.test(lastError.message || '')) {
+                        resolve(null);
+                    } else {
+                        reject(new Error(lastError.message));
+                    }
+                    return;
+                }
+                const result = this.readReply(request, reply);
+                result instanceof Error ? reject(result) : resolve(result);
+            };
+
+            if (definition.to === 'content') {
+                if (typeof options.tabId !== 'number') {
+                    throw new Error(`${type} is sent to a tab and needs a tabId`);
+                }
+                chrome.tabs.sendMessage(options.tabId, request, { frameId: options.frameId || 0 }, callback);
+            } else {
+                chrome.runtime.sendMessage(request, callback);
+            }
+        });
+    },
+
+    /**
+     * Answer the requests addressed to a role
+     * Handlers take (payload, sender) and return the reply payload, or a
+     * promise of it; a thrown error becomes the reply's error. The background
+     * and content scripts also refuse malformed requests; extension pages
+     * leave them, and everything not addressed to them, to the background
+     * @param {string} role - 'content', 'background' or 'popup'
+     * @param {Object} handlers - Message type to handler
+     * @returns {Function} - The onMessage listener, for removeListener
+     */
+    listen: function(role, handlers) {
+        const answersMalformed = role === 'content' || role === 'background';
+        const listener = (message, sender, sendResponse) => {
+            const problem = this.checkRequest(message);
+            if (problem) {
+                if (!answersMalformed) {
+                    return false;
+                }
+                sendResponse(this.createReply(message, null, problem));
+                return false;
+            }
+            const definition = this.messages[message.type];
+            if (definition.to !== role) {
+                return false;
+            }
+            const handler = handlers[message.type];
+            if (!handler) {
+                sendResponse(this.createReply(message, null, `${message.type} is not handled here`));
+                return false;
+            }
+
+            Promise.resolve()
+                .then(() => handler(message.payload, sender))
+                .then(result => {
+                    const payload = result === undefined ? {} : result;
+                    const invalid = this.checkPayload(payload, definition.response);
+                    if (invalid) {
+                        console.error(`Message protocol: ${message.type} handler returned an invalid reply: ${invalid}`);
+                        sendResponse(this.createReply(message, null, `Invalid ${message.type} reply: ${invalid}`));
+                    } else {
+                        sendResponse(this.createReply(message, payload));
+                    }
+                })
+                .catch(error => sendResponse(this.createReply(message, null, error && error.message ? error.message : String(error))));
+            // Keep the channel open for the asynchronous reply
+            return true;
+        };
+        chrome.runtime.onMessage.addListener(listener);
+        return listener;
+    }
+};
+
+// Export for Node-based tests
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { messageProtocol };
+}
@@ -0,0 +1,755 @@
+/**
+ * Email Scraper Extension - Messaging Tests
+ * Runs background.js and popup.js in Node against the in-memory Chrome fake
+ * (chrome-fake.js) and drives the messages they exchange with content
+ * scripts: page detections, watch mode batches, the popup's reads and
+ * clears, badges, exports, protocol validation (messages.js), and the
+ * races and lastError paths around tabs that close mid-way. Exits non-zero
+ * on any failure.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { JSDOM, VirtualConsole } = require('jsdom');
+const { IDBFactory, IDBKeyRange } = require('fake-indexeddb');
+const { ChromeFake } = require('./chrome-fake.js');
+const { messageProtocol } = require('./messages.js');
+const { TestUtils } = require('./test.js');
+
+const read = (file) => fs.readFileSync(path.join(__dirname, file), 'utf8');
+
+/**
+ * Test environment: one fake browser profile with its own IndexedDB, and
+ * the extension contexts started in it
+ */
+const Harness = {
+    /**
+     * @param {Object} [options] - Passed to ChromeFake.create()
+     * @returns {Object} - { hub, indexedDB, logs }
+     */
+    create: function(options) {
+        return {
+            hub: ChromeFake.create(options),
+            indexedDB: new IDBFactory(),
+            logs: []
+        };
+    },
+
+    /**
+     * Console that keeps what a context logs, for assertions
+     * @param {Array} logs - Entries of { context, level, text }
+     * @param {string} context - Context name
+     */
+    createConsole: function(logs, context) {
+        const write = (level) => (...args) => {
+            logs.push({ context: context, level: level, text: args.map(arg => arg instanceof Error || (arg && arg.message) ? arg.message : String(arg)).join(' ') });
+        };
+        return { log: write('log'), info: write('info'), debug: write('debug'), warn: write('warn'), error: write('error') };
+    },
+
+    /**
+     * Log lines of one context and level
+     */
+    logged: function(env, context, level) {
+        return env.logs.filter(entry => entry.context === context && entry.level === level).map(entry => entry.text);
+    },
+
+    /**
+     * Start the background service worker
+     * @returns {Object} - { chrome, eval(code) } to reach its top-level bindings
+     */
+    startBackground: function(env) {
+        const chrome = env.hub.context('background');
+        const sandbox = {
+            chrome: chrome,
+            console: this.createConsole(env.logs, 'background'),
+            indexedDB: env.indexedDB,
+            IDBKeyRange: IDBKeyRange,
+            BroadcastChannel: env.hub.broadcastChannelFor(chrome),
+            setTimeout, clearTimeout, setInterval, clearInterval,
+            URL, URLSearchParams, TextEncoder, TextDecoder, AbortController, btoa, atob,
+            fetch: async () => {
+                throw new Error('Network access is disabled in tests');
+            },
+            importScripts: (...files) => files.forEach(file => vm.runInContext(read(file), sandbox, { filename: file }))
+        };
+        sandbox.self = sandbox;
+        vm.createContext(sandbox);
+        vm.runInContext(read('background.js'), sandbox, { filename: 'background.js' });
+        return {
+            chrome: chrome,
+            eval: (code) => vm.runInContext(code, sandbox)
+        };
+    },
+
+    /**
+     * Open the popup with the scripts popup.html loads
+     * @returns {Object} - { chrome, window, document, hooks, close() }
+     */
+    openPopup: function(env) {
+        const html = read('popup.html');
+        const scripts = Array.from(html.matchAll(/<script src="([^"]+)"><\/script>/g), match => match[1]);
+        const chrome = env.hub.context('popup');
+        const dom = new JSDOM(html.replace(/<script src="[^"]+"><\/script>/g, ''), {
+            url: chrome.runtime.getURL('popup.html'),
+            runScripts: 'outside-only',
+            pretendToBeVisual: true,
+            virtualConsole: new VirtualConsole()
+        });
+        const window = dom.window;
+        window.chrome = chrome;
+        window.console = this.createConsole(env.logs, 'popup');
+        window.indexedDB = env.indexedDB;
+        window.IDBKeyRange = IDBKeyRange;
+        window.BroadcastChannel = env.hub.broadcastChannelFor(chrome);
+        // jsdom has no blob: URLs; downloads only need a string
+        window.URL.createObjectURL = () => 'blob:chrome-extension://popup/export';
+        window.URL.revokeObjectURL = () => {};
+
+        window.eval(scripts.map(read).join('\n;\n') +
+            '\n;window.popupTestHooks = { emailManager, emailStore, get extractedEmails() { return extractedEmails; } };');
+
+        return {
+            chrome: chrome,
+            window: window,
+            document: window.document,
+            hooks: window.popupTestHooks,
+            close: () => {
+                env.hub.closeContext(chrome);
+                window.close();
+            }
+        };
+    },
+
+    /**
+     * Start a content script in a tab that answers with the given handlers
+     * @param {Object} handlers - Message type to (payload, sender) => reply
+     *     payload, or to a promise of one; ping is answered unless overridden
+     * @returns {Object} - The content script's chrome object
+     */
+    attachContent: function(env, tabId, handlers = {}) {
+        const chrome = env.hub.context('content', { tabId: tabId });
+        const all = { ping: () => ({ status: 'ready' }), ...handlers };
+        chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+            const handler = all[message.type];
+            if (messageProtocol.checkRequest(message) || !handler) {
+                return false;
+            }
+            Promise.resolve(handler(message.payload, sender)).then(payload => {
+                sendResponse(messageProtocol.createReply(message, payload));
+            });
+            return true;
+        });
+        return chrome;
+    },
+
+    /**
+     * Send a raw message from a context and wait for the answer through the
+     * callback, reporting lastError instead of throwing
+     * @returns {Promise<Object>} - { response, error }
+     */
+    send: function(chromeApi, message) {
+        return new Promise(resolve => {
+            chromeApi.runtime.sendMessage(message, (response) => {
+                const error = chromeApi.runtime.lastError;
+                resolve({ response: response, error: error ? error.message : null });
+            });
+        });
+    },
+
+    /**
+     * Send a protocol request from a context
+     * @returns {Promise<Object>} - { reply, result, error }: the reply
+     *     envelope, its payload (an Error for a failed reply) and lastError
+     */
+    request: async function(chromeApi, type, payload) {
+        const request = messageProtocol.createRequest(type, payload);
+        const { response, error } = await this.send(chromeApi, request);
+        return {
+            reply: response,
+            result: error ? null : messageProtocol.readReply(request, response),
+            error: error
+        };
+    },
+
+    /**
+     * A record as the content script reports it
+     */
+    record: function(email, sourceUrl, extra = {}) {
+        return {
+            email: email,
+            sourceUrl: sourceUrl,
+            pageTitle: 'Contact',
+            extractor: 'text',
+            snippet: `Write to ${email}`,
+            decoding: null,
+            elementPath: 'body > p',
+            firstSeen: 1700000000000,
+            lastSeen: 1700000000000,
+            ...extra
+        };
+    }
+};
+
+/**
+ * Background message handling
+ */
+const BackgroundMessagingTests = {
+    /**
+     * storePageEmails from a content script: page stored, tab badge set
+     */
+    testStorePageEmails: async () => {
+        const env = Harness.create();
+        const background = Harness.startBackground(env);
+        const tab = env.hub.openTab({ url: 'https://northwind-traders.com/contact' });
+        const content = Harness.attachContent(env, tab.id);
+        await env.hub.settle();
+
+        const pageData = {
+            emails: [Harness.record('sales@northwind-traders.com', tab.url), Harness.record('jane@northwind-traders.com', tab.url)],
+            url: tab.url,
+            detectedAt: Date.now(),
+            source: 'automatic-detection'
+        };
+        const { result, error } = await Harness.request(content, 'storePageEmails', { pageData: pageData });
+        await env.hub.settle();
+
+        const stored = await background.eval('emailStore').getPage(tab.url);
+        const badge = env.hub.badgeFor(tab.id);
+        return [
+            TestUtils.assert(!error && result.count === 2, 'storePageEmails answers with the page count'),
+            TestUtils.assert(stored && stored.emails.length === 2 && stored.tabId === tab.id, 'Page detection is stored with the sender tab'),
+            TestUtils.assert(badge.text === '2' && badge.color === '#28a745', 'Sender tab badge shows the count'),
+            TestUtils.assert(env.hub.badge.text === '', 'Global badge is untouched'),
+            TestUtils.assert(env.hub.uncheckedErrors.length === 0, 'No unchecked lastError')
+        ].every(Boolean);
+    },
+
+    /**
+     * Malformed requests are answered with an error instead of being dropped
+     */
+    testInvalidMessages: async () => {
+        const env = Harness.create();
+        Harness.startBackground(env);
+        const popup = env.hub.context('popup');
+        await env.hub.settle();
+
+        const envelope = (type, payload, version = messageProtocol.version) => ({
+            ...messageProtocol.createRequest('getStoredEmails'),
+            type: type,
+            payload: payload,
+            version: version
+        });
+        const legacy = await Harness.send(popup, { type: 'getStoredEmails' });
+        const unknownRequest = envelope('launchRockets', {});
+        const unknown = await Harness.send(popup, unknownRequest);
+        const newer = await Harness.send(popup, envelope('getStoredEmails', {}, messageProtocol.version + 1));
+        const badPage = await Harness.send(popup, envelope('storePageEmails', { pageData: { emails: 'a@b.c', url: 'https://fabrikam.co.uk/' } }));
+        const badEmails = await Harness.send(popup, envelope('addEmails', { emails: null }));
+        const extra = await Harness.send(popup, envelope('clearStoredEmails', { everything: true }));
+        const notHere = await Harness.send(popup, envelope('extractEmails', {}));
+        let refusedLocally = null;
+        try {
+            messageProtocol.createRequest('verifyEmails', { ids: ['1'] });
+        } catch (error) {
+            refusedLocally = error.message;
+        }
+
+        return [
+            TestUtils.assert(legacy.response.error === 'Invalid message' && !legacy.response.success, 'Message without an envelope is rejected'),
+            TestUtils.assert(unknown.response.error === 'Unknown message type', 'Unknown type is rejected'),
+            TestUtils.assert(newer.response.error === `Unsupported protocol version ${messageProtocol.version + 1} (expected ${messageProtocol.version})`, 'Other protocol versions are rejected'),
+            TestUtils.assert(badPage.response.error === 'Invalid storePageEmails request: payload.pageData.emails must be an array', 'storePageEmails validates its page data'),
+            TestUtils.assert(badEmails.response.error === 'Invalid addEmails request: payload.emails is required', 'addEmails validates its emails'),
+            TestUtils.assert(extra.response.error === 'Invalid clearStoredEmails request: payload.everything is not part of the message', 'Unknown payload fields are rejected'),
+            TestUtils.assert(notHere.error === ChromeFake.errors.portClosed, 'Content messages are left unanswered by the background'),
+            TestUtils.assert(unknown.response.replyTo === unknownRequest.id, 'Errors carry the request id'),
+            TestUtils.assert(refusedLocally === 'Invalid verifyEmails request: payload.ids[0] must be a number', 'Invalid requests are refused before sending')
+        ].every(Boolean);
+    },
+
+    /**
+     * Watch mode batches from a content script: merged, normalized, badged
+     * and verified
+     */
+    testAddEmailsSequence: async () => {
+        const env = Harness.create({ storage: { settings: { verification: { resolver: 'offline' } } } });
+        const background = Harness.startBackground(env);
+        const tab = env.hub.openTab({ url: 'https://contoso-labs.net/team' });
+        const content = Harness.attachContent(env, tab.id);
+        await env.hub.settle();
+
+        // Checks should look up pending records, never read every collection
+        const store = background.eval('emailStore');
+        const getAll = store.getAll;
+        let fullReads = 0;
+        store.getAll = function(collectionId) {
+            fullReads += collectionId === undefined ? 1 : 0;
+            return getAll.apply(this, arguments);
+        };
+
+        const first = await Harness.request(content, 'addEmails', {
+            emails: [Harness.record('ada@contoso-labs.net', tab.url), Harness.record('grace@contoso-labs.net', tab.url)],
+            removeDuplicates: true
+        });
+        const second = await Harness.request(content, 'addEmails', {
+            emails: [
+                Harness.record('ADA@Contoso-Labs.net', tab.url, { lastSeen: 1800000000000 }),
+                Harness.record('alan@contoso-labs.net', tab.url),
+                Harness.record('not-an-address', tab.url)
+            ],
+            removeDuplicates: true
+        });
+        await env.hub.settle();
+
+        const reads = fullReads;
+        const records = await getAll.call(store);
+        const pending = await store.getPendingVerification();
+        const ada = records.find(record => record.email === 'ada@contoso-labs.net');
+        return [
+            TestUtils.assert(first.result.count === 2, 'First batch stores two addresses'),
+            TestUtils.assert(second.result.count === 3, 'Second batch merges the duplicate and drops the invalid entry'),
+            TestUtils.assert(records.length === 3, 'Collection holds three records'),
+            TestUtils.assert(ada && ada.lastSeen === 1800000000000, 'Duplicate sighting updates lastSeen'),
+            TestUtils.assert(env.hub.badgeFor(tab.id).text === '3', 'Tab badge follows the collection size'),
+            TestUtils.assert(env.hub.badge.text === '3', 'Global badge follows the active collection'),
+            TestUtils.assert(records.every(record => record.verification && record.verification.status === 'valid'), 'Stored records are verified in the background'),
+            TestUtils.assert(pending.length === 0 && records.every(record => !('verificationPending' in record)), 'Verified records leave the pending index'),
+            TestUtils.assert(reads === 0, 'Verification reads only pending records')
+        ].every(Boolean);
+    },
+
+    /**
+     * The popup reads and clears the active collection through the background
+     */
+    testGetAndClearStoredEmails: async () => {
+        const env = Harness.create();
+        const background = Harness.startBackground(env);
+        const tab = env.hub.openTab({ url: 'https://fabrikam.co.uk/' });
+        const content = Harness.attachContent(env, tab.id);
+        const popup = env.hub.context('popup');
+        await env.hub.settle();
+
+        await Harness.request(content, 'addEmails', { emails: [Harness.record('info@fabrikam.co.uk', tab.url)], removeDuplicates: true });
+        await env.hub.settle();
+        const listed = await Harness.request(popup, 'getStoredEmails');
+        const cleared = await Harness.request(popup, 'clearStoredEmails');
+        await env.hub.settle();
+        const after = await Harness.request(popup, 'getStoredEmails');
+
+        return [
+            TestUtils.assert(listed.result.count === 1 && listed.result.emails[0].email === 'info@fabrikam.co.uk', 'getStoredEmails returns the active collection'),
+            TestUtils.assert(cleared.reply.success && Object.keys(cleared.result).length === 0, 'clearStoredEmails succeeds'),
+            TestUtils.assert(after.result.count === 0 && (await background.eval('emailStore').count()) === 0, 'Collection is empty afterwards'),
+            TestUtils.assert(env.hub.badge.text === '', 'Global badge is cleared')
+        ].every(Boolean);
+    },
+
+    /**
+     * The sender's tab closes before the background validates it
+     */
+    testTabClosedBeforeValidation: async () => {
+        const env = Harness.create();
+        const background = Harness.startBackground(env);
+        const tab = env.hub.openTab({ url: 'https://litware-inc.com/' });
+        const content = Harness.attachContent(env, tab.id);
+        await env.hub.settle();
+
+        let answered = false;
+        content.runtime.sendMessage(messageProtocol.createRequest('storePageEmails', {
+            pageData: { emails: [Harness.record('frame@litware-inc.com', tab.url)], url: tab.url }
+        }), () => {
+            answered = true;
+        });
+        env.hub.closeTab(tab.id);
+        await env.hub.settle();
+
+        const stored = await background.eval('emailStore').getPage(tab.url);
+        return [
+            TestUtils.assert(!stored, 'Nothing is stored for the closed tab'),
+            TestUtils.assert(!answered, 'The closed page gets no answer'),
+            TestUtils.assert(Harness.logged(env, 'background', 'warn').some(text => text.includes(`Tab ${tab.id} no longer exists, ignoring message`)), 'Background notes the vanished tab'),
+            TestUtils.assert(env.hub.uncheckedErrors.length === 0, 'tabs.get lastError is checked')
+        ].every(Boolean);
+    },
+
+    /**
+     * The sender's tab closes while the message is being handled
+     */
+    testTabClosedBeforeBadge: async () => {
+        const env = Harness.create();
+        const background = Harness.startBackground(env);
+        const tab = env.hub.openTab({ url: 'https://tailspin-toys.com/' });
+        const content = Harness.attachContent(env, tab.id);
+        await env.hub.settle();
+
+        // Close the tab right after the background has validated it
+        let validated = false;
+        env.hub.intercept('tabs.get', async (args, proceed) => {
+            const result = await proceed();
+            if (!validated && args[0] === tab.id) {
+                validated = true;
+                env.hub.closeTab(tab.id);
+            }
+            return result;
+        });
+
+        content.runtime.sendMessage(messageProtocol.createRequest('storePageEmails', {
+            pageData: { emails: [Harness.record('maria@tailspin-toys.com', tab.url)], url: tab.url }
+        }), () => {});
+        await env.hub.settle();
+
+        const stored = await background.eval('emailStore').getPage(tab.url);
+        return [
+            TestUtils.assert(stored && stored.emails.length === 1, 'The page is still stored'),
+            TestUtils.assert(Harness.logged(env, 'background', 'log').some(text => text.includes(`Tab ${tab.id} no longer exists, skipping badge update`)), 'Badge update is skipped'),
+            TestUtils.assert(Harness.logged(env, 'background', 'error').length === 0, 'No badge call fails'),
+            TestUtils.assert(env.hub.uncheckedErrors.length === 0, 'No unchecked lastError')
+        ].every(Boolean);
+    },
+
+    /**
+     * chrome.action and chrome.tabs failures surface through lastError
+     */
+    testLastErrorPaths: async () => {
+        const env = Harness.create();
+        Harness.startBackground(env);
+        const tab = env.hub.openTab({ url: 'https://adventure-works.io/' });
+        const content = Harness.attachContent(env, tab.id);
+        await env.hub.settle();
+
+        env.hub.failNext('action.setBadgeText', 'Badge text could not be set');
+        const stored = await Harness.request(content, 'storePageEmails', { pageData: { emails: [Harness.record('ada@adventure-works.io', tab.url)], url: tab.url } });
+        await env.hub.settle();
+
+        env.hub.failNext('tabs.get', 'Tabs cannot be edited right now (user may be dragging a tab).');
+        const refused = await Harness.request(content, 'getStoredEmails');
+        await env.hub.settle();
+
+        const errors = Harness.logged(env, 'background', 'error');
+        return [
+            TestUtils.assert(stored.result.count === 1, 'A badge failure does not fail the message'),
+            TestUtils.assert(errors.some(text => text.includes(`Failed to set badge text for tab ${tab.id}: Badge text could not be set`)), 'Badge failure is logged with its lastError'),
+            TestUtils.assert(env.hub.badgeFor(tab.id).color === '#28a745', 'Badge color is still set'),
+            TestUtils.assert(refused.result instanceof Error && refused.result.message === 'Tab no longer exists', 'A failed tab lookup refuses the message'),
+            TestUtils.assert(env.hub.uncheckedErrors.length === 0, 'Every lastError is checked')
+        ].every(Boolean);
+    },
+
+    /**
+     * Tab badges reset when the tab starts loading another page
+     */
+    testBadgeClearedOnNavigation: async () => {
+        const env = Harness.create();
+        Harness.startBackground(env);
+        const tab = env.hub.openTab({ url: 'https://wingtip-travel.org/' });
+        const content = Harness.attachContent(env, tab.id);
+        await env.hub.settle();
+
+        await Harness.request(content, 'storePageEmails', { pageData: { emails: [Harness.record('slot@wingtip-travel.org', tab.url)], url: tab.url } });
+        await env.hub.settle();
+        const before = env.hub.badgeFor(tab.id).text;
+
+        env.hub.navigateTab(tab.id, 'https://wingtip-travel.org/about');
+        await env.hub.settle();
+
+        return [
+            TestUtils.assert(before === '1', 'Badge shows the detection'),
+            TestUtils.assert(env.hub.badgeFor(tab.id).text === '', 'Badge is cleared on navigation')
+        ].every(Boolean);
+    },
+
+    /**
+     * The keyboard shortcut asks the active tab's content script to extract
+     */
+    testKeyboardShortcut: async () => {
+        const env = Harness.create();
+        Harness.startBackground(env);
+        const bare = env.hub.openTab({ url: 'https://northwind-traders.com/' });
+        await env.hub.settle();
+
+        env.hub.runCommand('extract-emails');
+        await env.hub.settle();
+        const failures = Harness.logged(env, 'background', 'error');
+
+        const tab = env.hub.openTab({ url: 'https://fabrikam.co.uk/' });
+        const received = [];
+        Harness.attachContent(env, tab.id, {
+            extractEmails: (payload) => {
+                received.push(payload);
+                return { emails: [] };
+            }
+        });
+        env.hub.runCommand('extract-emails');
+        await env.hub.settle();
+
+        return [
+            TestUtils.assert(failures.some(text => text.includes('Failed to send keyboard shortcut message') && text.includes(ChromeFake.errors.noReceiver)), `Missing content script in tab ${bare.id} is reported`),
+            TestUtils.assert(received.length === 1, 'Content script receives extractEmails'),
+            TestUtils.assert(env.hub.uncheckedErrors.length === 0, 'No unchecked lastError')
+        ].every(Boolean);
+    }
+};
+
+/**
+ * Popup flows
+ */
+const PopupMessagingTests = {
+    /**
+     * Opening the popup on a page the content script already scanned
+     */
+    testPopupPicksUpDetection: async () => {
+        const env = Harness.create();
+        Harness.startBackground(env);
+        const tab = env.hub.openTab({ url: 'https://northwind-traders.com/contact' });
+        const content = Harness.attachContent(env, tab.id);
+        await env.hub.settle();
+
+        await Harness.request(content, 'storePageEmails', {
+            pageData: { emails: [Harness.record('sales@northwind-traders.com', tab.url), Harness.record('jane@northwind-traders.com', tab.url)], url: tab.url }
+        });
+        await env.hub.settle();
+
+        const popup = Harness.openPopup(env);
+        await env.hub.settle();
+        const status = popup.document.getElementById('autoDetectStatus').textContent;
+        const shown = popup.hooks.extractedEmails.map(record => record.email).sort();
+        popup.close();
+
+        return [
+            TestUtils.assert(status === '✅ Found 2', 'Popup reports the stored detection'),
+            TestUtils.assert(shown.join() === 'jane@northwind-traders.com,sales@northwind-traders.com', 'Popup lists and saves the detected emails'),
+            TestUtils.assert(env.hub.badge.text === '2', 'Background refreshes the global badge after the popup saves')
+        ].every(Boolean);
+    },
+
+    /**
+     * Extracting on a tab without a content script injects one first
+     */
+    testPopupInjectsContentScript: async () => {
+        const env = Harness.create();
+        Harness.startBackground(env);
+        const tab = env.hub.openTab({ url: 'https://contoso-labs.net/' });
+        env.hub.events.scriptInjected.addListener((tabId, files, world) => {
+            if (world !== 'ISOLATED') {
+                return;
+            }
+            Harness.attachContent(env, tabId, {
+                extractEmails: () => ({ emails: [Harness.record('careers@contoso-labs.net', tab.url)] })
+            });
+        });
+        await env.hub.settle();
+
+        const popup = Harness.openPopup(env);
+        await env.hub.settle();
+        const before = popup.document.getElementById('autoDetectStatus').textContent;
+
+        popup.document.getElementById('extractBtn').click();
+        await new Promise(resolve => setTimeout(resolve, 1600));
+        await env.hub.settle();
+        const shown = popup.hooks.extractedEmails.map(record => record.email);
+        popup.close();
+
+        const [bridge, injection] = env.hub.injections;
+        return [
+            TestUtils.assert(bridge && bridge.world === 'MAIN' && bridge.files.join() === 'page-bridge.js', 'The page bridge is injected into the page world first'),
+            TestUtils.assert(before === '⚠️ Content script not loaded', 'Popup notices the missing content script'),
+            TestUtils.assert(injection && injection.tabId === tab.id && injection.world === 'ISOLATED' && injection.files[injection.files.length - 1] === 'content.js', 'Content scripts are injected into the isolated world'),
+            TestUtils.assert(shown.length === 1 && shown[0] === 'careers@contoso-labs.net', 'Extracted emails are saved'),
+            TestUtils.assert(env.hub.uncheckedErrors.length === 0, 'No unchecked lastError')
+        ].every(Boolean);
+    },
+
+    /**
+     * Chrome's own pages cannot be scanned
+     */
+    testPopupOnChromePage: async () => {
+        const env = Harness.create();
+        Harness.startBackground(env);
+        env.hub.openTab({ url: 'chrome://extensions/' });
+        await env.hub.settle();
+
+        const popup = Harness.openPopup(env);
+        await env.hub.settle();
+        const status = popup.document.getElementById('autoDetectStatus').textContent;
+        popup.close();
+
+        return TestUtils.assert(status === '⚠️ Chrome page (not supported)', 'Popup refuses chrome:// pages');
+    },
+
+    /**
+     * The tab closes while the popup waits for its extraction
+     */
+    testTabClosedDuringExtraction: async () => {
+        const env = Harness.create();
+        Harness.startBackground(env);
+        const tab = env.hub.openTab({ url: 'https://litware-inc.com/' });
+        // Keeps the channel open and never answers, like a page that hangs
+        Harness.attachContent(env, tab.id, { extractEmails: () => new Promise(() => {}) });
+        await env.hub.settle();
+
+        const popup = Harness.openPopup(env);
+        await env.hub.settle();
+        popup.document.getElementById('extractBtn').click();
+        await env.hub.settle();
+        env.hub.closeTab(tab.id);
+        await new Promise(resolve => setTimeout(resolve, 1100));
+        await env.hub.settle();
+
+        const status = popup.document.getElementById('statusMessage');
+        const button = popup.document.getElementById('extractBtn');
+        const result = [
+            TestUtils.assert(status.className === 'status error' && status.textContent.includes(ChromeFake.errors.noTab(tab.id)), 'Popup reports the closed tab'),
+            TestUtils.assert(!button.disabled, 'Extract button is enabled again'),
+            TestUtils.assert(popup.hooks.extractedEmails.length === 0, 'Nothing is saved')
+        ].every(Boolean);
+        popup.close();
+        return result;
+    },
+
+    /**
+     * Emails a content script announces while the popup is open; only the
+     * popup answers them
+     */
+    testEmailsDetectedWhileOpen: async () => {
+        const env = Harness.create();
+        Harness.startBackground(env);
+        const tab = env.hub.openTab({ url: 'https://tailspin-toys.com/' });
+        const content = Harness.attachContent(env, tab.id);
+        await env.hub.settle();
+
+        const detection = {
+            emails: [Harness.record('office@tailspin-toys.com', tab.url)],
+            count: 1,
+            url: tab.url
+        };
+        const closed = await Harness.request(content, 'emailsDetected', detection);
+
+        const popup = Harness.openPopup(env);
+        await env.hub.settle();
+        const open = await Harness.request(content, 'emailsDetected', detection);
+        await env.hub.settle();
+
+        const status = popup.document.getElementById('autoDetectStatus').textContent;
+        const shown = popup.hooks.extractedEmails.map(record => record.email);
+        popup.close();
+
+        return [
+            TestUtils.assert(closed.error === ChromeFake.errors.portClosed, 'The background leaves detections to the popup'),
+            TestUtils.assert(!open.error && open.reply.success && Object.keys(open.result).length === 0, 'The open popup answers'),
+            TestUtils.assert(status === '✅ Found 1', 'Popup shows the detection'),
+            TestUtils.assert(shown.length === 1 && shown[0] === 'office@tailspin-toys.com', 'Detected emails are saved')
+        ].every(Boolean);
+    },
+
+    /**
+     * Store changes reach the other contexts but not the one that made them
+     */
+    testStoreChangeNotifications: async () => {
+        const env = Harness.create();
+        const background = Harness.startBackground(env);
+        const popup = Harness.openPopup(env);
+        await env.hub.settle();
+
+        const seen = { background: 0, popup: 0 };
+        background.eval('emailStore').onChange(() => seen.background++);
+        popup.hooks.emailStore.onChange(() => seen.popup++);
+
+        // Already verified, so the background has nothing to write back
+        const store = popup.hooks.emailStore;
+        const verified = { ...Harness.record('desk@fabrikam.co.uk', 'https://fabrikam.co.uk/'), verification: { status: 'valid' } };
+        await store.upsert([verified], true, await store.getActiveCollectionId());
+        await env.hub.settle();
+        const afterPopupWrite = { ...seen };
+
+        const [record] = await background.eval('emailStore').getAll();
+        await background.eval('emailStore').patch([{ id: record.id, fields: { notes: 'Front desk' } }]);
+        await env.hub.settle();
+        popup.close();
+
+        return [
+            TestUtils.assert(afterPopupWrite.background === 1 && afterPopupWrite.popup === 0, 'A popup write is reported to the background only'),
+            TestUtils.assert(seen.popup === 1, 'A background write is reported to the popup'),
+            TestUtils.assert(seen.background === 1, 'The background is not told about its own writes')
+        ].every(Boolean);
+    },
+
+    /**
+     * Exports go through chrome.downloads, including its failures
+     */
+    testExportDownloads: async () => {
+        const env = Harness.create();
+        Harness.startBackground(env);
+        const tab = env.hub.openTab({ url: 'https://fabrikam.co.uk/' });
+        const content = Harness.attachContent(env, tab.id);
+        await env.hub.settle();
+        await Harness.request(content, 'addEmails', { emails: [Harness.record('info@fabrikam.co.uk', tab.url)], removeDuplicates: true });
+        await env.hub.settle();
+
+        const popup = Harness.openPopup(env);
+        await env.hub.settle();
+        popup.document.getElementById('exportFormat').value = 'csv';
+        popup.document.getElementById('exportBtn').click();
+        await env.hub.settle();
+        const download = env.hub.downloads[0];
+
+        env.hub.failNext('downloads.download', 'Download was blocked');
+        popup.document.getElementById('exportBtn').click();
+        await env.hub.settle();
+        const status = popup.document.getElementById('statusMessage');
+        const result = [
+            TestUtils.assert(download && /\.csv$/.test(download.filename) && download.saveAs, 'CSV export is handed to chrome.downloads'),
+            TestUtils.assert(status.className === 'status error' && status.textContent === 'Export failed: Download was blocked', 'Download lastError is shown'),
+            TestUtils.assert(env.hub.uncheckedErrors.length === 0, 'No unchecked lastError')
+        ].every(Boolean);
+        popup.close();
+        return result;
+    }
+};
+
+/**
+ * Run all messaging tests
+ * @returns {Promise<boolean>}
+ */
+async function runMessagingTests() {
+    console.log('🚀 Starting Email Scraper Messaging Tests...\n');
+
+    const suites = [
+        ['Store Page Emails', BackgroundMessagingTests.testStorePageEmails],
+        ['Invalid Messages', BackgroundMessagingTests.testInvalidMessages],
+        ['Add Emails Sequence', BackgroundMessagingTests.testAddEmailsSequence],
+        ['Get and Clear Stored Emails', BackgroundMessagingTests.testGetAndClearStoredEmails],
+        ['Tab Closed Before Validation', BackgroundMessagingTests.testTabClosedBeforeValidation],
+        ['Tab Closed Before Badge Update', BackgroundMessagingTests.testTabClosedBeforeBadge],
+        ['lastError Paths', BackgroundMessagingTests.testLastErrorPaths],
+        ['Badge Cleared on Navigation', BackgroundMessagingTests.testBadgeClearedOnNavigation],
+        ['Keyboard Shortcut', BackgroundMessagingTests.testKeyboardShortcut],
+        ['Popup Picks Up Detection', PopupMessagingTests.testPopupPicksUpDetection],
+        ['Popup Injects Content Script', PopupMessagingTests.testPopupInjectsContentScript],
+        ['Popup on Chrome Page', PopupMessagingTests.testPopupOnChromePage],
+        ['Tab Closed During Extraction', PopupMessagingTests.testTabClosedDuringExtraction],
+        ['Emails Detected While Open', PopupMessagingTests.testEmailsDetectedWhileOpen],
+        ['Store Change Notifications', PopupMessagingTests.testStoreChangeNotifications],
+        ['Export Downloads', PopupMessagingTests.testExportDownloads]
+    ];
+
+    const testResults = [];
+    for (const [name, test] of suites) {
+        testResults.push(await TestUtils.runTest(name, test));
+    }
+
+    const passed = testResults.filter(result => result !== false).length;
+    console.log(`\n📊 Messaging Summary: ${passed}/${testResults.length} tests passed`);
+    return passed === testResults.length;
+}
+
+if (require.main === module) {
+    runMessagingTests().then(passed => {
+        if (!passed) {
+            process.exitCode = 1;
+        }
+    });
+}
+
+module.exports = { Harness, BackgroundMessagingTests, PopupMessagingTests, runMessagingTests };
@@ -0,0 +1,839 @@
+/**
+ * Email Scraper Extension - Dashboard
+ * Full-page view of the collection: search, filters, grouping, sorting and
+ * bulk actions over a virtualized table
+ */
+
+// DOM Elements
+const elements = {
+    summary: document.getElementById('summary'),
+    collectionSelect: document.getElementById('collectionSelect'),
+    searchInput: document.getElementById('searchInput'),
+    domainFilter: document.getElementById('domainFilter'),
+    extractorFilter: document.getElementById('extractorFilter'),
+    tagFilter: document.getElementById('tagFilter'),
+    classFilter: document.getElementById('classFilter'),
+    checkFilter: document.getElementById('checkFilter'),
+    groupBy: document.getElementById('groupBy'),
+    selectionCount: document.getElementById('selectionCount'),
+    deleteBtn: document.getElementById('deleteBtn'),
+    tagInput: document.getElementById('tagInput'),
+    addTagBtn: document.getElementById('addTagBtn'),
+    removeTagBtn: document.getElementById('removeTagBtn'),
+    verifyBtn: document.getElementById('verifyBtn'),
+    exportFormat: document.getElementById('exportFormat'),
+    exportBtn: document.getElementById('exportBtn'),
+    statusMessage: document.getElementById('statusMessage'),
+    selectAll: document.getElementById('selectAll'),
+    headers: document.querySelectorAll('.table-head [data-sort]'),
+    tableBody: document.getElementById('tableBody'),
+    tableSpacer: document.getElementById('tableSpacer'),
+    emptyMessage: document.getElementById('emptyMessage'),
+    rulesList: document.getElementById('rulesList'),
+    addRuleBtn: document.getElementById('addRuleBtn'),
+    resetRulesBtn: document.getElementById('resetRulesBtn'),
+    saveRulesBtn: document.getElementById('saveRulesBtn'),
+    ruleTestInput: document.getElementById('ruleTestInput'),
+    ruleTestResult: document.getElementById('ruleTestResult'),
+    listsInfo: document.getElementById('listsInfo'),
+    extraRolePrefixes: document.getElementById('extraRolePrefixes'),
+    extraDisposableDomains: document.getElementById('extraDisposableDomains'),
+    saveListsBtn: document.getElementById('saveListsBtn'),
+    resolverSelect: document.getElementById('resolverSelect'),
+    dohUrlInput: document.getElementById('dohUrlInput'),
+    saveVerificationBtn: document.getElementById('saveVerificationBtn')
+};
+
+// Application State
+let allRecords = [];
+let settings = {};
+const selectedKeys = new Set();
+const collapsedGroups = new Set();
+const searchText = new Map();
+let visibleRows = [];
+let lastClickedIndex = -1;
+const sortState = { key: 'lastSeen', direction: 'descending' };
+
+/**
+ * Helper Functions
+ */
+const helpers = {
+    /**
+     * Identify a record; without deduplication one address can have several
+     * @param {Object} record - Email record
+     * @returns {number} - Store id, unique within the collection
+     */
+    recordKey: (record) => record.id,
+
+    /**
+     * Read stored entries into records, upgrading legacy strings
+     * @param {Array} entries - Records from the email store
+     * @returns {Array} - Email records
+     */
+    toRecords: (entries) => {
+        // Classified with the current lists, as in the popup
+        const lists = emailClassifier.compile(settings.classificationLists);
+        return (Array.isArray(entries) ? entries : [])
+            .map(entry => typeof entry === 'string' ? { email: entry } : entry)
+            .filter(record => record && typeof record.email === 'string')
+            .map(record => ({
+                ...record,
+                domain: record.domain || emailCore.domainOf(record.email),
+                sourceUrl: record.sourceUrl || '',
+                pageTitle: record.pageTitle || '',
+                extractor: record.extractor || 'unknown',
+                tags: Array.isArray(record.tags) ? record.tags : [],
+                notes: typeof record.notes === 'string' ? record.notes : '',
+                classification: emailClassifier.classify(record.email, lists),
+                firstSeen: record.firstSeen || 0,
+                lastSeen: record.lastSeen || record.firstSeen || 0
+            }));
+    },
+
+    /**
+     * Value used to sort a column
+     */
+    sortValue: (record, key) => {
+        switch (key) {
+            case 'name':
+            case 'organization':
+                return record.contact ? record.contact[key] || '' : '';
+            case 'tags':
+                return record.tags.join(', ');
+            case 'verification':
+                return record.verification ? record.verification.status : '';
+            case 'firstSeen':
+            case 'lastSeen':
+                return record[key];
+            default:
+                return record[key] || '';
+        }
+    },
+
+    /**
+     * Lower-cased text of every searchable field
+     */
+    buildSearchText: (record) => {
+        const contact = record.contact || {};
+        return [
+            record.email, record.domain, record.sourceUrl, record.pageTitle, record.extractor, record.snippet, record.classification,
+            record.verification && record.verification.status, contact.name, contact.title, contact.organization, ...(contact.phones || []), ...record.tags, record.notes
+        ].filter(Boolean).join('\n').toLowerCase();
+    },
+
+    /**
+     * Colour a tag chip with the colour picked for it in the popup
+     * @param {HTMLElement} chip - Tag element
+     * @param {string} tag - Tag name
+     */
+    applyTagColor: (chip, tag) => {
+        const color = (settings.tagColors || {})[tag];
+        if (!/^#[0-9a-f]{6}$/i.test(color || '')) {
+            return;
+        }
+        const [r, g, b] = [1, 3, 5].map(offset => parseInt(color.substr(offset, 2), 16));
+        chip.style.backgroundColor = color;
+        chip.style.color = (r * 299 + g * 587 + b * 114) / 1000 > 140 ? '#212529' : '#ffffff';
+    },
+
+    formatDate: (timestamp) => timestamp ? new Date(timestamp).toLocaleString() : '',
+
+    /**
+     * Show a status line
+     * @param {string} message - Text to show
+     * @param {string} type - 'info' or 'error'
+     */
+    showStatus: (message, type = 'info') => {
+        elements.statusMessage.textContent = message;
+        elements.statusMessage.className = `status ${type}`;
+    },
+
+    /**
+     * Fill a filter select with the values present, keeping the current choice
+     */
+    fillSelect: (select, values) => {
+        const current = select.value;
+        while (select.options.length > 1) {
+            select.remove(1);
+        }
+        values.forEach(value => select.appendChild(new Option(value, value)));
+        select.value = values.includes(current) ? current : '';
+    }
+};
+
+/**
+ * Filtering, sorting and grouping
+ */
+const view = {
+    /**
+     * Records matching the search box and filters, sorted
+     */
+    getFilteredRecords: () => {
+        const terms = elements.searchInput.value.toLowerCase().split(/\s+/).filter(Boolean);
+        const domain = elements.domainFilter.value;
+        const extractor = elements.extractorFilter.value;
+        const tag = elements.tagFilter.value;
+        const classification = elements.classFilter.value;
+        const check = elements.checkFilter.value;
+
+        const records = allRecords.filter(record => {
+            if ((domain && record.domain !== domain) ||
+                (extractor && record.extractor !== extractor) ||
+                (tag && !record.tags.includes(tag)) ||
+                (classification && record.classification !== classification) ||
+                (check && (record.verification ? record.verification.status : 'unchecked') !== check)) {
+                return false;
+            }
+            const text = searchText.get(helpers.recordKey(record)) || '';
+            return terms.every(term => text.includes(term));
+        });
+
+        const direction = sortState.direction === 'ascending' ? 1 : -1;
+        return records.sort((a, b) => {
+            const left = helpers.sortValue(a, sortState.key);
+            const right = helpers.sortValue(b, sortState.key);
+            const order = typeof left === 'number' && typeof right === 'number'
+                ? left - right
+                : String(left).localeCompare(String(right));
+            return order * direction || a.email.localeCompare(b.email);
+        });
+    },
+
+    /**
+     * Rows for the table: records, with group headers when grouping
+     * Groups are ordered by size, largest first
+     */
+    buildRows: (records) => {
+        const groupKey = elements.groupBy.value;
+        if (!groupKey) {
+            return records.map(record => ({ type: 'record', record }));
+        }
+
+        const groups = new Map();
+        records.forEach(record => {
+            const key = record[groupKey] || '(none)';
+            if (!groups.has(key)) {
+                groups.set(key, []);
+            }
+            groups.get(key).push(record);
+        });
+
+        const rows = [];
+        Array.from(groups.entries())
+            .sort((a, b) => b[1].length - a[1].length || a[0].localeCompare(b[0]))
+            .forEach(([key, members]) => {
+                rows.push({ type: 'group', key, count: members.length });
+                if (!collapsedGroups.has(key)) {
+                    members.forEach(record => rows.push({ type: 'record', record }));
+                }
+            });
+        return rows;
+    },
+
+    /**
+     * Recompute the rows and redraw everything
+     */
+    refresh: () => {
+        const records = view.getFilteredRecords();
+        visibleRows = view.buildRows(records);
+        lastClickedIndex = -1;
+
+        elements.summary.textContent = records.length === allRecords.length
+            ? `${allRecords.length} emails`
+            : `${records.length} of ${allRecords.length} emails`;
+        elements.selectAll.checked = records.length > 0 &&
+            records.every(record => selectedKeys.has(helpers.recordKey(record)));
+        elements.emptyMessage.classList.toggle('hidden', visibleRows.length > 0);
+
+        elements.headers.forEach(header => {
+            if (header.dataset.sort === sortState.key) {
+                header.setAttribute('aria-sort', sortState.direction);
+            } else {
+                header.removeAttribute('aria-sort');
+            }
+        });
+
+        view.updateSelection();
+        table.render();
+    },
+
+    /**
+     * Rebuild the filter choices from the collection
+     */
+    updateFilters: () => {
+        const unique = (values) => [...new Set(values)].sort((a, b) => a.localeCompare(b));
+        helpers.fillSelect(elements.domainFilter, unique(allRecords.map(record => record.domain)));
+        helpers.fillSelect(elements.extractorFilter, unique(allRecords.map(record => record.extractor)));
+        helpers.fillSelect(elements.tagFilter, unique(allRecords.flatMap(record => record.tags)));
+    },
+
+    /**
+     * Reflect the selection in the bulk action controls
+     */
+    updateSelection: () => {
+        const count = selectedKeys.size;
+        elements.selectionCount.textContent = `${count} selected`;
+        elements.deleteBtn.disabled = count === 0;
+        elements.exportBtn.disabled = count === 0;
+        elements.addTagBtn.disabled = count === 0;
+        elements.removeTagBtn.disabled = count === 0;
+        elements.verifyBtn.disabled = count === 0;
+    }
+};
+
+/**
+ * Virtualized table: only the rows in view (plus a margin) are in the DOM
+ */
+const table = {
+    rowHeight: 32,
+    overscan: 10,
+
+    /**
+     * Draw the rows in the visible window
+     */
+    render: () => {
+        const body = elements.tableBody;
+        elements.tableSpacer.style.height = `${visibleRows.length * table.rowHeight}px`;
+
+        body.querySelectorAll('.table-row').forEach(row => row.remove());
+
+        const first = Math.max(0, Math.floor(body.scrollTop / table.rowHeight) - table.overscan);
+        const count = Math.ceil((body.clientHeight || 600) / table.rowHeight) + table.overscan * 2;
+        const last = Math.min(visibleRows.length, first + count);
+
+        const fragment = document.createDocumentFragment();
+        for (let index = first; index < last; index++) {
+            const row = visibleRows[index].type === 'group'
+                ? table.createGroupRow(visibleRows[index])
+                : table.createRecordRow(visibleRows[index].record);
+            row.style.top = `${index * table.rowHeight}px`;
+            row.dataset.index = String(index);
+            fragment.appendChild(row);
+        }
+        body.appendChild(fragment);
+    },
+
+    /**
+     * Header row for a group; clicking it collapses or expands the group
+     */
+    createGroupRow: (group) => {
+        const row = document.createElement('div');
+        row.className = 'table-row group-row';
+        row.setAttribute('role', 'row');
+        row.setAttribute('aria-expanded', String(!collapsedGroups.has(group.key)));
+
+        const label = document.createElement('div');
+        label.textContent = `${collapsedGroups.has(group.key) ? '▸' : '▾'} ${group.key} (${group.count})`;
+        row.appendChild(label);
+        return row;
+    },
+
+    /**
+     * Row for one record
+     */
+    createRecordRow: (record) => {
+        const key = helpers.recordKey(record);
+        const contact = record.contact || {};
+        const row = document.createElement('div');
+        row.className = 'table-row';
+        row.setAttribute('role', 'row');
+        row.setAttribute('aria-selected', String(selectedKeys.has(key)));
+        row.classList.toggle('selected', selectedKeys.has(key));
+        row.title = [record.pageTitle, record.snippet, record.notes && `Notes: ${record.notes}`].filter(Boolean).join('\n');
+
+        const checkCell = document.createElement('div');
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.checked = selectedKeys.has(key);
+        checkbox.setAttribute('aria-label', `Select ${record.email}`);
+        checkCell.appendChild(checkbox);
+        row.appendChild(checkCell);
+
+        const cell = (text, className = '') => {
+            const div = document.createElement('div');
+            div.setAttribute('role', 'gridcell');
+            div.className = className;
+            div.textContent = text || '';
+            div.title = text || '';
+            row.appendChild(div);
+            return div;
+        };
+
+        cell(record.email, 'email');
+        const verification = record.verification;
+        const checkLabel = cell(verification ? emailVerifier.labels[verification.status] : '', verification ? `check ${verification.status}` : '');
+        if (verification) {
+            checkLabel.title = verification.reasons.length > 0 ? verification.reasons.join('\n') : 'All checks passed';
+        }
+        cell(contact.name);
+        cell(contact.organization);
+        cell(record.domain);
+        cell(record.sourceUrl);
+        cell(record.extractor);
+        const tagCell = cell('');
+        record.tags.forEach(tag => {
+            const span = document.createElement('span');
+            span.className = 'tag';
+            span.textContent = tag;
+            helpers.applyTagColor(span, tag);
+            tagCell.appendChild(span);
+        });
+        cell(helpers.formatDate(record.firstSeen));
+        cell(helpers.formatDate(record.lastSeen));
+        return row;
+    },
+
+    /**
+     * Clicks on rows: toggle a group, or select records (shift-click selects a range)
+     */
+    handleClick: (event) => {
+        const rowElement = event.target.closest('.table-row');
+        if (!rowElement || rowElement.dataset.index === undefined) {
+            return;
+        }
+        const index = parseInt(rowElement.dataset.index, 10);
+        const row = visibleRows[index];
+
+        if (row.type === 'group') {
+            if (collapsedGroups.has(row.key)) {
+                collapsedGroups.delete(row.key);
+            } else {
+                collapsedGroups.add(row.key);
+            }
+            view.refresh();
+            return;
+        }
+
+        const select = !selectedKeys.has(helpers.recordKey(row.record));
+        const from = event.shiftKey && lastClickedIndex >= 0 ? Math.min(lastClickedIndex, index) : index;
+        const to = event.shiftKey && lastClickedIndex >= 0 ? Math.max(lastClickedIndex, index) : index;
+        for (let i = from; i <= to; i++) {
+            if (visibleRows[i].type === 'record') {
+                const key = helpers.recordKey(visibleRows[i].record);
+                if (select) {
+                    selectedKeys.add(key);
+                } else {
+                    selectedKeys.delete(key);
+                }
+            }
+        }
+        lastClickedIndex = index;
+
+        view.updateSelection();
+        table.render();
+    }
+};
+
+/**
+ * Bulk actions on the selected records
+ */
+const actions = {
+    /**
+     * Selected records, in collection order
+     */
+    getSelected: () => allRecords.filter(record => selectedKeys.has(helpers.recordKey(record))),
+
+    /**
+     * Reload the collection after a change made here
+     * (emailStore.onChange only reports changes made by other contexts)
+     */
+    reload: async () => {
+        allRecords = helpers.toRecords(await emailStore.getAll(await emailStore.getActiveCollectionId()));
+        dashboard.reindex();
+    },
+
+    deleteSelected: async () => {
+        const count = selectedKeys.size;
+        if (count === 0 || !window.confirm(`Delete ${count} selected emails?`)) {
+            return;
+        }
+        try {
+            await emailStore.delete(Array.from(selectedKeys));
+            selectedKeys.clear();
+            await actions.reload();
+            view.updateFilters();
+            view.refresh();
+            helpers.showStatus(`Deleted ${count} emails`);
+        } catch (error) {
+            console.error('Dashboard: Delete failed:', error);
+            helpers.showStatus('Delete failed: ' + error.message, 'error');
+        }
+    },
+
+    /**
+     * Add or remove a tag on the selected records
+     * @param {boolean} add - True to add, false to remove
+     */
+    tagSelected: async (add) => {
+        const tag = elements.tagInput.value.trim().substring(0, 40);
+        if (!tag) {
+            helpers.showStatus('Type a tag first', 'error');
+            elements.tagInput.focus();
+            return;
+        }
+        try {
+            // Only the tags of the selected records are written; the rest of
+            // each stored record may have changed since the dashboard loaded
+            await emailStore.patch(actions.getSelected().map(record => {
+                const tags = record.tags.filter(existing => existing !== tag);
+                return { id: record.id, fields: { tags: add ? [...tags, tag] : tags } };
+            }));
+            await actions.reload();
+            view.updateFilters();
+            view.refresh();
+            helpers.showStatus(`${add ? 'Tagged' : 'Untagged'} ${selectedKeys.size} emails "${tag}"`);
+        } catch (error) {
+            console.error('Dashboard: Tagging failed:', error);
+            helpers.showStatus('Tagging failed: ' + error.message, 'error');
+        }
+    },
+
+    /**
+     * Ask the background worker to run the deliverability checks again
+     */
+    verifySelected: async () => {
+        const ids = Array.from(selectedKeys);
+        try {
+            helpers.showStatus(`Checking ${ids.length} emails…`);
+            const { count } = await messageProtocol.send('verifyEmails', { ids: ids });
+            helpers.showStatus(`Checked ${count} emails`);
+        } catch (error) {
+            console.error('Dashboard: Verification failed:', error);
+            helpers.showStatus('Verification failed: ' + error.message, 'error');
+        }
+    },
+
+    exportSelected: async () => {
+        const records = actions.getSelected();
+        const format = elements.exportFormat.value;
+        try {
+            // CSV follows the column, delimiter and BOM choices made in the popup
+            const options = {
+                columns: Array.isArray(settings.csvColumns) ? settings.csvColumns : csvExporter.defaultColumns,
+                delimiter: csvExporter.delimiters[settings.csvDelimiter] || ',',
+                bom: !!settings.csvBom
+            };
+            await downloadExport(buildExport(format, records, options));
+            helpers.showStatus(`Exported ${records.length} emails as ${format.toUpperCase()}`);
+        } catch (error) {
+            console.error('Dashboard: Export failed:', error);
+            helpers.showStatus('Export failed: ' + error.message, 'error');
+        }
+    }
+};
+
+/**
+ * Allow/deny rules editor (rules are stored in settings.emailRules)
+ */
+const rulesEditor = {
+    /**
+     * Show a rule list in the editor
+     * @param {Array} [rules] - Stored rules; the defaults when not an array
+     */
+    render: (rules) => {
+        elements.rulesList.innerHTML = '';
+        (Array.isArray(rules) ? rules : emailRules.defaultRules).forEach(rulesEditor.addRow);
+        rulesEditor.test();
+    },
+
+    /**
+     * Append an editable rule row
+     * @param {Object} rule - { action, type, value }
+     */
+    addRow: (rule = { action: 'deny', type: 'domain', value: '' }) => {
+        const row = document.createElement('div');
+        row.className = 'rule-row';
+        row.setAttribute('role', 'listitem');
+
+        const action = document.createElement('select');
+        action.setAttribute('aria-label', 'Allow or deny');
+        action.append(new Option('Deny', 'deny'), new Option('Allow', 'allow'));
+        action.value = rule.action === 'allow' ? 'allow' : 'deny';
+
+        const type = document.createElement('select');
+        type.setAttribute('aria-label', 'Rule type');
+        Object.entries(emailRules.types).forEach(([key, info]) => type.appendChild(new Option(info.label, key)));
+        type.value = emailRules.types[rule.type] ? rule.type : 'domain';
+
+        const value = document.createElement('input');
+        value.type = 'text';
+        value.value = rule.value || '';
+        value.setAttribute('aria-label', 'Rule value');
+        value.placeholder = emailRules.types[type.value].placeholder;
+
+        const remove = document.createElement('button');
+        remove.className = 'btn';
+        remove.textContent = '✕';
+        remove.setAttribute('aria-label', 'Remove rule');
+
+        type.addEventListener('change', () => {
+            value.placeholder = emailRules.types[type.value].placeholder;
+        });
+        remove.addEventListener('click', () => {
+            row.remove();
+            rulesEditor.test();
+        });
+        [action, type, value].forEach(control => control.addEventListener('input', rulesEditor.test));
+
+        row.append(action, type, value, remove);
+        elements.rulesList.appendChild(row);
+        return value;
+    },
+
+    /**
+     * Rules as currently entered, skipping empty rows
+     * @returns {Array<Object>}
+     */
+    readRows: () => {
+        return Array.from(elements.rulesList.querySelectorAll('.rule-row'))
+            .map(row => {
+                const [action, type, value] = row.querySelectorAll('select, input');
+                return { row: row, rule: { action: action.value, type: type.value, value: value.value.trim() } };
+            })
+            .filter(({ rule }) => rule.value);
+    },
+
+    /**
+     * Show whether the test address would be kept under the entered rules
+     */
+    test: () => {
+        const address = elements.ruleTestInput.value.trim();
+        if (!address.includes('@')) {
+            elements.ruleTestResult.textContent = '';
+            return;
+        }
+        const compiled = emailRules.compile(rulesEditor.readRows().map(({ rule }) => rule));
+        elements.ruleTestResult.textContent = emailRules.isAllowed(address, compiled) ? '✅ Kept' : '🚫 Filtered out';
+    },
+
+    save: async () => {
+        const entries = rulesEditor.readRows();
+        elements.rulesList.querySelectorAll('.rule-row').forEach(row => row.classList.remove('invalid'));
+
+        const invalid = entries.find(({ rule }) => emailRules.validateRule(rule));
+        if (invalid) {
+            invalid.row.classList.add('invalid');
+            helpers.showStatus(emailRules.validateRule(invalid.rule), 'error');
+            return;
+        }
+
+        try {
+            const result = await chrome.storage.local.get(['settings']);
+            const rules = entries.map(({ rule }) => rule);
+            settings = { ...(result.settings || {}), emailRules: rules };
+            await chrome.storage.local.set({ settings: settings });
+            helpers.showStatus(`Saved ${rules.length} filter rules; they apply to emails collected from now on`);
+        } catch (error) {
+            console.error('Dashboard: Could not save rules:', error);
+            helpers.showStatus('Could not save rules: ' + error.message, 'error');
+        }
+    }
+};
+
+/**
+ * Additions to the bundled role and disposable lists
+ * (stored in settings.classificationLists)
+ */
+const listsEditor = {
+    render: () => {
+        const custom = settings.classificationLists || {};
+        const lines = (values) => Array.isArray(values) ? values.join('\n') : '';
+        elements.listsInfo.textContent = `Bundled lists (${emailClassifier.listVersion}): ` +
+            `${emailClassifier.rolePrefixes.length} role prefixes, ${emailClassifier.disposableDomains.length} disposable domains.`;
+        elements.extraRolePrefixes.value = lines(custom.rolePrefixes);
+        elements.extraDisposableDomains.value = lines(custom.disposableDomains);
+    },
+
+    save: async () => {
+        const parse = (textarea) => [...new Set(textarea.value.split(/[\s,]+/)
+            .map(value => value.trim().toLowerCase().replace(/^@/, ''))
+            .filter(Boolean))];
+        try {
+            const lists = {
+                rolePrefixes: parse(elements.extraRolePrefixes),
+                disposableDomains: parse(elements.extraDisposableDomains)
+            };
+            const result = await chrome.storage.local.get(['settings']);
+            settings = { ...(result.settings || {}), classificationLists: lists };
+            await chrome.storage.local.set({ settings: settings });
+            listsEditor.render();
+            helpers.showStatus(`Saved ${lists.rolePrefixes.length} role prefixes and ${lists.disposableDomains.length} disposable domains`);
+        } catch (error) {
+            console.error('Dashboard: Could not save lists:', error);
+            helpers.showStatus('Could not save lists: ' + error.message, 'error');
+        }
+    }
+};
+
+/**
+ * Resolver used for MX lookups (stored in settings.verification)
+ */
+const verificationSettings = {
+    render: () => {
+        const config = settings.verification || {};
+        elements.resolverSelect.value = config.resolver === 'doh' ? 'doh' : 'offline';
+        elements.dohUrlInput.value = config.dohUrl || '';
+        elements.dohUrlInput.disabled = elements.resolverSelect.value !== 'doh';
+    },
+
+    save: async () => {
+        const resolver = elements.resolverSelect.value;
+        const dohUrl = elements.dohUrlInput.value.trim();
+        if (resolver === 'doh' && !/^https?:\/\/[^\s]+$/i.test(dohUrl)) {
+            helpers.showStatus('Enter the DNS-over-HTTPS endpoint URL, e.g. https://127.0.0.1/dns-query', 'error');
+            elements.dohUrlInput.focus();
+            return;
+        }
+        try {
+            const result = await chrome.storage.local.get(['settings']);
+            settings = { ...(result.settings || {}), verification: { resolver: resolver, dohUrl: dohUrl } };
+            await chrome.storage.local.set({ settings: settings });
+            helpers.showStatus('Saved. Select emails and use "Re-check" to check them with the new resolver');
+        } catch (error) {
+            console.error('Dashboard: Could not save verification settings:', error);
+            helpers.showStatus('Could not save verification settings: ' + error.message, 'error');
+        }
+    }
+};
+
+/**
+ * Loading and wiring
+ */
+const dashboard = {
+    /**
+     * Rebuild the search index and drop selections that no longer exist
+     */
+    reindex: () => {
+        searchText.clear();
+        allRecords.forEach(record => searchText.set(helpers.recordKey(record), helpers.buildSearchText(record)));
+        Array.from(selectedKeys).forEach(key => {
+            if (!searchText.has(key)) {
+                selectedKeys.delete(key);
+            }
+        });
+    },
+
+    /**
+     * Fill the collection switcher, archived collections last
+     * @param {Array} collections - From emailStore.getCollections()
+     * @param {number} activeId - Active collection id
+     */
+    renderCollections: (collections, activeId) => {
+        const select = elements.collectionSelect;
+        select.innerHTML = '';
+        [...collections.filter(collection => !collection.archived), ...collections.filter(collection => collection.archived)]
+            .forEach(collection => {
+                const label = `${collection.name}${collection.archived ? ' (archived)' : ''}`;
+                select.appendChild(new Option(label, collection.id));
+            });
+        select.value = activeId;
+    },
+
+    load: async () => {
+        try {
+            const activeId = await emailStore.getActiveCollectionId();
+            const [stored, collections, result] = await Promise.all([
+                emailStore.getAll(activeId),
+                emailStore.getCollections(),
+                chrome.storage.local.get(['settings'])
+            ]);
+            dashboard.renderCollections(collections, activeId);
+            settings = result.settings || {};
+            allRecords = helpers.toRecords(stored);
+            dashboard.reindex();
+            view.updateFilters();
+            view.refresh();
+        } catch (error) {
+            console.error('Dashboard: Error loading emails:', error);
+            helpers.showStatus('Could not load emails: ' + error.message, 'error');
+        }
+    },
+
+    init: () => {
+        let searchTimer = null;
+        // Switching here switches the popup and extraction too
+        elements.collectionSelect.addEventListener('change', async () => {
+            try {
+                await emailStore.setActiveCollection(Number(elements.collectionSelect.value));
+                selectedKeys.clear();
+                await dashboard.load();
+            } catch (error) {
+                console.error('Dashboard: Could not switch collection:', error);
+                helpers.showStatus('Could not switch collection: ' + error.message, 'error');
+            }
+        });
+
+        elements.searchInput.addEventListener('input', () => {
+            clearTimeout(searchTimer);
+            searchTimer = setTimeout(view.refresh, 150);
+        });
+        [elements.domainFilter, elements.extractorFilter, elements.tagFilter, elements.classFilter, elements.checkFilter, elements.groupBy].forEach(select => {
+            select.addEventListener('change', view.refresh);
+        });
+
+        elements.headers.forEach(header => {
+            header.addEventListener('click', () => {
+                const key = header.dataset.sort;
+                if (sortState.key === key) {
+                    sortState.direction = sortState.direction === 'ascending' ? 'descending' : 'ascending';
+                } else {
+                    sortState.key = key;
+                    sortState.direction = 'ascending';
+                }
+                view.refresh();
+            });
+        });
+
+        elements.selectAll.addEventListener('change', () => {
+            view.getFilteredRecords().forEach(record => {
+                if (elements.selectAll.checked) {
+                    selectedKeys.add(helpers.recordKey(record));
+                } else {
+                    selectedKeys.delete(helpers.recordKey(record));
+                }
+            });
+            view.refresh();
+        });
+
+        elements.tableBody.addEventListener('click', table.handleClick);
+        elements.tableBody.addEventListener('scroll', () => window.requestAnimationFrame(table.render));
+        window.addEventListener('resize', table.render);
+
+        elements.deleteBtn.addEventListener('click', actions.deleteSelected);
+        elements.addTagBtn.addEventListener('click', () => actions.tagSelected(true));
+        elements.removeTagBtn.addEventListener('click', () => actions.tagSelected(false));
+        elements.verifyBtn.addEventListener('click', actions.verifySelected);
+        elements.exportBtn.addEventListener('click', actions.exportSelected);
+
+        elements.addRuleBtn.addEventListener('click', () => rulesEditor.addRow().focus());
+        elements.resetRulesBtn.addEventListener('click', () => rulesEditor.render(emailRules.defaultRules));
+        elements.saveRulesBtn.addEventListener('click', rulesEditor.save);
+        elements.ruleTestInput.addEventListener('input', rulesEditor.test);
+        elements.saveListsBtn.addEventListener('click', listsEditor.save);
+        elements.resolverSelect.addEventListener('change', () => {
+            elements.dohUrlInput.disabled = elements.resolverSelect.value !== 'doh';
+        });
+        elements.saveVerificationBtn.addEventListener('click', verificationSettings.save);
+
+        // Follow changes from the popup, crawls and watch mode
+        emailStore.onChange(dashboard.load);
+        chrome.storage.onChanged.addListener((changes, areaName) => {
+            if (areaName === 'local' && changes.settings) {
+                dashboard.load();
+            }
+        });
+
+        // The editors are filled once, so reloads never discard unsaved edits
+        dashboard.load().then(() => {
+            rulesEditor.render(settings.emailRules);
+            listsEditor.render();
+            verificationSettings.render();
+        });
+    }
+};
+
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', dashboard.init);
+} else {
+    dashboard.init();
+}
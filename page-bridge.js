@@ -0,0 +1,143 @@
+/**
+ * Email Scraper Extension - Page Bridge
+ * The content script runs in Chrome's isolated world, where page scripts
+ * cannot reach it. This small script runs in the page's own world for the
+ * few things only page scripts can see: state objects that frameworks keep
+ * in JavaScript, and history.pushState/replaceState calls. It holds no
+ * extension data and has no access to extension APIs.
+ *
+ * The two worlds only share the DOM, so they talk through events on
+ * document whose detail is a JSON string:
+ *
+ *   email-scraper-bridge:request   content -> page   { id, command, ...args }
+ *   email-scraper-bridge:response  content <- page   { id, result }
+ *   email-scraper-bridge:route     content <- page   {} after a history change
+ *
+ * Events are dispatched synchronously, so a request is answered before
+ * dispatchEvent() returns. Commands:
+ *
+ *   readState                 { name: JSON text } for each stateGlobals entry the page defines
+ *   watchRoutes { enabled }   wrap or restore history.pushState/replaceState
+ *
+ * Page scripts can send and answer these events too; the content script
+ * treats whatever comes back as page content, text to scan and nothing more.
+ */
+
+(function() {
+    // Injected twice (manifest and popup/crawler fallback), install once
+    const installed = Symbol.for('emailScraperPageBridge');
+    if (window[installed]) {
+        return;
+    }
+    Object.defineProperty(window, installed, { value: true });
+
+    const pageBridge = {
+        requestEvent: 'email-scraper-bridge:request',
+        responseEvent: 'email-scraper-bridge:response',
+        routeEvent: 'email-scraper-bridge:route',
+
+        // Globals where common frameworks and stores keep server-rendered state
+        stateGlobals: ['__NEXT_DATA__', '__NUXT__', '__INITIAL_STATE__', '__PRELOADED_STATE__', '__APOLLO_STATE__', '__remixContext'],
+
+        // Characters of JSON kept per global; state can hold whole page caches
+        maxStateLength: 1000000,
+
+        originalPushState: null,
+        originalReplaceState: null,
+        pushStateWrapper: null,
+        replaceStateWrapper: null,
+
+        /**
+         * Serialize the state globals the page defines
+         * Globals that are not JSON-serializable (cycles, BigInt) are skipped
+         * @returns {Object} - Global name to JSON text
+         */
+        readState: function() {
+            const state = {};
+            this.stateGlobals.forEach(name => {
+                try {
+                    const value = window[name];
+                    if (value === undefined || value === null || typeof value === 'function') {
+                        return;
+                    }
+                    const json = JSON.stringify(value);
+                    if (typeof json === 'string') {
+                        state[name] = json.substring(0, this.maxStateLength);
+                    }
+                } catch (e) {
+                    // Not serializable, skip
+                }
+            });
+            return state;
+        },
+
+        /**
+         * Announce route changes made through the history API
+         * @param {boolean} enabled - Wrap the methods, or restore them
+         */
+        watchRoutes: function(enabled) {
+            if (enabled && !this.pushStateWrapper) {
+                const bridge = this;
+                this.originalPushState = history.pushState;
+                this.originalReplaceState = history.replaceState;
+                this.pushStateWrapper = function() {
+                    const result = bridge.originalPushState.apply(this, arguments);
+                    bridge.emit(bridge.routeEvent, {});
+                    return result;
+                };
+                this.replaceStateWrapper = function() {
+                    const result = bridge.originalReplaceState.apply(this, arguments);
+                    bridge.emit(bridge.routeEvent, {});
+                    return result;
+                };
+                history.pushState = this.pushStateWrapper;
+                history.replaceState = this.replaceStateWrapper;
+            } else if (!enabled && this.pushStateWrapper) {
+                // Only restore if nobody wrapped them after us; otherwise our
+                // wrappers stay in the chain and the content script ignores
+                // route events while it is not watching
+                if (history.pushState === this.pushStateWrapper) {
+                    history.pushState = this.originalPushState;
+                }
+                if (history.replaceState === this.replaceStateWrapper) {
+                    history.replaceState = this.originalReplaceState;
+                }
+                this.pushStateWrapper = null;
+                this.replaceStateWrapper = null;
+            }
+            return enabled;
+        },
+
+        /**
+         * Dispatch an event to the content script
+         */
+        emit: function(type, message) {
+            document.dispatchEvent(new CustomEvent(type, { detail: JSON.stringify(message) }));
+        },
+
+        /**
+         * Answer one request from the content script
+         */
+        handleRequest: function(event) {
+            let request;
+            try {
+                request = JSON.parse(event.detail);
+            } catch (e) {
+                return;
+            }
+            if (!request || typeof request.id !== 'string') {
+                return;
+            }
+
+            let result = null;
+            if (request.command === 'readState') {
+                result = this.readState();
+            } else if (request.command === 'watchRoutes') {
+                result = this.watchRoutes(request.enabled === true);
+            }
+            this.emit(this.responseEvent, { id: request.id, result: result });
+        }
+    };
+
+    document.addEventListener(pageBridge.requestEvent, event => pageBridge.handleRequest(event));
+})();
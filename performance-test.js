@@ -58,53 +58,26 @@ const PerformanceTest = {
 };
 
 /**
- * Standalone EmailExtractor for Performance Testing
+ * The shared core (core.js) the extension extracts and validates with:
+ * a global on extension pages, a module under Node
  */
-const EmailExtractor = {
-    // Simple email regex for basic validation
-    emailRegex: /[a-zA-Z0-9.!#$%&'*+/=?^_`{|}~-]+@[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?(?:\.[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?)*/g,
+const sharedCore = typeof emailCore !== 'undefined' ? emailCore : require('./core.js').emailCore;
 
-    /**
-     * Validate email format
-     */
+/**
+ * EmailExtractor for Performance Testing, backed by the shared core
+ */
+const EmailExtractor = {
     isValidEmail: function(email) {
-        if (!email || typeof email !== 'string' || email.length > 254) {
-            return false;
-        }
-
-        // Simple validation - just check basic format
-        const atIndex = email.indexOf('@');
-        if (atIndex === -1 || atIndex === 0) {
-            return false;
-        }
-
-        const domain = email.substring(atIndex + 1);
-        return domain.includes('.') && !domain.startsWith('.') && !domain.endsWith('.');
+        return sharedCore.isValidEmail(email);
     },
 
     /**
      * Extract emails from text
      */
     extractFromText: function(text) {
-        if (!text || typeof text !== 'string') {
-            return [];
-        }
-
-        const emails = [];
-        let match;
-
-        // Reset regex
-        this.emailRegex.lastIndex = 0;
-
-        while ((match = this.emailRegex.exec(text)) !== null) {
-            const email = match[0].toLowerCase().trim();
-            if (this.isValidEmail(email) && !emails.includes(email)) {
-                emails.push(email);
-                if (emails.length >= 100) break; // Limit results
-            }
-        }
-
-        return emails;
+        return sharedCore.findInText(text)
+            .map(match => match.email)
+            .slice(0, 100); // Limit results
     }
 };
 
@@ -9,6 +9,7 @@
 const elements = {
     extractBtn: document.getElementById('extractBtn'),
     clearBtn: document.getElementById('clearBtn'),
+    dashboardBtn: document.getElementById('dashboardBtn'),
     refreshBtn: document.getElementById('refreshBtn'),
     exportBtn: document.getElementById('exportBtn'),
     exportFormat: document.getElementById('exportFormat'),
@@ -18,12 +19,51 @@ const elements = {
     emailCount: document.getElementById('emailCount'),
     extractText: document.getElementById('extractText'),
     autoDetectStatus: document.getElementById('autoDetectStatus'),
-    pageInfo: document.getElementById('pageInfo')
+    pageInfo: document.getElementById('pageInfo'),
+    watchMode: document.getElementById('watchMode'),
+    crawlDepth: document.getElementById('crawlDepth'),
+    crawlMaxPages: document.getElementById('crawlMaxPages'),
+    crawlStartBtn: document.getElementById('crawlStartBtn'),
+    crawlPauseBtn: document.getElementById('crawlPauseBtn'),
+    crawlCancelBtn: document.getElementById('crawlCancelBtn'),
+    crawlProgress: document.getElementById('crawlProgress'),
+    crawlProgressBar: document.getElementById('crawlProgressBar'),
+    crawlStatusText: document.getElementById('crawlStatusText'),
+    crawlSkipped: document.getElementById('crawlSkipped'),
+    crawlSkippedSummary: document.getElementById('crawlSkippedSummary'),
+    crawlSkippedList: document.getElementById('crawlSkippedList'),
+    csvOptions: document.getElementById('csvOptions'),
+    csvDelimiter: document.getElementById('csvDelimiter'),
+    csvBom: document.getElementById('csvBom'),
+    csvColumns: document.querySelectorAll('#csvColumns input[type="checkbox"]'),
+    importBtn: document.getElementById('importBtn'),
+    importFile: document.getElementById('importFile'),
+    importMapping: document.getElementById('importMapping'),
+    importMappingFields: document.getElementById('importMappingFields'),
+    importConfirmBtn: document.getElementById('importConfirmBtn'),
+    importCancelBtn: document.getElementById('importCancelBtn'),
+    collectionSelect: document.getElementById('collectionSelect'),
+    collectionNewBtn: document.getElementById('collectionNewBtn'),
+    collectionRenameBtn: document.getElementById('collectionRenameBtn'),
+    collectionArchiveBtn: document.getElementById('collectionArchiveBtn'),
+    collectionForm: document.getElementById('collectionForm'),
+    collectionNameInput: document.getElementById('collectionNameInput'),
+    collectionSaveBtn: document.getElementById('collectionSaveBtn'),
+    collectionCancelBtn: document.getElementById('collectionCancelBtn'),
+    tagFilter: document.getElementById('tagFilter'),
+    classFilter: document.getElementById('classFilter'),
+    tagColor: document.getElementById('tagColor')
 };
 
 // Application State
 let extractedEmails = [];
 let isExtracting = false;
+// Tag name to #rrggbb colour, kept in settings.tagColors
+let tagColors = {};
+// Allow/deny rules from settings.emailRules (rules.js); the defaults until they load
+let filterRules = emailRules.compile();
+// Role and disposable lists (classifier.js) plus settings.classificationLists
+let classificationLists = emailClassifier.compile();
 
 /**
  * Utility Functions
@@ -50,33 +90,144 @@ const utils = {
      * Updates the email count display
      */
     updateEmailCount: () => {
-        elements.emailCount.textContent = `Emails found: ${extractedEmails.length}`;
+        const filtered = elements.tagFilter.value || elements.classFilter.value;
+        elements.emailCount.textContent = filtered
+            ? `Emails found: ${extractedEmails.length} (${emailManager.filterEmails(extractedEmails).length} shown)`
+            : `Emails found: ${extractedEmails.length}`;
     },
 
     /**
      * Removes duplicate emails from array
-     * @param {Array} emails - Array of email addresses
+     * The first record for an address keeps its provenance; later sightings
+     * only widen its first/last-seen window, fill in a missing contact and
+     * add their tags
+     * @param {Array} emails - Array of email records
      * @returns {Array} - Array with duplicates removed
      */
     removeDuplicates: (emails) => {
-        return [...new Set(emails.map(email => email.toLowerCase()))];
+        const byEmail = new Map();
+        emails.forEach(record => {
+            const key = record.email.toLowerCase();
+            const existing = byEmail.get(key);
+            if (existing) {
+                existing.firstSeen = Math.min(existing.firstSeen, record.firstSeen);
+                existing.lastSeen = Math.max(existing.lastSeen, record.lastSeen);
+                existing.contact = existing.contact || record.contact;
+                existing.tags = [...new Set([...existing.tags, ...record.tags])];
+                existing.notes = existing.notes || record.notes;
+            } else {
+                byEmail.set(key, { ...record });
+            }
+        });
+        return Array.from(byEmail.values());
+    },
+
+    /**
+     * Colour a tag chip with the tag's chosen colour, picking readable text
+     * @param {HTMLElement} chip - Tag element
+     * @param {string} tag - Tag name
+     */
+    applyTagColor: (chip, tag) => {
+        const color = tagColors[tag];
+        if (!/^#[0-9a-f]{6}$/i.test(color || '')) {
+            return;
+        }
+        const [r, g, b] = [1, 3, 5].map(offset => parseInt(color.substr(offset, 2), 16));
+        chip.style.backgroundColor = color;
+        chip.style.color = (r * 299 + g * 587 + b * 114) / 1000 > 140 ? '#212529' : '#ffffff';
+    },
+
+    /**
+     * Converts a stored entry into an email record
+     * Older versions stored bare strings, which become records without provenance
+     * @param {Object|string} entry - Record or legacy email string
+     * @returns {Object|null} - Email record, or null if the entry is unusable
+     */
+    toEmailRecord: (entry) => {
+        const record = typeof entry === 'string' ? { email: entry } : entry;
+        if (!record || typeof record.email !== 'string') {
+            return null;
+        }
+
+        const firstSeen = record.firstSeen || record.lastSeen || Date.now();
+        return {
+            // Store keys; absent until the record is saved
+            id: typeof record.id === 'number' ? record.id : undefined,
+            collectionId: typeof record.collectionId === 'number' ? record.collectionId : undefined,
+            email: record.email,
+            domain: record.domain || '',
+            sourceUrl: typeof record.sourceUrl === 'string' ? record.sourceUrl : '',
+            pageTitle: typeof record.pageTitle === 'string' ? record.pageTitle : '',
+            extractor: record.extractor || 'unknown',
+            snippet: typeof record.snippet === 'string' ? record.snippet : '',
+            decoding: typeof record.decoding === 'string' ? record.decoding : null,
+            elementPath: typeof record.elementPath === 'string' ? record.elementPath : '',
+            contact: utils.toContact(record.contact),
+            tags: Array.isArray(record.tags) ? record.tags.filter(tag => typeof tag === 'string') : [],
+            notes: typeof record.notes === 'string' ? record.notes : '',
+            // Deliverability result; the background worker fills it in after saving
+            verification: record.verification && typeof record.verification === 'object' ? record.verification : null,
+            firstSeen: firstSeen,
+            lastSeen: record.lastSeen || firstSeen
+        };
+    },
+
+    /**
+     * Converts a stored contact into a well-formed one
+     * @param {Object} contact - { name, title, organization, phones, sources }
+     * @returns {Object|null} - Contact, or null when missing or malformed
+     */
+    toContact: (contact) => {
+        if (!contact || typeof contact !== 'object') {
+            return null;
+        }
+
+        const text = (value) => typeof value === 'string' ? value.substring(0, 100) : '';
+        const list = (value) => Array.isArray(value) ? value.filter(item => typeof item === 'string') : [];
+        return {
+            name: text(contact.name),
+            title: text(contact.title),
+            organization: text(contact.organization),
+            phones: list(contact.phones),
+            sources: list(contact.sources)
+        };
     },
 
     /**
-     * Validates email format using regex
+     * Escapes text for safe inclusion in generated HTML
+     * @param {string} text - Text to escape
+     * @returns {string} - Escaped text
+     */
+    escapeHtml: (text) => {
+        return String(text == null ? '' : text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    },
+
+    /**
+     * Formats a record timestamp for display and export
+     * @param {number} timestamp - Milliseconds since epoch
+     * @returns {string} - ISO 8601 date, or empty string when unknown
+     */
+    formatTimestamp: (timestamp) => {
+        return timestamp ? new Date(timestamp).toISOString() : '';
+    },
+
+    /**
+     * Validates an email with the rules the content script uses (core.js)
      * @param {string} email - Email to validate
      * @returns {boolean} - True if valid email format
      */
-    isValidEmail: (email) => {
-        const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-        return emailRegex.test(email);
-    },
+    isValidEmail: (email) => emailCore.isValidEmail(email),
 
     /**
      * Sanitizes and validates extracted emails
-     * @param {Array} emails - Raw email array
+     * @param {Array} emails - Raw email records (legacy strings are accepted)
      * @param {boolean} removeDupes - Whether to remove duplicates
-     * @returns {Array} - Cleaned and validated emails
+     * @returns {Array} - Cleaned and validated email records
      */
     sanitizeEmails: (emails, removeDupes = true) => {
         if (!Array.isArray(emails)) {
@@ -85,14 +236,23 @@ const utils = {
         }
 
         let cleaned = emails
-            .filter(email => email && typeof email === 'string')
-            .map(email => {
+            .map(utils.toEmailRecord)
+            .filter(Boolean)
+            .map(record => {
                 // Additional sanitization: remove potential XSS vectors
-                const sanitized = email.trim().toLowerCase();
-                // Remove any HTML tags or script content
-                return sanitized.replace(/<[^>]*>/g, '').substring(0, 254);
+                const sanitized = record.email.trim().toLowerCase();
+                // Remove any HTML tags or script content; the canonical form
+                // (Unicode domain) makes punycode and Unicode spellings duplicates
+                const email = emailCore.normalizeEmail(sanitized.replace(/<[^>]*>/g, '')).substring(0, 254);
+                return {
+                    ...record,
+                    email: email,
+                    domain: emailCore.domainOf(email),
+                    pageTitle: record.pageTitle.substring(0, 300),
+                    snippet: record.snippet.substring(0, 300)
+                };
             })
-            .filter(email => {
+            .filter(({ email }) => {
                 // Additional security check: ensure email doesn't contain suspicious patterns
                 const suspiciousPatterns = [
                     /<script/i,
@@ -104,14 +264,156 @@ const utils = {
                        email.length <= 254 &&
                        !suspiciousPatterns.some(pattern => pattern.test(email)) &&
                        utils.isValidEmail(email);
-            });
+            })
+            // Classify with the current lists, so list updates reach stored emails too
+            .map(record => ({ ...record, classification: emailClassifier.classify(record.email, classificationLists) }));
 
         if (removeDupes) {
             cleaned = utils.removeDuplicates(cleaned);
         }
 
-        // Limit array size for security
-        return cleaned.slice(0, 1000);
+        return cleaned;
+    }
+};
+
+/**
+ * Import of the extension's own exports (JSON, CSV, TXT, vCard) and of
+ * arbitrary CSVs through a column-mapping step
+ */
+const importer = {
+    // CSV waiting for the user to map its columns
+    pendingCsv: null,
+
+    /**
+     * Read a chosen file and import it, or ask for a column mapping
+     * @param {File} file - File from the import input
+     */
+    importFile: async (file) => {
+        try {
+            const text = (await file.text()).replace(/^\uFEFF/, '');
+            const name = file.name.toLowerCase();
+
+            if (name.endsWith('.json')) {
+                await importer.addRecords(recordImporter.fromJson(text));
+            } else if (name.endsWith('.vcf') || /^BEGIN:VCARD/i.test(text)) {
+                await importer.addRecords(recordImporter.fromVcard(text));
+            } else if (name.endsWith('.csv')) {
+                const rows = recordImporter.parseCsv(text, recordImporter.detectDelimiter(text));
+                if (rows.length < 2) {
+                    utils.showStatus('The CSV file has no rows to import', 'warning');
+                    return;
+                }
+                const mapping = recordImporter.mapHeaders(rows[0]);
+                if (mapping.email !== undefined) {
+                    await importer.addRecords(recordImporter.fromCsvRows(rows.slice(1), mapping));
+                } else {
+                    importer.showMapping(rows);
+                }
+            } else {
+                await importer.addRecords(recordImporter.fromText(text));
+            }
+        } catch (error) {
+            console.error('Import error:', error);
+            utils.showStatus('Import failed: ' + error.message, 'error');
+        }
+    },
+
+    /**
+     * Merge imported records into the collection and report the result
+     * A failed save has already been reported by emailManager.addEmails
+     */
+    addRecords: async (records) => {
+        const valid = utils.sanitizeEmails(records, false);
+        const { added, filtered, failed } = await emailManager.addEmails(valid);
+        if (failed) {
+            return;
+        }
+
+        const skipped = records.length - valid.length;
+        const existing = valid.length - added - filtered;
+        const details = [
+            existing > 0 ? `${existing} already in the list` : '',
+            filtered > 0 ? `${filtered} blocked by filter rules` : '',
+            skipped > 0 ? `${skipped} invalid` : ''
+        ].filter(Boolean).join(', ');
+        utils.showStatus(`Imported ${added} emails${details ? ` (${details})` : ''}`, added > 0 ? 'success' : 'warning');
+    },
+
+    /**
+     * Show the column-mapping step for a CSV with unknown headers
+     * @param {Array<Array<string>>} rows - Parsed CSV, header first
+     */
+    showMapping: (rows) => {
+        const headers = rows[0];
+        importer.pendingCsv = rows;
+        elements.importMappingFields.innerHTML = '';
+
+        // Guess the address column from the first data row
+        const emailGuess = rows[1].findIndex(value => value.includes('@'));
+        const mapping = recordImporter.mapHeaders(headers);
+
+        Object.entries(recordImporter.fields).forEach(([field, label]) => {
+            const row = document.createElement('div');
+            row.className = 'crawl-options';
+
+            const select = document.createElement('select');
+            select.id = `importMap-${field}`;
+            select.dataset.field = field;
+            select.appendChild(new Option(field === 'email' ? 'Choose a column' : '(not imported)', ''));
+            headers.forEach((header, index) => {
+                select.appendChild(new Option(header || `Column ${index + 1}`, String(index)));
+            });
+            const selected = field === 'email' && emailGuess >= 0 ? emailGuess : mapping[field];
+            if (selected !== undefined) {
+                select.value = String(selected);
+            }
+
+            const labelEl = document.createElement('label');
+            labelEl.htmlFor = select.id;
+            labelEl.textContent = label;
+
+            row.appendChild(labelEl);
+            row.appendChild(select);
+            elements.importMappingFields.appendChild(row);
+        });
+
+        elements.importMapping.classList.remove('hidden');
+        utils.showStatus('Match the CSV columns to email fields', 'warning');
+    },
+
+    /**
+     * Import the pending CSV with the chosen mapping
+     */
+    confirmMapping: async () => {
+        const mapping = {};
+        elements.importMappingFields.querySelectorAll('select').forEach(select => {
+            if (select.value !== '') {
+                mapping[select.dataset.field] = parseInt(select.value, 10);
+            }
+        });
+
+        if (mapping.email === undefined) {
+            utils.showStatus('Choose the column that holds the email addresses', 'warning');
+            return;
+        }
+
+        const rows = importer.pendingCsv || [];
+        importer.cancelMapping();
+        try {
+            await importer.addRecords(recordImporter.fromCsvRows(rows.slice(1), mapping));
+        } catch (error) {
+            console.error('Import error:', error);
+            utils.showStatus('Import failed: ' + error.message, 'error');
+        }
+    },
+
+    /**
+     * Drop the pending CSV and hide the mapping step
+     */
+    cancelMapping: () => {
+        importer.pendingCsv = null;
+        elements.importMapping.classList.add('hidden');
+        elements.importMappingFields.innerHTML = '';
     }
 };
 
@@ -121,12 +423,14 @@ const utils = {
 const emailManager = {
     /**
      * Displays emails in the UI
-     * @param {Array} emails - Emails to display
+     * @param {Array} emails - Email records to display
      */
     displayEmails: (emails) => {
         const emailListEl = elements.emailList;
+        emailManager.updateTagFilter(emails);
+        const shown = emailManager.filterEmails(emails);
 
-        if (emails.length === 0) {
+        if (shown.length === 0) {
             emailListEl.classList.add('hidden');
             return;
         }
@@ -134,185 +438,279 @@ const emailManager = {
         emailListEl.innerHTML = '';
         emailListEl.classList.remove('hidden');
 
-        emails.forEach((email, index) => {
+        shown.forEach((record, index) => {
             const emailItem = document.createElement('div');
             emailItem.className = 'email-item';
-            emailItem.textContent = email;
             emailItem.setAttribute('role', 'listitem');
+
+            const address = document.createElement('div');
+            address.className = 'email-address';
+            address.textContent = record.email;
+            // Personal addresses are the norm; only the others are labelled
+            if (record.classification && record.classification !== 'personal') {
+                const label = document.createElement('span');
+                label.className = `email-class ${record.classification}`;
+                label.textContent = emailClassifier.labels[record.classification] || record.classification;
+                address.appendChild(label);
+            }
+            if (record.verification) {
+                const check = document.createElement('span');
+                check.className = `email-check ${record.verification.status}`;
+                check.textContent = emailVerifier.labels[record.verification.status] || record.verification.status;
+                check.title = record.verification.reasons.length > 0 ? record.verification.reasons.join('\n') : 'All checks passed';
+                address.appendChild(check);
+            }
+            emailItem.appendChild(address);
+
+            // Contact line: "Jane Smith · CTO · Acme · +1 555…"
+            if (record.contact) {
+                const contact = document.createElement('div');
+                contact.className = 'email-contact';
+                contact.textContent = [record.contact.name, record.contact.title, record.contact.organization, ...record.contact.phones]
+                    .filter(Boolean)
+                    .join(' · ');
+                emailItem.appendChild(contact);
+            }
+
+            // Provenance line: where and how the address was found
+            const source = document.createElement('div');
+            source.className = 'email-source';
+            let host = '';
+            try {
+                host = record.sourceUrl ? new URL(record.sourceUrl).hostname : '';
+            } catch (e) {
+                host = record.sourceUrl;
+            }
+            // Decoded hits name their decoding so reviewers can double-check them
+            source.textContent = [host || 'unknown source', record.extractor, record.decoding && `decoded: ${record.decoding}`]
+                .filter(Boolean)
+                .join(' · ');
+            emailItem.appendChild(source);
+
+            if (record.tags.length > 0) {
+                const tags = document.createElement('div');
+                tags.className = 'email-tags';
+                record.tags.forEach(tag => {
+                    const chip = document.createElement('span');
+                    chip.className = 'email-tag';
+                    chip.textContent = tag;
+                    utils.applyTagColor(chip, tag);
+                    tags.appendChild(chip);
+                });
+                emailItem.appendChild(tags);
+            }
+
+            if (record.notes) {
+                const notes = document.createElement('div');
+                notes.className = 'email-notes';
+                notes.textContent = record.notes;
+                emailItem.appendChild(notes);
+            }
+
+            // Only saved records can be annotated
+            if (typeof record.id === 'number') {
+                const editBtn = document.createElement('button');
+                editBtn.className = 'email-edit-btn';
+                editBtn.textContent = '✏️';
+                editBtn.setAttribute('aria-label', `Edit tags and notes for ${record.email}`);
+                editBtn.addEventListener('click', () => emailManager.openEditor(emailItem, record));
+                emailItem.appendChild(editBtn);
+            }
+
+            emailItem.title = [
+                record.pageTitle,
+                record.sourceUrl,
+                record.snippet,
+                record.elementPath && `Element: ${record.elementPath}`,
+                `First seen: ${new Date(record.firstSeen).toLocaleString()}`,
+                `Last seen: ${new Date(record.lastSeen).toLocaleString()}`
+            ].filter(Boolean).join('\n');
+
             emailListEl.appendChild(emailItem);
         });
     },
 
     /**
-     * Adds emails to the collection
-     * @param {Array} newEmails - New emails to add
+     * Emails matching the tag and type filters
+     * @param {Array} emails - Email records
+     * @returns {Array} - All of them when no filter is chosen
      */
-    addEmails: (newEmails) => {
-        const removeDupes = elements.removeDuplicates.checked;
-        const allEmails = [...extractedEmails, ...newEmails];
-        extractedEmails = utils.sanitizeEmails(allEmails, removeDupes);
+    filterEmails: (emails) => {
+        const tag = elements.tagFilter.value;
+        const classification = elements.classFilter.value;
+        return emails.filter(record =>
+            (!tag || record.tags.includes(tag)) &&
+            (!classification || record.classification === classification));
+    },
 
-        emailManager.displayEmails(extractedEmails);
-        utils.updateEmailCount();
+    /**
+     * Offer every tag in the list in the tag filter, keeping the choice
+     * @param {Array} emails - Email records
+     */
+    updateTagFilter: (emails) => {
+        const select = elements.tagFilter;
+        const current = select.value;
+        const tags = [...new Set(emails.flatMap(record => record.tags))].sort((a, b) => a.localeCompare(b));
 
-        // Enable export button if we have emails
-        elements.exportBtn.disabled = extractedEmails.length === 0;
+        while (select.options.length > 1) {
+            select.remove(1);
+        }
+        tags.forEach(tag => select.appendChild(new Option(tag, tag)));
+        select.value = tags.includes(current) ? current : '';
+
+        elements.tagColor.disabled = !select.value;
+        elements.tagColor.value = tagColors[select.value] || '#e9ecef';
+    },
+
+    /**
+     * Show the tag and note editor under a list item
+     * @param {HTMLElement} emailItem - List item
+     * @param {Object} record - Its email record
+     */
+    openEditor: (emailItem, record) => {
+        // One editor at a time
+        elements.emailList.querySelectorAll('.email-editor').forEach(editor => editor.remove());
+
+        const editor = document.createElement('div');
+        editor.className = 'email-editor';
+
+        const tagsInput = document.createElement('input');
+        tagsInput.type = 'text';
+        tagsInput.value = record.tags.join(', ');
+        tagsInput.placeholder = 'Tags, separated by commas';
+        tagsInput.setAttribute('aria-label', 'Tags, separated by commas');
+
+        const notesInput = document.createElement('textarea');
+        notesInput.rows = 2;
+        notesInput.maxLength = 2000;
+        notesInput.value = record.notes;
+        notesInput.placeholder = 'Notes';
+        notesInput.setAttribute('aria-label', 'Notes');
+
+        const buttons = document.createElement('div');
+        buttons.className = 'crawl-controls';
+        const saveBtn = document.createElement('button');
+        saveBtn.className = 'btn btn-primary';
+        saveBtn.textContent = 'Save';
+        saveBtn.addEventListener('click', () => {
+            emailManager.saveAnnotations(record, recordImporter.parseTags(tagsInput.value), notesInput.value.trim());
+        });
+        const cancelBtn = document.createElement('button');
+        cancelBtn.className = 'btn btn-secondary';
+        cancelBtn.textContent = 'Cancel';
+        cancelBtn.addEventListener('click', () => editor.remove());
+        buttons.append(saveBtn, cancelBtn);
+
+        editor.append(tagsInput, notesInput, buttons);
+        emailItem.appendChild(editor);
+        tagsInput.focus();
+    },
+
+    /**
+     * Store new tags and notes for a record
+     * @param {Object} record - Email record with its store id
+     * @param {Array<string>} tags - Tags to keep
+     * @param {string} notes - Free-text notes
+     */
+    saveAnnotations: async (record, tags, notes) => {
+        try {
+            // Only these fields: the popup's copy of the record may be stale
+            await emailStore.patch([{ id: record.id, fields: { tags: tags, notes: notes } }]);
+            await loadStoredEmails();
+            utils.showStatus('Saved tags and notes', 'success');
+        } catch (error) {
+            console.error('Error saving tags and notes:', error);
+            utils.showStatus('Could not save: ' + error.message, 'error');
+        }
+    },
+
+    /**
+     * Adds emails to the collection
+     * Only the new records are written; the store merges duplicates.
+     * Addresses the filter rules deny are left out, as in the content script
+     * @param {Array} newEmails - New email records to add
+     * @returns {Promise<Object>} - { added, updated } from the store, plus
+     *     how many records the rules filtered out; { failed: true } when the
+     *     save failed, after showing the error
+     */
+    addEmails: async (newEmails) => {
+        const removeDupes = elements.removeDuplicates.checked;
+        try {
+            const sanitized = utils.sanitizeEmails(newEmails, removeDupes);
+            const records = sanitized.filter(record => emailRules.isAllowed(record.email, filterRules));
+            const collectionId = await emailStore.getActiveCollectionId();
+            const counts = await emailStore.upsert(records, removeDupes, collectionId);
+            await loadStoredEmails();
+            return { ...counts, filtered: sanitized.length - records.length };
+        } catch (error) {
+            console.error('Error saving emails:', error);
+            utils.showStatus('Could not save emails: ' + error.message, 'error');
+            return { added: 0, updated: 0, filtered: 0, failed: true };
+        }
     },
 
     /**
      * Clears all extracted emails
      */
-    clearEmails: () => {
-        extractedEmails = [];
-        emailManager.displayEmails(extractedEmails);
-        utils.updateEmailCount();
-        elements.exportBtn.disabled = true;
-        utils.showStatus('Email list cleared', 'success');
+    clearEmails: async () => {
+        try {
+            await emailStore.clear(await emailStore.getActiveCollectionId());
+            extractedEmails = [];
+            emailManager.displayEmails(extractedEmails);
+            utils.updateEmailCount();
+            elements.exportBtn.disabled = true;
+            utils.showStatus('Email list cleared', 'success');
+        } catch (error) {
+            console.error('Error clearing emails:', error);
+            utils.showStatus('Could not clear emails: ' + error.message, 'error');
+        }
     },
 
     /**
      * Exports emails in specified format
-     * @param {string} format - Export format (csv, json, txt, pdf)
+     * @param {string} format - Export format (csv, json, txt, vcf, vcf4, xlsx, pdf)
      */
     exportEmails: async (format) => {
-        if (extractedEmails.length === 0) {
+        // Exports follow the tag and type filters
+        const records = emailManager.filterEmails(extractedEmails);
+        if (records.length === 0) {
             utils.showStatus('No emails to export', 'warning');
             return;
         }
 
         try {
-            let content = '';
-            let filename = '';
-            let mimeType = '';
-
-            switch (format) {
-                case 'csv':
-                    content = 'Email\n' + extractedEmails.join('\n');
-                    filename = 'emails.csv';
-                    mimeType = 'text/csv';
-                    break;
-                case 'json':
-                    content = JSON.stringify({ emails: extractedEmails, count: extractedEmails.length, exportedAt: new Date().toISOString() }, null, 2);
-                    filename = 'emails.json';
-                    mimeType = 'application/json';
-                    break;
-                case 'pdf':
-                    await exportAsPDF();
+            let options = {};
+            if (format === 'csv') {
+                options = emailManager.getCsvOptions();
+                if (options.columns.length === 0) {
+                    utils.showStatus('Pick at least one CSV column', 'warning');
                     return;
-                case 'txt':
-                default:
-                    content = extractedEmails.join('\n');
-                    filename = 'emails.txt';
-                    mimeType = 'text/plain';
-                    break;
+                }
             }
 
-            // Create and download file
-            const blob = new Blob([content], { type: mimeType });
-            const url = URL.createObjectURL(blob);
-
-            chrome.downloads.download({
-                url: url,
-                filename: filename,
-                saveAs: true
-            }, () => {
-                URL.revokeObjectURL(url);
-                utils.showStatus(`Exported ${extractedEmails.length} emails as ${format.toUpperCase()}`, 'success');
-            });
-
+            await downloadExport(buildExport(format, records, options));
+            utils.showStatus(`Exported ${records.length} emails as ${format.toUpperCase()}`, 'success');
         } catch (error) {
             console.error('Export error:', error);
             utils.showStatus('Export failed: ' + error.message, 'error');
         }
-    }
-};
-
-/**
- * PDF Export Function
- */
-async function exportAsPDF() {
-    try {
-        // Create a simple HTML structure for PDF
-        const htmlContent = `
-            <!DOCTYPE html>
-            <html>
-            <head>
-                <title>Extracted Emails</title>
-                <style>
-                    body { font-family: Arial, sans-serif; margin: 20px; }
-                    h1 { color: #007bff; }
-                    .email { padding: 5px; margin: 2px 0; background: #f8f9fa; border-left: 3px solid #007bff; }
-                    .header { text-align: center; margin-bottom: 30px; }
-                    .stats { margin: 20px 0; padding: 15px; background: #e9ecef; border-radius: 5px; }
-                </style>
-            </head>
-            <body>
-                <div class="header">
-                    <h1>Extracted Email Addresses</h1>
-                    <p>Generated on: ${new Date().toLocaleString()}</p>
-                </div>
-                <div class="stats">
-                    <strong>Total Emails Found:</strong> ${extractedEmails.length}
-                </div>
-                <h2>Email List:</h2>
-                ${extractedEmails.map(email => `<div class="email">${email}</div>`).join('')}
-            </body>
-            </html>
-        `;
-
-        // Convert HTML to PDF using jsPDF (if available) or fallback to print
-        try {
-            // Try to use jsPDF if available
-            if (typeof window.jsPDF !== 'undefined') {
-                const { jsPDF } = window.jsPDF;
-                const doc = new jsPDF();
-                
-                doc.setFontSize(16);
-                doc.text('Extracted Email Addresses', 20, 20);
-                doc.setFontSize(12);
-                doc.text(`Generated on: ${new Date().toLocaleString()}`, 20, 30);
-                doc.text(`Total Emails: ${extractedEmails.length}`, 20, 40);
-                
-                let yPos = 60;
-                extractedEmails.forEach((email, index) => {
-                    if (yPos > 280) {
-                        doc.addPage();
-                        yPos = 20;
-                    }
-                    doc.text(`${index + 1}. ${email}`, 20, yPos);
-                    yPos += 10;
-                });
-                
-                doc.save('emails.pdf');
-                utils.showStatus('PDF exported successfully', 'success');
-            } else {
-                // Fallback: Open in new window for printing
-                const newWindow = window.open('', '_blank');
-                newWindow.document.write(htmlContent);
-                newWindow.document.close();
-                newWindow.print();
-                utils.showStatus('PDF export opened for printing', 'success');
-            }
-        } catch (pdfError) {
-            // Final fallback: download as HTML
-            const blob = new Blob([htmlContent], { type: 'text/html' });
-            const url = URL.createObjectURL(blob);
-            
-            chrome.downloads.download({
-                url: url,
-                filename: 'emails.html',
-                saveAs: true
-            }, () => {
-                URL.revokeObjectURL(url);
-                utils.showStatus('Exported as HTML (can be converted to PDF)', 'success');
-            });
-        }
+    },
 
-    } catch (error) {
-        console.error('PDF export error:', error);
-        utils.showStatus('PDF export failed: ' + error.message, 'error');
+    /**
+     * Read the CSV options from the popup controls
+     * @returns {Object} - { columns, delimiter, bom }
+     */
+    getCsvOptions: () => {
+        const columns = Array.from(elements.csvColumns)
+            .filter(input => input.checked)
+            .map(input => input.value);
+        return {
+            columns: columns,
+            delimiter: csvExporter.delimiters[elements.csvDelimiter.value] || ',',
+            bom: elements.csvBom.checked
+        };
     }
-}
+};
 
 /**
  * Check if content script is loaded on the current tab
@@ -320,8 +718,8 @@ async function exportAsPDF() {
 async function isContentScriptLoaded(tabId) {
     try {
         // Try to ping the content script
-        const response = await chrome.tabs.sendMessage(tabId, { type: 'ping' });
-        return response && response.success;
+        await messageProtocol.send('ping', {}, { tabId: tabId });
+        return true;
     } catch (error) {
         console.log('Content script not loaded:', error.message);
         return false;
@@ -335,10 +733,16 @@ async function forceInjectContentScript(tabId) {
     try {
         console.log('Force injecting content script into tab:', tabId);
         
-        // First, try to inject using chrome.scripting API
+        // First, try to inject using chrome.scripting API, the page
+        // bridge into the page's own world (page-bridge.js) first
         await chrome.scripting.executeScript({
             target: { tabId: tabId },
-            files: ['content.js']
+            files: ['page-bridge.js'],
+            world: 'MAIN'
+        });
+        await chrome.scripting.executeScript({
+            target: { tabId: tabId },
+            files: ['rules.js', 'classifier.js', 'tlds.js', 'core.js', 'messages.js', 'content.js']
         });
         
         console.log('Content script force injection successful');
@@ -407,22 +811,17 @@ const emailExtractor = {
             
             if (contentScriptLoaded) {
                 // Now try to extract emails
-                let response = await emailExtractor.tryExtractWithRetry(tab.id);
+                const { emails } = await emailExtractor.tryExtractWithRetry(tab.id);
                 
-                if (response && response.success) {
-                    const emails = response.emails || [];
-                    if (emails.length > 0) {
-                        emailManager.addEmails(emails);
-                        utils.showStatus(`Found ${emails.length} email(s)`, 'success');
-                        elements.autoDetectStatus.textContent = `✅ Found ${emails.length}`;
-                        elements.autoDetectStatus.className = 'status-indicator found';
-                    } else {
-                        utils.showStatus('No emails found on this page', 'warning');
-                        elements.autoDetectStatus.textContent = '🔍 No emails found';
-                        elements.autoDetectStatus.className = 'status-indicator';
-                    }
+                if (emails.length > 0) {
+                    emailManager.addEmails(emails);
+                    utils.showStatus(`Found ${emails.length} email(s)`, 'success');
+                    elements.autoDetectStatus.textContent = `✅ Found ${emails.length}`;
+                    elements.autoDetectStatus.className = 'status-indicator found';
                 } else {
-                    throw new Error(response?.error || 'Failed to extract emails');
+                    utils.showStatus('No emails found on this page', 'warning');
+                    elements.autoDetectStatus.textContent = '🔍 No emails found';
+                    elements.autoDetectStatus.className = 'status-indicator';
                 }
             } else {
                 throw new Error('Failed to load content script after injection attempts');
@@ -464,13 +863,7 @@ const emailExtractor = {
                 console.log(`Extraction attempt ${attempt}/${maxRetries}`);
                 
                 // Try to send message to content script
-                const response = await chrome.tabs.sendMessage(tabId, { type: 'extractEmails' });
-                
-                if (response && response.success) {
-                    return response;
-                } else {
-                    throw new Error(response?.error || 'Extraction failed');
-                }
+                return await messageProtocol.send('extractEmails', {}, { tabId: tabId });
                 
             } catch (messageError) {
                 console.log(`Attempt ${attempt} failed:`, messageError.message);
@@ -494,10 +887,16 @@ const emailExtractor = {
         try {
             console.log('Injecting content script into tab:', tabId);
             
-            // Inject the content script using chrome.scripting API
+            // Inject the content script using chrome.scripting API, the page
+            // bridge into the page's own world (page-bridge.js) first
             await chrome.scripting.executeScript({
                 target: { tabId: tabId },
-                files: ['content.js']
+                files: ['page-bridge.js'],
+                world: 'MAIN'
+            });
+            await chrome.scripting.executeScript({
+                target: { tabId: tabId },
+                files: ['rules.js', 'classifier.js', 'tlds.js', 'core.js', 'messages.js', 'content.js']
             });
             
             console.log('Content script injected successfully');
@@ -506,13 +905,7 @@ const emailExtractor = {
             await new Promise(resolve => setTimeout(resolve, 1000));
             
             // Now try to send the message again
-            const response = await chrome.tabs.sendMessage(tabId, { type: 'extractEmails' });
-            
-            if (response && response.success) {
-                return response;
-            } else {
-                throw new Error('Content script injection succeeded but extraction failed');
-            }
+            return await messageProtocol.send('extractEmails', {}, { tabId: tabId });
             
         } catch (injectionError) {
             console.error('Content script injection failed:', injectionError);
@@ -529,7 +922,7 @@ const emailExtractor = {
             
             if (tab) {
                 try {
-                    await chrome.tabs.sendMessage(tab.id, { type: 'refreshDetection' });
+                    await messageProtocol.send('refreshDetection', {}, { tabId: tab.id });
                     utils.showStatus('Detection refreshed', 'success');
                 } catch (messageError) {
                     console.log('Refresh failed, content script may not be loaded:', messageError.message);
@@ -543,6 +936,322 @@ const emailExtractor = {
     }
 };
 
+/**
+ * Crawl Functions
+ * The crawl itself runs in the background service worker; the popup only
+ * starts it, controls it and renders the progress it reports
+ */
+const crawlManager = {
+    /**
+     * Starts a crawl from the current active tab
+     */
+    startCrawl: async () => {
+        try {
+            const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+            if (!tab || !tab.url || !/^https?:/.test(tab.url)) {
+                utils.showStatus('Crawling is only supported on http and https pages', 'error');
+                return;
+            }
+
+            const { job } = await messageProtocol.send('startCrawl', {
+                options: {
+                    startUrl: tab.url,
+                    maxDepth: elements.crawlDepth.value,
+                    maxPages: elements.crawlMaxPages.value,
+                    removeDuplicates: elements.removeDuplicates.checked
+                }
+            });
+
+            crawlManager.renderStatus(job);
+            utils.showStatus('Crawl started - you can close this popup', 'success');
+        } catch (error) {
+            console.error('Crawl start error:', error);
+            utils.showStatus(error.message, 'error');
+        }
+    },
+
+    /**
+     * Pauses a running crawl or resumes a paused one
+     */
+    togglePause: async () => {
+        const paused = elements.crawlPauseBtn.dataset.state === 'paused';
+        await crawlManager.sendControl(paused ? 'resumeCrawl' : 'pauseCrawl');
+    },
+
+    /**
+     * Cancels the current crawl
+     */
+    cancelCrawl: async () => {
+        await crawlManager.sendControl('cancelCrawl');
+    },
+
+    /**
+     * Sends a crawl control message to the background
+     * @param {string} type - pauseCrawl, resumeCrawl or cancelCrawl
+     */
+    sendControl: async (type) => {
+        try {
+            const { job } = await messageProtocol.send(type);
+            crawlManager.renderStatus(job);
+        } catch (error) {
+            console.error('Crawl control error:', error);
+            utils.showStatus(error.message, 'error');
+        }
+    },
+
+    /**
+     * Loads the status of any crawl started in an earlier popup session
+     */
+    loadStatus: async () => {
+        try {
+            const { job } = await messageProtocol.send('getCrawlStatus');
+            crawlManager.renderStatus(job);
+        } catch (error) {
+            console.error('Crawl status error:', error);
+        }
+    },
+
+    /**
+     * Renders crawl progress and enables the matching controls
+     * @param {Object|null} job - Crawl job summary from the background
+     */
+    renderStatus: (job) => {
+        if (!job) {
+            elements.crawlProgress.classList.add('hidden');
+            return;
+        }
+
+        const active = job.status === 'running' || job.status === 'paused';
+        elements.crawlStartBtn.disabled = active;
+        elements.crawlPauseBtn.disabled = !active;
+        elements.crawlCancelBtn.disabled = !active;
+        elements.crawlPauseBtn.dataset.state = job.status;
+        elements.crawlPauseBtn.textContent = job.status === 'paused' ? 'Resume' : 'Pause';
+
+        elements.crawlProgress.classList.remove('hidden');
+        elements.crawlProgressBar.max = job.maxPages;
+        elements.crawlProgressBar.value = job.pagesCrawled;
+
+        const statusLabels = {
+            running: 'Crawling',
+            paused: 'Paused',
+            completed: 'Completed',
+            cancelled: 'Cancelled',
+            failed: 'Failed'
+        };
+        const lines = [
+            `${statusLabels[job.status] || job.status}: ${job.pagesCrawled}/${job.maxPages} pages, ` +
+            `${job.queued} queued, ${job.emailsFound} email(s)`
+        ];
+        if (job.pagesFailed > 0) {
+            lines.push(`${job.pagesFailed} page(s) could not be loaded`);
+        }
+        if (job.status === 'running') {
+            job.currentUrls.forEach(url => lines.push(url));
+        }
+        if (job.error) {
+            lines.push(job.error);
+        }
+        elements.crawlStatusText.textContent = lines.join('\n');
+
+        crawlManager.renderSkipped(job);
+    },
+
+    /**
+     * Renders the job's skipped-URL log so users can see why a page was not used
+     * @param {Object} job - Crawl job summary
+     */
+    renderSkipped: (job) => {
+        if (!job.skippedCount) {
+            elements.crawlSkipped.classList.add('hidden');
+            return;
+        }
+
+        elements.crawlSkipped.classList.remove('hidden');
+        elements.crawlSkippedSummary.textContent = `Skipped pages (${job.skippedCount})`;
+        elements.crawlSkippedList.innerHTML = '';
+
+        // Newest first
+        job.skipped.slice().reverse().forEach(entry => {
+            const item = document.createElement('li');
+            const url = document.createElement('div');
+            url.textContent = entry.url;
+            const reason = document.createElement('div');
+            reason.className = 'skip-reason';
+            reason.textContent = entry.reason;
+            item.appendChild(url);
+            item.appendChild(reason);
+            elements.crawlSkippedList.appendChild(item);
+        });
+
+        if (job.skippedCount > job.skipped.length) {
+            const more = document.createElement('li');
+            more.textContent = `…and ${job.skippedCount - job.skipped.length} earlier`;
+            elements.crawlSkippedList.appendChild(more);
+        }
+    },
+
+    /**
+     * Handles progress reported by the background crawler
+     * Crawl results reach the list through the storage listener
+     * @param {Object} job - Crawl job summary
+     */
+    handleProgress: (job) => {
+        crawlManager.renderStatus(job);
+    }
+};
+
+/**
+ * Collection Management - named collections keep campaigns apart
+ */
+const collectionManager = {
+    collections: [],
+    activeId: null,
+    // 'create' or 'rename' while the name form is open
+    formMode: null,
+
+    /**
+     * Currently active collection
+     * @returns {Object|undefined}
+     */
+    getActive: () => collectionManager.collections.find(collection => collection.id === collectionManager.activeId),
+
+    /**
+     * Reads the collections and fills the switcher
+     */
+    load: async () => {
+        try {
+            const [collections, activeId] = await Promise.all([
+                emailStore.getCollections(),
+                emailStore.getActiveCollectionId()
+            ]);
+            collectionManager.collections = collections;
+            collectionManager.activeId = activeId;
+            collectionManager.render();
+        } catch (error) {
+            console.error('Error loading collections:', error);
+        }
+    },
+
+    /**
+     * Fills the switcher; archived collections are listed separately
+     */
+    render: () => {
+        const select = elements.collectionSelect;
+        select.innerHTML = '';
+
+        const createOption = (collection) => {
+            const option = document.createElement('option');
+            option.value = collection.id;
+            option.textContent = `${collection.name} (${collection.count})`;
+            return option;
+        };
+        collectionManager.collections
+            .filter(collection => !collection.archived)
+            .forEach(collection => select.appendChild(createOption(collection)));
+
+        const archived = collectionManager.collections.filter(collection => collection.archived);
+        if (archived.length > 0) {
+            const group = document.createElement('optgroup');
+            group.label = 'Archived';
+            archived.forEach(collection => group.appendChild(createOption(collection)));
+            select.appendChild(group);
+        }
+
+        select.value = collectionManager.activeId;
+        const active = collectionManager.getActive();
+        elements.collectionArchiveBtn.textContent = active && active.archived ? 'Unarchive' : 'Archive';
+    },
+
+    /**
+     * Makes a collection active and shows its emails
+     * @param {number} id - Collection id
+     */
+    switchTo: async (id) => {
+        try {
+            await emailStore.setActiveCollection(id);
+            collectionManager.activeId = id;
+            collectionManager.render();
+            await loadStoredEmails();
+        } catch (error) {
+            console.error('Error switching collection:', error);
+            utils.showStatus('Could not switch collection: ' + error.message, 'error');
+        }
+    },
+
+    /**
+     * Opens the name form
+     * @param {string} mode - 'create' or 'rename'
+     */
+    showForm: (mode) => {
+        const active = collectionManager.getActive();
+        collectionManager.formMode = mode;
+        elements.collectionNameInput.value = mode === 'rename' && active ? active.name : '';
+        elements.collectionForm.classList.remove('hidden');
+        elements.collectionNameInput.focus();
+    },
+
+    hideForm: () => {
+        collectionManager.formMode = null;
+        elements.collectionForm.classList.add('hidden');
+    },
+
+    /**
+     * Creates or renames a collection from the name form
+     */
+    saveForm: async () => {
+        const name = elements.collectionNameInput.value;
+        try {
+            if (collectionManager.formMode === 'create') {
+                const id = await emailStore.createCollection(name);
+                await collectionManager.load();
+                await collectionManager.switchTo(id);
+                utils.showStatus(`Created collection "${name.trim()}"`, 'success');
+            } else if (collectionManager.formMode === 'rename') {
+                await emailStore.updateCollection(collectionManager.activeId, { name: name });
+                await collectionManager.load();
+                utils.showStatus('Collection renamed', 'success');
+            }
+            collectionManager.hideForm();
+        } catch (error) {
+            console.error('Error saving collection:', error);
+            utils.showStatus(error.message, 'error');
+        }
+    },
+
+    /**
+     * Archives the active collection and moves to another one, or
+     * unarchives it when it is already archived
+     */
+    toggleArchive: async () => {
+        const active = collectionManager.getActive();
+        if (!active) {
+            return;
+        }
+        try {
+            if (active.archived) {
+                await emailStore.updateCollection(active.id, { archived: false });
+                await collectionManager.load();
+                utils.showStatus(`Unarchived "${active.name}"`, 'success');
+                return;
+            }
+
+            const next = collectionManager.collections.find(collection => !collection.archived && collection.id !== active.id);
+            if (!next) {
+                utils.showStatus('Create another collection before archiving this one', 'warning');
+                return;
+            }
+            await emailStore.updateCollection(active.id, { archived: true });
+            await collectionManager.load();
+            await collectionManager.switchTo(next.id);
+            utils.showStatus(`Archived "${active.name}"`, 'success');
+        } catch (error) {
+            console.error('Error archiving collection:', error);
+            utils.showStatus('Could not archive collection: ' + error.message, 'error');
+        }
+    }
+};
+
 /**
  * Event Handlers
  */
@@ -559,6 +1268,11 @@ const eventHandlers = {
 
         // Refresh button
         elements.refreshBtn.addEventListener('click', emailExtractor.refreshDetection);
+
+        // Dashboard button - the options page manages large collections
+        elements.dashboardBtn.addEventListener('click', () => {
+            chrome.runtime.openOptionsPage();
+        });
         
         // Export button
     elements.exportBtn.addEventListener('click', () => {
@@ -566,8 +1280,86 @@ const eventHandlers = {
         emailManager.exportEmails(format);
     });
 
+    // Import: the button opens the file picker
+    elements.importBtn.addEventListener('click', () => {
+        importer.cancelMapping();
+        elements.importFile.click();
+    });
+    elements.importFile.addEventListener('change', () => {
+        const file = elements.importFile.files[0];
+        // Reset so choosing the same file again still fires change
+        elements.importFile.value = '';
+        if (file) {
+            importer.importFile(file);
+        }
+    });
+    elements.importConfirmBtn.addEventListener('click', importer.confirmMapping);
+    elements.importCancelBtn.addEventListener('click', importer.cancelMapping);
+
+    // CSV options only apply to the CSV format
+    elements.exportFormat.addEventListener('change', () => {
+        elements.csvOptions.classList.toggle('hidden', elements.exportFormat.value !== 'csv');
+    });
+    elements.csvDelimiter.addEventListener('change', () => {
+        saveSetting('csvDelimiter', elements.csvDelimiter.value);
+    });
+    elements.csvBom.addEventListener('change', () => {
+        saveSetting('csvBom', elements.csvBom.checked);
+    });
+    elements.csvColumns.forEach(input => {
+        input.addEventListener('change', () => {
+            saveSetting('csvColumns', emailManager.getCsvOptions().columns);
+        });
+    });
+
+    // Watch mode checkbox - content scripts follow the stored setting
+    elements.watchMode.addEventListener('change', () => {
+        saveSetting('watchMode', elements.watchMode.checked);
+    });
+
+    // Tag and type filters narrow the list and exports; the colour belongs to the chosen tag
+    [elements.tagFilter, elements.classFilter].forEach(select => {
+        select.addEventListener('change', () => {
+            emailManager.displayEmails(extractedEmails);
+            utils.updateEmailCount();
+        });
+    });
+    elements.tagColor.addEventListener('change', () => {
+        const tag = elements.tagFilter.value;
+        if (tag) {
+            tagColors = { ...tagColors, [tag]: elements.tagColor.value };
+            saveSetting('tagColors', tagColors);
+            emailManager.displayEmails(extractedEmails);
+        }
+    });
+
+    // Collection controls
+    elements.collectionSelect.addEventListener('change', () => {
+        collectionManager.hideForm();
+        collectionManager.switchTo(Number(elements.collectionSelect.value));
+    });
+    elements.collectionNewBtn.addEventListener('click', () => collectionManager.showForm('create'));
+    elements.collectionRenameBtn.addEventListener('click', () => collectionManager.showForm('rename'));
+    elements.collectionArchiveBtn.addEventListener('click', collectionManager.toggleArchive);
+    elements.collectionSaveBtn.addEventListener('click', collectionManager.saveForm);
+    elements.collectionCancelBtn.addEventListener('click', collectionManager.hideForm);
+    elements.collectionNameInput.addEventListener('keydown', (event) => {
+        if (event.key === 'Enter') {
+            collectionManager.saveForm();
+        } else if (event.key === 'Escape') {
+            collectionManager.hideForm();
+        }
+    });
+
+    // Crawl controls
+    elements.crawlStartBtn.addEventListener('click', crawlManager.startCrawl);
+    elements.crawlPauseBtn.addEventListener('click', crawlManager.togglePause);
+    elements.crawlCancelBtn.addEventListener('click', crawlManager.cancelCrawl);
+
     // Remove duplicates checkbox
     elements.removeDuplicates.addEventListener('change', () => {
+        // Watch mode reads it from settings too
+        saveSetting('removeDuplicates', elements.removeDuplicates.checked);
         if (extractedEmails.length > 0) {
             const removeDupes = elements.removeDuplicates.checked;
             extractedEmails = utils.sanitizeEmails(extractedEmails, removeDupes);
@@ -589,14 +1381,24 @@ function initializePopup() {
         // Update page info
         updatePageInfo();
         
-        // Load any existing emails from storage
+        // Show the collections and the active one's emails
+        collectionManager.load();
         loadStoredEmails();
+
+        // Reflect stored settings in the controls
+        loadSettings();
+
+        // Follow emails the background adds while the popup is open
+        setupStorageListener();
         
         // Check content script status
         checkContentScriptStatus();
         
         // Set up message listener for automatic email detection
         setupMessageListener();
+
+        // Show any crawl that is running in the background
+        crawlManager.loadStatus();
         
         console.log('Email Scraper Popup initialized successfully');
         
@@ -611,27 +1413,26 @@ function initializePopup() {
  */
 function setupMessageListener() {
     try {
-        chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-            if (message.type === 'emailsDetected') {
-                console.log('Popup: Received automatic email detection:', message.count, 'emails');
+        messageProtocol.listen('popup', {
+            emailsDetected: ({ emails, count }) => {
+                console.log('Popup: Received automatic email detection:', count, 'emails');
                 
                 // Automatically add the detected emails
-                if (message.emails && Array.isArray(message.emails)) {
-                    emailManager.addEmails(message.emails);
-                    
-                    // Update status
-                    elements.autoDetectStatus.textContent = `✅ Found ${message.count}`;
-                    elements.autoDetectStatus.className = 'status-indicator found';
-                    
-                    // Show success message
-                    utils.showStatus(`Automatically detected ${message.count} email(s)`, 'success');
-                    
-                    // Enable export button
-                    elements.exportBtn.disabled = false;
-                }
+                emailManager.addEmails(emails);
+                
+                // Update status
+                elements.autoDetectStatus.textContent = `✅ Found ${count}`;
+                elements.autoDetectStatus.className = 'status-indicator found';
+                
+                // Show success message
+                utils.showStatus(`Automatically detected ${count} email(s)`, 'success');
                 
-                sendResponse({ success: true });
-                return true;
+                // Enable export button
+                elements.exportBtn.disabled = false;
+            },
+
+            crawlProgress: ({ job }) => {
+                crawlManager.handleProgress(job);
             }
         });
         
@@ -663,26 +1464,71 @@ async function updatePageInfo() {
  */
 async function loadStoredEmails() {
     try {
-        const result = await chrome.storage.local.get(['extractedEmails']);
-        if (result.extractedEmails && Array.isArray(result.extractedEmails)) {
-            extractedEmails = result.extractedEmails;
-            emailManager.displayEmails(extractedEmails);
-    utils.updateEmailCount();
-            elements.exportBtn.disabled = extractedEmails.length === 0;
-        }
+        const stored = await emailStore.getAll(await emailStore.getActiveCollectionId());
+        extractedEmails = utils.sanitizeEmails(stored, elements.removeDuplicates.checked);
+        emailManager.displayEmails(extractedEmails);
+        utils.updateEmailCount();
+        elements.exportBtn.disabled = extractedEmails.length === 0;
     } catch (error) {
         console.error('Error loading stored emails:', error);
     }
 }
 
 /**
- * Save emails to storage
+ * Load settings into the popup controls
+ */
+async function loadSettings() {
+    try {
+        const result = await chrome.storage.local.get(['settings']);
+        const settings = result.settings || {};
+        elements.watchMode.checked = !!settings.watchMode;
+        elements.removeDuplicates.checked = settings.removeDuplicates !== false;
+
+        const columns = Array.isArray(settings.csvColumns) ? settings.csvColumns : csvExporter.defaultColumns;
+        elements.csvColumns.forEach(input => {
+            input.checked = columns.includes(input.value);
+        });
+        elements.csvDelimiter.value = csvExporter.delimiters[settings.csvDelimiter] ? settings.csvDelimiter : 'comma';
+        elements.csvBom.checked = !!settings.csvBom;
+
+        tagColors = settings.tagColors && typeof settings.tagColors === 'object' ? settings.tagColors : {};
+        filterRules = emailRules.compile(settings.emailRules);
+        classificationLists = emailClassifier.compile(settings.classificationLists);
+        extractedEmails = utils.sanitizeEmails(extractedEmails, elements.removeDuplicates.checked);
+        emailManager.displayEmails(extractedEmails);
+    } catch (error) {
+        console.error('Error loading settings:', error);
+    }
+}
+
+/**
+ * Save a single setting, keeping the others
+ * @param {string} key - Setting name
+ * @param {*} value - New value
  */
-async function saveEmailsToStorage() {
+async function saveSetting(key, value) {
     try {
-        await chrome.storage.local.set({ extractedEmails: extractedEmails });
+        const result = await chrome.storage.local.get(['settings']);
+        const settings = { ...(result.settings || {}), [key]: value };
+        await chrome.storage.local.set({ settings: settings });
     } catch (error) {
-        console.error('Error saving emails to storage:', error);
+        console.error('Error saving setting:', error);
+        utils.showStatus('Could not save setting', 'error');
+    }
+}
+
+/**
+ * Reload the list when the background or dashboard changes stored emails
+ * (crawl results, watch mode finds, bulk edits)
+ */
+function setupStorageListener() {
+    try {
+        emailStore.onChange(() => {
+            collectionManager.load();
+            loadStoredEmails();
+        });
+    } catch (error) {
+        console.error('Popup: Error setting up storage listener:', error);
     }
 }
 
@@ -707,19 +1553,19 @@ async function checkContentScriptStatus() {
 
         // Try to ping the content script
         try {
-            await chrome.tabs.sendMessage(tab.id, { type: 'ping' });
+            await messageProtocol.send('ping', {}, { tabId: tab.id });
             
             // Check if we already have emails for this page
-            const result = await chrome.storage.local.get(['pageData']);
-            if (result.pageData && result.pageData.emails && result.pageData.emails.length > 0) {
-                elements.autoDetectStatus.textContent = `✅ Found ${result.pageData.emails.length}`;
+            const pageData = await emailStore.getPage(tab.url);
+            if (pageData && pageData.emails && pageData.emails.length > 0) {
+                elements.autoDetectStatus.textContent = `✅ Found ${pageData.emails.length}`;
                 elements.autoDetectStatus.className = 'status-indicator found';
                 
                 // Load the emails automatically
-                emailManager.addEmails(result.pageData.emails);
+                emailManager.addEmails(pageData.emails);
                 elements.exportBtn.disabled = false;
                 
-                utils.showStatus(`Found ${result.pageData.emails.length} previously detected email(s)`, 'success');
+                utils.showStatus(`Found ${pageData.emails.length} previously detected email(s)`, 'success');
             } else {
                 elements.autoDetectStatus.textContent = '🔍 Scanning for emails...';
                 elements.autoDetectStatus.className = 'status-indicator scanning';
@@ -749,16 +1595,3 @@ if (document.readyState === 'loading') {
 } else {
     initializePopup();
 }
-
-// Save emails to storage when they change
-const originalAddEmails = emailManager.addEmails;
-emailManager.addEmails = function(newEmails) {
-    originalAddEmails.call(this, newEmails);
-    saveEmailsToStorage();
-};
-
-const originalClearEmails = emailManager.clearEmails;
-emailManager.clearEmails = function() {
-    originalClearEmails.call(this);
-    saveEmailsToStorage();
-};
\ No newline at end of file
@@ -0,0 +1,169 @@
+/**
+ * Email Scraper Extension - Filter Rules
+ * User-managed allow/deny rules deciding which addresses are kept. Loaded by
+ * the content script, the popup and the dashboard so every place applies
+ * them the same way
+ */
+
+const emailRules = {
+    // Rule types, as offered in the rules editor
+    types: {
+        exact: { label: 'Exact address', placeholder: 'info@example.com' },
+        domain: { label: 'Domain', placeholder: 'example.com' },
+        subdomain: { label: 'Subdomains', placeholder: '*.example.com' },
+        localPart: { label: 'Local part', placeholder: 'noreply*' },
+        regex: { label: 'Regular expression', placeholder: '^test\\d+@' }
+    },
+
+    // Used until the user saves their own list: placeholder addresses and
+    // the domains reserved for documentation (RFC 2606)
+    defaultRules: [
+        { action: 'deny', type: 'domain', value: 'example.com' },
+        { action: 'deny', type: 'domain', value: 'example.org' },
+        { action: 'deny', type: 'domain', value: 'example.net' },
+        { action: 'deny', type: 'subdomain', value: '*.example.com' },
+        { action: 'deny', type: 'domain', value: 'localhost' },
+        { action: 'deny', type: 'domain', value: '127.0.0.1' },
+        { action: 'deny', type: 'exact', value: 'test@test.com' },
+        { action: 'deny', type: 'exact', value: 'sample@domain.com' },
+        { action: 'deny', type: 'exact', value: 'user@domain.com' },
+        { action: 'deny', type: 'exact', value: 'placeholder@email.com' }
+    ],
+
+    /**
+     * Turn a glob with * and ? into an anchored regular expression
+     * @param {string} glob - e.g. "noreply*"
+     * @returns {RegExp}
+     */
+    globToRegex: function(glob) {
+        const source = glob
+            .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+            .replace(/\*/g, '.*')
+            .replace(/\?/g, '.');
+        return new RegExp(`^${source}$`, 'i');
+    },
+
+    /**
+     * The shared core (core.js): a global in the extension, a module under Node
+     */
+    core: function() {
+        return typeof emailCore !== 'undefined' ? emailCore : require('./core.js').emailCore;
+    },
+
+    /**
+     * Build the test for one rule
+     * Addresses are matched in the form emailCore stores them, with Unicode
+     * domains, so rule values typed as punycode are converted the same way
+     * @param {Object} rule - { action, type, value }
+     * @returns {Function|null} - (local, domain, email) => boolean, or null for an unusable rule
+     */
+    compileRule: function(rule) {
+        if (!rule || !this.types[rule.type] || typeof rule.value !== 'string') {
+            return null;
+        }
+        const value = rule.value.trim().toLowerCase();
+        if (!value) {
+            return null;
+        }
+
+        switch (rule.type) {
+            case 'exact': {
+                const target = this.core().normalizeEmail(value);
+                return (local, domain, email) => email === target;
+            }
+            case 'domain': {
+                const target = value.replace(/^@/, '');
+                const unicode = this.core().toUnicode(target) || target;
+                return (local, domain) => domain === unicode;
+            }
+            case 'subdomain': {
+                // "*.example.com" matches a.example.com and a.b.example.com, not example.com
+                const parent = value.replace(/^\*?\.?/, '');
+                const suffix = '.' + (this.core().toUnicode(parent) || parent);
+                return (local, domain) => domain.endsWith(suffix);
+            }
+            case 'localPart': {
+                const pattern = this.globToRegex(value.replace(/@.*$/, ''));
+                return (local) => pattern.test(local);
+            }
+            case 'regex':
+                try {
+                    const pattern = new RegExp(rule.value.trim(), 'i');
+                    return (local, domain, email) => pattern.test(email);
+                } catch (error) {
+                    console.warn('Email Rules: Skipping invalid regular expression:', rule.value);
+                    return null;
+                }
+            default:
+                return null;
+        }
+    },
+
+    /**
+     * Check a rule before saving it
+     * @param {Object} rule - { action, type, value }
+     * @returns {string} - Problem description, or '' when the rule is usable
+     */
+    validateRule: function(rule) {
+        if (!rule || (rule.action !== 'allow' && rule.action !== 'deny')) {
+            return 'Choose allow or deny';
+        }
+        if (!this.types[rule.type]) {
+            return 'Choose a rule type';
+        }
+        if (typeof rule.value !== 'string' || !rule.value.trim()) {
+            return 'Enter a value';
+        }
+        if (rule.type === 'regex') {
+            try {
+                new RegExp(rule.value.trim(), 'i');
+            } catch (error) {
+                return error.message;
+            }
+        }
+        return '';
+    },
+
+    /**
+     * Prepare a rule list for repeated matching
+     * Allow rules take precedence: an address matching any allow rule is
+     * kept even when a deny rule matches it too
+     * @param {Array<Object>} [rules] - Stored rules; the defaults when not an array
+     * @returns {Object} - { allow: [tests], deny: [tests] }
+     */
+    compile: function(rules) {
+        const list = Array.isArray(rules) ? rules : this.defaultRules;
+        const compiled = { allow: [], deny: [] };
+        list.forEach(rule => {
+            const test = this.compileRule(rule);
+            if (test) {
+                compiled[rule.action === 'allow' ? 'allow' : 'deny'].push(test);
+            }
+        });
+        return compiled;
+    },
+
+    /**
+     * Whether an address passes the rules
+     * @param {string} email - Address, any case
+     * @param {Object} compiled - From compile()
+     * @returns {boolean}
+     */
+    isAllowed: function(email, compiled) {
+        const address = String(email || '').toLowerCase();
+        const at = address.lastIndexOf('@');
+        const local = address.substring(0, at);
+        const domain = address.substring(at + 1);
+        const matches = (test) => test(local, domain, address);
+
+        if (compiled.allow.some(matches)) {
+            return true;
+        }
+        return !compiled.deny.some(matches);
+    }
+};
+
+// Export for Node-based tests
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { emailRules };
+}
@@ -0,0 +1,516 @@
+/**
+ * Email Scraper Extension - Email Store
+ * IndexedDB storage for the collection, shared by the background worker,
+ * the popup and the dashboard (they all run on the extension origin)
+ */
+
+const emailStore = {
+    dbName: 'email-scraper',
+    version: 3,
+    dbPromise: null,
+    channel: null,
+    changeListeners: [],
+
+    /**
+     * Open the database, creating or upgrading the stores as needed
+     * emails:      one record per sighting (or per address and collection when
+     *              deduplicating), indexed by email, domain, sourceUrl,
+     *              first/last-seen time and collection, plus the records
+     *              still waiting for a deliverability result
+     * collections: named collections { id, name, archived, createdAt }
+     * pages:       latest automatic detection per page URL
+     * meta:        bookkeeping such as the migration flag and active collection
+     * @returns {Promise<IDBDatabase>}
+     */
+    open: function() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.dbName, this.version);
+                request.onupgradeneeded = (event) => {
+                    const db = request.result;
+                    const tx = request.transaction;
+                    if (event.oldVersion < 1) {
+                        const emails = db.createObjectStore('emails', { keyPath: 'id', autoIncrement: true });
+                        emails.createIndex('email', 'email');
+                        emails.createIndex('domain', 'domain');
+                        emails.createIndex('sourceUrl', 'sourceUrl');
+                        emails.createIndex('firstSeen', 'firstSeen');
+                        emails.createIndex('lastSeen', 'lastSeen');
+                        db.createObjectStore('pages', { keyPath: 'url' });
+                        db.createObjectStore('meta');
+                    }
+                    if (event.oldVersion < 2) {
+                        // Version 2: collections; emails saved so far go into the first one
+                        const emails = tx.objectStore('emails');
+                        emails.createIndex('collectionId', 'collectionId');
+                        emails.createIndex('collectionEmail', ['collectionId', 'email']);
+                        const collections = db.createObjectStore('collections', { keyPath: 'id', autoIncrement: true });
+                        collections.add({ name: 'Default', archived: false, createdAt: Date.now() }).onsuccess = (addEvent) => {
+                            const collectionId = addEvent.target.result;
+                            tx.objectStore('meta').put(collectionId, 'activeCollectionId');
+                            emails.openCursor().onsuccess = (cursorEvent) => {
+                                const cursor = cursorEvent.target.result;
+                                if (cursor) {
+                                    cursor.update(this.withPendingFlag({ ...cursor.value, collectionId: collectionId }));
+                                    cursor.continue();
+                                }
+                            };
+                        };
+                    }
+                    if (event.oldVersion < 3) {
+                        // Version 3: index unverified records, so checks need not read
+                        // every collection (a version 1 store is flagged just above)
+                        const emails = tx.objectStore('emails');
+                        emails.createIndex('verificationPending', 'verificationPending');
+                        if (event.oldVersion === 2) {
+                            emails.openCursor().onsuccess = (cursorEvent) => {
+                                const cursor = cursorEvent.target.result;
+                                if (cursor) {
+                                    cursor.update(this.withPendingFlag(cursor.value));
+                                    cursor.continue();
+                                }
+                            };
+                        }
+                    }
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            }).catch(error => {
+                // Let the next call retry
+                this.dbPromise = null;
+                throw error;
+            });
+        }
+        return this.dbPromise;
+    },
+
+    /**
+     * Run work inside a transaction
+     * @param {Array<string>} storeNames - Stores the transaction covers
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} work - Receives the transaction; its return value
+     *     (read once the transaction completes) resolves the promise
+     * @returns {Promise<*>}
+     */
+    transaction: async function(storeNames, mode, work) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(storeNames, mode);
+            let result;
+            tx.oncomplete = () => resolve(typeof result === 'function' ? result() : result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+            try {
+                result = work(tx);
+            } catch (error) {
+                tx.abort();
+                reject(error);
+            }
+        });
+    },
+
+    /**
+     * Fold a later sighting into an existing record
+     * The first sighting keeps its provenance; the first/last-seen window is
+     * widened, a missing contact or note is filled in and tags are combined
+     * @param {Object} existing - Stored record
+     * @param {Object} record - New sighting of the same address
+     * @returns {Object} - Merged record
+     */
+    mergeRecord: function(existing, record) {
+        return {
+            ...existing,
+            firstSeen: Math.min(existing.firstSeen, record.firstSeen),
+            lastSeen: Math.max(existing.lastSeen, record.lastSeen),
+            contact: existing.contact || record.contact || null,
+            tags: [...new Set([...(existing.tags || []), ...(record.tags || [])])],
+            notes: existing.notes || record.notes || ''
+        };
+    },
+
+    /**
+     * Set or drop the flag the verificationPending index is built on
+     * Records without the key path stay out of an index, so the flag is only
+     * there until a deliverability result is saved
+     * @param {Object} record - Record about to be written
+     * @returns {Object} - Record to store
+     */
+    withPendingFlag: function(record) {
+        const { verificationPending, ...fields } = record;
+        return fields.verification ? fields : { ...fields, verificationPending: 1 };
+    },
+
+    /**
+     * Add records to a collection without rewriting it
+     * @param {Array<Object>} records - Normalized email records
+     * @param {boolean} removeDuplicates - Merge into an existing record for the
+     *     same address in the same collection
+     * @param {number} collectionId - Collection the records belong to
+     * @returns {Promise<Object>} - { added, updated }
+     */
+    upsert: async function(records, removeDuplicates, collectionId) {
+        const counts = { added: 0, updated: 0 };
+        if (!Array.isArray(records) || records.length === 0) {
+            return counts;
+        }
+
+        await this.transaction(['emails'], 'readwrite', tx => {
+            const store = tx.objectStore('emails');
+            const byEmail = store.index('collectionEmail');
+
+            // One record at a time, so duplicates inside the batch merge too
+            const next = (index) => {
+                if (index >= records.length) {
+                    return;
+                }
+                const { id, ...fields } = records[index];
+                const record = { ...fields, collectionId: collectionId };
+                if (!removeDuplicates) {
+                    store.add(this.withPendingFlag(record)).onsuccess = () => {
+                        counts.added++;
+                        next(index + 1);
+                    };
+                    return;
+                }
+                byEmail.get([collectionId, record.email]).onsuccess = (event) => {
+                    const existing = event.target.result;
+                    const request = existing ? store.put(this.withPendingFlag(this.mergeRecord(existing, record))) : store.add(this.withPendingFlag(record));
+                    request.onsuccess = () => {
+                        counts[existing ? 'updated' : 'added']++;
+                        next(index + 1);
+                    };
+                };
+            };
+            next(0);
+        });
+
+        this.notify();
+        return counts;
+    },
+
+    /**
+     * Replace whole stored records, matched by id
+     * Only for records just read from the store: a copy held while the user
+     * edits goes stale, so field edits such as tags, notes or verification
+     * results use patch instead
+     * @param {Array<Object>} records - Records that carry their id
+     */
+    put: async function(records) {
+        await this.transaction(['emails'], 'readwrite', tx => {
+            const store = tx.objectStore('emails');
+            records.filter(record => typeof record.id === 'number').forEach(record => store.put(this.withPendingFlag(record)));
+        });
+        this.notify();
+    },
+
+    /**
+     * Update some fields of stored records, keeping everything else as it is
+     * now (unlike put, which writes back whole records read earlier)
+     * @param {Array<Object>} updates - { id, fields }; unknown ids are skipped
+     */
+    patch: async function(updates) {
+        await this.transaction(['emails'], 'readwrite', tx => {
+            const store = tx.objectStore('emails');
+            updates.forEach(update => {
+                store.get(update.id).onsuccess = (event) => {
+                    const record = event.target.result;
+                    if (record) {
+                        store.put(this.withPendingFlag({ ...record, ...update.fields }));
+                    }
+                };
+            });
+        });
+        this.notify();
+    },
+
+    /**
+     * Delete records by id
+     * @param {Array<number>} ids - Record ids
+     */
+    delete: async function(ids) {
+        await this.transaction(['emails'], 'readwrite', tx => {
+            const store = tx.objectStore('emails');
+            ids.forEach(id => store.delete(id));
+        });
+        this.notify();
+    },
+
+    /**
+     * Records of one collection, or of all collections, oldest first
+     * @param {number} [collectionId] - Collection to read; omit for every record
+     * @returns {Promise<Array<Object>>}
+     */
+    getAll: function(collectionId) {
+        return this.transaction(['emails'], 'readonly', tx => {
+            const store = tx.objectStore('emails');
+            const request = collectionId === undefined ? store.getAll() : store.index('collectionId').getAll(collectionId);
+            return () => request.result || [];
+        });
+    },
+
+    /**
+     * Records of every collection that have no deliverability result yet
+     * @returns {Promise<Array<Object>>}
+     */
+    getPendingVerification: function() {
+        return this.transaction(['emails'], 'readonly', tx => {
+            const request = tx.objectStore('emails').index('verificationPending').getAll(1);
+            return () => request.result || [];
+        });
+    },
+
+    /**
+     * Records for one address
+     * @param {string} email - Address, lower case
+     * @returns {Promise<Array<Object>>}
+     */
+    getByEmail: function(email) {
+        return this.transaction(['emails'], 'readonly', tx => {
+            const request = tx.objectStore('emails').index('email').getAll(email);
+            return () => request.result || [];
+        });
+    },
+
+    /**
+     * Number of stored records
+     * @param {number} [collectionId] - Collection to count; omit for every record
+     * @returns {Promise<number>}
+     */
+    count: function(collectionId) {
+        return this.transaction(['emails'], 'readonly', tx => {
+            const store = tx.objectStore('emails');
+            const request = collectionId === undefined ? store.count() : store.index('collectionId').count(collectionId);
+            return () => request.result || 0;
+        });
+    },
+
+    /**
+     * Remove a collection's records and every page detection
+     * (page detections are re-added to whichever collection is active)
+     * @param {number} collectionId - Collection to empty
+     */
+    clear: async function(collectionId) {
+        await this.transaction(['emails', 'pages'], 'readwrite', tx => {
+            tx.objectStore('emails').index('collectionId').openKeyCursor(collectionId).onsuccess = (event) => {
+                const cursor = event.target.result;
+                if (cursor) {
+                    tx.objectStore('emails').delete(cursor.primaryKey);
+                    cursor.continue();
+                }
+            };
+            tx.objectStore('pages').clear();
+        });
+        this.notify();
+    },
+
+    /**
+     * All collections with their record counts, oldest first
+     * @returns {Promise<Array<Object>>} - { id, name, archived, createdAt, count }
+     */
+    getCollections: function() {
+        return this.transaction(['collections', 'emails'], 'readonly', tx => {
+            const byCollection = tx.objectStore('emails').index('collectionId');
+            const collections = [];
+            tx.objectStore('collections').getAll().onsuccess = (event) => {
+                event.target.result.forEach(collection => {
+                    const entry = { ...collection, count: 0 };
+                    collections.push(entry);
+                    byCollection.count(collection.id).onsuccess = (countEvent) => {
+                        entry.count = countEvent.target.result;
+                    };
+                });
+            };
+            return () => collections;
+        });
+    },
+
+    /**
+     * Trim a collection name, rejecting empty ones
+     * @param {string} name - Name as typed
+     * @returns {string} - Name to store
+     */
+    cleanCollectionName: function(name) {
+        const cleaned = typeof name === 'string' ? name.trim().substring(0, 60) : '';
+        if (!cleaned) {
+            throw new Error('Collection name is required');
+        }
+        return cleaned;
+    },
+
+    /**
+     * Create a collection
+     * @param {string} name - Collection name
+     * @returns {Promise<number>} - New collection id
+     */
+    createCollection: async function(name) {
+        const collection = { name: this.cleanCollectionName(name), archived: false, createdAt: Date.now() };
+        const id = await this.transaction(['collections'], 'readwrite', tx => {
+            const request = tx.objectStore('collections').add(collection);
+            return () => request.result;
+        });
+        this.notify();
+        return id;
+    },
+
+    /**
+     * Change a collection's name or archived flag
+     * @param {number} id - Collection id
+     * @param {Object} changes - { name } and/or { archived }
+     */
+    updateCollection: async function(id, changes) {
+        const update = {};
+        if (changes.name !== undefined) {
+            update.name = this.cleanCollectionName(changes.name);
+        }
+        if (changes.archived !== undefined) {
+            update.archived = !!changes.archived;
+        }
+        await this.transaction(['collections'], 'readwrite', tx => {
+            const store = tx.objectStore('collections');
+            store.get(id).onsuccess = (event) => {
+                if (event.target.result) {
+                    store.put({ ...event.target.result, ...update });
+                }
+            };
+        });
+        this.notify();
+    },
+
+    /**
+     * Id of the collection new emails are added to
+     * @returns {Promise<number>}
+     */
+    getActiveCollectionId: function() {
+        return this.transaction(['meta'], 'readonly', tx => {
+            const request = tx.objectStore('meta').get('activeCollectionId');
+            return () => request.result;
+        });
+    },
+
+    /**
+     * Make a collection the active one
+     * @param {number} id - Collection id
+     */
+    setActiveCollection: async function(id) {
+        await this.transaction(['meta'], 'readwrite', tx => {
+            tx.objectStore('meta').put(id, 'activeCollectionId');
+        });
+        this.notify();
+    },
+
+    /**
+     * Remember the latest automatic detection for a page
+     * @param {Object} pageData - { url, emails, detectedAt, ... }
+     */
+    putPage: async function(pageData) {
+        if (!pageData || typeof pageData.url !== 'string') {
+            return;
+        }
+        await this.transaction(['pages'], 'readwrite', tx => {
+            tx.objectStore('pages').put(pageData);
+        });
+    },
+
+    /**
+     * Latest automatic detection for a page
+     * @param {string} url - Page URL
+     * @returns {Promise<Object|null>}
+     */
+    getPage: function(url) {
+        return this.transaction(['pages'], 'readonly', tx => {
+            const request = tx.objectStore('pages').get(url);
+            return () => request.result || null;
+        });
+    },
+
+    /**
+     * Move emails out of the chrome.storage.local keys older versions used
+     * (extractedEmails, pageData) into the active collection
+     * The flag is checked and set in the same transaction as the inserts, so
+     * contexts starting at the same time cannot import twice
+     * @param {Function} normalize - Turns a legacy entry into a record, or null
+     * @returns {Promise<number>} - Records migrated
+     */
+    migrate: async function(normalize) {
+        const legacy = await chrome.storage.local.get(['extractedEmails', 'pageData']);
+        const records = (Array.isArray(legacy.extractedEmails) ? legacy.extractedEmails : [])
+            .map(normalize)
+            .filter(Boolean);
+        const pageData = legacy.pageData && typeof legacy.pageData.url === 'string' ? legacy.pageData : null;
+
+        let migrated = 0;
+        await this.transaction(['emails', 'pages', 'meta'], 'readwrite', tx => {
+            const meta = tx.objectStore('meta');
+            meta.get('migratedFromStorageLocal').onsuccess = (event) => {
+                if (event.target.result) {
+                    return;
+                }
+                meta.get('activeCollectionId').onsuccess = (activeEvent) => {
+                    const emails = tx.objectStore('emails');
+                    records.forEach(({ id, ...record }) => emails.add(this.withPendingFlag({ ...record, collectionId: activeEvent.target.result })));
+                    if (pageData) {
+                        tx.objectStore('pages').put(pageData);
+                    }
+                    meta.put(Date.now(), 'migratedFromStorageLocal');
+                    migrated = records.length;
+                };
+            };
+        });
+
+        if (legacy.extractedEmails !== undefined || legacy.pageData !== undefined) {
+            await chrome.storage.local.remove(['extractedEmails', 'pageData']);
+        }
+        if (migrated > 0) {
+            console.log(`Email Store: Migrated ${migrated} emails from chrome.storage.local`);
+            this.notify();
+        }
+        return migrated;
+    },
+
+    /**
+     * The one change channel of this context, for posting and listening
+     * Messages reach every other instance of the channel but not the one that
+     * posted them, so a context is never told about its own writes
+     * @returns {BroadcastChannel|null}
+     */
+    getChannel: function() {
+        if (!this.channel && typeof BroadcastChannel !== 'undefined') {
+            this.channel = new BroadcastChannel('email-store');
+            this.channel.onmessage = (event) => {
+                if (event.data && event.data.type === 'changed') {
+                    this.changeListeners.forEach(callback => callback());
+                }
+            };
+        }
+        return this.channel;
+    },
+
+    /**
+     * Tell the other extension pages that the collection changed
+     */
+    notify: function() {
+        try {
+            const channel = this.getChannel();
+            if (channel) {
+                channel.postMessage({ type: 'changed' });
+            }
+        } catch (error) {
+            console.warn('Email Store: Change notification failed:', error);
+        }
+    },
+
+    /**
+     * Call back whenever another context changes the collection; changes
+     * made in this context are not reported
+     * @param {Function} callback - Called with no arguments
+     */
+    onChange: function(callback) {
+        this.changeListeners.push(callback);
+        this.getChannel();
+    }
+};
+
+// Export for Node-based tests
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { emailStore };
+}
@@ -26,12 +26,13 @@ const TestUtils = {
     /**
      * Test runner
      * @param {string} testName - Name of the test
-     * @param {Function} testFunction - Test function to run
+     * @param {Function} testFunction - Test function to run; may be async
+     * @returns {Promise<boolean>}
      */
-    runTest: (testName, testFunction) => {
+    runTest: async (testName, testFunction) => {
         console.log(`\n🧪 Running test: ${testName}`);
         try {
-            const result = testFunction();
+            const result = await testFunction();
             if (result !== false) {
                 console.log(`✅ ${testName} completed successfully`);
             }
@@ -66,6 +67,12 @@ const MockDOM = {
     })
 };
 
+/**
+ * The shared core (core.js) that the content script, popup and background
+ * worker validate with: a global on extension pages, a module under Node
+ */
+const sharedCore = typeof emailCore !== 'undefined' ? emailCore : require('./core.js').emailCore;
+
 /**
  * EmailExtractor Tests
  */
@@ -82,6 +89,9 @@ const EmailExtractorTests = {
             { email: 'user.name@domain.co.uk', expected: true },
             { email: 'test+tag@gmail.com', expected: true },
             { email: 'user@subdomain.example.com', expected: true },
+            { email: 'curator@history.museum', expected: true },
+            { email: 'josé@café.fr', expected: true },
+            { email: 'jose@xn--caf-dma.fr', expected: true },
 
             // Invalid emails
             { email: 'invalid-email', expected: false },
@@ -89,6 +99,9 @@ const EmailExtractorTests = {
             { email: 'test@', expected: false },
             { email: 'test..email@example.com', expected: false },
             { email: 'test@example', expected: false },
+            { email: 'test@example.notatld', expected: false },
+            { email: 'test@xn--zz.com', expected: false },
+            { email: `${'a'.repeat(65)}@example.com`, expected: false },
             { email: '', expected: false },
             { email: null, expected: false }
         ];
@@ -97,58 +110,12 @@ const EmailExtractorTests = {
         let total = testCases.length;
 
         testCases.forEach(testCase => {
-            // Create a mock extractor instance for testing
-            const extractor = {
-                isValidEmail: function(email) {
-                    if (!email || typeof email !== 'string' || email.length > 254) {
-                        return false;
-                    }
-
-                    const invalidPatterns = [
-                        /\.{2,}/,
-                        /^\./,
-                        /\.$/,
-                        /@.*@/,
-                        /^[^@]*$/,
-                        /@\./,
-                        /\.@/,
-                        /^@/  // Email cannot start with @
-                    ];
-
-                    if (invalidPatterns.some(pattern => pattern.test(email))) {
-                        return false;
-                    }
-
-                    const atIndex = email.indexOf('@');
-                    if (atIndex === -1) {
-                        return false;
-                    }
-
-                    const domain = email.substring(atIndex + 1);
-                    if (!domain.includes('.') || domain.startsWith('.') || domain.endsWith('.')) {
-                        return false;
-                    }
-
-                    return true;
-                }
-            };
-
-            const result = extractor.isValidEmail(testCase.email);
+            const result = sharedCore.isValidEmail(testCase.email);
             if (result === testCase.expected) {
                 passed++;
                 console.log(`✅ "${testCase.email}" -> ${result}`);
             } else {
                 console.log(`❌ "${testCase.email}" -> Expected: ${testCase.expected}, Got: ${result}`);
-                // Debug: check each validation step
-                console.log(`   Length check: ${testCase.email.length <= 254}`);
-                console.log(`   Invalid patterns check: ${!extractor.invalidPatterns.some(pattern => pattern.test(testCase.email))}`);
-                const atIndex = testCase.email.indexOf('@');
-                console.log(`   At index: ${atIndex}`);
-                if (atIndex !== -1) {
-                    const domain = testCase.email.substring(atIndex + 1);
-                    console.log(`   Domain: "${domain}"`);
-                    console.log(`   Domain validation: ${domain.includes('.') && !domain.startsWith('.') && !domain.endsWith('.')}`);
-                }
             }
         });
 
@@ -178,6 +145,10 @@ const EmailExtractorTests = {
             {
                 text: 'mailto:test@example.com',
                 expected: ['test@example.com']
+            },
+            {
+                text: 'Écrivez à José@CAFÉ.fr ou 用户@例子.中国 (or jose@xn--caf-dma.fr)',
+                expected: ['josé@café.fr', '用户@例子.中国', 'jose@café.fr']
             }
         ];
 
@@ -185,64 +156,7 @@ const EmailExtractorTests = {
         let total = testCases.length;
 
         testCases.forEach(testCase => {
-            const extractor = {
-                emailRegex: /[a-zA-Z0-9.!#$%&'*+/=?^_`{|}~-]+@[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?(?:\.[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?)*/g,
-
-                extractFromText: function(text) {
-                    if (!text || typeof text !== 'string') {
-                        return [];
-                    }
-
-                    const emails = [];
-                    let match;
-
-                    this.emailRegex.lastIndex = 0;
-
-                    while ((match = this.emailRegex.exec(text)) !== null) {
-                        const email = match[0].toLowerCase().trim();
-                        if (this.isValidEmail(email)) {
-                            emails.push(email);
-                        }
-                    }
-
-                    return emails;
-                },
-
-                isValidEmail: function(email) {
-                    if (!email || typeof email !== 'string' || email.length > 254) {
-                        return false;
-                    }
-
-                    const invalidPatterns = [
-                        /\.{2,}/,
-                        /^\./,
-                        /\.$/,
-                        /@.*@/,
-                        /^[^@]*$/,
-                        /@\./,
-                        /\.@/,
-                        /^@/  // Email cannot start with @
-                    ];
-
-                    if (invalidPatterns.some(pattern => pattern.test(email))) {
-                        return false;
-                    }
-
-                    const atIndex = email.indexOf('@');
-                    if (atIndex === -1) {
-                        return false;
-                    }
-
-                    const domain = email.substring(atIndex + 1);
-                    if (!domain.includes('.') || domain.startsWith('.') || domain.endsWith('.')) {
-                        return false;
-                    }
-
-                    return true;
-                }
-            };
-
-            const result = extractor.extractFromText(testCase.text);
+            const result = sharedCore.findInText(testCase.text).map(match => match.email);
             const arraysEqual = (a, b) => a.length === b.length && a.every((val, index) => val === b[index]);
 
             if (arraysEqual(result, testCase.expected)) {
@@ -271,6 +185,10 @@ const EmailExtractorTests = {
             {
                 input: ['user1@domain.com', 'user2@domain.com', 'user1@domain.com'],
                 expected: ['user1@domain.com', 'user2@domain.com']
+            },
+            {
+                input: ['josé@café.fr', 'JOSÉ@xn--caf-dma.fr', 'josé@café.fr'],
+                expected: ['josé@café.fr']
             }
         ];
 
@@ -278,7 +196,7 @@ const EmailExtractorTests = {
         let total = testCases.length;
 
         testCases.forEach(testCase => {
-            const result = [...new Set(testCase.input.map(email => email.toLowerCase()))];
+            const result = [...new Set(testCase.input.map(email => sharedCore.normalizeEmail(email)))];
 
             const arraysEqual = (a, b) => a.length === b.length && a.every((val, index) => val === b[index]);
 
@@ -295,6 +213,979 @@ const EmailExtractorTests = {
     }
 };
 
+/**
+ * Filter Rule Tests (rules.js)
+ */
+const FilterRuleTests = {
+    /**
+     * Test allow/deny rule matching
+     */
+    testFilterRules: () => {
+        console.log('\n🚦 Testing Filter Rules...');
+
+        if (typeof require === 'undefined') {
+            console.log('⏭️  Filter rules are tested under Node only');
+            return true;
+        }
+        const { emailRules } = require('./rules.js');
+
+        const rules = emailRules.compile([
+            { action: 'deny', type: 'exact', value: 'Info@Acme.com' },
+            { action: 'deny', type: 'domain', value: 'spam.com' },
+            { action: 'deny', type: 'subdomain', value: '*.example.com' },
+            { action: 'deny', type: 'localPart', value: 'noreply*' },
+            { action: 'deny', type: 'regex', value: '^test\\d+@' },
+            { action: 'allow', type: 'exact', value: 'noreply@partner.com' },
+            { action: 'deny', type: 'regex', value: '(' },
+            // Punycode rule values match the Unicode domains addresses are stored with
+            { action: 'deny', type: 'domain', value: 'xn--bcher-kva.example' },
+            { action: 'deny', type: 'subdomain', value: '*.xn--caf-dma.fr' },
+            { action: 'deny', type: 'exact', value: 'Jose@XN--CAF-DMA.com' }
+        ]);
+        const defaults = emailRules.compile();
+
+        const testCases = [
+            { email: 'info@acme.com', rules: rules, expected: false },
+            { email: 'sales@acme.com', rules: rules, expected: true },
+            { email: 'a@spam.com', rules: rules, expected: false },
+            { email: 'a@notspam.com', rules: rules, expected: true },
+            { email: 'a@mail.example.com', rules: rules, expected: false },
+            { email: 'a@example.com', rules: rules, expected: true },
+            { email: 'noreply-billing@shop.com', rules: rules, expected: false },
+            { email: 'test42@shop.com', rules: rules, expected: false },
+            // Allow rules win over deny rules
+            { email: 'noreply@partner.com', rules: rules, expected: true },
+            { email: 'info@bücher.example', rules: rules, expected: false },
+            { email: 'info@shop.bücher.example', rules: rules, expected: true },
+            { email: 'chef@paris.café.fr', rules: rules, expected: false },
+            { email: 'chef@café.fr', rules: rules, expected: true },
+            { email: 'jose@café.com', rules: rules, expected: false },
+            // Real domains that merely contain "test." or "demo." are kept
+            { email: 'jane@latest.com', rules: defaults, expected: true },
+            { email: 'jane@demo.org', rules: defaults, expected: true },
+            { email: 'info@example.com', rules: defaults, expected: false }
+        ];
+
+        let passed = 0;
+        const total = testCases.length + 2;
+
+        testCases.forEach(testCase => {
+            const result = emailRules.isAllowed(testCase.email, testCase.rules);
+            if (result === testCase.expected) {
+                passed++;
+                console.log(`✅ ${testCase.email}: ${result ? 'kept' : 'filtered'}`);
+            } else {
+                console.log(`❌ ${testCase.email}: expected ${testCase.expected ? 'kept' : 'filtered'}`);
+            }
+        });
+
+        // The invalid regular expression is skipped, not fatal
+        if (rules.deny.length === 8) {
+            passed++;
+            console.log('✅ Invalid rule skipped');
+        } else {
+            console.log(`❌ Expected 8 deny rules, got ${rules.deny.length}`);
+        }
+        if (emailRules.validateRule({ action: 'deny', type: 'regex', value: '(' }) !== '') {
+            passed++;
+            console.log('✅ Invalid rule rejected by validation');
+        } else {
+            console.log('❌ Invalid rule passed validation');
+        }
+
+        TestUtils.assert(passed === total, `Filter rules: ${passed}/${total} tests passed`);
+        return passed === total;
+    }
+};
+
+/**
+ * Classification Tests (classifier.js)
+ */
+const ClassificationTests = {
+    /**
+     * Test personal / role-based / disposable labelling
+     */
+    testClassification: () => {
+        console.log('\n🏷️  Testing Classification...');
+
+        if (typeof require === 'undefined') {
+            console.log('⏭️  Classification is tested under Node only');
+            return true;
+        }
+        const { emailClassifier } = require('./classifier.js');
+
+        const bundled = emailClassifier.compile();
+        const custom = emailClassifier.compile({ rolePrefixes: [' Ventas '], disposableDomains: ['tempbox.test', 42] });
+
+        const testCases = [
+            { email: 'jane.doe@acme.com', lists: bundled, expected: 'personal' },
+            { email: 'Info@Acme.com', lists: bundled, expected: 'role' },
+            { email: 'support-eu@acme.com', lists: bundled, expected: 'role' },
+            { email: 'sales2@acme.com', lists: bundled, expected: 'role' },
+            { email: 'info+web@acme.com', lists: bundled, expected: 'role' },
+            // Names that merely start like a role prefix stay personal
+            { email: 'salesforce.fan@acme.com', lists: bundled, expected: 'personal' },
+            { email: 'information.tim@acme.com', lists: bundled, expected: 'role' },
+            // Short prefixes that are also names or initials only count alone or numbered
+            { email: 'it.smith@acme.com', lists: bundled, expected: 'personal' },
+            { email: 'dev.jones@acme.com', lists: bundled, expected: 'personal' },
+            { email: 'media.garcia@acme.com', lists: bundled, expected: 'personal' },
+            { email: 'mail-chen@acme.com', lists: bundled, expected: 'personal' },
+            { email: 'hr_patel@acme.com', lists: bundled, expected: 'personal' },
+            { email: 'it@acme.com', lists: bundled, expected: 'role' },
+            { email: 'media2@acme.com', lists: bundled, expected: 'role' },
+            { email: 'support-team@acme.com', lists: bundled, expected: 'role' },
+            { email: 'jane@mailinator.com', lists: bundled, expected: 'disposable' },
+            { email: 'info@inbox.yopmail.com', lists: bundled, expected: 'disposable' },
+            { email: 'ventas@acme.com', lists: bundled, expected: 'personal' },
+            { email: 'ventas@acme.com', lists: custom, expected: 'role' },
+            { email: 'bob@tempbox.test', lists: custom, expected: 'disposable' }
+        ];
+
+        let passed = 0;
+        testCases.forEach(testCase => {
+            const result = emailClassifier.classify(testCase.email, testCase.lists);
+            if (result === testCase.expected) {
+                passed++;
+                console.log(`✅ ${testCase.email}: ${result}`);
+            } else {
+                console.log(`❌ ${testCase.email}: expected ${testCase.expected}, got ${result}`);
+            }
+        });
+
+        TestUtils.assert(passed === testCases.length, `Classification: ${passed}/${testCases.length} tests passed`);
+        return passed === testCases.length;
+    }
+};
+
+/**
+ * Internationalized Address Tests (core.js)
+ */
+const IdnTests = {
+    /**
+     * Test punycode conversion, canonical forms and the TLD list
+     */
+    testInternationalizedAddresses: () => {
+        console.log('\n🌐 Testing Internationalized Addresses...');
+
+        const testCases = [
+            { name: 'toUnicode xn--caf-dma.fr', actual: () => sharedCore.toUnicode('xn--caf-dma.fr'), expected: 'café.fr' },
+            { name: 'toUnicode Chinese domain', actual: () => sharedCore.toUnicode('xn--fsqu00a.xn--fiqs8s'), expected: '例子.中国' },
+            { name: 'toAscii ideographic full stop', actual: () => sharedCore.toAscii('例子。中国'), expected: 'xn--fsqu00a.xn--fiqs8s' },
+            { name: 'toAscii malformed punycode', actual: () => sharedCore.toAscii('xn--zz.com'), expected: null },
+            { name: 'canonical punycode address', actual: () => sharedCore.normalizeEmail('José@XN--CAF-DMA.fr'), expected: 'josé@café.fr' },
+            { name: 'canonical Unicode address', actual: () => sharedCore.normalizeEmail('JOSÉ@CAFÉ.FR'), expected: 'josé@café.fr' },
+            // "é" as e + combining accent is the same address after NFC
+            { name: 'canonical decomposed address', actual: () => sharedCore.normalizeEmail('jose\u0301@cafe\u0301.fr'), expected: 'josé@café.fr' },
+            { name: 'canonical ASCII address', actual: () => sharedCore.normalizeEmail(' Jane@Acme.COM '), expected: 'jane@acme.com' },
+            { name: 'UTF-8 length', actual: () => sharedCore.byteLength('用户'), expected: 6 },
+            { name: 'long TLD known', actual: () => sharedCore.isKnownTld('technology') && sharedCore.isKnownTld('museum'), expected: true },
+            { name: 'IDN TLD known', actual: () => sharedCore.isKnownTld('xn--p1ai'), expected: true },
+            { name: 'made-up TLD unknown', actual: () => sharedCore.isKnownTld('notatld'), expected: false }
+        ];
+
+        let passed = 0;
+        testCases.forEach(testCase => {
+            const result = testCase.actual();
+            if (result === testCase.expected) {
+                passed++;
+                console.log(`✅ ${testCase.name}: ${result}`);
+            } else {
+                console.log(`❌ ${testCase.name}: expected ${testCase.expected}, got ${result}`);
+            }
+        });
+
+        TestUtils.assert(passed === testCases.length, `Internationalized addresses: ${passed}/${testCases.length} tests passed`);
+        return passed === testCases.length;
+    }
+};
+
+/**
+ * Deliverability Check Tests (verifier.js)
+ */
+const VerificationTests = {
+    /**
+     * Test scoring with the offline stub resolver, and DNS message parsing
+     */
+    testVerification: async () => {
+        console.log('\n📮 Testing Deliverability Checks...');
+
+        if (typeof require === 'undefined') {
+            console.log('⏭️  Deliverability checks are tested under Node only');
+            return true;
+        }
+        const { emailVerifier } = require('./verifier.js');
+
+        const resolver = emailVerifier.createStubResolver({
+            'acme.com': ['mx1.acme.com'],
+            'nomx.com': [],
+            'nullmx.com': [''],
+            'xn--caf-dma.fr': ['mx.cafe.fr']
+        });
+
+        const testCases = [
+            { email: 'jane@acme.com', expected: 'valid' },
+            { email: '"jane doe"@acme.com', expected: 'valid' },
+            { email: 'jane@café.fr', expected: 'valid' },
+            { email: 'jane@xn--caf-dma.fr', expected: 'valid' },
+            // Deliverable only through SMTPUTF8 servers
+            { email: 'josé@café.fr', expected: 'risky' },
+            { email: 'jane@nomx.com', expected: 'risky' },
+            { email: 'jane@nxdomain.com', expected: 'invalid' },
+            { email: 'jane@nullmx.com', expected: 'invalid' },
+            { email: 'jane..doe@acme.com', expected: 'invalid' },
+            { email: `${'a'.repeat(65)}@acme.com`, expected: 'invalid' },
+            { email: 'jane@-acme.com', expected: 'invalid' },
+            { email: 'jane@acme.notatld', expected: 'invalid' },
+            { email: 'jane@xn--zz.com', expected: 'invalid' },
+            { email: 'jane@192.168.0.1', expected: 'invalid' }
+        ];
+
+        let passed = 0;
+        const total = testCases.length + 3;
+        const mxCache = new Map();
+
+        for (const testCase of testCases) {
+            const result = await emailVerifier.verify(testCase.email, { resolver: resolver, mxCache: mxCache });
+            if (result.status === testCase.expected) {
+                passed++;
+                console.log(`✅ ${testCase.email}: ${result.status}`);
+            } else {
+                console.log(`❌ ${testCase.email}: expected ${testCase.expected}, got ${result.status} (${result.reasons.join('; ')})`);
+            }
+        }
+
+        // Offline, the MX check is skipped rather than failed
+        const offline = await emailVerifier.verify('jane@unknown-domain.com');
+        if (offline.status === 'valid' && offline.checks.mx === 'skip') {
+            passed++;
+            console.log('✅ Offline resolver skips the MX check');
+        } else {
+            console.log(`❌ Offline resolver: got ${offline.status}, MX ${offline.checks.mx}`);
+        }
+
+        // Response to an MX query for acme.com: 10 mail.acme.com, name compressed
+        const response = new Uint8Array([
+            0, 0, 0x81, 0x80, 0, 1, 0, 1, 0, 0, 0, 0,
+            4, 97, 99, 109, 101, 3, 99, 111, 109, 0, 0, 15, 0, 1,
+            0xc0, 12, 0, 15, 0, 1, 0, 0, 0, 60, 0, 9, 0, 10, 4, 109, 97, 105, 108, 0xc0, 12
+        ]);
+        const answer = emailVerifier.parseMxResponse(response);
+        if (answer.status === 'found' && answer.hosts.join() === 'mail.acme.com') {
+            passed++;
+            console.log('✅ DNS response parsed');
+        } else {
+            console.log(`❌ DNS response: got ${JSON.stringify(answer)}`);
+        }
+        const nxdomain = response.slice(0, 12);
+        nxdomain[3] = 0x83;
+        if (emailVerifier.parseMxResponse(nxdomain).status === 'nxdomain') {
+            passed++;
+            console.log('✅ NXDOMAIN response recognized');
+        } else {
+            console.log('❌ NXDOMAIN response not recognized');
+        }
+
+        TestUtils.assert(passed === total, `Deliverability checks: ${passed}/${total} tests passed`);
+        return passed === total;
+    }
+};
+
+/**
+ * Export Tests (exporters.js)
+ */
+const ExportTests = {
+    /**
+     * Test CSV quoting and formula neutralization
+     */
+    testCsvExport: () => {
+        console.log('\n📄 Testing CSV Export...');
+
+        if (typeof require === 'undefined') {
+            console.log('⏭️  Exports are tested under Node only');
+            return true;
+        }
+        const { csvExporter } = require('./exporters.js');
+
+        const testCases = [
+            { value: 'jane@acme.com', delimiter: ',', expected: 'jane@acme.com' },
+            { value: 'Smith, Jane', delimiter: ',', expected: '"Smith, Jane"' },
+            { value: 'Smith, Jane', delimiter: ';', expected: 'Smith, Jane' },
+            { value: 'Say "hi"', delimiter: ',', expected: '"Say ""hi"""' },
+            { value: 'line one\nline two', delimiter: ',', expected: '"line one\nline two"' },
+            { value: null, delimiter: ',', expected: '' },
+            { value: 42, delimiter: ',', expected: '42' },
+            // Cells a spreadsheet would run as formulas stay text
+            { value: '=HYPERLINK("http://evil.test","Click")', delimiter: ',', expected: '"\'=HYPERLINK(""http://evil.test"",""Click"")"' },
+            { value: '@SUM(A1:A9)', delimiter: ',', expected: '\'@SUM(A1:A9)' },
+            { value: '+2+cmd|\' /C calc\'!A0', delimiter: ',', expected: '\'+2+cmd|\' /C calc\'!A0' },
+            { value: '-2+3+SUM(A1:A9)', delimiter: ',', expected: '\'-2+3+SUM(A1:A9)' },
+            // Phone numbers and signed numbers stay as they are
+            { value: '+44 20 7946 0018', delimiter: ',', expected: '+44 20 7946 0018' },
+            { value: '+1 (555) 010-9999; +44 20 7946 0018', delimiter: ',', expected: '+1 (555) 010-9999; +44 20 7946 0018' },
+            { value: '-5', delimiter: ',', expected: '-5' },
+            { value: '\tcmd', delimiter: '\t', expected: '"\'\tcmd"' },
+            { value: '\rcmd', delimiter: ',', expected: '"\'\rcmd"' },
+            { value: 'jane=doe@acme.com', delimiter: ',', expected: 'jane=doe@acme.com' }
+        ];
+
+        let passed = 0;
+        const total = testCases.length + 1;
+
+        testCases.forEach(testCase => {
+            const result = csvExporter.escapeField(testCase.value, testCase.delimiter);
+            if (result === testCase.expected) {
+                passed++;
+                console.log(`✅ ${JSON.stringify(testCase.value)}: ${JSON.stringify(result)}`);
+            } else {
+                console.log(`❌ ${JSON.stringify(testCase.value)}: expected ${JSON.stringify(testCase.expected)}, got ${JSON.stringify(result)}`);
+            }
+        });
+
+        const csv = csvExporter.build([
+            { email: 'jane@acme.com', pageTitle: '=1+1', tags: ['a', 'b'], firstSeen: 0 }
+        ], { columns: ['email', 'pageTitle', 'tags', 'firstSeen', 'unknown'], delimiter: ';', bom: true });
+        const expectedCsv = '\uFEFFEmail;Page Title;Tags;First Seen\r\njane@acme.com;\'=1+1;"a; b";\r\n';
+        if (csv === expectedCsv) {
+            passed++;
+            console.log('✅ CSV file built');
+        } else {
+            console.log(`❌ CSV file: expected ${JSON.stringify(expectedCsv)}, got ${JSON.stringify(csv)}`);
+        }
+
+        TestUtils.assert(passed === total, `CSV export: ${passed}/${total} tests passed`);
+        return passed === total;
+    },
+
+    /**
+     * Test vCard escaping, 75-octet folding and the cards written
+     */
+    testVcardExport: () => {
+        console.log('\n📇 Testing vCard Export...');
+
+        if (typeof require === 'undefined') {
+            console.log('⏭️  Exports are tested under Node only');
+            return true;
+        }
+        const { vcardExporter } = require('./exporters.js');
+        const a = (count) => 'A'.repeat(count);
+
+        const escapeCases = [
+            { value: 'Acme, Inc.', expected: 'Acme\\, Inc.' },
+            { value: 'Sales; EMEA', expected: 'Sales\\; EMEA' },
+            { value: 'C:\\share', expected: 'C:\\\\share' },
+            { value: 'one\r\ntwo\rthree\nfour', expected: 'one\\ntwo\\nthree\\nfour' },
+            { value: null, expected: '' }
+        ];
+
+        // Octets, not characters: é is 2, € is 3, 😀 is 4
+        const foldCases = [
+            { line: a(75), expected: a(75) },
+            { line: a(76), expected: `${a(75)}\r\n A` },
+            // Continuation lines hold 74 octets after their leading space
+            { line: a(150), expected: `${a(75)}\r\n ${a(74)}\r\n A` },
+            { line: `${a(73)}é`, expected: `${a(73)}é` },
+            { line: `${a(74)}é`, expected: `${a(74)}\r\n é` },
+            { line: `${a(72)}😀`, expected: `${a(72)}\r\n 😀` },
+            { line: `NOTE:${'€'.repeat(30)}`, expected: `NOTE:${'€'.repeat(23)}\r\n ${'€'.repeat(7)}` }
+        ];
+
+        const contact = { name: 'Jane Q. Smith', organization: 'Acme, Inc.', title: 'CTO', phones: ['+1 (555) 010-9999'] };
+        const cardCases = [
+            {
+                label: '3.0 card with contact details',
+                build: () => vcardExporter.buildCard('jane@acme.com', contact, ['https://acme.com/team'], '3.0', ['vip'], ['Met at expo']),
+                expected: 'BEGIN:VCARD\r\nVERSION:3.0\r\nFN:Jane Q. Smith\r\nN:Smith;Jane Q.;;;\r\nEMAIL;TYPE=INTERNET:jane@acme.com\r\n' +
+                    'ORG:Acme\\, Inc.\r\nTITLE:CTO\r\nTEL;TYPE=VOICE:+1 (555) 010-9999\r\nCATEGORIES:vip\r\n' +
+                    'NOTE:Met at expo\\n\\nFound on: https://acme.com/team\r\nEND:VCARD\r\n'
+            },
+            {
+                label: '4.0 card with a tel: URI',
+                build: () => vcardExporter.buildCard('jane@acme.com', contact, [], '4.0'),
+                expected: 'BEGIN:VCARD\r\nVERSION:4.0\r\nFN:Jane Q. Smith\r\nN:Smith;Jane Q.;;;\r\nEMAIL:jane@acme.com\r\n' +
+                    'ORG:Acme\\, Inc.\r\nTITLE:CTO\r\nTEL;VALUE=uri:tel:+15550109999\r\nEND:VCARD\r\n'
+            },
+            {
+                label: 'Repeated sightings share one card',
+                build: () => vcardExporter.build([
+                    { email: 'info@acme.com', sourceUrl: 'https://acme.com/a', tags: ['sales'] },
+                    { email: 'info@acme.com', sourceUrl: 'https://acme.com/b', tags: ['sales', 'eu'], notes: '' }
+                ], '4.0'),
+                expected: 'BEGIN:VCARD\r\nVERSION:4.0\r\nFN:info@acme.com\r\nN:;;;;\r\nEMAIL:info@acme.com\r\n' +
+                    'CATEGORIES:sales,eu\r\nNOTE:Found on: https://acme.com/a\\nhttps://acme.com/b\r\nEND:VCARD\r\n'
+            }
+        ];
+
+        let passed = 0;
+        const total = escapeCases.length + foldCases.length + cardCases.length;
+
+        escapeCases.forEach(testCase => {
+            const result = vcardExporter.escape(testCase.value);
+            if (result === testCase.expected) {
+                passed++;
+                console.log(`✅ escape ${JSON.stringify(testCase.value)}: ${JSON.stringify(result)}`);
+            } else {
+                console.log(`❌ escape ${JSON.stringify(testCase.value)}: expected ${JSON.stringify(testCase.expected)}, got ${JSON.stringify(result)}`);
+            }
+        });
+
+        foldCases.forEach(testCase => {
+            const result = vcardExporter.fold(testCase.line);
+            if (result === testCase.expected) {
+                passed++;
+                console.log(`✅ fold ${JSON.stringify(testCase.line.substring(0, 20))}…: ${result.split('\r\n').length} line(s)`);
+            } else {
+                console.log(`❌ fold ${JSON.stringify(testCase.line)}: expected ${JSON.stringify(testCase.expected)}, got ${JSON.stringify(result)}`);
+            }
+        });
+
+        cardCases.forEach(testCase => {
+            const result = testCase.build();
+            if (result === testCase.expected) {
+                passed++;
+                console.log(`✅ ${testCase.label}`);
+            } else {
+                console.log(`❌ ${testCase.label}: expected ${JSON.stringify(testCase.expected)}, got ${JSON.stringify(result)}`);
+            }
+        });
+
+        TestUtils.assert(passed === total, `vCard export: ${passed}/${total} tests passed`);
+        return passed === total;
+    },
+
+    /**
+     * Test PDF text encoding and measuring, and the file's cross-reference table
+     */
+    testPdfExport: () => {
+        console.log('\n📑 Testing PDF Export...');
+
+        if (typeof require === 'undefined') {
+            console.log('⏭️  Exports are tested under Node only');
+            return true;
+        }
+        const { pdfExporter } = require('./exporters.js');
+
+        const textCases = [
+            { label: 'Latin-1 kept', result: () => pdfExporter.toWinAnsi('Café'), expected: 'Caf\xe9' },
+            { label: 'WinAnsi extras mapped', result: () => pdfExporter.toWinAnsi('€5 – “ok”'), expected: '\x805 \x96 \x93ok\x94' },
+            { label: 'Other characters replaced', result: () => pdfExporter.toWinAnsi('日本 😀'), expected: '?? ?' },
+            { label: 'Whitespace collapsed', result: () => pdfExporter.toWinAnsi('a\n\t b'), expected: 'a b' },
+            { label: 'String escaped', result: () => pdfExporter.escapeString('a(b)\\c'), expected: 'a\\(b\\)\\\\c' },
+            // E 667 + m 833 + a 556 + i 222 + l 222 = 2500 units
+            { label: 'Helvetica width', result: () => pdfExporter.textWidth('Email', 10), expected: 25 },
+            { label: 'Fitting text kept', result: () => pdfExporter.fitText('Email', 25, 10), expected: 'Email' },
+            { label: 'Long text shortened', result: () => pdfExporter.fitText('Email', 24, 10), expected: 'Em\x85' },
+            { label: 'Number formatting', result: () => pdfExporter.num(12.3456), expected: '12.35' }
+        ];
+
+        const records = Array.from({ length: 120 }, (_, index) => ({
+            email: `user${index}@${index % 3 ? 'acme.com' : 'contoso.com'}`,
+            domain: index % 3 ? 'acme.com' : 'contoso.com',
+            sourceUrl: 'https://acme.com/team',
+            classification: 'personal',
+            tags: ['vip']
+        }));
+        const bytes = pdfExporter.build(records, new Date(Date.UTC(2024, 0, 15, 10, 30, 20)));
+        const pdf = Buffer.from(bytes).toString('latin1');
+        const xrefOffset = Number(pdf.match(/startxref\n(\d+)\n%%EOF\n$/)[1]);
+        const offsets = pdf.substring(xrefOffset).match(/^\d{10} 00000 n $/gm).map(entry => parseInt(entry, 10));
+        const pageCount = Number(pdf.match(/\/Count (\d+)/)[1]);
+        const streams = Array.from(pdf.matchAll(/<< \/Length (\d+) >>\nstream\n([\s\S]*?)\nendstream/g));
+
+        const fileCases = [
+            { label: 'PDF header', valid: pdf.startsWith('%PDF-1.4\n') },
+            { label: 'Creation date in UTC', valid: pdf.includes('/CreationDate (D:20240115103020Z)') },
+            { label: 'startxref points at the xref table', valid: pdf.startsWith(`xref\n0 ${offsets.length + 1}\n`, xrefOffset) },
+            { label: 'Every xref entry points at its object', valid: offsets.every((offset, index) => pdf.startsWith(`${index + 1} 0 obj\n`, offset)) },
+            { label: 'Trailer counts every object', valid: pdf.includes(`/Size ${offsets.length + 1} `) },
+            { label: 'Rows break across pages', valid: pageCount > 1 && streams.length === pageCount },
+            { label: 'Stream lengths match their content', valid: streams.every(match => Number(match[1]) === match[2].length) },
+            { label: 'Every page is numbered', valid: streams.every((match, index) => match[2].includes(`(Page ${index + 1} of ${pageCount}) Tj`)) },
+            { label: 'Domain counts listed', valid: pdf.includes('(acme.com) Tj') && pdf.includes('(80) Tj') && pdf.includes('(40) Tj') }
+        ];
+
+        let passed = 0;
+        const total = textCases.length + fileCases.length;
+
+        textCases.forEach(testCase => {
+            const result = testCase.result();
+            if (result === testCase.expected) {
+                passed++;
+                console.log(`✅ ${testCase.label}: ${JSON.stringify(result)}`);
+            } else {
+                console.log(`❌ ${testCase.label}: expected ${JSON.stringify(testCase.expected)}, got ${JSON.stringify(result)}`);
+            }
+        });
+
+        fileCases.forEach(testCase => {
+            if (testCase.valid) {
+                passed++;
+                console.log(`✅ ${testCase.label}`);
+            } else {
+                console.log(`❌ ${testCase.label}`);
+            }
+        });
+
+        TestUtils.assert(passed === total, `PDF export: ${passed}/${total} tests passed`);
+        return passed === total;
+    },
+
+    /**
+     * Test the XLSX writer's CRC-32, zip headers and cell XML
+     */
+    testXlsxExport: () => {
+        console.log('\n📗 Testing XLSX Export...');
+
+        if (typeof require === 'undefined') {
+            console.log('⏭️  Exports are tested under Node only');
+            return true;
+        }
+        const { xlsxExporter } = require('./exporters.js');
+        const encoder = new TextEncoder();
+
+        const valueCases = [
+            // Reference values for the zip (IEEE 802.3) polynomial
+            { label: 'CRC-32 of nothing', result: () => xlsxExporter.crc32(new Uint8Array(0)), expected: 0 },
+            { label: 'CRC-32 of "a"', result: () => xlsxExporter.crc32(encoder.encode('a')), expected: 0xe8b7be43 },
+            { label: 'CRC-32 check value', result: () => xlsxExporter.crc32(encoder.encode('123456789')), expected: 0xcbf43926 },
+            { label: 'CRC-32 of a sentence', result: () => xlsxExporter.crc32(encoder.encode('The quick brown fox jumps over the lazy dog')), expected: 0x414fa339 },
+            { label: 'Column A', result: () => xlsxExporter.columnName(0), expected: 'A' },
+            { label: 'Column Z', result: () => xlsxExporter.columnName(25), expected: 'Z' },
+            { label: 'Column AA', result: () => xlsxExporter.columnName(26), expected: 'AA' },
+            { label: 'Column BA', result: () => xlsxExporter.columnName(52), expected: 'BA' },
+            { label: 'Column AAA', result: () => xlsxExporter.columnName(702), expected: 'AAA' },
+            { label: 'XML escaped', result: () => xlsxExporter.escapeXml('a<b & "c">'), expected: 'a&lt;b &amp; &quot;c&quot;&gt;' },
+            { label: 'Control characters dropped', result: () => xlsxExporter.escapeXml('\u0001x\u000b\ty\n'), expected: 'x\ty\n' },
+            { label: 'String cell', result: () => xlsxExporter.cellXml({ type: 'string', value: '=1+1', bold: true }, 'B2'), expected: '<c r="B2" t="inlineStr" s="1"><is><t xml:space="preserve">=1+1</t></is></c>' },
+            { label: 'Number cell', result: () => xlsxExporter.cellXml({ type: 'number', value: '42' }, 'C3'), expected: '<c r="C3"><v>42</v></c>' },
+            { label: 'Empty cell skipped', result: () => xlsxExporter.cellXml({ type: 'string', value: '' }, 'A1'), expected: '' }
+        ];
+
+        // Two stored entries: a.txt "hi" at 0, é.xml "<x/>" at 37, their central
+        // headers at 77 and 128, the end record at 180
+        const zip = xlsxExporter.zip([{ name: 'a.txt', content: 'hi' }, { name: 'é.xml', content: '<x/>' }], new Date(2024, 0, 15, 10, 30, 20));
+        const view = new DataView(zip.buffer);
+        const text = (offset, length) => new TextDecoder().decode(zip.subarray(offset, offset + length));
+        // 10:30:20 and 2024-01-15 in DOS format
+        const dosTime = (10 << 11) | (30 << 5) | 10;
+        const dosDate = (44 << 9) | (1 << 5) | 15;
+        const headerCases = [
+            { label: 'Local header signature', offset: 0, size: 4, expected: 0x04034b50 },
+            { label: 'Version needed', offset: 4, size: 2, expected: 20 },
+            { label: 'UTF-8 name flag', offset: 6, size: 2, expected: 0x0800 },
+            { label: 'Stored, not deflated', offset: 8, size: 2, expected: 0 },
+            { label: 'Modification time', offset: 10, size: 2, expected: dosTime },
+            { label: 'Modification date', offset: 12, size: 2, expected: dosDate },
+            { label: 'CRC-32 of "hi"', offset: 14, size: 4, expected: 0xd8932aac },
+            { label: 'Compressed size', offset: 18, size: 4, expected: 2 },
+            { label: 'Uncompressed size', offset: 22, size: 4, expected: 2 },
+            { label: 'Name length', offset: 26, size: 2, expected: 5 },
+            { label: 'Second entry signature', offset: 37, size: 4, expected: 0x04034b50 },
+            { label: 'CRC-32 of "<x/>"', offset: 37 + 14, size: 4, expected: 0x1226842b },
+            { label: 'Name length in octets', offset: 37 + 26, size: 2, expected: 6 },
+            { label: 'Central header signature', offset: 77, size: 4, expected: 0x02014b50 },
+            { label: 'Central CRC-32', offset: 77 + 16, size: 4, expected: 0xd8932aac },
+            { label: 'First local header offset', offset: 77 + 42, size: 4, expected: 0 },
+            { label: 'Second local header offset', offset: 128 + 42, size: 4, expected: 37 },
+            { label: 'End record signature', offset: 180, size: 4, expected: 0x06054b50 },
+            { label: 'Entries on disk', offset: 180 + 8, size: 2, expected: 2 },
+            { label: 'Total entries', offset: 180 + 10, size: 2, expected: 2 },
+            { label: 'Central directory size', offset: 180 + 12, size: 4, expected: 103 },
+            { label: 'Central directory offset', offset: 180 + 16, size: 4, expected: 77 }
+        ];
+
+        // Every entry of a real workbook is listed and checksummed
+        const workbook = xlsxExporter.build([{ email: 'jane@acme.com', domain: 'acme.com', sourceUrl: 'https://acme.com/', firstSeen: 0, lastSeen: 0 }]);
+        const workbookView = new DataView(workbook.buffer);
+        const entries = [];
+        for (let offset = 0; workbookView.getUint32(offset, true) === 0x04034b50;) {
+            const size = workbookView.getUint32(offset + 18, true);
+            const nameLength = workbookView.getUint16(offset + 26, true);
+            const data = workbook.subarray(offset + 30 + nameLength, offset + 30 + nameLength + size);
+            entries.push({
+                name: new TextDecoder().decode(workbook.subarray(offset + 30, offset + 30 + nameLength)),
+                checksummed: workbookView.getUint32(offset + 14, true) === xlsxExporter.crc32(data)
+            });
+            offset += 30 + nameLength + size;
+        }
+        const expectedEntries = ['[Content_Types].xml', '_rels/.rels', 'xl/workbook.xml', 'xl/_rels/workbook.xml.rels',
+            'xl/styles.xml', 'xl/worksheets/sheet1.xml', 'xl/worksheets/sheet2.xml'];
+
+        let passed = 0;
+        const total = valueCases.length + headerCases.length + 4;
+
+        valueCases.forEach(testCase => {
+            const result = testCase.result();
+            if (result === testCase.expected) {
+                passed++;
+                console.log(`✅ ${testCase.label}: ${JSON.stringify(result)}`);
+            } else {
+                console.log(`❌ ${testCase.label}: expected ${JSON.stringify(testCase.expected)}, got ${JSON.stringify(result)}`);
+            }
+        });
+
+        headerCases.forEach(testCase => {
+            const result = testCase.size === 4 ? view.getUint32(testCase.offset, true) : view.getUint16(testCase.offset, true);
+            if (result === testCase.expected) {
+                passed++;
+                console.log(`✅ ${testCase.label}: 0x${result.toString(16)}`);
+            } else {
+                console.log(`❌ ${testCase.label}: expected 0x${testCase.expected.toString(16)}, got 0x${result.toString(16)}`);
+            }
+        });
+
+        const fileChecks = [
+            { label: 'Zip length', valid: zip.length === 202 },
+            { label: 'Names and data follow their headers', valid: text(30, 5) === 'a.txt' && text(35, 2) === 'hi' && text(67, 6) === 'é.xml' && text(73, 4) === '<x/>' && text(123, 5) === 'a.txt' },
+            { label: 'Workbook entries', valid: entries.map(entry => entry.name).join() === expectedEntries.join() },
+            { label: 'Workbook checksums', valid: entries.every(entry => entry.checksummed) }
+        ];
+        fileChecks.forEach(check => {
+            if (check.valid) {
+                passed++;
+                console.log(`✅ ${check.label}`);
+            } else {
+                console.log(`❌ ${check.label}`);
+            }
+        });
+
+        TestUtils.assert(passed === total, `XLSX export: ${passed}/${total} tests passed`);
+        return passed === total;
+    }
+};
+
+/**
+ * Import Tests (importers.js)
+ */
+const ImportTests = {
+    /**
+     * Test CSV splitting, delimiter detection, header mapping and vCard unfolding
+     */
+    testImportParsing: () => {
+        console.log('\n📥 Testing Import Parsing...');
+
+        if (typeof require === 'undefined') {
+            console.log('⏭️  Imports are tested under Node only');
+            return true;
+        }
+        const { recordImporter } = require('./importers.js');
+
+        const testCases = [
+            {
+                label: 'Quoted delimiters and doubled quotes',
+                result: () => recordImporter.parseCsv('a,b\r\n"x, y","say ""hi"""\r\n', ','),
+                expected: [['a', 'b'], ['x, y', 'say "hi"']]
+            },
+            {
+                label: 'Line breaks inside quotes',
+                result: () => recordImporter.parseCsv('email,notes\n"jane@acme.com","line one\r\nline two"\n', ','),
+                expected: [['email', 'notes'], ['jane@acme.com', 'line one\r\nline two']]
+            },
+            { label: 'CR line ends', result: () => recordImporter.parseCsv('a\rb\r', ','), expected: [['a'], ['b']] },
+            { label: 'Blank rows dropped', result: () => recordImporter.parseCsv('a\n\n,\nb', ','), expected: [['a'], ['b']] },
+            { label: 'No final line break', result: () => recordImporter.parseCsv('a;b', ';'), expected: [['a', 'b']] },
+            { label: 'Quote inside a field is literal', result: () => recordImporter.parseCsv('a"b,c', ','), expected: [['a"b', 'c']] },
+            { label: 'Comma delimiter', result: () => recordImporter.detectDelimiter('Email,Name,Tags\njane@acme.com;x'), expected: ',' },
+            { label: 'Semicolon delimiter', result: () => recordImporter.detectDelimiter('Email;Name;"Tags, more"\r\n'), expected: ';' },
+            { label: 'Tab delimiter', result: () => recordImporter.detectDelimiter('Email\tName'), expected: '\t' },
+            { label: 'Single column', result: () => recordImporter.detectDelimiter('Email'), expected: ',' },
+            {
+                label: 'Headers by label and alias, first column wins',
+                result: () => recordImporter.mapHeaders([' E-mail ', 'Company', 'NOTES', 'Email', 'Unknown']),
+                expected: { email: 0, organization: 1, notes: 2 }
+            },
+            {
+                label: 'Folded vCard lines',
+                result: () => recordImporter.fromVcard('BEGIN:VCARD\r\nVERSION:3.0\r\nFN:Jane\r\n  Smith\r\nEMAIL;TYPE=INTERNET:ja\r\n\tne@acme.com\r\nEND:VCARD\r\n')
+                    .map(record => [record.email, record.contact.name]),
+                expected: [['jane@acme.com', 'Jane Smith']]
+            },
+            {
+                label: 'Grouped properties, LF line ends, one record per EMAIL',
+                result: () => recordImporter.fromVcard('BEGIN:VCARD\nVERSION:4.0\nFN:Bob Jones\nitem1.EMAIL;TYPE=work:mailto:bob@acme.com\nEMAIL:robert@acme.com\nCATEGORIES:sales,eu\nEND:VCARD\n')
+                    .map(record => [record.email, record.contact.name, record.tags]),
+                expected: [['bob@acme.com', 'Bob Jones', ['sales', 'eu']], ['robert@acme.com', 'Bob Jones', ['sales', 'eu']]]
+            },
+            { label: 'Tags split and deduplicated', result: () => recordImporter.parseTags(' vip, ,follow up,vip'), expected: ['vip', 'follow up'] }
+        ];
+
+        let passed = 0;
+        const total = testCases.length;
+
+        testCases.forEach(testCase => {
+            const result = JSON.stringify(testCase.result());
+            const expected = JSON.stringify(testCase.expected);
+            if (result === expected) {
+                passed++;
+                console.log(`✅ ${testCase.label}: ${result}`);
+            } else {
+                console.log(`❌ ${testCase.label}: expected ${expected}, got ${result}`);
+            }
+        });
+
+        TestUtils.assert(passed === total, `Import parsing: ${passed}/${total} tests passed`);
+        return passed === total;
+    },
+
+    /**
+     * Test that every export format reads back through the importer
+     */
+    testImportRoundTrip: () => {
+        console.log('\n🔁 Testing Export/Import Round Trip...');
+
+        if (typeof require === 'undefined') {
+            console.log('⏭️  Imports are tested under Node only');
+            return true;
+        }
+        const { recordImporter } = require('./importers.js');
+        const { csvExporter, buildExport } = require('./exporters.js');
+
+        const records = [
+            {
+                email: 'jane@acme.com',
+                domain: 'acme.com',
+                sourceUrl: 'https://acme.com/team',
+                pageTitle: 'Team, "Acme"',
+                extractor: 'text',
+                contact: { name: 'Jane Smith', title: 'CTO', organization: 'Acme; Inc.', phones: ['+44 20 7946 0018', '+1 555 0199'] },
+                tags: ['vip', 'follow up'],
+                // Long enough to fold in vCards, with multi-byte characters
+                notes: 'Met at the Zürich expo — wants a demo of the crawler and the vCard export next quarter\nCall back in May',
+                firstSeen: Date.UTC(2024, 0, 15, 10, 30),
+                lastSeen: Date.UTC(2024, 2, 1, 9, 0)
+            },
+            {
+                email: 'info@contoso.com',
+                domain: 'contoso.com',
+                sourceUrl: 'https://contoso.com/',
+                pageTitle: '=HYPERLINK("https://contoso.com")',
+                extractor: 'mailto',
+                contact: null,
+                tags: [],
+                notes: '+ prefers phone',
+                firstSeen: Date.UTC(2024, 1, 2, 8, 0),
+                lastSeen: Date.UTC(2024, 1, 2, 8, 0)
+            }
+        ];
+
+        // The same steps importFile takes in the popup
+        const importText = (text, format) => {
+            text = text.replace(/^\uFEFF/, '');
+            if (format === 'json') {
+                return recordImporter.fromJson(text);
+            }
+            if (format === 'vcf') {
+                return recordImporter.fromVcard(text);
+            }
+            if (format === 'csv') {
+                const rows = recordImporter.parseCsv(text, recordImporter.detectDelimiter(text));
+                return recordImporter.fromCsvRows(rows.slice(1), recordImporter.mapHeaders(rows[0]));
+            }
+            return recordImporter.fromText(text);
+        };
+
+        // Fields each format carries; vCard 4.0 writes phones as tel: URIs
+        const allFields = ['email', 'name', 'title', 'organization', 'phones', 'sourceUrl', 'pageTitle', 'extractor', 'tags', 'notes', 'firstSeen', 'lastSeen'];
+        const cardFields = ['email', 'name', 'title', 'organization', 'phones', 'sourceUrl', 'tags', 'notes'];
+        const importable = Object.keys(recordImporter.fields);
+        const testCases = [
+            { label: 'CSV, every importable column', content: csvExporter.build(records, { columns: importable }), format: 'csv', fields: allFields },
+            { label: 'CSV, default columns, semicolons and BOM', content: csvExporter.build(records, { delimiter: ';', bom: true }), format: 'csv', fields: ['email', 'name', 'sourceUrl', 'pageTitle', 'extractor', 'tags', 'notes', 'firstSeen'] },
+            { label: 'CSV, tabs', content: csvExporter.build(records, { columns: importable, delimiter: '\t' }), format: 'csv', fields: allFields },
+            { label: 'JSON', content: buildExport('json', records).content, format: 'json', fields: allFields },
+            { label: 'TXT', content: buildExport('txt', records).content, format: 'txt', fields: ['email', 'sourceUrl', 'tags'] },
+            { label: 'vCard 3.0', content: buildExport('vcf', records).content, format: 'vcf', fields: cardFields },
+            { label: 'vCard 4.0', content: buildExport('vcf4', records).content, format: 'vcf', fields: cardFields, phones: (phone) => phone.replace(/[^\d+]/g, '') }
+        ];
+
+        const pick = (record, fields, mapPhone = (phone) => phone) => {
+            const contact = record.contact || { name: '', title: '', organization: '', phones: [] };
+            const values = { ...record, name: contact.name, title: contact.title, organization: contact.organization, phones: contact.phones.map(mapPhone) };
+            return JSON.stringify(fields.map(field => values[field]));
+        };
+
+        let passed = 0;
+        const total = testCases.length + 1;
+
+        // Phone numbers are written as they are, without a formula guard to strip
+        const phoneCsv = csvExporter.build(records, { columns: ['phone'] });
+        if (phoneCsv === 'Phone\r\n+44 20 7946 0018; +1 555 0199\r\n\r\n') {
+            passed++;
+            console.log('✅ Phone numbers exported unchanged');
+        } else {
+            console.log(`❌ Phone numbers: got ${JSON.stringify(phoneCsv)}`);
+        }
+
+        testCases.forEach(testCase => {
+            const imported = importText(testCase.content, testCase.format);
+            const result = imported.map(record => pick(record, testCase.fields));
+            const expected = records.map(record => pick(record, testCase.fields, testCase.phones));
+            if (result.join('\n') === expected.join('\n')) {
+                passed++;
+                console.log(`✅ ${testCase.label}: ${imported.length} records match`);
+            } else {
+                console.log(`❌ ${testCase.label}: expected\n${expected.join('\n')}\ngot\n${result.join('\n')}`);
+            }
+        });
+
+        TestUtils.assert(passed === total, `Import round trip: ${passed}/${total} tests passed`);
+        return passed === total;
+    }
+};
+
+/**
+ * robots.txt Tests (background.js)
+ */
+const RobotsTests = {
+    /**
+     * Start background.js against the Chrome fake, with robots.txt fetches
+     * answered from a table
+     * @param {Object} responses - Origin to { status, body }, or an Error to throw
+     * @returns {Function} - Evaluates code in the worker's global scope
+     */
+    loadBackground: (responses) => {
+        const fs = require('fs');
+        const path = require('path');
+        const vm = require('vm');
+        const { IDBFactory, IDBKeyRange } = require('fake-indexeddb');
+        const { ChromeFake } = require('./chrome-fake.js');
+
+        const hub = ChromeFake.create();
+        const chrome = hub.context('background');
+        const quiet = () => {};
+        const sandbox = {
+            chrome: chrome,
+            console: { log: quiet, info: quiet, debug: quiet, warn: quiet, error: quiet },
+            indexedDB: new IDBFactory(),
+            IDBKeyRange: IDBKeyRange,
+            BroadcastChannel: hub.broadcastChannelFor(chrome),
+            setTimeout, clearTimeout, setInterval, clearInterval,
+            URL, URLSearchParams, TextEncoder, TextDecoder, AbortController, btoa, atob,
+            fetch: async (url) => {
+                const response = responses[new URL(url).origin];
+                if (!response || response instanceof Error) {
+                    throw response || new Error('Network access is disabled in tests');
+                }
+                return {
+                    status: response.status,
+                    ok: response.status >= 200 && response.status < 300,
+                    text: async () => response.body || ''
+                };
+            },
+            importScripts: (...files) => files.forEach(file => vm.runInContext(fs.readFileSync(path.join(__dirname, file), 'utf8'), sandbox, { filename: file }))
+        };
+        sandbox.self = sandbox;
+        vm.createContext(sandbox);
+        vm.runInContext(fs.readFileSync(path.join(__dirname, 'background.js'), 'utf8'), sandbox, { filename: 'background.js' });
+        return (code) => vm.runInContext(code, sandbox);
+    },
+
+    /**
+     * Test robots.txt parsing, group selection, rule matching and fetching
+     */
+    testRobots: async () => {
+        console.log('\n🤖 Testing robots.txt Handling...');
+
+        if (typeof require === 'undefined') {
+            console.log('⏭️  robots.txt handling is tested under Node only');
+            return true;
+        }
+        const background = RobotsTests.loadBackground({
+            'https://delay.test': { status: 200, body: 'User-agent: *\nCrawl-delay: 2.5\nDisallow: /tmp' },
+            'https://slow.test': { status: 200, body: 'User-agent: *\nCrawl-delay: 3600' },
+            'https://missing.test': { status: 404, body: 'Not found' },
+            'https://gone.test': { status: 410 },
+            'https://down.test': { status: 503 },
+            'https://offline.test': new Error('getaddrinfo ENOTFOUND offline.test')
+        });
+        const parseRobotsTxt = background('parseRobotsTxt');
+        const selectRobotsGroup = background('selectRobotsGroup');
+        const matchRobotsRule = background('matchRobotsRule');
+        const fetchRobotsRules = background('fetchRobotsRules');
+
+        const testCases = [
+            // Longest match wins, whichever order the rules come in
+            { robots: 'User-agent: *\nDisallow: /private\nAllow: /private/press', path: '/private/press/kit.html', expected: 'allow' },
+            { robots: 'User-agent: *\nAllow: /private/press\nDisallow: /private', path: '/private/team', expected: 'disallow' },
+            { robots: 'User-agent: *\nAllow: /\nDisallow: /private', path: '/private', expected: 'disallow' },
+            // Allow wins a tie
+            { robots: 'User-agent: *\nDisallow: /page\nAllow: /page', path: '/page', expected: 'allow' },
+            { robots: 'User-agent: *\nDisallow: /*.pdf\nAllow: /a.pdf', path: '/a.pdf', expected: 'allow' },
+            // * matches any run of characters, $ anchors the end
+            { robots: 'User-agent: *\nDisallow: /*?sort=', path: '/list?sort=asc', expected: 'disallow' },
+            { robots: 'User-agent: *\nDisallow: /*/staff/', path: '/eu/staff/jane', expected: 'disallow' },
+            { robots: 'User-agent: *\nDisallow: /*.pdf$', path: '/files/report.pdf', expected: 'disallow' },
+            { robots: 'User-agent: *\nDisallow: /*.pdf$', path: '/files/report.pdf?download=1', expected: 'allow' },
+            { robots: 'User-agent: *\nDisallow: /$', path: '/', expected: 'disallow' },
+            { robots: 'User-agent: *\nDisallow: /$', path: '/about', expected: 'allow' },
+            // Regex characters in paths are literal
+            { robots: 'User-agent: *\nDisallow: /a.b', path: '/axb', expected: 'allow' },
+            // Consecutive User-agent lines share one group; a named group replaces *
+            { robots: 'User-agent: Googlebot\nUser-agent: EmailScraper\nDisallow: /team\n\nUser-agent: *\nDisallow: /', path: '/team', expected: 'disallow' },
+            { robots: 'User-agent: Googlebot\nUser-agent: EmailScraper\nDisallow: /team\n\nUser-agent: *\nDisallow: /', path: '/about', expected: 'allow' },
+            { robots: 'User-agent: Googlebot\nDisallow: /\n\nUser-agent: *\nDisallow: /private', path: '/about', expected: 'allow' },
+            // An empty User-agent names nobody
+            { robots: 'User-agent:\nDisallow: /\n\nUser-agent: *\nDisallow: /private', path: '/about', expected: 'allow' },
+            // Comments, CRLF line ends, empty Disallow, rules before any group
+            { robots: 'User-agent: * # everyone\r\nDisallow: /tmp # scratch\r\n', path: '/tmp/x', expected: 'disallow' },
+            { robots: 'User-agent: *\nDisallow:', path: '/anything', expected: 'allow' },
+            { robots: 'Disallow: /\nUser-agent: *\nAllow: /', path: '/about', expected: 'allow' },
+            // robots.txt itself is always fetchable
+            { robots: 'User-agent: *\nDisallow: /', path: '/robots.txt', expected: 'allow' }
+        ];
+
+        const fetchCases = [
+            { origin: 'https://delay.test', expected: { rules: [{ allow: false, path: '/tmp' }], crawlDelayMs: 2500, disallowAll: false, reason: null } },
+            // Clamped to CRAWL_LIMITS.maxCrawlDelayMs
+            { origin: 'https://slow.test', expected: { rules: [], crawlDelayMs: 60000, disallowAll: false, reason: null } },
+            // 4xx: no robots.txt, everything allowed
+            { origin: 'https://missing.test', expected: { rules: [], crawlDelayMs: 0, disallowAll: false, reason: null } },
+            { origin: 'https://gone.test', expected: { rules: [], crawlDelayMs: 0, disallowAll: false, reason: null } },
+            // 5xx and network errors: everything disallowed
+            { origin: 'https://down.test', expected: { rules: [], crawlDelayMs: 0, disallowAll: true, reason: 'robots.txt unavailable (HTTP 503)' } },
+            { origin: 'https://offline.test', expected: { rules: [], crawlDelayMs: 0, disallowAll: true, reason: 'robots.txt unreachable: getaddrinfo ENOTFOUND offline.test' } }
+        ];
+
+        let passed = 0;
+        const total = testCases.length + fetchCases.length + 1;
+
+        testCases.forEach(testCase => {
+            const group = selectRobotsGroup(parseRobotsTxt(testCase.robots), 'EmailScraper');
+            const rule = matchRobotsRule(group.rules, testCase.path);
+            const result = rule && !rule.allow ? 'disallow' : 'allow';
+            if (result === testCase.expected) {
+                passed++;
+                console.log(`✅ ${testCase.path} under ${JSON.stringify(testCase.robots)}: ${result}`);
+            } else {
+                console.log(`❌ ${testCase.path} under ${JSON.stringify(testCase.robots)}: expected ${testCase.expected}, got ${result}`);
+            }
+        });
+
+        // Grouped agents keep the longest Crawl-delay of the groups that apply
+        const delay = selectRobotsGroup(parseRobotsTxt('User-agent: EmailScraper\nCrawl-delay: 4\n\nUser-agent: EmailScraper\nCrawl-delay: 9\nCrawl-delay: nope\n\nUser-agent: *\nCrawl-delay: 30'), 'EmailScraper').crawlDelay;
+        if (delay === 9) {
+            passed++;
+            console.log('✅ Crawl-delay taken from the named groups');
+        } else {
+            console.log(`❌ Crawl-delay: expected 9, got ${delay}`);
+        }
+
+        for (const testCase of fetchCases) {
+            const result = JSON.stringify(await fetchRobotsRules(testCase.origin));
+            const expected = JSON.stringify(testCase.expected);
+            if (result === expected) {
+                passed++;
+                console.log(`✅ ${testCase.origin}: ${result}`);
+            } else {
+                console.log(`❌ ${testCase.origin}: expected ${expected}, got ${result}`);
+            }
+        }
+
+        TestUtils.assert(passed === total, `robots.txt handling: ${passed}/${total} tests passed`);
+        return passed === total;
+    }
+};
+
 /**
  * Manifest Validation Tests
  */
@@ -363,18 +1254,29 @@ const ManifestTests = {
 /**
  * Main Test Runner
  */
-function runAllTests() {
+async function runAllTests() {
     console.log('🚀 Starting Email Scraper Extension Tests...\n');
 
     const testResults = [];
 
     // Run Email Extractor Tests
-    testResults.push(TestUtils.runTest('Email Validation', EmailExtractorTests.testEmailValidation));
-    testResults.push(TestUtils.runTest('Email Extraction', EmailExtractorTests.testEmailExtraction));
-    testResults.push(TestUtils.runTest('Duplicate Removal', EmailExtractorTests.testDuplicateRemoval));
+    testResults.push(await TestUtils.runTest('Email Validation', EmailExtractorTests.testEmailValidation));
+    testResults.push(await TestUtils.runTest('Email Extraction', EmailExtractorTests.testEmailExtraction));
+    testResults.push(await TestUtils.runTest('Duplicate Removal', EmailExtractorTests.testDuplicateRemoval));
+    testResults.push(await TestUtils.runTest('Filter Rules', FilterRuleTests.testFilterRules));
+    testResults.push(await TestUtils.runTest('Classification', ClassificationTests.testClassification));
+    testResults.push(await TestUtils.runTest('Internationalized Addresses', IdnTests.testInternationalizedAddresses));
+    testResults.push(await TestUtils.runTest('Deliverability Checks', VerificationTests.testVerification));
+    testResults.push(await TestUtils.runTest('CSV Export', ExportTests.testCsvExport));
+    testResults.push(await TestUtils.runTest('vCard Export', ExportTests.testVcardExport));
+    testResults.push(await TestUtils.runTest('PDF Export', ExportTests.testPdfExport));
+    testResults.push(await TestUtils.runTest('XLSX Export', ExportTests.testXlsxExport));
+    testResults.push(await TestUtils.runTest('Import Parsing', ImportTests.testImportParsing));
+    testResults.push(await TestUtils.runTest('Export/Import Round Trip', ImportTests.testImportRoundTrip));
+    testResults.push(await TestUtils.runTest('robots.txt Handling', RobotsTests.testRobots));
 
     // Run Manifest Tests
-    testResults.push(TestUtils.runTest('Manifest Structure', ManifestTests.testManifestStructure));
+    testResults.push(await TestUtils.runTest('Manifest Structure', ManifestTests.testManifestStructure));
 
     // Summary
     const passed = testResults.filter(result => result !== false).length;
@@ -393,12 +1295,16 @@ function runAllTests() {
 
 // Export for use in different environments
 if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { runAllTests, EmailExtractorTests, ManifestTests };
+    module.exports = { runAllTests, TestUtils, EmailExtractorTests, FilterRuleTests, ClassificationTests, IdnTests, VerificationTests, ExportTests, ImportTests, RobotsTests, ManifestTests };
 } else if (typeof window !== 'undefined') {
-    window.EmailScraperTests = { runAllTests, EmailExtractorTests, ManifestTests };
+    window.EmailScraperTests = { runAllTests, TestUtils, EmailExtractorTests, FilterRuleTests, ClassificationTests, IdnTests, VerificationTests, ExportTests, ImportTests, RobotsTests, ManifestTests };
 }
 
 // Auto-run tests if this script is executed directly
 if (typeof require !== 'undefined' && require.main === module) {
-    runAllTests();
+    runAllTests().then(passed => {
+        if (!passed) {
+            process.exitCode = 1;
+        }
+    });
 }
\ No newline at end of file
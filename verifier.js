@@ -0,0 +1,302 @@
+/**
+ * Email Scraper Extension - Deliverability Checks
+ * Scores an address as valid, risky or invalid from syntax (RFC 5321/5322
+ * and RFC 6531), IDN/punycode validity, the top-level domain list (tlds.js,
+ * via core.js) and MX presence.
+ * MX lookups go through a resolver object so they can use a DNS-over-HTTPS
+ * endpoint, a fixed table in tests, or nothing at all when offline
+ */
+
+const emailVerifier = {
+    labels: {
+        valid: 'Valid',
+        risky: 'Risky',
+        invalid: 'Invalid'
+    },
+
+    // Characters allowed in an unquoted local part: RFC 5322 atext plus,
+    // per RFC 6531, any non-ASCII character
+    atextPattern: /^[A-Za-z0-9!#$%&'*+/=?^_`{|}~\u0080-\u{10FFFF}-]+$/u,
+
+    // A quoted local part such as "john doe" (RFC 5322 quoted-string)
+    quotedPattern: /^"(?:[\x20\x21\x23-\x5b\x5d-\x7e]|\\[\x20-\x7e])*"$/,
+
+    // One LDH label (RFC 5890/1123)
+    labelPattern: /^[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?$/,
+
+    /**
+     * Domain helpers from the shared core
+     * @returns {Object} - emailCore
+     */
+    core: function() {
+        return typeof emailCore !== 'undefined' ? emailCore : require('./core.js').emailCore;
+    },
+
+    /**
+     * RFC 5321/5322 syntax of an address whose domain is already ASCII;
+     * lengths are counted in UTF-8 octets as RFC 6531 requires
+     * @param {string} local - Local part
+     * @param {string} domain - ASCII domain
+     * @returns {string} - Problem description, or '' when the syntax is valid
+     */
+    checkSyntax: function(local, domain) {
+        if (!local) {
+            return 'Missing local part';
+        }
+        const localBytes = this.core().byteLength(local);
+        if (localBytes > 64) {
+            return 'Local part is longer than 64 octets';
+        }
+        const dotAtom = local.split('.').every(atom => this.atextPattern.test(atom));
+        if (!dotAtom && !this.quotedPattern.test(local)) {
+            return 'Local part has characters that need quoting';
+        }
+        if (!domain) {
+            return 'Missing domain';
+        }
+        if (domain.length > 253 || localBytes + 1 + domain.length > 254) {
+            return 'Address is too long';
+        }
+        const labels = domain.split('.');
+        if (labels.length < 2) {
+            return 'Domain has no top-level domain';
+        }
+        if (!labels.every(label => this.labelPattern.test(label))) {
+            return 'Domain has an invalid label';
+        }
+        if (/^\d+$/.test(labels[labels.length - 1])) {
+            return 'Domain is an IP address';
+        }
+        return '';
+    },
+
+    /**
+     * Resolvers
+     * Each has a name and resolveMx(domain), which resolves to
+     * { status: 'found' | 'none' | 'nxdomain' | 'error' | 'skipped', hosts, error }
+     */
+
+    /**
+     * Resolver that performs no lookups; the MX check is skipped
+     * @returns {Object}
+     */
+    createOfflineResolver: function() {
+        return {
+            name: 'offline',
+            resolveMx: async () => ({ status: 'skipped', hosts: [] })
+        };
+    },
+
+    /**
+     * Resolver answering from a fixed table, for tests
+     * @param {Object} table - Domain to MX host names; [] for a domain
+     *     without MX records. Domains not in the table do not exist
+     * @returns {Object}
+     */
+    createStubResolver: function(table) {
+        return {
+            name: 'stub',
+            resolveMx: async (domain) => Array.isArray(table[domain])
+                ? { status: table[domain].length > 0 ? 'found' : 'none', hosts: table[domain] }
+                : { status: 'nxdomain', hosts: [] }
+        };
+    },
+
+    /**
+     * Resolver using a DNS-over-HTTPS endpoint (RFC 8484 GET requests)
+     * @param {string} endpoint - e.g. https://127.0.0.1/dns-query
+     * @param {Object} [options] - { timeoutMs, fetch }
+     * @returns {Object}
+     */
+    createDohResolver: function(endpoint, options = {}) {
+        const fetchImpl = options.fetch || fetch;
+        const timeoutMs = options.timeoutMs || 5000;
+        return {
+            name: 'doh',
+            resolveMx: async (domain) => {
+                const controller = new AbortController();
+                const timer = setTimeout(() => controller.abort(), timeoutMs);
+                try {
+                    const url = new URL(endpoint);
+                    url.searchParams.set('dns', this.encodeDnsQuery(domain, 15));
+                    const response = await fetchImpl(url.toString(), {
+                        headers: { accept: 'application/dns-message' },
+                        signal: controller.signal
+                    });
+                    if (!response.ok) {
+                        throw new Error(`HTTP ${response.status}`);
+                    }
+                    return this.parseMxResponse(new Uint8Array(await response.arrayBuffer()));
+                } catch (error) {
+                    return { status: 'error', hosts: [], error: error.name === 'AbortError' ? 'Timed out' : error.message };
+                } finally {
+                    clearTimeout(timer);
+                }
+            }
+        };
+    },
+
+    /**
+     * Resolver for the stored settings
+     * @param {Object} [config] - settings.verification: { resolver: 'offline' | 'doh', dohUrl }
+     * @returns {Object}
+     */
+    createResolver: function(config) {
+        if (config && config.resolver === 'doh' && config.dohUrl) {
+            return this.createDohResolver(config.dohUrl);
+        }
+        return this.createOfflineResolver();
+    },
+
+    /**
+     * Build a DNS query message, base64url-encoded for a DoH GET request
+     * @param {string} domain - ASCII domain
+     * @param {number} type - Record type (15 for MX)
+     * @returns {string}
+     */
+    encodeDnsQuery: function(domain, type) {
+        // ID 0 (RFC 8484 recommends it for caching), recursion desired, one question
+        const bytes = [0, 0, 1, 0, 0, 1, 0, 0, 0, 0, 0, 0];
+        domain.split('.').filter(Boolean).forEach(label => {
+            bytes.push(label.length, ...Array.from(label, char => char.charCodeAt(0)));
+        });
+        bytes.push(0, type >> 8, type & 0xff, 0, 1);
+        return btoa(String.fromCharCode(...bytes)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    },
+
+    /**
+     * Read the MX answers from a DNS response message
+     * @param {Uint8Array} bytes - Response message
+     * @returns {Object} - { status, hosts }
+     */
+    parseMxResponse: function(bytes) {
+        const u16 = (offset) => (bytes[offset] << 8) | bytes[offset + 1];
+
+        // Returns the name at offset and the offset after it, following compression pointers
+        const readName = (offset) => {
+            const labels = [];
+            let next = -1;
+            for (let hops = 0; hops < 64; hops++) {
+                const length = bytes[offset];
+                if (length === undefined) {
+                    throw new Error('Truncated DNS response');
+                }
+                if (length === 0) {
+                    return { name: labels.join('.'), next: next === -1 ? offset + 1 : next };
+                }
+                if ((length & 0xc0) === 0xc0) {
+                    if (next === -1) {
+                        next = offset + 2;
+                    }
+                    offset = ((length & 0x3f) << 8) | bytes[offset + 1];
+                } else {
+                    labels.push(String.fromCharCode(...bytes.subarray(offset + 1, offset + 1 + length)));
+                    offset += length + 1;
+                }
+            }
+            throw new Error('DNS name compression loop');
+        };
+
+        if (bytes.length < 12) {
+            throw new Error('Truncated DNS response');
+        }
+        const rcode = bytes[3] & 0x0f;
+        if (rcode === 3) {
+            return { status: 'nxdomain', hosts: [] };
+        }
+        if (rcode !== 0) {
+            return { status: 'error', hosts: [], error: `DNS error code ${rcode}` };
+        }
+
+        let offset = 12;
+        for (let i = u16(4); i > 0; i--) {
+            offset = readName(offset).next + 4;
+        }
+        const hosts = [];
+        for (let i = u16(6); i > 0; i--) {
+            offset = readName(offset).next;
+            const type = u16(offset);
+            const length = u16(offset + 8);
+            if (type === 15) {
+                hosts.push(readName(offset + 12).name);
+            }
+            offset += 10 + length;
+        }
+        return { status: hosts.length > 0 ? 'found' : 'none', hosts: hosts };
+    },
+
+    /**
+     * Check one address
+     * Syntax, IDN and TLD failures make it invalid, as does a domain that
+     * does not exist or publishes a null MX (RFC 7505). A domain without MX
+     * records, a failed lookup or a non-ASCII local part (deliverable only
+     * through SMTPUTF8 servers) makes it risky. With the offline resolver
+     * the MX check is skipped
+     * @param {string} email - Address
+     * @param {Object} [options] - { resolver, mxCache: Map shared across calls }
+     * @returns {Promise<Object>} - { status, checks: { syntax, idn, tld, mx }, reasons, checkedAt }
+     */
+    verify: async function(email, options = {}) {
+        const resolver = options.resolver || this.createOfflineResolver();
+        const address = String(email || '').trim();
+        const at = address.lastIndexOf('@');
+        const local = at > 0 ? address.substring(0, at) : '';
+        const domain = at >= 0 ? address.substring(at + 1).toLowerCase() : '';
+        const checks = { syntax: 'pass', idn: 'pass', tld: 'pass', mx: 'skip' };
+        const reasons = [];
+        const fail = (check, reason, result = 'fail') => {
+            checks[check] = result;
+            reasons.push(reason);
+        };
+
+        const asciiDomain = this.core().toAscii(domain);
+        if (asciiDomain === null) {
+            fail('idn', 'Domain is not a valid (internationalized) host name');
+        }
+        const syntaxError = this.checkSyntax(local, asciiDomain || domain);
+        if (syntaxError) {
+            fail('syntax', syntaxError);
+        } else if (/[^\x00-\x7f]/.test(local)) {
+            fail('syntax', 'Internationalized local part needs a mail server with SMTPUTF8', 'warn');
+        }
+        const tld = (asciiDomain || domain).split('.').pop();
+        if (!this.core().isKnownTld(tld)) {
+            fail('tld', `Unknown top-level domain ".${tld}"`);
+        }
+
+        if (!Object.values(checks).includes('fail')) {
+            const cache = options.mxCache;
+            if (cache && !cache.has(asciiDomain)) {
+                cache.set(asciiDomain, resolver.resolveMx(asciiDomain));
+            }
+            const answer = await (cache ? cache.get(asciiDomain) : resolver.resolveMx(asciiDomain));
+            if (answer.status === 'found') {
+                if (answer.hosts.length === 1 && answer.hosts[0] === '') {
+                    fail('mx', 'Domain does not accept mail (null MX)');
+                } else {
+                    checks.mx = 'pass';
+                }
+            } else if (answer.status === 'nxdomain') {
+                fail('mx', 'Domain does not exist');
+            } else if (answer.status === 'none') {
+                fail('mx', 'Domain has no MX records', 'warn');
+            } else if (answer.status === 'error') {
+                fail('mx', `MX lookup failed: ${answer.error || 'unknown error'}`, 'warn');
+            }
+        }
+
+        const results = Object.values(checks);
+        return {
+            status: results.includes('fail') ? 'invalid' : results.includes('warn') ? 'risky' : 'valid',
+            checks: checks,
+            reasons: reasons,
+            resolver: resolver.name,
+            checkedAt: Date.now()
+        };
+    }
+};
+
+// Export for Node-based tests
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { emailVerifier };
+}